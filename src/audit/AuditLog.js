@@ -0,0 +1,134 @@
+// AntiGravity AutoAccept — Persistent Click Audit Log
+// Append-only JSONL in the extension's global storage, one line per auto-click,
+// with size-based rotation and CSV export. Pure Node (no vscode import) so tests can require it.
+//
+// Every window's extension host shares the same global storage directory, so writes are
+// single appendFileSync calls (O_APPEND — whole lines never interleave) and rotation
+// tolerates another window having rotated first.
+
+const fs = require('fs');
+const path = require('path');
+
+const AUDIT_FILE = 'audit.jsonl';
+const CSV_COLUMNS = ['timestamp', 'channel', 'verdict', 'window_title', 'workspace', 'matched_text', 'command', 'target'];
+
+class AuditLog {
+    /**
+     * @param {string} dir - directory for audit.jsonl and its rotations (created on first write)
+     * @param {{ maxBytes?: number, maxFiles?: number, log?: Function }} [opts]
+     */
+    constructor(dir, opts = {}) {
+        this.dir = dir;
+        this.file = path.join(dir, AUDIT_FILE);
+        this.maxBytes = opts.maxBytes || 5 * 1024 * 1024;
+        this.maxFiles = opts.maxFiles || 5;
+        this.enabled = true;
+        this._log = opts.log || (() => {});
+        this._dirReady = false;
+    }
+
+    /** Path of rotation n (0 = live file): audit.jsonl, audit.1.jsonl, audit.2.jsonl … */
+    _rotated(n) {
+        return n === 0 ? this.file : path.join(this.dir, AUDIT_FILE.replace('.jsonl', `.${n}.jsonl`));
+    }
+
+    /**
+     * Append one click record. Never throws — a failing audit write must not stop clicking.
+     * @param {{ time?: number, channel: 'command'|'cdp'|'swarm', verdict?: string, title?: string|null,
+     *           workspace?: string|null, text?: string, command?: string|null, targetId?: string|null }} entry
+     * @returns {boolean} whether the record was written
+     */
+    append(entry) {
+        if (!this.enabled) return false;
+        const record = {
+            ts: new Date(entry.time || Date.now()).toISOString(),
+            channel: entry.channel,
+            verdict: entry.verdict || null,
+            title: entry.title || null,
+            workspace: entry.workspace || null,
+            text: entry.text || null,
+            command: entry.command || null,
+            target: entry.targetId || null
+        };
+        const line = JSON.stringify(record) + '\n';
+        try {
+            if (!this._dirReady) { fs.mkdirSync(this.dir, { recursive: true }); this._dirReady = true; }
+            this._rotateIfNeeded(Buffer.byteLength(line));
+            fs.appendFileSync(this.file, line, 'utf8');
+            return true;
+        } catch (e) {
+            this._log(`[Audit] Write failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    _rotateIfNeeded(incoming) {
+        let size = 0;
+        try { size = fs.statSync(this.file).size; } catch (e) { return; }
+        if (size + incoming <= this.maxBytes) return;
+        try { fs.unlinkSync(this._rotated(this.maxFiles)); } catch (e) { }
+        for (let n = this.maxFiles - 1; n >= 0; n--) {
+            // ENOENT here means that rotation doesn't exist yet or another window just moved it
+            try { fs.renameSync(this._rotated(n), this._rotated(n + 1)); } catch (e) { }
+        }
+        this._log(`[Audit] Rotated ${AUDIT_FILE} at ${Math.round(size / 1024)}KB (keeping ${this.maxFiles} old files)`);
+    }
+
+    /**
+     * Read all records with from <= ts <= to, oldest first. Malformed lines are skipped.
+     * @param {number} fromMs
+     * @param {number} toMs
+     */
+    query(fromMs, toMs) {
+        const out = [];
+        for (let n = this.maxFiles; n >= 0; n--) {
+            let text;
+            try { text = fs.readFileSync(this._rotated(n), 'utf8'); } catch (e) { continue; }
+            for (const line of text.split('\n')) {
+                if (!line.trim()) continue;
+                let rec;
+                try { rec = JSON.parse(line); } catch (e) { continue; }
+                const t = Date.parse(rec.ts);
+                if (!isNaN(t) && t >= fromMs && t <= toMs) out.push(rec);
+            }
+        }
+        return out.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+    }
+}
+
+// 🛑 SECURITY: command text is attacker-influenced (it comes from the agent), so cells that a
+// spreadsheet would evaluate as a formula are prefixed with an apostrophe.
+function _csvCell(value) {
+    let s = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Render audit records as CSV (header row + one row per record, CRLF line endings).
+ * @param {object[]} records - output of AuditLog.query()
+ */
+function toCsv(records) {
+    const rows = [CSV_COLUMNS.join(',')];
+    for (const r of records) {
+        rows.push([r.ts, r.channel, r.verdict, r.title, r.workspace, r.text, r.command, r.target].map(_csvCell).join(','));
+    }
+    return rows.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse a YYYY-MM-DD date (local time) into the first or last millisecond of that day.
+ * @param {string} text
+ * @param {boolean} [endOfDay]
+ * @returns {number|null} null when the text isn't a valid date
+ */
+function parseDay(text, endOfDay = false) {
+    const m = /^\s*(\d{4})-(\d{2})-(\d{2})\s*$/.exec(text || '');
+    if (!m) return null;
+    const d = new Date(+m[1], +m[2] - 1, +m[3]);
+    if (d.getFullYear() !== +m[1] || d.getMonth() !== +m[2] - 1 || d.getDate() !== +m[3]) return null;
+    if (endOfDay) d.setHours(23, 59, 59, 999);
+    return d.getTime();
+}
+
+module.exports = { AuditLog, AUDIT_FILE, toCsv, parseDay };
@@ -0,0 +1,91 @@
+// AntiGravity AutoAccept — CDP Endpoint Registry
+// Every Antigravity instance on the machine listens on its own --remote-debugging-port.
+// ConnectionManager keeps one registry of them — the configured port, the ports listed in
+// cdpPorts, and (cdpPortScan) the range around the configured port plus the legacy 9222 —
+// and every session, dashboard row and Telegram window list is tagged from it.
+// These helpers pick the ports to probe and name what answered; the probing lives in
+// ConnectionManager.
+
+const LEGACY_PORT = 9222;
+const SCAN_BELOW = 2;
+const SCAN_ABOVE = 20;
+const MAX_RANGE = 64; // one cdpPorts entry must not turn into a port scan
+
+function _port(value) {
+    const n = Number(String(value).trim());
+    return Number.isInteger(n) && n >= 1024 && n <= 65535 ? n : null;
+}
+
+/**
+ * Parse the cdpPorts setting: single ports ("9335" or 9335) and ranges ("9340-9345").
+ * @returns {{ ports: number[], errors: string[] }}
+ */
+function parsePortList(entries) {
+    const ports = [];
+    const errors = [];
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        const text = String(entry).trim();
+        if (!text) continue;
+        const range = text.match(/^(\d+)\s*-\s*(\d+)$/);
+        if (range) {
+            const from = _port(range[1]), to = _port(range[2]);
+            if (from === null || to === null || to < from) { errors.push(`"${text}" is not a port range (low-high, 1024-65535)`); continue; }
+            if (to - from + 1 > MAX_RANGE) { errors.push(`"${text}" spans more than ${MAX_RANGE} ports`); continue; }
+            for (let p = from; p <= to; p++) ports.push(p);
+            continue;
+        }
+        const port = /^\d+$/.test(text) ? _port(text) : null;
+        if (port === null) { errors.push(`"${text}" is not a port (1024-65535)`); continue; }
+        ports.push(port);
+    }
+    return { ports: [...new Set(ports)], errors };
+}
+
+/**
+ * Ports to probe, in priority order: the configured port, the listed ones, then the
+ * auto-discovery range (configured-2 … configured+20) and the legacy port.
+ * @returns {number[]}
+ */
+function candidatePorts(configured, listed = [], autoScan = true) {
+    const ports = [configured, ...listed];
+    if (autoScan) {
+        for (let p = configured - SCAN_BELOW; p <= configured + SCAN_ABOVE; p++) ports.push(p);
+        ports.push(LEGACY_PORT);
+    }
+    return [...new Set(ports)].filter(p => _port(p) !== null);
+}
+
+/**
+ * Whether a /json/version reply is a VS Code-family window rather than a plain Chrome
+ * (AG Browser Control also debugs on 9222). Only auto-discovered ports are held to this —
+ * the configured and listed ones are trusted as before.
+ */
+function isEditorEndpoint(version) {
+    return /\b(Electron|Antigravity)\//.test(String((version && version['User-Agent']) || ''));
+}
+
+/** "Antigravity/1.23.2" from the user agent, else the Browser field */
+function productName(version) {
+    const m = String((version && version['User-Agent']) || '').match(/\bAntigravity\/[\w.]+/);
+    return m ? m[0] : String((version && version.Browser) || 'unknown');
+}
+
+/** Instance id: the browser target id in the /json/version webSocketDebuggerUrl (new per launch) */
+function instanceId(version, port) {
+    const m = String((version && version.webSocketDebuggerUrl) || '').match(/\/devtools\/browser\/([\w-]+)/);
+    return m ? m[1].substring(0, 8) : `port-${port}`;
+}
+
+/** @returns {number|null} the port a ws://host:port/devtools/... URL points at */
+function portOfWsUrl(wsUrl) {
+    const m = String(wsUrl || '').match(/^wss?:\/\/[^/]*:(\d+)\//);
+    return m ? Number(m[1]) : null;
+}
+
+/** ":9335 Antigravity/1.23.2 — 3 sessions" */
+function describeEndpoint(ep) {
+    if (!ep.alive) return `:${ep.port} — not responding`;
+    return `:${ep.port} ${ep.browser}${ep.primary ? ' (primary)' : ''} — ${ep.sessionCount} session${ep.sessionCount === 1 ? '' : 's'}`;
+}
+
+module.exports = { LEGACY_PORT, parsePortList, candidatePorts, isEditorEndpoint, productName, instanceId, portOfWsUrl, describeEndpoint };
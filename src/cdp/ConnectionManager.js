@@ -3,8 +3,20 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const { Worker } = require('worker_threads');
-const { buildDOMObserverScript } = require('../scripts/DOMObserver');
+const { buildDOMObserverScript, buildButtonTexts, buildNewDocumentScript } = require('../scripts/DOMObserver');
+const { titleMatchesWorkspace } = require('../policy/WorkspacePolicy');
+const { createRateLimiter, describeTrip } = require('../scripts/RateLimiter');
+const { describeBreakerEvent } = require('../scripts/RetryBreaker');
+const { createCommandFilter, describeFilterVerdict } = require('../scripts/CommandParser');
+const { createRiskScorer } = require('../scripts/RiskScorer');
+const { describePathVerdict } = require('../scripts/PathScope');
+const { describeSecretFindings } = require('../scripts/SecretScanner');
+const { describeEgressVerdict } = require('../scripts/NetworkEgress');
+const { createTrustGrants, describeGrant } = require('../scripts/TrustGrants');
+const { mergeSelectors } = require('../scripts/SelectorRegistry');
+const { candidatePorts, isEditorEndpoint, productName, instanceId, portOfWsUrl } = require('./CdpEndpoints');
 
 // 🛑 SECURITY: Hash username into temp filenames to prevent cross-user DoS on shared machines
 // 🛑 STABILITY: os.userInfo() can throw ENOENT in Docker/WSL — must be wrapped
@@ -13,6 +25,49 @@ try { _sysUser = os.userInfo().username || 'shared'; } catch(e) {}
 const _userHash = crypto.createHash('md5').update(_sysUser).digest('hex').substring(0, 8);
 const SWARM_LOCK_FILE = path.join(os.tmpdir(), `aa-swarm-pause-${_userHash}.json`);
 
+// Heartbeats between /json reconciles while the target watch delivers discovery events (10s each)
+const RECONCILE_EVERY = 6;
+
+/**
+ * Connection states, derived from isRunning / isConnecting / _connected / isPaused and the
+ * session and target-watch health after every change (_updateState):
+ *   disconnected — stopped, or no endpoint / no targets answering (a reconnect is scheduled)
+ *   discovering  — connect() is probing the candidate ports
+ *   connected    — targets listed, sessions injected and healthy
+ *   degraded     — connected, but sessions are failing health checks or target discovery is down
+ *   paused       — running with every observer paused
+ */
+const CONNECTION_STATES = ['disconnected', 'discovering', 'connected', 'degraded', 'paused'];
+
+/**
+ * Events ConnectionManager emits (it is an EventEmitter):
+ *   'state-changed'   { state, previous, reason }
+ *   'session-added'   { targetId, title, url, port, instance, via }  — via: 'poll' | 'event' | 'event-retry'
+ *   'session-removed' { targetId, title, port, reason }  — reason: 'closed' | 'gone' | 'unresponsive' | 'endpoint-lost' | 'stopped'
+ *   'click'           { channel, targetId, title, workspace, text, verdict, command, time }  — real clicks
+ *                     only, not dry runs; channel: 'cdp' | 'swarm'
+ *   'blocked'         { targetId, title, kind, text, description, command }  — a held or blocked click
+ *   'breaker'         { type, attempts, cooldownMs, targetId, title }  — type: 'open' | 'reopen' | 'half-open' | 'closed'
+ *   'review-requested' { targetId, title, id, command, text, risk }  — harvested from __AA_REVIEW_QUEUE
+ *   'budget-exceeded' { reason, category, limit, text, targetId, title, time }  — a page or the mirror ran out of click budget
+ *   'budget-cleared'  {}  — the trip flag is gone from every page (reset by another window)
+ *   'trust-changed'   { grants }  — a grant was added, revoked, used or expired
+ *   'port-changed'    { port, previous, endpoints }  — the primary port or the endpoint registry changed
+ */
+const CM_EVENTS = {
+    STATE_CHANGED: 'state-changed',
+    SESSION_ADDED: 'session-added',
+    SESSION_REMOVED: 'session-removed',
+    CLICK: 'click',
+    BLOCKED: 'blocked',
+    BREAKER: 'breaker',
+    REVIEW_REQUESTED: 'review-requested',
+    BUDGET_EXCEEDED: 'budget-exceeded',
+    BUDGET_CLEARED: 'budget-cleared',
+    TRUST_CHANGED: 'trust-changed',
+    PORT_CHANGED: 'port-changed'
+};
+
 // 🛑 STABILITY: Atomic file write via temp+rename to prevent JSON corruption in cross-process races
 function atomicWriteSync(filePath, data) {
     const tmp = filePath + '.' + Math.random().toString(36).substring(2) + '.tmp';
@@ -25,8 +80,9 @@ function atomicWriteSync(filePath, data) {
     }
 }
 
-class ConnectionManager {
+class ConnectionManager extends EventEmitter {
     constructor({ log, getPort, getCustomTexts, getLastUserActivity }) {
+        super();
         this.log = log;
         this.getPort = getPort;
         this.getCustomTexts = getCustomTexts;
@@ -47,23 +103,81 @@ class ConnectionManager {
         this.ignoredTargets = new Set();
         this._ignoredTargetTTLs = new Map(); 
         this._sessionCursors = new Map();    
-        this.activeCdpPort = null;
+        this._cursorEpochs = new Map(); // targetId -> the page's __AA_CLICK_EPOCH at the cursor
+        this.activeCdpPort = null; // primary endpoint: the configured port when it is up
+
+        // Endpoint registry — one entry per Antigravity instance answering on a candidate port
+        this.endpoints = new Map(); // port -> { port, instance, browser, alive, listed, lastSeen }
+        this.endpointPorts = []; // cdpPorts setting
+        this.endpointScan = true; // cdpPortScan setting
+        this._endpointsCheckedAt = 0;
+        this._endpointDiscovery = null;
 
         this.blockedCommands = [];
         this.allowedCommands = [];
+        this.reviewCommands = [];
         this.autoAcceptFileEdits = true;
         this.autoRetryEnabled = true;
+        this.dryRun = false; // shadow mode: observers log would-be clicks, never click
+        this.fileEditRules = { blockedPaths: [], allowedPaths: [], maxLines: 0 };
+        this.localeLabels = {}; // localized button labels per canonical keyword (LocalePacks)
+        this.selectors = mergeSelectors(null); // attribute selectors per keyword (SelectorRegistry)
+
+        // Click budget: observers gate each click per page; this mirror adds up every
+        // window's clicks (clickCount deltas) so the hourly cap is global.
+        this.rateLimits = { perMinute: {}, hourlyCap: 0 };
+        this._budget = createRateLimiter();
+        this.budgetTrip = null;
+
+        // Retry/Continue circuit breaker (state lives on each page)
+        this.retryBreaker = { maxAttempts: 3, backoffMs: [0, 10000, 30000], cooldownMs: 300000 };
+
+        // Commands scoring at or above this are held for review (0 = score and log only)
+        this.riskThreshold = 0;
+        this._risk = createRiskScorer(createCommandFilter());
+
+        // Path scope: the switch + safe roots are global (baked); workspace folders are per window
+        this.pathScope = { enabled: false, safeRoots: [], home: '' };
+        this.workspaceRoots = [];
+
+        // Secret-leak guard: commands and diffs carrying keys or tokens are never clicked
+        this.secretGuard = false;
+
+        // Network egress: hosts contacted by commands must be on the domain allowlist
+        this.egress = { enabled: false, allowedDomains: [] };
+
+        // Time-boxed conversation trust (TrustGrants). Every page files this host's grants under
+        // _hostId in __AA_GRANTS and spends their clicks itself; the heartbeat reads them back.
+        this.trustGrants = [];
+        this._hostId = crypto.randomBytes(4).toString('hex');
+        // Pages push clicks, blocks and diagnostics to window[_reportBinding] (Runtime.addBinding)
+        this._reportBinding = '__AA_REPORT_' + this._hostId;
+        this._grants = createTrustGrants();
+        this._grantTimer = null;
+
+        // Per-workspace policy: applied only to sessions whose title names this window's workspace
+        this.workspaceName = null;
+        this.workspacePolicy = null;
 
         this.isRunning = false;
         this.isConnecting = false;
         this.reconnectTimer = null;
         this.heartbeatTimer = null;
-        this.onStatusChange = null;
+        this.state = 'disconnected'; // CONNECTION_STATES — follow it with on('state-changed')
+        this.stateReason = 'stopped';
         this.onClickTelemetry = null;
         this.onSwarmPauseChange = null; 
         this._sessionFailCounts = new Map();
         this._heartbeatRunning = false;
         this._injectionFailCounts = new Map();
+        this._pendingTargets = new Set(); // targets being injected right now (events and polls race)
+
+        // Event-driven discovery: a browser-level Target.setDiscoverTargets watch in the worker.
+        // While it is up the heartbeat only reconciles against /json every RECONCILE_EVERY beats.
+        this.targetDiscovery = true; // off = /json polling only (autoAcceptV2.targetDiscoveryEvents)
+        this._targetWatch = null; // browser wsUrl while watching
+        this._targetWatchRetryAt = 0;
+        this._heartbeatCount = 0;
 
         this._worker = null;
         this._pendingIpc = new Map();
@@ -72,6 +186,8 @@ class ConnectionManager {
 
         this._cachedScript = null;
         this._cachedScriptKey = null;
+        this._cachedNewDocScript = null;
+        this._newDocRefresh = null;
 
         this._sidebarTargetId = null;
         this._sidebarWsUrl = null;
@@ -137,54 +253,89 @@ class ConnectionManager {
     get ws() { return this._connected ? { readyState: 1 } : null; }
 
     _getScript() {
-        const key = JSON.stringify({ custom: this.getCustomTexts(), blocked: this.blockedCommands, allowed: this.allowedCommands, fileEdits: this.autoAcceptFileEdits, retry: this.autoRetryEnabled });
+        const options = {
+            customTexts: this.getCustomTexts(), blocked: this.blockedCommands, allowed: this.allowedCommands, review: this.reviewCommands,
+            fileEdits: this.autoAcceptFileEdits, retry: this.autoRetryEnabled, dryRun: this.dryRun, fileRules: this.fileEditRules,
+            budget: this.rateLimits, breaker: this.retryBreaker, locale: this.localeLabels, selectors: this.selectors,
+            riskThreshold: this.riskThreshold, pathScope: this.pathScope, secretGuard: this.secretGuard, egress: this.egress
+        };
+        const key = JSON.stringify(options);
         if (this._cachedScriptKey === key && this._cachedScript) return this._cachedScript;
-        this._cachedScript = buildDOMObserverScript(this.getCustomTexts(), this.blockedCommands, this.allowedCommands, this.autoAcceptFileEdits, this.autoRetryEnabled);
+        this._cachedScript = buildDOMObserverScript(options);
+        this._cachedNewDocScript = buildNewDocumentScript(this._cachedScript).source;
         this._cachedScriptKey = key;
-        if (this._worker) this._worker.postMessage({ type: 'cache-script', id: 0, script: this._cachedScript });
+        if (this._worker) this._worker.postMessage({ type: 'cache-script', id: 0, script: this._cachedScript, newDocScript: this._cachedNewDocScript });
         return this._cachedScript;
     }
 
-    _invalidateScriptCache() { this._cachedScriptKey = null; }
+    // Setters come in bursts (one per setting on a config reload): re-register once after them
+    _invalidateScriptCache() {
+        this._cachedScriptKey = null;
+        if (this.sessions.size === 0 || this._newDocRefresh) return;
+        this._newDocRefresh = setTimeout(() => { this._newDocRefresh = null; this._registerNewDocumentScripts(); }, 0);
+    }
+
+    /**
+     * Point every session's new-document script at the current observer, so a reload after a
+     * config change comes up with the new settings. Paused hosts keep none registered.
+     */
+    _registerNewDocumentScripts() {
+        if (!this._worker || this.isPaused || this.sessions.size === 0) return;
+        this._getScript();
+        for (const info of this.sessions.values()) {
+            this._worker.postMessage({ type: 'new-document', id: 0, wsUrl: info.wsUrl, register: true });
+        }
+    }
 
     _ensureWorker() {
         if (this._worker) return this._worker;
         const workerPath = path.join(__dirname, 'cdp-worker.js');
         this._worker = new Worker(workerPath);
 
-        this._worker.on('message', (msg) => {
-            if (msg.type === 'memory-report') { this.log(`[CDP] Worker memory: heap=${msg.heapUsed}MB rss=${msg.rss}MB`); return; }
-            if (msg.id === 0 && msg.result && msg.result.status === 'diag') {
-                this.log(`[Swarm] ${msg.result.message}`);
-                return;
-            }
-            if (msg.id && this._pendingIpc.has(msg.id)) {
-                const handler = this._pendingIpc.get(msg.id);
-                this._pendingIpc.delete(msg.id);
-                clearTimeout(handler.timer);
-                if (msg.error) handler.reject(new Error(msg.error));
-                else handler.resolve(msg.result || msg);
-            }
-        });
+        this._worker.on('message', (msg) => this._onWorkerMessage(msg));
 
         this._worker.on('exit', (code) => {
             this.log(`[CDP] Worker exited (code ${code})`); this._worker = null;
+            if (this._targetWatch) this._onTargetWatchLost('worker exited');
             for (const [id, handler] of this._pendingIpc) { clearTimeout(handler.timer); handler.reject(new Error('worker exited')); }
             this._pendingIpc.clear();
         });
 
         this._worker.on('error', (e) => { this.log(`[CDP] Worker error: ${e.message}`); });
 
-        if (this._cachedScript) this._worker.postMessage({ type: 'cache-script', id: 0, script: this._cachedScript });
+        if (this._cachedScript) this._worker.postMessage({ type: 'cache-script', id: 0, script: this._cachedScript, newDocScript: this._cachedNewDocScript });
         if (this._pauseBuffer) this._worker.postMessage({ type: 'init-pause-buffer', buffer: this._pauseBuffer });
         this._worker.postMessage({ type: 'sync-pause', isPaused: this._isPaused, swarmPaused: this._swarmPaused });
         // ⚡ LEVEL 2 DRM: Re-send core payload on worker respawn
         if (this._corePayload) this._worker.postMessage({ type: 'compile-core', id: 0, payload: this._corePayload, signature: this._coreSignature || null });
+        // A respawned worker has new sockets: the pages' report bindings go with them
+        for (const [targetId, info] of this.sessions) {
+            this._worker.postMessage({ type: 'add-binding', id: 0, wsUrl: info.wsUrl, targetId, name: this._reportBinding });
+        }
 
         this.log('[CDP] Worker thread spawned');
         return this._worker;
     }
 
+    /** Replies to pending calls, page reports and target events from the worker thread */
+    _onWorkerMessage(msg) {
+        if (msg.type === 'memory-report') { this.log(`[CDP] Worker memory: heap=${msg.heapUsed}MB rss=${msg.rss}MB`); return; }
+        if (msg.id === 0 && msg.result && msg.result.status === 'diag') {
+            this.log(`[Swarm] ${msg.result.message}`);
+            return;
+        }
+        if (msg.type === 'target-event') { this._onTargetEvent(msg.method, msg.params); return; }
+        if (msg.type === 'target-watch-closed') { this._onTargetWatchLost(msg.reason); return; }
+        if (msg.type === 'binding-called') { this._onReport(msg.targetId, msg.payload); return; }
+        if (msg.id && this._pendingIpc.has(msg.id)) {
+            const handler = this._pendingIpc.get(msg.id);
+            this._pendingIpc.delete(msg.id);
+            clearTimeout(handler.timer);
+            if (msg.error) handler.reject(new Error(msg.error));
+            else handler.resolve(msg.result || msg);
+        }
+    }
+
     _workerEval(wsUrl, expression, timeoutMs = 10000) {
         return new Promise((resolve, reject) => {
             if (this._pendingIpc.size > 20) { reject(new Error('ipc backpressure: too many pending calls')); return; }
@@ -218,6 +369,17 @@ class ConnectionManager {
         });
     }
 
+    _workerAddBinding(wsUrl, targetId) {
+        return new Promise((resolve, reject) => {
+            if (this._pendingIpc.size > 20) { reject(new Error('ipc backpressure')); return; }
+            const worker = this._ensureWorker();
+            const id = ++this._ipcId;
+            const timer = setTimeout(() => { this._pendingIpc.delete(id); reject(new Error('ipc timeout')); }, 5000);
+            this._pendingIpc.set(id, { resolve, reject, timer });
+            worker.postMessage({ type: 'add-binding', id, wsUrl, targetId, name: this._reportBinding });
+        });
+    }
+
     _killWorker() {
         const workerRef = this._worker; this._worker = null;
         if (workerRef) {
@@ -228,9 +390,10 @@ class ConnectionManager {
 
     _resetIdleTimer() {
         if (this._idleKillTimer) { clearTimeout(this._idleKillTimer); this._idleKillTimer = null; }
-        if (this.sessions.size === 0 && this._pendingIpc.size === 0 && this._worker) {
+        // The target watch keeps the worker: it is what notices the first webview opening
+        if (this.sessions.size === 0 && this._pendingIpc.size === 0 && this._worker && !this._targetWatch) {
             this._idleKillTimer = setTimeout(() => {
-                if (this._worker && this.sessions.size === 0 && this._pendingIpc.size === 0) {
+                if (this._worker && this.sessions.size === 0 && this._pendingIpc.size === 0 && !this._targetWatch) {
                     this.log('[CDP] No sessions for 60s, killing idle worker');
                     this._killWorker();
                 }
@@ -239,18 +402,394 @@ class ConnectionManager {
         }
     }
 
-    setCommandFilters(blocked, allowed) {
-        this.blockedCommands = blocked || []; this.allowedCommands = allowed || [];
+    /** @param {{ blocked?: string[], allowed?: string[], review?: string[] }} filters */
+    setCommandFilters({ blocked, allowed, review }) {
+        this.blockedCommands = blocked || []; this.allowedCommands = allowed || []; this.reviewCommands = review || [];
         this._invalidateScriptCache();
     }
 
-    async pushFilterUpdate(blocked, allowed) {
+    /**
+     * @param {string|null} workspaceName - vscode.workspace.name of the window owning this host
+     * @param {object|null} effective - mergePolicy() output, or null when the workspace has no policy file
+     */
+    setWorkspacePolicy(workspaceName, effective) {
+        this.workspaceName = workspaceName || null;
+        this.workspacePolicy = effective || null;
+    }
+
+    _isWorkspaceSession(info) {
+        const titleLower = (info.title || '').toLowerCase();
+        if (titleLower === 'manager' || titleLower === 'launchpad') return false;
+        return titleMatchesWorkspace(info.title, this.workspaceName);
+    }
+
+    // Own-workspace sessions get the merged policy (or are released back to globals when
+    // the policy file is gone). Sessions owned by ANOTHER window's policy are left alone.
+    _filterExprFor(info, { blocked, allowed, review }) {
+        blocked = blocked || []; allowed = allowed || []; review = review || [];
+        if (this._isWorkspaceSession(info)) {
+            const p = this.workspacePolicy;
+            if (p) {
+                const texts = buildButtonTexts(p.customButtonTexts, p.autoAcceptFileEdits, p.autoRetryEnabled);
+                const hasPolicyFilters = p.blockedCommands.length > 0 || p.allowedCommands.length > 0 || p.reviewCommands.length > 0;
+                return `window.__AA_POLICY_WS = ${JSON.stringify(this.workspaceName)}; window.__AA_BLOCKED = ${JSON.stringify(p.blockedCommands)}; window.__AA_ALLOWED = ${JSON.stringify(p.allowedCommands)}; window.__AA_REVIEW = ${JSON.stringify(p.reviewCommands)}; window.__AA_HAS_FILTERS = ${hasPolicyFilters}; window.__AA_BUTTON_TEXTS = ${JSON.stringify(texts)}; 'policy-applied';`;
+            }
+            const hasFilters = (blocked.length > 0 || allowed.length > 0 || review.length > 0);
+            return `window.__AA_POLICY_WS = null; window.__AA_BUTTON_TEXTS = null; window.__AA_BLOCKED = ${JSON.stringify(blocked)}; window.__AA_ALLOWED = ${JSON.stringify(allowed)}; window.__AA_REVIEW = ${JSON.stringify(review)}; window.__AA_HAS_FILTERS = ${hasFilters}; 'filters-updated';`;
+        }
+        const hasFilters = (blocked.length > 0 || allowed.length > 0 || review.length > 0);
+        return `(() => { if (window.__AA_POLICY_WS) return 'policy-owned'; window.__AA_BLOCKED = ${JSON.stringify(blocked)}; window.__AA_ALLOWED = ${JSON.stringify(allowed)}; window.__AA_REVIEW = ${JSON.stringify(review)}; window.__AA_HAS_FILTERS = ${hasFilters}; return 'filters-updated'; })()`;
+    }
+
+    /** @param {{ blocked?: string[], allowed?: string[], review?: string[] }} filters */
+    async pushFilterUpdate(filters) {
         if (this.sessions.size === 0) return;
-        const hasFilters = (blocked.length > 0 || allowed.length > 0);
-        const expr = `window.__AA_BLOCKED = ${JSON.stringify(blocked)}; window.__AA_ALLOWED = ${JSON.stringify(allowed)}; window.__AA_HAS_FILTERS = ${hasFilters}; 'filters-updated';`;
         for (const [targetId, info] of this.sessions) {
-            try { await this._workerEval(info.wsUrl, expr); this.log(`[CDP] Pushed filter update to ${targetId.substring(0, 6)}`); } catch (e) { }
+            try {
+                const r = await this._workerEval(info.wsUrl, this._filterExprFor(info, filters));
+                const status = r?.result?.result?.value || 'filters-updated';
+                this.log(`[CDP] Pushed filter update to ${targetId.substring(0, 6)} → ${status}`);
+            } catch (e) { }
+        }
+        this._registerNewDocumentScripts();
+    }
+
+    /**
+     * Hot-swap file-edit rules in live observers. Edits held under the old rules are
+     * released so they are re-evaluated on the next scan.
+     * @param {{ blockedPaths: string[], allowedPaths: string[], maxLines: number }} rules
+     */
+    async setFileEditRules(rules) {
+        if (JSON.stringify(rules) === JSON.stringify(this.fileEditRules)) return;
+        this.fileEditRules = rules;
+        this._invalidateScriptCache();
+        const expr = `(() => { window.__AA_FILE_RULES = ${JSON.stringify(rules)}; const n = typeof window.__AA_RELEASE_FILE_HOLDS === 'function' ? window.__AA_RELEASE_FILE_HOLDS() : 0; return 'file-rules-updated (' + n + ' released)'; })()`;
+        for (const [targetId, info] of this.sessions) {
+            try {
+                const r = await this._workerEval(info.wsUrl, expr, 2000);
+                this.log(`[CDP] Pushed file-edit rules to ${targetId.substring(0, 6)} → ${r?.result?.result?.value || 'unknown'}`);
+            } catch (e) { }
+        }
+    }
+
+    /**
+     * @param {{ perMinute: { run?: number, accept?: number, allow?: number, recovery?: number }, hourlyCap: number }} limits
+     */
+    async setRateLimits(limits) {
+        if (JSON.stringify(limits) === JSON.stringify(this.rateLimits)) return;
+        this.rateLimits = limits;
+        this._invalidateScriptCache();
+        const expr = `window.__AA_RATE_LIMITS = ${JSON.stringify(limits)}; 'rate-limits-updated'`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+    }
+
+    /**
+     * @param {{ maxAttempts: number, backoffMs: number[], cooldownMs: number }} cfg
+     */
+    async setRetryBreaker(cfg) {
+        if (JSON.stringify(cfg) === JSON.stringify(this.retryBreaker)) return;
+        this.retryBreaker = cfg;
+        this._invalidateScriptCache();
+        const expr = `window.__AA_RETRY_BREAKER = ${JSON.stringify(cfg)}; 'retry-breaker-updated'`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+    }
+
+    /**
+     * @param {number} threshold - 0–100; 0 disables risk holds
+     */
+    async setRiskThreshold(threshold) {
+        if (threshold === this.riskThreshold) return;
+        this.riskThreshold = threshold;
+        this._invalidateScriptCache();
+        const expr = `window.__AA_RISK_THRESHOLD = ${JSON.stringify(threshold)}; 'risk-threshold-updated'`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+    }
+
+    /**
+     * @param {{ enabled: boolean, safeRoots: string[], home: string }} cfg
+     */
+    async setPathScope(cfg) {
+        if (JSON.stringify(cfg) === JSON.stringify(this.pathScope)) return;
+        this.pathScope = cfg;
+        this._invalidateScriptCache();
+        const expr = `(() => { window.__AA_PATH_SCOPE = ${JSON.stringify(cfg)}; const n = typeof window.__AA_RELEASE_PATH_HOLDS === 'function' ? window.__AA_RELEASE_PATH_HOLDS() : 0; return 'path-scope-updated (' + n + ' released)'; })()`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+    }
+
+    /**
+     * @param {boolean} on - false also releases buttons already held for a secret
+     */
+    async setSecretGuard(on) {
+        if (on === this.secretGuard) return;
+        this.secretGuard = on;
+        this._invalidateScriptCache();
+        const release = on ? '0' : `(typeof window.__AA_RELEASE_SECRET_HOLDS === 'function' ? window.__AA_RELEASE_SECRET_HOLDS() : 0)`;
+        const expr = `(() => { window.__AA_SECRET_GUARD = ${JSON.stringify(on)}; const n = ${release}; return 'secret-guard-updated (' + n + ' released)'; })()`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+    }
+
+    /**
+     * @param {{ enabled: boolean, allowedDomains: string[] }} cfg
+     */
+    async setEgressPolicy(cfg) {
+        if (JSON.stringify(cfg) === JSON.stringify(this.egress)) return;
+        this.egress = cfg;
+        this._invalidateScriptCache();
+        const expr = `window.__AA_EGRESS = ${JSON.stringify(cfg)}; 'egress-updated'`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+    }
+
+    /**
+     * This window's workspace folders (fsPaths), filed under its workspace name in every page.
+     * @param {string[]} roots
+     */
+    async setWorkspaceRoots(roots) {
+        if (JSON.stringify(roots) === JSON.stringify(this.workspaceRoots)) return;
+        this.workspaceRoots = roots;
+        for (const [, info] of this.sessions) await this._applyWorkspaceRoots(info);
+    }
+
+    _rootsExprFor(info) {
+        const name = JSON.stringify(this.workspaceName);
+        const own = this._isWorkspaceSession(info);
+        return `(() => { const m = window.__AA_WORKSPACE_ROOTS = window.__AA_WORKSPACE_ROOTS || {}; ` +
+            (this.workspaceRoots.length ? `m[${name}] = ${JSON.stringify(this.workspaceRoots)}; ` : `delete m[${name}]; `) +
+            (own ? `window.__AA_ROOTS_OWNER = ${name}; ` : '') +
+            `const n = typeof window.__AA_RELEASE_PATH_HOLDS === 'function' ? window.__AA_RELEASE_PATH_HOLDS() : 0; return 'roots-updated (' + n + ' released)'; })()`;
+    }
+
+    async _applyWorkspaceRoots(info) {
+        if (!this.workspaceName) return;
+        try { await this._workerEval(info.wsUrl, this._rootsExprFor(info), 2000); } catch (e) { }
+    }
+
+    /**
+     * Hot-swap the selector registry (built-ins merged with the user's selectors.json).
+     * @param {Object<string, string[]>} registry
+     */
+    async setSelectors(registry) {
+        if (JSON.stringify(registry) === JSON.stringify(this.selectors)) return;
+        this.selectors = registry;
+        this._invalidateScriptCache();
+        const expr = `window.__AA_SELECTORS = ${JSON.stringify(registry)}; 'selectors-updated'`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+    }
+
+    /**
+     * Trust one conversation for a while. Replaces an existing grant for the same title.
+     * @param {object} grant - createGrant() output
+     */
+    async grantTrust(grant) {
+        const replaced = this.trustGrants.filter(g => this._grants.sameTitle(g.title, grant.title));
+        this.trustGrants = this.trustGrants.filter(g => !replaced.includes(g)).concat([grant]);
+        this.log(`[Trust] ${replaced.length ? 'Replaced grant' : 'Granted'} ${describeGrant(grant)}`);
+        await this._pushTrustGrants();
+    }
+
+    async revokeTrust(id) {
+        const grant = this.trustGrants.find(g => g.id === id);
+        if (!grant) return false;
+        this.trustGrants = this.trustGrants.filter(g => g !== grant);
+        this.log(`[Trust] Revoked grant for "${grant.title}" after ${grant.clicksUsed} elevated click${grant.clicksUsed === 1 ? '' : 's'} — back to normal rules`);
+        await this._pushTrustGrants();
+        return true;
+    }
+
+    // Pages may have spent clicks since the last heartbeat: keep the lower count
+    _grantsExprFor() {
+        return `(() => { const m = window.__AA_GRANTS = window.__AA_GRANTS || {}; const prev = m[${JSON.stringify(this._hostId)}] || []; ` +
+            `m[${JSON.stringify(this._hostId)}] = ${JSON.stringify(this.trustGrants)}.map(g => { const p = prev.find(x => x.id === g.id); return p && p.clicksUsed > g.clicksUsed ? Object.assign(g, { clicksLeft: p.clicksLeft, clicksUsed: p.clicksUsed }) : g; }); ` +
+            `if (!m[${JSON.stringify(this._hostId)}].length) delete m[${JSON.stringify(this._hostId)}]; return 'grants-updated'; })()`;
+    }
+
+    async _applyTrustGrants(info) {
+        if (!this.trustGrants.length || !info) return;
+        try { await this._workerEval(info.wsUrl, this._grantsExprFor(), 2000); } catch (e) { }
+    }
+
+    async _pushTrustGrants() {
+        this._scheduleGrantExpiry();
+        const expr = this._grantsExprFor();
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+        this._emit(CM_EVENTS.TRUST_CHANGED, { grants: this.trustGrants });
+    }
+
+    // Pages enforce expiresAt themselves; this timer is for the log line and the dashboard
+    _scheduleGrantExpiry() {
+        clearTimeout(this._grantTimer); this._grantTimer = null;
+        const next = Math.min(...this.trustGrants.filter(g => g.expiresAt !== null).map(g => g.expiresAt));
+        if (!isFinite(next)) return;
+        this._grantTimer = setTimeout(() => { this._grantTimer = null; this._expireGrants(Date.now()); }, Math.min(Math.max(0, next - Date.now()) + 50, 0x7fffffff));
+    }
+
+    /** Clicks spent in pages (heartbeat), then drop whatever ran out */
+    _syncTrustGrants(pageGrants, now) {
+        let used = false;
+        for (const g of this.trustGrants) {
+            for (const p of pageGrants) {
+                if (p.id !== g.id || !(p.clicksUsed > g.clicksUsed)) continue;
+                g.clicksUsed = p.clicksUsed; g.clicksLeft = p.clicksLeft; used = true;
+            }
+        }
+        if (!this._expireGrants(now) && used) this._emit(CM_EVENTS.TRUST_CHANGED, { grants: this.trustGrants });
+    }
+
+    _expireGrants(now) {
+        const gone = this.trustGrants.filter(g => this._grants.expired(g, now));
+        if (!gone.length) return false;
+        this.trustGrants = this.trustGrants.filter(g => !gone.includes(g));
+        for (const g of gone) {
+            const why = g.clicksLeft !== null && g.clicksLeft <= 0 ? 'click limit reached' : 'time is up';
+            this.log(`[Trust] Grant for "${g.title}" expired (${why}) after ${g.clicksUsed} elevated click${g.clicksUsed === 1 ? '' : 's'} — back to normal rules`);
+        }
+        this._pushTrustGrants().catch(() => {});
+        return true;
+    }
+
+    /**
+     * Conversation shown by each session, and whether its window has focus.
+     * @returns {Promise<Array<{ targetId: string, title: string, focused: boolean }>>}
+     */
+    async probeConversations() {
+        const expr = `(() => { const g = (${createTrustGrants.toString()})(); return { title: g.conversationTitle(document), focused: document.hasFocus() }; })()`;
+        const out = [];
+        for (const [targetId, info] of this.sessions) {
+            try {
+                const r = await this._workerEval(info.wsUrl, expr, 3000);
+                const v = r?.result?.result?.value;
+                if (v && v.title) out.push({ targetId, title: v.title, focused: !!v.focused });
+            } catch (e) { }
+        }
+        return out;
+    }
+
+    /**
+     * Runs the observer's non-clicking detection pass (__AA_DIAGNOSE) in every session.
+     * @returns {Promise<Array<{ targetId: string, title: string, report?: object, error?: string }>>}
+     */
+    async diagnoseDetection() {
+        const expr = `(() => typeof window.__AA_DIAGNOSE === 'function' ? window.__AA_DIAGNOSE() : null)()`;
+        const results = [];
+        for (const [targetId, info] of this.sessions) {
+            try {
+                const r = await this._workerEval(info.wsUrl, expr, 5000);
+                const report = r?.result?.result?.value;
+                results.push(report ? { targetId, title: info.title, report } : { targetId, title: info.title, error: 'observer not installed' });
+            } catch (e) {
+                results.push({ targetId, title: info.title, error: e.message });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Serializes one session's document for the DOM fixture recorder. The observer first tags
+     * the element it would click (__AA_FIXTURE_MARK), the DOM is read with DOM.getOuterHTML,
+     * and the tag is removed again whatever happens.
+     * @returns {Promise<{ html: string, texts: string[], expect: { text: string, via: string, path: string }|null }>}
+     */
+    async captureDomSnapshot(targetId) {
+        const info = this.sessions.get(targetId);
+        if (!info) throw new Error('session is gone');
+        const markExpr = (on) => `(() => typeof window.__AA_FIXTURE_MARK === 'function' ? window.__AA_FIXTURE_MARK(${on}) : null)()`;
+        const r = await this._workerEval(info.wsUrl, markExpr(true), 5000);
+        const mark = r?.result?.result?.value;
+        if (!mark) throw new Error('observer not installed in this window');
+        try {
+            if (mark.shadow) throw new Error('the button the observer would click is inside a shadow root, which DOM.getOuterHTML does not serialize');
+            const doc = await this._workerRawCdp(info.wsUrl, 'DOM.getDocument', { depth: 1 }, 5000);
+            if (doc?.error) throw new Error(`DOM.getDocument: ${doc.error.message || JSON.stringify(doc.error)}`);
+            const root = doc?.result?.root;
+            if (!root) throw new Error('DOM.getDocument returned no document');
+            const htmlNode = (root.children || []).find(c => c.nodeName === 'HTML') || root;
+            const outer = await this._workerRawCdp(info.wsUrl, 'DOM.getOuterHTML', { nodeId: htmlNode.nodeId }, 10000);
+            if (outer?.error) throw new Error(`DOM.getOuterHTML: ${outer.error.message || JSON.stringify(outer.error)}`);
+            const html = outer?.result?.outerHTML;
+            if (typeof html !== 'string') throw new Error('DOM.getOuterHTML returned no markup');
+            return { html, texts: mark.texts, expect: mark.expect };
+        } finally {
+            this._workerEval(info.wsUrl, markExpr(false), 2000).catch(() => {});
+        }
+    }
+
+    // Trip once, then stamp every page so all windows' heartbeats see it and pause too
+    _tripBudget(trip, targetId, title) {
+        if (this.budgetTrip) return;
+        this.budgetTrip = { ...trip, targetId, title: title || null, time: trip.time || Date.now() };
+        this._budgetTripAt = Date.now(); // a pushed report can trip it while a heartbeat is out
+        this.log(`[RateLimit] BLOCKED — ${describeTrip(trip)}${title ? ` (last in "${title}")` : ''}. Auto-accept paused; agent may be looping.`);
+        const expr = `(() => typeof window.__AA_BUDGET_TRIP === 'function' ? window.__AA_BUDGET_TRIP(${JSON.stringify(trip)}) : 'no-observer')()`;
+        for (const [, info] of this.sessions) this._workerEval(info.wsUrl, expr, 2000).catch(() => {});
+        this._emit(CM_EVENTS.BUDGET_EXCEEDED, this.budgetTrip);
+    }
+
+    /** Fresh budget everywhere. The caller resumes (unpause re-injects with __AA_PAUSED=false). */
+    async resetBudget() {
+        this._budget.reset();
+        this.budgetTrip = null;
+        const expr = `(() => { window.__AA_RATE_STATE = {}; return typeof window.__AA_BUDGET_RESET === 'function' ? window.__AA_BUDGET_RESET() : (window.__AA_BUDGET_TRIPPED = null, 'flag-cleared'); })()`;
+        for (const [, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { }
+        }
+        this.log('[RateLimit] Click budget reset');
+    }
+
+    // Re-apply this window's policy after a (re-)inject reset the page globals
+    async _applyWorkspacePolicy(info) {
+        if (!this.workspaceName || !this._isWorkspaceSession(info)) return;
+        try { await this._workerEval(info.wsUrl, this._filterExprFor(info, { blocked: this.blockedCommands, allowed: this.allowedCommands, review: this.reviewCommands }), 2000); } catch (e) { }
+    }
+
+    /**
+     * Page expression: does this host drain the page's review queue? A window answers for the
+     * pages titled after its workspace. A page no window claims (Manager, Launchpad, or a title
+     * matching no open workspace) has exactly one owner — its primary reporter, the lowest
+     * live host — and with no live reporter the first heartbeat to drain it (drains are atomic).
+     */
+    _reviewDrainExpr(info) {
+        if (this.workspaceName && this._isWorkspaceSession(info)) return 'true';
+        return `(!window.__AA_ROOTS_OWNER && (typeof window.__AA_PRIMARY_REPORTER !== 'function' || [null, ${JSON.stringify(this._reportBinding)}].indexOf(window.__AA_PRIMARY_REPORTER()) !== -1))`;
+    }
+
+    /**
+     * Approve (click) or deny (mark blocked) a button held by a review-list match.
+     * @returns {Promise<string>} 'clicked:<text>' | 'denied' | 'expired' | 'gone' | 'paused' | 'no-session'
+     */
+    async resolveReview(targetId, reviewId, approve) {
+        const info = this.sessions.get(targetId);
+        if (!info) return 'no-session';
+        const expr = `(() => typeof window.__AA_REVIEW_RESOLVE === 'function' ? window.__AA_REVIEW_RESOLVE(${JSON.stringify(reviewId)}, ${!!approve}) : 'expired')()`;
+        const r = await this._workerEval(info.wsUrl, expr, 3000);
+        return r?.result?.result?.value || 'expired';
+    }
+
+    // Hot-toggle shadow mode in live observers; new injections pick it up from the baked script
+    async setDryRun(enabled) {
+        enabled = !!enabled;
+        if (this.dryRun === enabled) return;
+        this.dryRun = enabled;
+        this._invalidateScriptCache();
+        const expr = `(() => typeof window.__AA_SET_DRY_RUN === 'function' ? window.__AA_SET_DRY_RUN(${enabled}) : (window.__AA_DRY_RUN = ${enabled}, 'flag-set'))()`;
+        for (const [targetId, info] of this.sessions) {
+            try { await this._workerEval(info.wsUrl, expr, 2000); } catch (e) { this.log(`[CDP] Dry-run toggle failed for ${targetId.substring(0, 6)}: ${e.message}`); }
         }
+        this.log(`[DryRun] Shadow mode ${enabled ? 'ON — would-be clicks are logged, nothing is clicked' : 'OFF — clicking resumed'} (${this.sessions.size} sessions)`);
     }
 
     async reinjectAll() {
@@ -260,10 +799,46 @@ class ConnectionManager {
             try {
                 const result = await this._workerBurstInject(info.wsUrl, targetId, this.isPaused) || 'unknown';
                 this.log(`[CDP] Re-injected [${targetId.substring(0, 6)}] → ${result}`);
+                await this._applyWorkspacePolicy(info);
+                await this._applyWorkspaceRoots(info);
+                await this._applyTrustGrants(info);
             } catch (e) { this.log(`[CDP] Reinject failed for ${targetId.substring(0, 6)}: ${e.message}`); }
         }
     }
 
+    // ─── Connection State ─────────────────────────────────────────────────
+
+    /** emit() that keeps a throwing listener from breaking the heartbeat or an injection */
+    _emit(event, payload) {
+        try { this.emit(event, payload); }
+        catch (e) { this.log(`[CDP] '${event}' listener failed: ${e.message}`); }
+    }
+
+    /** @returns {{ state: string, reason: string }} the state the current flags add up to */
+    _deriveState() {
+        if (!this.isRunning) return { state: 'disconnected', reason: 'stopped' };
+        if (this.isPaused) return { state: 'paused', reason: '' };
+        if (!this._connected) {
+            if (this.isConnecting) return { state: 'discovering', reason: `probing ports around :${this.getPort()}` };
+            return { state: 'disconnected', reason: this.activeCdpPort ? `no targets on :${this.activeCdpPort}` : `no CDP endpoint (port ${this.getPort()})` };
+        }
+        const failing = this._sessionFailCounts.size;
+        if (failing > 0) return { state: 'degraded', reason: `${failing} session${failing === 1 ? '' : 's'} not responding` };
+        // connect() opens the watch after its initial scan
+        if (this.targetDiscovery && !this._targetWatch && !this.isConnecting) return { state: 'degraded', reason: 'target discovery down — polling /json' };
+        return { state: 'connected', reason: '' };
+    }
+
+    /** Re-derives the state; emits 'state-changed' when the state or its reason moved */
+    _updateState() {
+        const { state, reason } = this._deriveState();
+        if (state === this.state && reason === this.stateReason) return;
+        const previous = this.state;
+        this.state = state; this.stateReason = reason;
+        if (state !== previous) this.log(`[CDP] State: ${previous} → ${state}${reason ? ` (${reason})` : ''}`);
+        this._emit(CM_EVENTS.STATE_CHANGED, { state, previous, reason });
+    }
+
     start() {
         if (this.isRunning) return;
         this.isRunning = true; this.isPaused = false;
@@ -274,18 +849,20 @@ class ConnectionManager {
     pause() {
         this.isPaused = true;
         for (const [targetId, info] of this.sessions) {
+            // A reload while paused must not bring up an unpaused observer
+            if (this._worker) this._worker.postMessage({ type: 'new-document', id: 0, wsUrl: info.wsUrl, register: false });
             this._workerEval(info.wsUrl, 'window.__AA_PAUSED = true; "paused"')
                 .then(() => this.log(`[CDP] Paused session ${targetId.substring(0, 6)}`))
                 .catch(e => this.log(`[CDP] Pause failed for ${targetId.substring(0, 6)}: ${e.message}`));
         }
         this.log('[CDP] All sessions paused');
-        if (this.onStatusChange) this.onStatusChange();
+        this._updateState();
     }
 
     unpause() {
         this.isPaused = false; this.reinjectAll();
         this.log('[CDP] All sessions unpaused + re-injected');
-        if (this.onStatusChange) this.onStatusChange();
+        this._updateState();
     }
 
     stop() {
@@ -293,15 +870,19 @@ class ConnectionManager {
         clearTimeout(this.reconnectTimer); this.reconnectTimer = null;
         clearTimeout(this.heartbeatTimer); this.heartbeatTimer = null;
         clearTimeout(this._idleKillTimer); this._idleKillTimer = null;
+        clearTimeout(this._newDocRefresh); this._newDocRefresh = null;
         for (const [targetId, info] of this.sessions) {
-            this._workerEval(info.wsUrl, `window.__AA_PAUSED = true; if (window.__AA_OBSERVER) { window.__AA_OBSERVER.disconnect(); window.__AA_OBSERVER = null; } 'killed';`).catch(() => {});
+            this._workerEval(info.wsUrl, `window.__AA_PAUSED = true; if (window.__AA_OBSERVER) { window.__AA_OBSERVER.disconnect(); window.__AA_OBSERVER = null; } if (window.__AA_REPORTERS) delete window.__AA_REPORTERS[${JSON.stringify(this._reportBinding)}]; 'killed';`).catch(() => {});
+            this._emit(CM_EVENTS.SESSION_REMOVED, { targetId, title: info.title, port: info.port, reason: 'stopped' });
         }
         this.sessions.clear(); this.sessionUrls.clear(); this.ignoredTargets.clear();
-        this._ignoredTargetTTLs.clear(); this._sessionCursors.clear(); this._sessionFailCounts.clear();
-        this._injectionFailCounts.clear(); this._connected = false;
+        this._ignoredTargetTTLs.clear(); this._sessionCursors.clear(); this._cursorEpochs.clear(); this._sessionFailCounts.clear();
+        this._injectionFailCounts.clear(); this._pendingTargets.clear(); this._connected = false;
+        this._targetWatch = null; this._targetWatchRetryAt = 0;
         this._killWorker();
         // ⚡ FIX: Do NOT delete lock file on stop — closing a paused window must not unleash Swarm on other windows
         this.log('[CDP] Connection manager stopped');
+        this._updateState();
     }
 
     // ⚡ DIRECT WINDOW INJECTION: Find a CDP session whose title contains the conversation name
@@ -348,17 +929,18 @@ class ConnectionManager {
     async connect() {
         if (!this.isRunning || this.isConnecting) return;
         this.isConnecting = true;
+        this._updateState();
         try {
             const port = await this._findActivePort();
             if (!port) { this._scheduleReconnect(); return; }
-            const targets = await this._getTargetList(port);
-            if (!targets || targets.length === 0) { this.log('[CDP] No targets found'); this._scheduleReconnect(); return; }
+            const { targets, reached } = await this._getEndpointTargets();
+            if (!reached.has(port) || targets.length === 0) { this.log('[CDP] No targets found'); this._scheduleReconnect(); return; }
 
             this._connected = true;
-            if (this.onStatusChange) this.onStatusChange();
+            this._updateState();
 
             const candidates = targets.filter(t => this._isCandidate(t));
-            this.log(`[CDP] Found ${targets.length} targets, ${candidates.length} candidates`);
+            this.log(`[CDP] Found ${targets.length} targets, ${candidates.length} candidates${reached.size > 1 ? ` on ${reached.size} endpoints` : ''}`);
 
             this._getScript();
             for (let i = 0; i < candidates.length; i += 5) {
@@ -366,11 +948,12 @@ class ConnectionManager {
             }
 
             this.log(`[CDP] ${this.sessions.size} sessions active after initial scan`);
+            await this._startTargetWatch(port);
             this._scheduleHeartbeat(); this._resetIdleTimer();
 
             for (const delay of [5000, 15000, 30000]) {
                 setTimeout(async () => {
-                    if (!this.isRunning || !this.activeCdpPort) return;
+                    if (!this.isRunning || !this.activeCdpPort || this._targetWatch) return;
                     try {
                         const targets = await this._getTargetList(this.activeCdpPort);
                         if (!targets) return;
@@ -385,7 +968,7 @@ class ConnectionManager {
         } catch (e) {
             this.log(`[CDP] Connection error: ${e.message}`);
             this._scheduleReconnect();
-        } finally { this.isConnecting = false; }
+        } finally { this.isConnecting = false; this._updateState(); }
     }
 
     _isCandidate(targetInfo) {
@@ -396,11 +979,16 @@ class ConnectionManager {
         return type === 'page' || type === 'iframe' || url.includes('vscode-webview') || url.includes('webview');
     }
 
-    async _handleNewTarget(targetInfo) {
+    /**
+     * @param {object} targetInfo - a /json entry (or one built from a Target event by _listEntry)
+     * @param {string} [source] - 'event' when the target watch reported it: a webview that was
+     *   only just created may have no document yet, so that gets one retry instead of the ignore list
+     */
+    async _handleNewTarget(targetInfo, source = 'poll') {
         const { id: targetId, webSocketDebuggerUrl, type, url, title } = targetInfo;
         if (!targetId || !webSocketDebuggerUrl) return;
         const shortId = targetId.substring(0, 6);
-        if (this.sessions.has(targetId) || this.ignoredTargets.has(targetId)) return;
+        if (this.sessions.has(targetId) || this.ignoredTargets.has(targetId) || this._pendingTargets.has(targetId)) return;
 
         if (url) {
             const titleLower = (title || '').toLowerCase();
@@ -420,32 +1008,50 @@ class ConnectionManager {
             }
         }
 
+        this._pendingTargets.add(targetId);
         try {
             this._getScript();
             const result = await this._workerBurstInject(webSocketDebuggerUrl, targetId, this.isPaused) || 'unknown';
 
+            const port = targetInfo.port || portOfWsUrl(webSocketDebuggerUrl);
             if (result !== 'observer-installed' && result !== 'already-active') {
+                if (result === 'no-window' && source === 'event') {
+                    setTimeout(() => { if (this.isRunning) this._handleNewTarget(targetInfo, 'event-retry'); }, 1500);
+                    return;
+                }
+                let attempts = 1;
                 if (result === 'no-window') {
                     this.ignoredTargets.add(targetId); this._ignoredTargetTTLs.set(targetId, Date.now() + 5 * 60 * 1000); 
                 } else {
-                    const count = (this._injectionFailCounts.get(targetId) || 0) + 1;
-                    this._injectionFailCounts.set(targetId, count);
-                    if (count >= 3) { this.ignoredTargets.add(targetId); this._ignoredTargetTTLs.set(targetId, Date.now() + 5 * 60 * 1000); }
+                    attempts = (this._injectionFailCounts.get(targetId) || 0) + 1;
+                    this._injectionFailCounts.set(targetId, attempts);
+                    if (attempts >= 3) { this.ignoredTargets.add(targetId); this._ignoredTargetTTLs.set(targetId, Date.now() + 5 * 60 * 1000); }
                 }
                 return;
             }
 
-            this.sessions.set(targetId, { url: url || '', wsUrl: webSocketDebuggerUrl, title: title || '' });
+            this.sessions.set(targetId, { url: url || '', wsUrl: webSocketDebuggerUrl, title: title || '', port, instance: this.endpoints.get(port)?.instance || null });
             this.sessionUrls.set(targetId, url || '');
-
+            await this._applyWorkspacePolicy(this.sessions.get(targetId));
+            await this._applyWorkspaceRoots(this.sessions.get(targetId));
+            await this._applyTrustGrants(this.sessions.get(targetId));
+
+            // Binding first, then cursor + reporter registration in one eval: every click after
+            // the cursor either reaches the binding or waits in __AA_CLICK_LOG for the heartbeat
+            let pushed = true;
+            try { await this._workerAddBinding(webSocketDebuggerUrl, targetId); } catch (e) { pushed = false; }
             let initialCount = 0;
             try {
-                const initCheck = await this._workerEval(webSocketDebuggerUrl, '(() => window.__AA_CLICK_COUNT || 0)()', 1500);
-                initialCount = initCheck.result?.result?.value || 0;
+                const initCheck = await this._workerEval(webSocketDebuggerUrl, `(() => { ${this._registerReporterExpr()} return { count: window.__AA_CLICK_COUNT || 0, epoch: window.__AA_CLICK_EPOCH || null }; })()`, 1500);
+                const init = initCheck.result?.result?.value || {};
+                initialCount = init.count || 0;
+                if (init.epoch) this._cursorEpochs.set(targetId, init.epoch);
             } catch (e) {}
             this._sessionCursors.set(targetId, initialCount);
 
-            this.log(`[CDP] ✓ Injected [${shortId}] → ${result} cursor=${initialCount} (${(url || '').substring(0, 50)})`);
+            this.log(`[CDP] ✓ Injected [${shortId}] → ${result} cursor=${initialCount}${pushed ? '' : ' (no report binding — heartbeat only)'}${source === 'poll' ? '' : ' via target event'}${port && port !== this.activeCdpPort ? ` on :${port}` : ''} (${(url || '').substring(0, 50)})`);
+            const added = this.sessions.get(targetId);
+            if (added) this._emit(CM_EVENTS.SESSION_ADDED, { targetId, title: added.title, url: added.url, port, instance: added.instance, via: source });
 
             if (this.isPaused && (result === 'observer-installed' || result === 'already-active')) {
                 try { await this._workerEval(webSocketDebuggerUrl, 'window.__AA_PAUSED=true;"init-paused"', 2000); } catch(e) {}
@@ -528,6 +1134,240 @@ class ConnectionManager {
                 }
             }
         } catch (e) { this.log(`[CDP] [${shortId}] Inject error: ${e.message}`); }
+        finally { this._pendingTargets.delete(targetId); }
+    }
+
+    /**
+     * Forget a session and everything keyed by it (the page is gone or unresponsive)
+     * @param {string} reason - 'closed' | 'gone' | 'unresponsive' | 'endpoint-lost' (the 'session-removed' payload)
+     */
+    _dropSession(targetId, reason) {
+        const info = this.sessions.get(targetId);
+        this.sessions.delete(targetId); this.sessionUrls.delete(targetId); this._sessionFailCounts.delete(targetId);
+        this._sessionCursors.delete(targetId); this._cursorEpochs.delete(targetId);
+        if (info && this._worker) this._worker.postMessage({ type: 'forget-page', wsUrl: info.wsUrl });
+        // ⚡ FIX: Prune dead Manager URLs from swarm scan targets
+        if (info && this._swarmSessions) this._swarmSessions.delete(info.wsUrl);
+        if (this._sidebarTargetId === targetId) {
+            this._sidebarTargetId = null; this._sidebarWsUrl = null; this._sidebarTitleIsManager = false;
+            if (this._swarmLogInterval) { clearInterval(this._swarmLogInterval); this._swarmLogInterval = null; }
+        }
+        if (info) this._emit(CM_EVENTS.SESSION_REMOVED, { targetId, title: info.title, port: info.port, reason });
+        this._updateState();
+    }
+
+    // ─── Click Reports (Runtime.addBinding) ──────────────────────────────
+
+    /** Page statement that (re)lists this host's binding in __AA_REPORTERS — only where it exists */
+    _registerReporterExpr() {
+        const name = JSON.stringify(this._reportBinding);
+        return `if (typeof window[${name}] === 'function') (window.__AA_REPORTERS = window.__AA_REPORTERS || {})[${name}] = Date.now();`;
+    }
+
+    /**
+     * Clicks the page counted since the session's cursor. A lower count is a reload only when
+     * the page's click epoch changed — otherwise a pushed report overtook a heartbeat read.
+     */
+    _advanceCursor(targetId, clickCount, epoch) {
+        const last = this._sessionCursors.get(targetId) || 0;
+        const known = this._cursorEpochs.get(targetId);
+        if (epoch) this._cursorEpochs.set(targetId, epoch);
+        if (clickCount < last && epoch && known === epoch) return 0;
+        this._sessionCursors.set(targetId, clickCount);
+        return clickCount < last ? clickCount : clickCount - last;
+    }
+
+    /**
+     * Advance the cursor and hand new clicks to telemetry — unless another window is the
+     * page's primary reporter: that window counts them, so the totals stay exact.
+     * @returns {number} clicks since the cursor
+     */
+    _countClicks(targetId, clickCount, epoch, reporter) {
+        const delta = this._advanceCursor(targetId, clickCount || 0, epoch);
+        if (this.onClickTelemetry && delta > 0 && (!reporter || reporter === this._reportBinding)) this.onClickTelemetry(delta);
+        return delta;
+    }
+
+    /** A report a page pushed through this host's binding: counted, logged and audited at once */
+    _onReport(targetId, payload) {
+        const info = this.sessions.get(targetId);
+        if (!info || !this.isRunning) return;
+        let report;
+        try { report = JSON.parse(payload); } catch (e) { return; }
+        // Before the cursor is set the count is history (the eval that sets it registers the reporter)
+        if (this._sessionCursors.has(targetId)) {
+            const delta = this._countClicks(targetId, report.clickCount, report.epoch, this._reportBinding);
+            if (delta > 0 && !this.isPaused) {
+                const hourly = this._budget.takeHourly(delta, this.rateLimits, Date.now());
+                if (hourly) this._tripBudget(hourly, targetId, info.title);
+            }
+        }
+        if (!report.data) return;
+        if (report.kind === 'click') this._handleClickLog(targetId, info, [report.data]);
+        else if (report.kind === 'diag') this._handleDiag(targetId, info, [report.data]);
+    }
+
+    /**
+     * Click log entries — pushed one at a time or drained from __AA_CLICK_LOG by the heartbeat.
+     * @returns {boolean} whether one of them ran out the per-category click budget
+     */
+    _handleClickLog(targetId, info, entries) {
+        let tripped = false;
+        for (const cl of entries) {
+            if (cl.dryRun || this.budgetTrip) continue;
+            const rate = this._budget.takeRate(this._budget.categoryOf(cl.text), this.rateLimits, cl.time || Date.now());
+            if (rate) { tripped = true; this._tripBudget({ ...rate, text: cl.text }, targetId, info.title); }
+        }
+        for (const cl of entries) {
+            if (cl.dryRun) {
+                this.log(`[DryRun] Would click in ${targetId.substring(0,6)}: text="${cl.text}" verdict=${cl.verdict} path=${cl.path}${cl.command ? ` cmd="${cl.command.substring(0, 120)}"` : ''}${cl.risk && cl.risk.score ? ` risk=${this._risk.describe(cl.risk)}` : ''}`);
+                continue;
+            }
+            this.log(`[AutoAccept] CLICK in ${targetId.substring(0,6)}: text="${cl.text}" tag=${cl.tag} path=${cl.path}`);
+            if (cl.grant) this.log(`[Trust] Elevated by the grant for "${cl.grant.title}" — ran: ${(cl.command || '').substring(0, 120)}`);
+            if (cl.risk && cl.risk.score) this.log(`[Risk] ${this._risk.describe(cl.risk)} — ran: ${cl.command.substring(0, 120)}`);
+            this._emit(CM_EVENTS.CLICK, { channel: 'cdp', targetId, title: info.title,
+                workspace: this._isWorkspaceSession(info) ? this.workspaceName : null,
+                text: cl.text, verdict: cl.verdict, command: cl.command, time: cl.time || Date.now() });
+        }
+        return tripped;
+    }
+
+    /** Blocks, holds and breaker transitions — pushed, or drained from __AA_DIAG */
+    _handleDiag(targetId, info, diags) {
+        for (const d of diags) {
+            let blocked = null; // description, for the 'blocked' event
+            if (d && d.kind === 'file-edit-held') {
+                const what = d.path ? ` ${d.path}${d.pattern ? ` (rule "${d.pattern}")` : ''}` : d.lines ? ` ${d.lines} changed lines` : '';
+                blocked = `${d.reason}${what}`;
+                this.log(`[FileEdit] BLOCKED auto-accept in ${targetId.substring(0,6)}: ${blocked} — left for manual review`);
+            } else if (d && d.kind === 'command-blocked') {
+                blocked = describeFilterVerdict(d);
+                this.log(`[Filter] BLOCKED auto-run in ${targetId.substring(0,6)}: ${blocked}${d.command ? ` — ${d.command.substring(0, 120)}` : ''}`);
+            } else if (d && d.kind === 'path-scope-held') {
+                blocked = describePathVerdict(d);
+                this.log(`[PathScope] BLOCKED auto-run in ${targetId.substring(0,6)}: ${blocked}${d.command ? ` — ${d.command.substring(0, 120)}` : ''} — left for manual review`);
+            } else if (d && d.kind === 'egress-held') {
+                blocked = describeEgressVerdict(d);
+                this.log(`[Egress] ${d.action === 'block' ? 'BLOCKED auto-run' : 'Held for review'} in ${targetId.substring(0,6)}: ${blocked}${d.command ? ` — ${d.command.substring(0, 120)}` : ''}`);
+            } else if (d && d.kind === 'secret-held') {
+                const action = d.text && d.text.indexOf('accept') === 0 ? 'accept' : 'click';
+                blocked = describeSecretFindings(d.findings);
+                this.log(`[Secrets] BLOCKED auto-${action} in ${targetId.substring(0,6)}: ${blocked} — left for manual review`);
+            } else if (d && d.kind === 'bad-selector') {
+                this.log(`[Selectors] ⚠ Invalid selector for "${d.text}" skipped: ${d.selector}`);
+            } else if (d && d.kind === 'retry-breaker') {
+                const tripped = d.type === 'open' || d.type === 'reopen';
+                this.log(`[Breaker] ${tripped ? 'TRIPPED' : d.type === 'closed' ? 'CLOSED' : 'HALF-OPEN'} in ${targetId.substring(0,6)}: ${describeBreakerEvent(d)}`);
+                this._emit(CM_EVENTS.BREAKER, { ...d, targetId, title: info.title });
+            }
+            if (blocked !== null) this._emit(CM_EVENTS.BLOCKED, { targetId, title: info.title, kind: d.kind, text: d.text || null, description: blocked, command: d.command || null });
+        }
+    }
+
+    // ─── Target Discovery (Target.setDiscoverTargets) ────────────────────
+
+    /** Browser-level endpoint from /json/version (null = unavailable) */
+    async _getBrowserWsUrl(port) {
+        const version = await this._getVersionInfo(port, 2000);
+        return (version && version.webSocketDebuggerUrl) || null;
+    }
+
+    /** Opens the target watch; on failure /json polling carries on and the heartbeat retries in a minute */
+    async _startTargetWatch(port) {
+        if (!this.targetDiscovery || this._targetWatch || Date.now() < this._targetWatchRetryAt) return;
+        this._targetWatchRetryAt = Date.now() + 60000;
+        const wsUrl = await this._getBrowserWsUrl(port);
+        if (!wsUrl) { this.log('[CDP] Target discovery unavailable (no browser endpoint) — polling /json'); return; }
+        try {
+            const result = await new Promise((resolve, reject) => {
+                const worker = this._ensureWorker();
+                const id = ++this._ipcId;
+                const timer = setTimeout(() => { this._pendingIpc.delete(id); reject(new Error('ipc timeout')); }, 8000);
+                this._pendingIpc.set(id, { resolve, reject, timer });
+                worker.postMessage({ type: 'watch-targets', id, wsUrl });
+            });
+            if (!this.isRunning || !this.targetDiscovery) { this._stopTargetWatch(); return; }
+            this._targetWatch = wsUrl;
+            this._targetWatchRetryAt = 0;
+            if (result !== 'already-watching') this.log('[CDP] Target discovery on — new webviews are injected as soon as they open (/json polling is now a fallback)');
+            this._updateState();
+        } catch (e) {
+            this.log(`[CDP] Target discovery failed: ${e.message} — polling /json`);
+        }
+    }
+
+    /** Turns event-driven discovery on or off; off closes the browser connection */
+    setTargetDiscovery(on) {
+        if (this.targetDiscovery === !!on) return;
+        this.targetDiscovery = !!on;
+        if (on) {
+            this._targetWatchRetryAt = 0;
+            if (this.isRunning && this.activeCdpPort) this._startTargetWatch(this.activeCdpPort).catch(() => {});
+        } else {
+            if (this._targetWatch) {
+                this._stopTargetWatch();
+                this.log('[CDP] Target discovery off — polling /json every heartbeat');
+            }
+            this._updateState();
+        }
+    }
+
+    _stopTargetWatch() {
+        this._targetWatch = null;
+        if (this._worker) this._worker.postMessage({ type: 'unwatch-targets' });
+    }
+
+    _onTargetWatchLost(reason) {
+        if (!this._targetWatch) return;
+        this._targetWatch = null;
+        this._targetWatchRetryAt = 0;
+        this.log(`[CDP] Target discovery lost (${reason}) — polling /json until it is back`);
+        this._updateState();
+    }
+
+    /** The /json shape _handleNewTarget works with, from a CDP TargetInfo */
+    _listEntry(targetInfo) {
+        const port = this.activeCdpPort || this.getPort();
+        return {
+            id: targetInfo.targetId, type: targetInfo.type, title: targetInfo.title || '', url: targetInfo.url || '',
+            webSocketDebuggerUrl: `ws://127.0.0.1:${port}/devtools/page/${targetInfo.targetId}`
+        };
+    }
+
+    _onTargetEvent(method, params) {
+        if (!this.isRunning) return;
+        if (method === 'Target.targetDestroyed') { this._handleTargetDestroyed(params.targetId); return; }
+        const targetInfo = params.targetInfo;
+        if (!targetInfo || !targetInfo.targetId) return;
+        const info = this.sessions.get(targetInfo.targetId);
+        if (info) {
+            // Titles fill in after load; the workspace policy is matched by title
+            if (method === 'Target.targetInfoChanged' && targetInfo.title && targetInfo.title !== info.title) {
+                const wasWorkspace = this._isWorkspaceSession(info);
+                info.title = targetInfo.title;
+                if (!wasWorkspace && this._isWorkspaceSession(info)) {
+                    this._applyWorkspacePolicy(info).catch(() => {});
+                    this._applyWorkspaceRoots(info).catch(() => {});
+                }
+            }
+            return;
+        }
+        // A webview's URL is often filled in by a targetInfoChanged right after targetCreated
+        const entry = this._listEntry(targetInfo);
+        if (this._isCandidate(entry)) this._handleNewTarget(entry, 'event');
+    }
+
+    /** Target.targetDestroyed: drop it now rather than on the next /json reconcile */
+    _handleTargetDestroyed(targetId) {
+        if (!targetId) return;
+        // The page is already gone — there is nothing left to harvest
+        if (this.sessions.has(targetId)) {
+            this._dropSession(targetId, 'closed');
+            this.log(`[CDP] Target ${targetId.substring(0, 6)} closed — session removed`);
+        }
+        this.ignoredTargets.delete(targetId); this._ignoredTargetTTLs.delete(targetId);
+        this._injectionFailCounts.delete(targetId); this._sessionFailCounts.delete(targetId);
     }
 
     _scheduleReconnect() {
@@ -547,92 +1387,115 @@ class ConnectionManager {
         if (this._heartbeatRunning) return;
         this._heartbeatRunning = true;
         try {
+            // Instances start and quit: the candidate ports are re-probed every RECONCILE_EVERY beats
+            this._heartbeatCount++;
+            const reconcile = this._heartbeatCount % RECONCILE_EVERY === 0;
+            if (reconcile || !this.activeCdpPort) await this._discoverEndpoints();
             const port = this.activeCdpPort;
-            if (!port) { this._heartbeatRunning = false; return; }
-            const targets = await this._getTargetList(port);
-            if (!targets) { this._heartbeatRunning = false; return; }
-
-            const candidates = targets.filter(t => this._isCandidate(t) && !this.sessions.has(t.id) && !this.ignoredTargets.has(t.id));
-            if (candidates.length > 0) {
-                this.log(`[CDP] Heartbeat found ${candidates.length} new targets: ${candidates.map(c => c.title || c.id.substring(0,6)).join(', ')}`);
-                for (let i = 0; i < candidates.length; i += 5) {
-                    await Promise.allSettled(candidates.slice(i, i + 5).map(t => this._handleNewTarget(t)));
-                }
+            if (!port) {
+                // Every instance is gone: back to connect(), which keeps probing until one answers
+                if (this._connected) this.log('[CDP] No CDP endpoint answering — reconnecting');
+                this._connected = false; this._scheduleReconnect();
+                this._heartbeatRunning = false; return;
             }
+            // With the target watch up, new and closed targets of the primary endpoint arrive as
+            // events: its /json is only a reconcile every RECONCILE_EVERY beats (missed events, a
+            // dropped watch). The other endpoints are polled every beat.
+            if (!this._targetWatch) this._startTargetWatch(port).catch(() => {});
+            const full = !this._targetWatch || reconcile;
+            const polled = full ? this._liveEndpoints() : this._liveEndpoints().filter(p => p !== port);
+            if (polled.length > 0) {
+                const { targets, reached } = await this._getEndpointTargets(polled);
+                if (full && !reached.has(port)) { this._heartbeatRunning = false; return; }
+
+                const candidates = targets.filter(t => this._isCandidate(t) && !this.sessions.has(t.id) && !this.ignoredTargets.has(t.id));
+                if (candidates.length > 0) {
+                    this.log(`[CDP] Heartbeat found ${candidates.length} new targets: ${candidates.map(c => c.title || c.id.substring(0,6)).join(', ')}`);
+                    for (let i = 0; i < candidates.length; i += 5) {
+                        await Promise.allSettled(candidates.slice(i, i + 5).map(t => this._handleNewTarget(t)));
+                    }
+                }
 
-            const activeIds = new Set(targets.map(t => t.id));
-            const toPrune = [];
-            for (const [targetId] of this.sessions) { if (!activeIds.has(targetId)) toPrune.push(targetId); }
-
-            if (toPrune.length > 0) {
-                const harvestExpr = '(() => { return window.__AA_CLICK_COUNT || 0; })()';
-                for (let i = 0; i < toPrune.length; i += 5) {
-                    await Promise.allSettled(toPrune.slice(i, i + 5).map(async (targetId) => {
-                        const info = this.sessions.get(targetId);
-                        if (info) {
-                            try {
-                                const r = await this._workerEval(info.wsUrl, harvestExpr, 1500);
-                                const currentCount = r.result?.result?.value || 0;
-                                const lastCount = this._sessionCursors.get(targetId) || 0;
-                                const delta = (currentCount < lastCount) ? currentCount : (currentCount - lastCount);
-                                if (this.onClickTelemetry && delta > 0) { this.onClickTelemetry(delta); }
-                            } catch (e) { }
-                        }
-                        this.sessions.delete(targetId); this.sessionUrls.delete(targetId); this._sessionFailCounts.delete(targetId); this._sessionCursors.delete(targetId);
-                        // ⚡ FIX: Prune dead Manager URLs from swarm scan targets
-                        if (info && this._swarmSessions) this._swarmSessions.delete(info.wsUrl);
-                        if (this._sidebarTargetId === targetId) {
-                            this._sidebarTargetId = null; this._sidebarWsUrl = null; this._sidebarTitleIsManager = false;
-                            if (this._swarmLogInterval) { clearInterval(this._swarmLogInterval); this._swarmLogInterval = null; }
-                        }
-                    }));
+                const activeIds = new Set(targets.map(t => t.id));
+                const toPrune = [];
+                for (const [targetId, info] of this.sessions) { if (reached.has(info.port) && !activeIds.has(targetId)) toPrune.push(targetId); }
+
+                if (toPrune.length > 0) {
+                    const harvestExpr = `(() => ({ count: window.__AA_CLICK_COUNT || 0, epoch: window.__AA_CLICK_EPOCH || null, reporter: typeof window.__AA_PRIMARY_REPORTER === 'function' ? window.__AA_PRIMARY_REPORTER() : null }))()`;
+                    for (let i = 0; i < toPrune.length; i += 5) {
+                        await Promise.allSettled(toPrune.slice(i, i + 5).map(async (targetId) => {
+                            const info = this.sessions.get(targetId);
+                            if (info) {
+                                try {
+                                    const r = await this._workerEval(info.wsUrl, harvestExpr, 1500);
+                                    const last = r.result?.result?.value || {};
+                                    this._countClicks(targetId, last.count, last.epoch, last.reporter);
+                                } catch (e) { }
+                            }
+                            this._dropSession(targetId, 'gone');
+                        }));
+                    }
                 }
-            }
 
-            const now = Date.now();
-            for (const tid of this.ignoredTargets) {
-                if (!activeIds.has(tid)) { this.ignoredTargets.delete(tid); this._ignoredTargetTTLs.delete(tid); }
-                else if (this._ignoredTargetTTLs.has(tid) && now > this._ignoredTargetTTLs.get(tid)) {
-                    this.ignoredTargets.delete(tid); this._ignoredTargetTTLs.delete(tid);
+                // Ignore lists are not per endpoint: only a /json of every endpoint can expire them
+                const complete = full && reached.size === polled.length;
+                const now = Date.now();
+                for (const tid of complete ? this.ignoredTargets : []) {
+                    if (!activeIds.has(tid)) { this.ignoredTargets.delete(tid); this._ignoredTargetTTLs.delete(tid); }
+                    else if (this._ignoredTargetTTLs.has(tid) && now > this._ignoredTargetTTLs.get(tid)) {
+                        this.ignoredTargets.delete(tid); this._ignoredTargetTTLs.delete(tid);
+                    }
                 }
-            }
 
-            for (const [tid] of this._injectionFailCounts) { if (!activeIds.has(tid)) this._injectionFailCounts.delete(tid); }
+                for (const [tid] of complete ? this._injectionFailCounts : []) { if (!activeIds.has(tid)) this._injectionFailCounts.delete(tid); }
+            }
 
             if (this.sessions.size === 0) { this._resetIdleTimer(); this._heartbeatRunning = false; return; }
 
             const entries = [...this.sessions.entries()];
+            const polledAt = Date.now();
             const results = [];
             for (let i = 0; i < entries.length; i += 10) {
                 const chunk = entries.slice(i, i + 10);
                 const chunkResults = await Promise.allSettled(
                     chunk.map(async ([targetId, info]) => {
+                        // Review holds are answered by the window that owns the session (no duplicate prompts)
                         const check = await this._workerEval(info.wsUrl,
-                            '(() => { const c = window.__AA_CLICK_COUNT || 0; const d = window.__AA_DIAG || []; window.__AA_DIAG = []; const cl = window.__AA_CLICK_LOG || []; window.__AA_CLICK_LOG = []; return { alive: !!window.__AA_PAUSED || (!!window.__AA_OBSERVER_ACTIVE && (Date.now() - (window.__AA_LAST_SCAN || 0)) < 120000), clickCount: c, diag: d, clickLog: cl, paused: !!window.__AA_PAUSED, swarmPaused: !!window.__AA_SWARM_PAUSED, lastInput: window.__AA_LAST_USER_INPUT || 0 }; })()'
+                            `(() => { ${this._registerReporterExpr()} const drain = ${this._reviewDrainExpr(info)}; const bt = window.__AA_BUDGET_TRIPPED || null; const c = window.__AA_CLICK_COUNT || 0; const d = window.__AA_DIAG || []; window.__AA_DIAG = []; const cl = window.__AA_CLICK_LOG || []; window.__AA_CLICK_LOG = []; const rv = drain ? (window.__AA_REVIEW_QUEUE || []) : []; if (drain) window.__AA_REVIEW_QUEUE = []; return { budgetTrip: bt, reviews: rv, epoch: window.__AA_CLICK_EPOCH || null, reporter: typeof window.__AA_PRIMARY_REPORTER === 'function' ? window.__AA_PRIMARY_REPORTER() : null, alive: !!window.__AA_PAUSED || (!!window.__AA_OBSERVER_ACTIVE && (Date.now() - (window.__AA_LAST_SCAN || 0)) < 120000), clickCount: c, diag: d, clickLog: cl, paused: !!window.__AA_PAUSED, swarmPaused: !!window.__AA_SWARM_PAUSED, lastInput: window.__AA_LAST_USER_INPUT || 0, grants: (window.__AA_GRANTS || {})[${JSON.stringify(this._hostId)}] || [] }; })()`
                         );
                         const health = check.result?.result?.value || { alive: false, clickCount: 0, diag: null, clickLog: [], paused: false, swarmPaused: false, lastInput: 0 };
-                        return { targetId, alive: health.alive, clickCount: health.clickCount, diag: health.diag, clickLog: health.clickLog || [], paused: health.paused, swarmPaused: health.swarmPaused, lastInput: health.lastInput };
+                        return { targetId, budgetTrip: health.budgetTrip || null, alive: health.alive, clickCount: health.clickCount, epoch: health.epoch, reporter: health.reporter || null, diag: health.diag, clickLog: health.clickLog || [], reviews: health.reviews || [], paused: health.paused, swarmPaused: health.swarmPaused, lastInput: health.lastInput, grants: health.grants || [] };
                     })
                 );
                 results.push(...chunkResults);
             }
 
             const dead = [];
+            let anyTripped = false; let allReported = true;
+            const pageGrants = [];
             for (let i = 0; i < results.length; i++) {
                 const { status, value } = results[i];
                 const targetId = entries[i][0]; const info = entries[i][1]; 
 
                 if (status === 'fulfilled') {
-                    const lastCount = this._sessionCursors.get(targetId) || 0;
-                    const delta = (value.clickCount < lastCount) ? value.clickCount : (value.clickCount - lastCount);
-                    if (this.onClickTelemetry && delta > 0) this.onClickTelemetry(delta);
-                    this._sessionCursors.set(targetId, value.clickCount);
-
-                    if (value.clickLog && value.clickLog.length > 0) {
-                        for (const cl of value.clickLog) {
-                            this.log(`[AutoAccept] CLICK in ${targetId.substring(0,6)}: text="${cl.text}" tag=${cl.tag} path=${cl.path}`);
-                        }
+                    // Clicks pushed through the binding already moved the cursor — this picks up the rest
+                    const hadCursor = this._sessionCursors.has(targetId);
+                    const delta = this._countClicks(targetId, value.clickCount, value.epoch, value.reporter);
+
+                    // Mirror: a page's first count is history, not clicks since the last heartbeat
+                    if (value.budgetTrip) {
+                        anyTripped = true;
+                        this._tripBudget(value.budgetTrip, targetId, info.title);
+                    } else if (hadCursor && delta > 0 && !this.isPaused) {
+                        const hourly = this._budget.takeHourly(delta, this.rateLimits, Date.now());
+                        if (hourly) { anyTripped = true; this._tripBudget(hourly, targetId, info.title); }
                     }
+                    if (this._handleClickLog(targetId, info, value.clickLog || [])) anyTripped = true;
+                    this._handleDiag(targetId, info, value.diag || []);
+
+                    pageGrants.push(...value.grants);
+
+                    for (const rv of value.reviews) this._emit(CM_EVENTS.REVIEW_REQUESTED, { targetId, title: info.title, ...rv });
 
                     if (value.lastInput && value.lastInput > (this._lastWebviewActivity || 0)) {
                         this._lastWebviewActivity = value.lastInput;
@@ -661,26 +1524,38 @@ class ConnectionManager {
                         this._sessionFailCounts.delete(targetId);
                     }
                 } else {
+                    allReported = false;
                     const fc = (this._sessionFailCounts.get(targetId) || 0) + 1;
                     this._sessionFailCounts.set(targetId, fc);
                     if (fc >= 3) { dead.push(targetId); }
                 }
             }
 
+            if (this.trustGrants.length) this._syncTrustGrants(pageGrants, Date.now());
+
+            // Another window reset the budget (flag gone from every page) → follow it
+            if (this.budgetTrip && !anyTripped && allReported && results.length > 0 && (this._budgetTripAt || 0) < polledAt) {
+                this.budgetTrip = null;
+                this._budget.reset();
+                this.log('[RateLimit] Click budget was reset in another window');
+                this._emit(CM_EVENTS.BUDGET_CLEARED, {});
+            }
+
             for (const tid of dead) {
-                const info = this.sessions.get(tid);
-                // ⚡ FIX: Prune dead Manager URLs from swarm scan targets
-                if (info && this._swarmSessions) this._swarmSessions.delete(info.wsUrl);
-                this.sessions.delete(tid); this.sessionUrls.delete(tid); this._sessionFailCounts.delete(tid); this._sessionCursors.delete(tid);
+                this._dropSession(tid, 'unresponsive');
             }
             this._resetIdleTimer();
-        } catch (e) { } finally { this._heartbeatRunning = false; }
+        } catch (e) { } finally { this._heartbeatRunning = false; this._updateState(); }
     }
 
-    _pingPort(port) {
+    /** /json/version of a port (null = nothing answering) */
+    _getVersionInfo(port, timeout = 800) {
         return new Promise((resolve) => {
-            const req = http.get({ hostname: '127.0.0.1', port, path: '/json/version', timeout: 800, agent: false }, (res) => { res.on('data', () => {}); res.on('end', () => resolve(true)); });
-            req.on('error', () => resolve(false)); req.on('timeout', () => { req.destroy(); resolve(false); });
+            const req = http.get({ hostname: '127.0.0.1', port, path: '/json/version', timeout, agent: false }, (res) => {
+                let data = ''; res.on('data', chunk => data += chunk);
+                res.on('end', () => { try { resolve(JSON.parse(data)); } catch (e) { resolve(null); } });
+            });
+            req.on('error', () => resolve(null)); req.on('timeout', () => { req.destroy(); resolve(null); });
         });
     }
 
@@ -695,10 +1570,132 @@ class ConnectionManager {
     }
 
     async _findActivePort() {
-        if (this.activeCdpPort && await this._pingPort(this.activeCdpPort)) return this.activeCdpPort;
-        const configPort = this.getPort();
-        if (await this._pingPort(configPort)) { this.activeCdpPort = configPort; return configPort; }
-        return null;
+        await this._discoverEndpoints();
+        return this.activeCdpPort;
+    }
+
+    // ─── CDP Endpoints (multi-port, multi-instance) ───────────────────────
+
+    /** The cdpPorts / cdpPortScan settings; the next heartbeat probes the new port set */
+    setEndpointPorts(ports, autoScan) {
+        autoScan = !!autoScan;
+        if (JSON.stringify(ports) === JSON.stringify(this.endpointPorts) && autoScan === this.endpointScan) return;
+        this.endpointPorts = ports.slice();
+        this.endpointScan = autoScan;
+        this._endpointsCheckedAt = 0;
+    }
+
+    /**
+     * Probe every candidate port and update the registry. A port that stopped answering, or
+     * answers with a new instance (restarted), takes its sessions with it. The primary port
+     * is the configured one when it is up, else the lowest live port.
+     * @returns {Promise<number[]>} live ports
+     */
+    _discoverEndpoints() {
+        if (!this._endpointDiscovery) {
+            this._endpointDiscovery = this._probeEndpoints().finally(() => { this._endpointDiscovery = null; });
+        }
+        return this._endpointDiscovery;
+    }
+
+    async _probeEndpoints() {
+        const configured = this.getPort();
+        const listed = new Set([configured, ...this.endpointPorts]);
+        const ports = candidatePorts(configured, this.endpointPorts, this.endpointScan);
+        const versions = await Promise.all(ports.map(port => this._getVersionInfo(port)));
+        const now = Date.now();
+        let changed = false;
+        ports.forEach((port, i) => {
+            const version = versions[i];
+            const known = this.endpoints.get(port);
+            if (version && (listed.has(port) || isEditorEndpoint(version))) {
+                const instance = instanceId(version, port);
+                if (!known || !known.alive || known.instance !== instance) {
+                    changed = true;
+                    const restarted = known && known.alive;
+                    if (restarted) this._dropEndpointSessions(port);
+                    this.log(`[CDP] Endpoint :${port} ${restarted ? 'restarted' : 'up'} — instance ${instance} (${productName(version)})`);
+                }
+                this.endpoints.set(port, { port, instance, browser: productName(version), alive: true, listed: listed.has(port), lastSeen: now });
+            } else if (known && known.alive) {
+                changed = true;
+                known.alive = false;
+                this._dropEndpointSessions(port);
+                this.log(`[CDP] Endpoint :${port} down — instance ${known.instance}`);
+            }
+        });
+        // Auto-discovered instances that went away, and ports no longer configured, are forgotten
+        for (const [port, ep] of this.endpoints) {
+            if (ports.includes(port) && (ep.alive || listed.has(port))) continue;
+            if (ep.alive) this._dropEndpointSessions(port);
+            this.endpoints.delete(port); changed = true;
+        }
+
+        const live = [...this.endpoints.values()].filter(ep => ep.alive).map(ep => ep.port).sort((a, b) => a - b);
+        const primary = live.includes(configured) ? configured : (live[0] || null);
+        const previous = this.activeCdpPort;
+        if (primary !== previous) {
+            // The target watch follows the primary endpoint
+            if (this._targetWatch) this._stopTargetWatch();
+            if (this.activeCdpPort && primary) this.log(`[CDP] Primary endpoint :${this.activeCdpPort} → :${primary}`);
+            this.activeCdpPort = primary;
+            changed = true;
+        }
+        this._endpointsCheckedAt = now;
+        if (changed) this._emit(CM_EVENTS.PORT_CHANGED, { port: primary, previous, endpoints: this.getEndpoints() });
+        return live;
+    }
+
+    /** The instance went away: its pages (and their sockets) are gone */
+    _dropEndpointSessions(port) {
+        const gone = [...this.sessions].filter(([, info]) => info.port === port).map(([targetId]) => targetId);
+        for (const targetId of gone) this._dropSession(targetId, 'endpoint-lost');
+        if (gone.length) this.log(`[CDP] ${gone.length} session${gone.length === 1 ? '' : 's'} on :${port} removed`);
+    }
+
+    /** Live endpoint ports, primary first */
+    _liveEndpoints() {
+        const live = [...this.endpoints.values()].filter(ep => ep.alive).map(ep => ep.port).sort((a, b) => a - b);
+        return live.includes(this.activeCdpPort) ? [this.activeCdpPort, ...live.filter(p => p !== this.activeCdpPort)] : live;
+    }
+
+    /**
+     * /json of the given endpoints, each target tagged with its port and instance.
+     * @returns {Promise<{ targets: object[], reached: Set<number> }>} reached = ports that answered
+     */
+    async _getEndpointTargets(ports = this._liveEndpoints()) {
+        const lists = await Promise.all(ports.map(port => this._getTargetList(port)));
+        const targets = []; const reached = new Set();
+        ports.forEach((port, i) => {
+            if (!Array.isArray(lists[i])) return;
+            reached.add(port);
+            const instance = this.endpoints.get(port)?.instance || null;
+            for (const t of lists[i]) targets.push({ ...t, port, instance });
+        });
+        return { targets, reached };
+    }
+
+    /**
+     * The endpoint registry for the dashboard and Telegram: every Antigravity instance found
+     * on the machine and how many of this host's sessions are in it.
+     * @returns {Array<{ port: number, instance: string, browser: string, alive: boolean, primary: boolean, listed: boolean, lastSeen: number, sessionCount: number }>}
+     */
+    getEndpoints() {
+        const counts = new Map();
+        for (const info of this.sessions.values()) counts.set(info.port, (counts.get(info.port) || 0) + 1);
+        return [...this.endpoints.values()]
+            .map(ep => ({ ...ep, primary: ep.port === this.activeCdpPort, sessionCount: counts.get(ep.port) || 0 }))
+            .sort((a, b) => a.port - b.port);
+    }
+
+    /**
+     * Targets of every live instance, tagged with port and instance — whether or not this
+     * host is injecting (Telegram lists windows while AutoAccept is off). The registry is
+     * re-probed when the heartbeat has not done so in the last minute.
+     */
+    async listEndpointTargets() {
+        if (Date.now() - this._endpointsCheckedAt > 60000) await this._discoverEndpoints();
+        return (await this._getEndpointTargets()).targets;
     }
 
     async injectSwarmObserver(configString, targetId) {
@@ -844,6 +1841,9 @@ class ConnectionManager {
                         } else {
                             this.log(`[Swarm] CLICK: ${res.matchText} @ ID:${res.fingerprint}${res.isUrgent ? ' [URGENT]' : ''}`);
                             this._recentClicks.push({ id: res.fingerprint, type: res.matchText, isUrgent: res.isUrgent, time: Date.now() });
+                            const owner = [...this.sessions].find(([, info]) => info.wsUrl === url);
+                            this._emit(CM_EVENTS.CLICK, { channel: 'swarm', targetId: owner ? owner[0] : null, title: owner ? owner[1].title : null,
+                                workspace: null, text: res.matchText, verdict: null, command: null, time: Date.now() });
                         }
                     } else if (res && res.status === 'error') {
                         if (res.message) this.log(`[Swarm] DIAG: ${res.message}`);
@@ -1040,4 +2040,4 @@ class ConnectionManager {
     }
 }
 
-module.exports = { ConnectionManager };
+module.exports = { ConnectionManager, CONNECTION_STATES, CM_EVENTS };
@@ -44,6 +44,7 @@ setInterval(() => {
 }, 60000);
 
 let _cachedScript = null;
+let _cachedNewDocScript = null; // the observer wrapped for Page.addScriptToEvaluateOnNewDocument
 let pauseFlags = null; // ⚡ Shared RAM: [0]=isPaused, [1]=swarmPaused
 let isGlobalPaused = false;
 let isSwarmPaused = false;
@@ -65,6 +66,7 @@ class CdpConnection {
         this.pending = new Map();
         this.msgId = 0;
         this._dead = false;
+        this.onEvent = null; // (method, params) — CDP events (the target watch and report bindings listen)
 
         this.ready = new Promise((resolve, reject) => {
             const timeout = setTimeout(() => { this._dead = true; reject(new Error('socket timeout')); }, 5000);
@@ -81,6 +83,8 @@ class CdpConnection {
                     clearTimeout(handler.timer);
                     if (msg.error) handler.reject(new Error(msg.error.message || JSON.stringify(msg.error)));
                     else handler.resolve(msg);
+                } else if (msg.method && this.onEvent) {
+                    this.onEvent(msg.method, msg.params || {});
                 }
             } catch (e) {} finally {
                 raw = null; // Explicitly null to hint V8's Scavenger GC
@@ -130,6 +134,10 @@ function getCdpConnection(wsUrl) {
     if (conn) { conn.cleanup(new Error('stale connection')); }
     conn = new CdpConnection(wsUrl);
     wsPool.set(wsUrl, conn);
+    // Bindings and new-document scripts belong to the CDP session — a new socket to the page
+    // needs them added again
+    if (reportBindings.has(wsUrl)) attachBinding(conn, reportBindings.get(wsUrl)).catch(() => {});
+    if (newDocScripts.has(wsUrl)) registerNewDocument(wsUrl, newDocScripts.get(wsUrl).source).catch(() => {});
     return conn;
 }
 
@@ -150,6 +158,7 @@ parentPort.on('message', async (msg) => {
     switch (msg.type) {
         case 'cache-script': {
             _cachedScript = msg.script;
+            _cachedNewDocScript = msg.newDocScript || null;
             parentPort.postMessage({ type: 'cache-script-ack', id: msg.id });
             break;
         }
@@ -250,6 +259,41 @@ parentPort.on('message', async (msg) => {
             } catch(e) { parentPort.postMessage({ type: 'eval-result', id: msg.id, error: e.message }); }
             break;
         }
+        case 'watch-targets': {
+            try {
+                const result = await watchTargets(msg.wsUrl);
+                parentPort.postMessage({ type: 'eval-result', id: msg.id, result });
+            } catch (e) { parentPort.postMessage({ type: 'eval-result', id: msg.id, error: e.message }); }
+            break;
+        }
+        case 'add-binding': {
+            try {
+                const result = await addReportBinding(msg.wsUrl, msg.targetId, msg.name);
+                parentPort.postMessage({ type: 'eval-result', id: msg.id, result });
+            } catch (e) { parentPort.postMessage({ type: 'eval-result', id: msg.id, error: e.message }); }
+            break;
+        }
+        case 'new-document': {
+            // register: false (host paused) drops it — a reload then waits for the unpause re-inject
+            try {
+                const result = msg.register && _cachedNewDocScript ? await registerNewDocument(msg.wsUrl, _cachedNewDocScript) : await unregisterNewDocument(msg.wsUrl);
+                parentPort.postMessage({ type: 'eval-result', id: msg.id, result });
+            } catch (e) { parentPort.postMessage({ type: 'eval-result', id: msg.id, error: e.message }); }
+            break;
+        }
+        case 'forget-page': {
+            const binding = reportBindings.get(msg.wsUrl);
+            reportBindings.delete(msg.wsUrl);
+            const conn = wsPool.get(msg.wsUrl);
+            if (binding && conn && !conn._dead) conn.send('Runtime.removeBinding', { name: binding.name }, 2000).catch(() => {});
+            unregisterNewDocument(msg.wsUrl).catch(() => {});
+            break;
+        }
+        case 'unwatch-targets': {
+            const conn = targetWatch; targetWatch = null;
+            if (conn) conn.cleanup(new Error('target watch stopped'));
+            break;
+        }
         case 'pure-cdp-pause': {
             parentPort.postMessage({ type: 'eval-result', id: msg.id, result: 'ok' });
             break;
@@ -289,10 +333,105 @@ async function burstInject(wsUrl, targetId, script, isPaused) {
         if (isPaused && (result === 'observer-installed' || result === 'already-active')) {
             await conn.send('Runtime.evaluate', { expression: 'window.__AA_PAUSED = true; "paused-on-inject"' }, 2000);
         }
+        // Later documents in this target get the same observer from their first frame
+        if (result === 'observer-installed' || result === 'already-active') {
+            const newDoc = isPaused || !_cachedNewDocScript || script !== _cachedScript ? unregisterNewDocument(wsUrl) : registerNewDocument(wsUrl, _cachedNewDocScript);
+            await newDoc.catch(() => {});
+        }
         return result;
     } catch (e) { throw e; }
 }
 
+// ⚡ TARGET WATCH: one browser-level connection with Target.setDiscoverTargets. Created,
+// changed and destroyed targets are forwarded to the main thread as they happen, so new
+// webviews are injected at once instead of on the next /json poll.
+const TARGET_EVENTS = ['Target.targetCreated', 'Target.targetInfoChanged', 'Target.targetDestroyed'];
+let targetWatch = null;
+
+async function watchTargets(browserWsUrl) {
+    if (targetWatch && !targetWatch._dead && targetWatch.wsUrl === browserWsUrl) return 'already-watching';
+    if (targetWatch) targetWatch.cleanup(new Error('target watch replaced'));
+    const conn = getCdpConnection(browserWsUrl);
+    targetWatch = conn;
+    conn.onEvent = (method, params) => {
+        if (TARGET_EVENTS.includes(method)) parentPort.postMessage({ type: 'target-event', method, params });
+    };
+    conn.ws.on('close', () => {
+        if (targetWatch !== conn) return;
+        targetWatch = null;
+        parentPort.postMessage({ type: 'target-watch-closed', reason: 'browser connection closed' });
+    });
+    try {
+        await conn.send('Target.setDiscoverTargets', { discover: true }, 5000);
+    } catch (e) {
+        if (targetWatch === conn) targetWatch = null;
+        conn.cleanup(e);
+        throw e;
+    }
+    return 'watching';
+}
+
+// ⚡ REPORT BINDINGS: Runtime.addBinding puts window[name] on the page; each call arrives here
+// as Runtime.bindingCalled and goes straight to the main thread — clicks, blocks and
+// diagnostics without waiting for the next heartbeat. wsUrl -> { name, targetId }
+const reportBindings = new Map();
+
+function attachBinding(conn, binding) {
+    conn.onEvent = (method, params) => {
+        if (method === 'Runtime.bindingCalled' && params.name === binding.name) {
+            parentPort.postMessage({ type: 'binding-called', targetId: binding.targetId, payload: params.payload });
+        }
+    };
+    return conn.send('Runtime.addBinding', { name: binding.name }, 5000);
+}
+
+async function addReportBinding(wsUrl, targetId, name) {
+    const binding = { name, targetId };
+    const conn = getCdpConnection(wsUrl);
+    reportBindings.set(wsUrl, binding);
+    try {
+        await attachBinding(conn, binding);
+    } catch (e) {
+        reportBindings.delete(wsUrl);
+        throw e;
+    }
+    return 'binding-added';
+}
+
+// ⚡ NEW-DOCUMENT SCRIPTS: Page.addScriptToEvaluateOnNewDocument, one per page, replaced when
+// the observer changes. wsUrl -> { source, identifier, conn }
+const newDocScripts = new Map();
+
+async function registerNewDocument(wsUrl, source) {
+    const conn = getCdpConnection(wsUrl);
+    const current = newDocScripts.get(wsUrl);
+    if (current && current.conn === conn && current.source === source) return 'unchanged';
+    const entry = { source, identifier: null, conn };
+    newDocScripts.set(wsUrl, entry);
+    if (current && current.conn === conn && current.identifier) {
+        await conn.send('Page.removeScriptToEvaluateOnNewDocument', { identifier: current.identifier }, 5000).catch(() => {});
+    }
+    try {
+        await conn.send('Page.enable', {}, 5000);
+        const r = await conn.send('Page.addScriptToEvaluateOnNewDocument', { source }, 5000);
+        entry.identifier = r.result?.identifier || null;
+    } catch (e) {
+        if (newDocScripts.get(wsUrl) === entry) newDocScripts.delete(wsUrl);
+        throw e;
+    }
+    return 'registered';
+}
+
+async function unregisterNewDocument(wsUrl) {
+    const current = newDocScripts.get(wsUrl);
+    if (!current) return 'not-registered';
+    newDocScripts.delete(wsUrl);
+    if (current.identifier && !current.conn._dead) {
+        await current.conn.send('Page.removeScriptToEvaluateOnNewDocument', { identifier: current.identifier }, 5000);
+    }
+    return 'unregistered';
+}
+
 // ⚡ TRANSPARENT MOCK: openSocket returns a mock WS that pipes through the pool.
 // The compiled scanner calls openSocket() and uses ws.send()/ws.on('message') directly.
 // This mock translates those calls into multiplexed JSON-RPC through the pooled connection.
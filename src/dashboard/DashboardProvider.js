@@ -4,6 +4,9 @@
 const vscode = require('vscode');
 const path = require('path');
 const { pingTelemetry } = require('../telemetry');
+const { validatePattern } = require('../scripts/CommandParser');
+const { SAFETY_PRESETS } = require('../scripts/RiskScorer');
+const { normalizeDomain } = require('../scripts/NetworkEgress');
 
 class DashboardProvider {
     static get viewType() { return 'autoAcceptV2.dashboard'; }
@@ -11,7 +14,7 @@ class DashboardProvider {
     /**
      * @param {vscode.ExtensionContext} context
      * @param {Function} log - Logging function
-     * @param {Function} getStatus - Returns { isEnabled, cdpConnected, sessionCount }
+     * @param {Function} getStatus - Returns { isEnabled, cdpConnected, cdpState, cdpStateReason, sessionCount, endpoints }
      */
     constructor(context, log, getStatus) {
         this._context = context;
@@ -20,6 +23,7 @@ class DashboardProvider {
         this._panel = null;
         this._disposables = [];
         this.getDiagnostics = null; // set by extension.js to fetch __AA_DIAG from CDP
+        this._detectionReport = null; // last autoAcceptV2.diagnoseDetection result, re-sent on 'ready'
     }
 
     /**
@@ -86,11 +90,26 @@ class DashboardProvider {
             data: {
                 isEnabled: status.isEnabled,
                 cdpConnected: status.cdpConnected,
+                cdpState: status.cdpState,
+                cdpStateReason: status.cdpStateReason,
                 sessionCount: status.sessionCount,
+                endpoints: status.endpoints || [],
                 autoAcceptFileEdits: config.get('autoAcceptFileEdits', true),
                 autoRetryEnabled: config.get('autoRetryEnabled', true),
+                dryRun: config.get('dryRun', false),
                 blockedCommands: config.get('blockedCommands', []),
                 allowedCommands: config.get('allowedCommands', []),
+                reviewCommands: config.get('reviewCommands', []),
+                reviewTimeoutSeconds: config.get('reviewTimeoutSeconds', 60),
+                trustGrantCommands: config.get('trustGrantCommands', ['git push']),
+                trustGrants: status.trustGrants || [],
+                networkEgressEnabled: config.get('networkEgressEnabled', false),
+                networkAllowedDomains: config.get('networkAllowedDomains', []),
+                fileEditBlockedPaths: config.get('fileEditBlockedPaths', []),
+                fileEditAllowedPaths: config.get('fileEditAllowedPaths', []),
+                fileEditMaxLines: config.get('fileEditMaxLines', 0),
+                filterErrors: status.filterErrors || [],
+                workspacePolicyPath: status.workspacePolicyPath || null,
                 pollInterval: config.get('pollInterval', 500),
                 cdpPort: config.get('cdpPort', 9333),
                 customButtonTexts: config.get('customButtonTexts', []),
@@ -109,6 +128,16 @@ class DashboardProvider {
         });
     }
 
+    /**
+     * Reveal the dashboard with a detection health report
+     * @param {{ time: number, results: Array<{ targetId: string, title: string, report?: object, error?: string }> }} report
+     */
+    showDetectionReport(report) {
+        this._detectionReport = report;
+        this.show();
+        this._panel.webview.postMessage({ type: 'detectionReport', data: report });
+    }
+
     /**
      * Push a log entry to the activity feed
      */
@@ -120,6 +149,21 @@ class DashboardProvider {
         });
     }
 
+    /**
+     * Reject re:/glob: patterns that don't compile before they reach settings.
+     * Returns the valid subset; each invalid one is reported to the webview.
+     */
+    _validatePatterns(values) {
+        const valid = [];
+        for (const v of values) {
+            const err = validatePattern(v);
+            if (!err) { valid.push(v); continue; }
+            this._log(`[Dashboard] Rejected invalid filter pattern — ${err}`);
+            if (this._panel) this._panel.webview.postMessage({ type: 'filterError', message: err });
+        }
+        return valid;
+    }
+
     /**
      * Notify dashboard of state changes (e.g., toggle, CDP status)
      */
@@ -145,6 +189,7 @@ class DashboardProvider {
             case 'ready':
                 // Webview DOM is loaded — safe to push initial state
                 this._pushState();
+                if (this._detectionReport) this._panel.webview.postMessage({ type: 'detectionReport', data: this._detectionReport });
                 break;
             case 'toggle':
                 vscode.commands.executeCommand('autoAcceptV2.toggle');
@@ -176,7 +221,7 @@ class DashboardProvider {
             }
             case 'addBlocked': {
                 const list = [...config.get('blockedCommands', [])];
-                if (msg.value && !list.includes(msg.value)) {
+                if (msg.value && !list.includes(msg.value) && this._validatePatterns([msg.value]).length) {
                     list.push(msg.value);
                     await config.update('blockedCommands', list, _target('blockedCommands'));
                 }
@@ -185,7 +230,7 @@ class DashboardProvider {
             }
             case 'addBlockedBulk': {
                 const list = [...config.get('blockedCommands', [])];
-                const items = (msg.values || []).filter(v => v && !list.includes(v));
+                const items = this._validatePatterns((msg.values || []).filter(v => v && !list.includes(v)));
                 if (items.length) {
                     list.push(...items);
                     await config.update('blockedCommands', list, _target('blockedCommands'));
@@ -201,7 +246,7 @@ class DashboardProvider {
             }
             case 'addAllowed': {
                 const list = [...config.get('allowedCommands', [])];
-                if (msg.value && !list.includes(msg.value)) {
+                if (msg.value && !list.includes(msg.value) && this._validatePatterns([msg.value]).length) {
                     list.push(msg.value);
                     await config.update('allowedCommands', list, _target('allowedCommands'));
                 }
@@ -214,6 +259,60 @@ class DashboardProvider {
                 this._pushState();
                 break;
             }
+            case 'addReview': {
+                const list = [...config.get('reviewCommands', [])];
+                if (msg.value && !list.includes(msg.value) && this._validatePatterns([msg.value]).length) {
+                    list.push(msg.value);
+                    await config.update('reviewCommands', list, _target('reviewCommands'));
+                }
+                this._pushState();
+                break;
+            }
+            case 'removeReview': {
+                const list = config.get('reviewCommands', []).filter(c => c !== msg.value);
+                await config.update('reviewCommands', list, _target('reviewCommands'));
+                this._pushState();
+                break;
+            }
+            case 'addEgressDomain': {
+                const list = [...config.get('networkAllowedDomains', [])];
+                const domain = normalizeDomain(msg.value);
+                if (!domain) {
+                    this._panel.webview.postMessage({ type: 'egressError', message: `"${msg.value}" is not a domain (use example.com or *.example.com)` });
+                } else if (!list.includes(domain)) {
+                    list.push(domain);
+                    await config.update('networkAllowedDomains', list, _target('networkAllowedDomains'));
+                }
+                this._pushState();
+                break;
+            }
+            case 'removeEgressDomain': {
+                const list = config.get('networkAllowedDomains', []).filter(d => d !== msg.value);
+                await config.update('networkAllowedDomains', list, _target('networkAllowedDomains'));
+                this._pushState();
+                break;
+            }
+            case 'trustConversation': {
+                const amount = Math.max(1, parseInt(msg.amount, 10) || 0);
+                vscode.commands.executeCommand('autoAcceptV2.trustConversation', {
+                    [msg.unit === 'clicks' ? 'clicks' : 'minutes']: amount,
+                    allow: config.get('trustGrantCommands', ['git push'])
+                });
+                break;
+            }
+            case 'revokeTrust':
+                vscode.commands.executeCommand('autoAcceptV2.revokeTrust', msg.id);
+                break;
+            case 'addFilePath':
+            case 'removeFilePath': {
+                if (msg.list !== 'fileEditBlockedPaths' && msg.list !== 'fileEditAllowedPaths') break;
+                let list = [...config.get(msg.list, [])];
+                if (msg.type === 'removeFilePath') list = list.filter(p => p !== msg.value);
+                else if (msg.value && !list.includes(msg.value)) list.push(msg.value);
+                await config.update(msg.list, list, _target(msg.list));
+                this._pushState();
+                break;
+            }
             case 'refresh':
                 this._pushState();
                 break;
@@ -226,6 +325,9 @@ class DashboardProvider {
             case 'fixConversations':
                 vscode.commands.executeCommand('autoAcceptV2.fixConversations');
                 break;
+            case 'diagnoseDetection':
+                vscode.commands.executeCommand('autoAcceptV2.diagnoseDetection');
+                break;
             case 'dismissMilestone': {
                 this._context.globalState.update('autoAcceptLastDismissedMilestone', msg.value);
                 this._pushState();
@@ -254,7 +356,10 @@ class DashboardProvider {
                     appName: vscode.env.appName,
                     isEnabled: status.isEnabled,
                     cdpConnected: status.cdpConnected,
+                    cdpState: status.cdpState,
+                    cdpStateReason: status.cdpStateReason,
                     sessionCount: status.sessionCount,
+                    endpoints: status.endpoints || [],
                     telemetryEnabled: vscode.env.isTelemetryEnabled,
                     config: {
                         autoAcceptFileEdits: config.get('autoAcceptFileEdits', true),
@@ -374,6 +479,10 @@ class DashboardProvider {
         color: var(--fg); font-size: 12px; outline: none;
     }
     .list-input input:focus { border-color: var(--accent); }
+    .list-input select {
+        padding: 6px 8px; background: var(--input-bg); border: 1px solid var(--input-border);
+        border-radius: 4px; color: var(--fg); font-size: 12px; outline: none;
+    }
     .list-input button, .btn {
         padding: 6px 14px; background: var(--accent); color: white;
         border: none; border-radius: 4px; cursor: pointer; font-size: 12px;
@@ -400,6 +509,8 @@ class DashboardProvider {
     }
     .tag .remove:hover { opacity: 1; color: var(--danger); }
     .empty-note { opacity: 0.5; font-style: italic; font-size: 12px; }
+    .filter-errors { font-size: 11px; color: var(--danger); margin-bottom: 6px; }
+    .filter-errors:empty { display: none; }
 
     /* Activity log */
     .activity-log {
@@ -411,6 +522,10 @@ class DashboardProvider {
     .activity-entry .time { opacity: 0.5; }
     .activity-entry.blocked { color: var(--danger); }
     .activity-entry.click { color: var(--success); }
+    .activity-entry.dryrun { color: var(--warning); }
+    .activity-entry.breaker { color: var(--warning); font-weight: 600; }
+    .activity-entry.risk { color: var(--warning); }
+    .activity-entry.schedule { color: var(--accent); font-weight: 600; }
     #sponsor-slot { cursor: pointer; transition: border-color 0.2s ease, background-color 0.2s ease, transform 0.2s ease; }
     body #sponsor-slot:hover, body #sponsor-slot:focus-visible { background: var(--vscode-textBlockQuote-background, rgba(255,255,255,0.06)); border-color: var(--vscode-focusBorder, var(--vscode-textLink-foreground)); transform: translateY(-1px); outline: none; }
     body #sponsor-slot:active { transform: translateY(0); }
@@ -480,6 +595,10 @@ class DashboardProvider {
             <span>📡</span>
             <span id="label-sessions">0 sessions</span>
         </span>
+        <span class="status-badge" id="status-instances" title="No Antigravity instance found">
+            <span>🖥</span>
+            <span id="label-instances">0 instances</span>
+        </span>
     </div>
 
     <button class="btn btn-toggle" id="btn-toggle" onclick="toggle()">Loading...</button>
@@ -545,11 +664,23 @@ class DashboardProvider {
                 <span class="slider"></span>
             </label>
         </div>
+        <div class="toggle-row">
+            <div>
+                <div class="toggle-label">Dry Run (Shadow Mode)</div>
+                <div class="toggle-desc">Evaluate and log every button with its verdict &mdash; nothing is clicked</div>
+            </div>
+            <label class="switch">
+                <input type="checkbox" id="chk-dry-run" onchange="updateConfig('dryRun', this.checked)">
+                <span class="slider"></span>
+            </label>
+        </div>
     </div>
 
     <div class="card">
         <div class="card-title">&#128683; Blocked Commands</div>
-        <div class="toggle-desc" style="margin-bottom:8px">Commands matching these patterns will NEVER be auto-run</div>
+        <div class="toggle-desc" style="margin-bottom:8px">Commands matching these patterns will NEVER be auto-run. Prefix <code>re:</code> for a regex or <code>glob:</code> for a glob (e.g. <code>glob:npm publish*</code>)</div>
+        <div class="filter-errors" id="filter-errors"></div>
+        <div class="toggle-desc" id="workspace-policy-note" style="margin-bottom:8px;display:none"></div>
         <div class="list-editor">
             <div class="list-input">
                 <input id="input-blocked" placeholder="e.g. rm -rf, git push --force (comma-separated for bulk)" onkeydown="if(event.key==='Enter')addBlocked()">
@@ -568,10 +699,94 @@ class DashboardProvider {
                 <input id="input-allowed" placeholder="e.g. npm test, npm install" onkeydown="if(event.key==='Enter')addAllowed()">
                 <button onclick="addAllowed()">+ Add</button>
             </div>
+            <div class="filter-errors" id="filter-errors-allowed"></div>
             <div id="list-allowed"></div>
         </div>
     </div>
 
+    <div class="card">
+        <div class="card-title">&#9208; Ask Before Running</div>
+        <div class="toggle-desc" style="margin-bottom:8px">Matching commands are held and shown as a notification with Approve / Deny (auto-deny after <span id="review-timeout">60</span>s)</div>
+        <div class="list-editor">
+            <div class="list-input">
+                <input id="input-review" placeholder="e.g. git push, glob:npm publish*" onkeydown="if(event.key==='Enter')addReview()">
+                <button onclick="addReview()">+ Add</button>
+            </div>
+            <div id="list-review"></div>
+        </div>
+    </div>
+
+    <div class="card">
+        <div class="card-title">&#129309; Trusted Conversations</div>
+        <div class="toggle-desc" style="margin-bottom:8px">Let the focused conversation run <span id="trust-patterns"></span> without asking, for a number of minutes or clicks. Blocked commands stay blocked; patterns come from <code>trustGrantCommands</code></div>
+        <div class="list-editor">
+            <div class="list-input">
+                <input id="input-trust-amount" type="number" min="1" value="30" style="flex:0 0 70px">
+                <select id="select-trust-unit"><option value="minutes">minutes</option><option value="clicks">clicks</option></select>
+                <button onclick="trustConversation()">Trust focused conversation</button>
+            </div>
+            <div id="list-trust"></div>
+        </div>
+    </div>
+
+    <div class="card">
+        <div class="card-title">&#127760; Network Access</div>
+        <div class="toggle-row">
+            <div>
+                <div class="toggle-label">Restrict network commands</div>
+                <div class="toggle-desc">curl, wget, package installs, git clone/push, ssh &amp; scp only auto-run against the domains below. Other hosts are blocked; a host that can't be told (<code>curl $URL</code>, <code>git push origin</code>) is asked about</div>
+            </div>
+            <label class="switch">
+                <input type="checkbox" id="chk-egress" onchange="updateConfig('networkEgressEnabled', this.checked)">
+                <span class="slider"></span>
+            </label>
+        </div>
+        <div class="list-editor">
+            <div class="list-input">
+                <input id="input-egress" placeholder="e.g. github.com, registry.npmjs.org, *.corp.example" onkeydown="if(event.key==='Enter')addEgressDomain()">
+                <button onclick="addEgressDomain()">+ Add</button>
+            </div>
+            <div class="filter-errors" id="egress-errors"></div>
+            <div id="list-egress"></div>
+        </div>
+    </div>
+
+    <div class="card">
+        <div class="card-title">&#128221; File Edit Rules</div>
+        <div class="toggle-desc" style="margin-bottom:8px">Path globs for agent file edits (<code>src/**</code>, <code>*.lock</code>, <code>.github/**</code>). Edits that break a rule are outlined and left for you to accept</div>
+        <div class="list-editor">
+            <div class="toggle-label" style="margin-bottom:4px">Never auto-accept</div>
+            <div class="list-input">
+                <input id="input-file-blocked" placeholder="e.g. package.json, *.lock, migrations" onkeydown="if(event.key==='Enter')addFilePath('fileEditBlockedPaths', 'input-file-blocked')">
+                <button onclick="addFilePath('fileEditBlockedPaths', 'input-file-blocked')">+ Add</button>
+            </div>
+            <div id="list-file-blocked"></div>
+            <div class="toggle-label" style="margin:8px 0 4px">Only auto-accept (empty = any path)</div>
+            <div class="list-input">
+                <input id="input-file-allowed" placeholder="e.g. src/**, test/**" onkeydown="if(event.key==='Enter')addFilePath('fileEditAllowedPaths', 'input-file-allowed')">
+                <button onclick="addFilePath('fileEditAllowedPaths', 'input-file-allowed')">+ Add</button>
+            </div>
+            <div id="list-file-allowed"></div>
+        </div>
+        <div class="toggle-row">
+            <div>
+                <div class="toggle-label">Max changed lines</div>
+                <div class="toggle-desc">Larger edits (added + removed) are left for review &mdash; 0 = no limit</div>
+            </div>
+            <div class="list-input" style="width:90px">
+                <input id="input-file-max-lines" type="number" min="0" onchange="updateConfig('fileEditMaxLines', Math.max(0, parseInt(this.value, 10) || 0))">
+            </div>
+        </div>
+    </div>
+
+    <!-- Detection Health -->
+    <div class="card">
+        <div class="card-title">&#129658; Detection Health</div>
+        <div class="toggle-desc" style="margin-bottom:8px">Finds action buttons in every window without clicking, and shows which guard rejected the rest</div>
+        <button id="btn-diagnose" class="btn" style="width:100%;padding:8px;cursor:pointer;font-size:13px" onclick="diagnoseDetection()">&#129658; Run Detection Check</button>
+        <div id="detection-report" style="margin-top:8px"></div>
+    </div>
+
     <!-- Utilities -->
     <div class="card">
         <div class="card-title">&#128736; Utilities</div>
@@ -610,6 +825,49 @@ class DashboardProvider {
         vscode.postMessage({ type: 'fixConversations' });
     }
 
+    function diagnoseDetection() {
+        document.getElementById('btn-diagnose').textContent = '\u23f3 Checking...';
+        vscode.postMessage({ type: 'diagnoseDetection' });
+    }
+
+    const REJECT_REASONS = {
+        'sidebar': 'isSidebarElement — inside a sidebar / history container',
+        'conversation-list-item': 'isConversationListItem — looks like a chat list entry',
+        'list-container': 'inside a list container (closestClickable)',
+        'semantic-tag': 'semantic-tag guard — bare keyword on a non-button element',
+        'not-clickable': 'not a button, link or clickable element',
+        'disabled': 'disabled or loading',
+        'held': 'held by AutoAccept (filter, review or dry run)',
+        'expanded': 'already expanded',
+        'cooldown': 'clicked in the last few seconds (cooldown)',
+        'bad-selector': 'invalid CSS selector'
+    };
+
+    function renderDetectionReport(data) {
+        document.getElementById('btn-diagnose').innerHTML = '&#129658; Run Detection Check';
+        const el = document.getElementById('detection-report');
+        if (!data.results.length) { el.innerHTML = '<div class="empty-note">No CDP sessions to check</div>'; return; }
+        let html = '<div style="font-size:11px;opacity:0.6;margin-bottom:6px">Checked ' + new Date(data.time).toLocaleTimeString() + '</div>';
+        data.results.forEach(function(r) {
+            html += '<div style="margin-bottom:10px"><div style="font-weight:600">' + escHtml(r.title || r.targetId.substring(0, 6)) + '</div>';
+            if (r.error) { html += '<div style="color:var(--danger);font-size:12px">' + escHtml(r.error) + '</div></div>'; return; }
+            const rep = r.report;
+            const flags = [rep.observer ? 'observer active' : 'observer NOT active', rep.paused ? 'paused' : '', rep.dryRun ? 'dry run' : '',
+                'last scan ' + Math.round(rep.lastScanAgoMs / 1000) + 's ago'].filter(Boolean).join(' · ');
+            html += '<div style="font-size:11px;opacity:0.6">' + escHtml(flags) + '</div>';
+            if (!rep.found.length && !rep.rejected.length) html += '<div style="font-size:12px;opacity:0.7">No action buttons on screen</div>';
+            rep.found.forEach(function(f) {
+                html += '<div style="font-size:12px;color:var(--success)">&#10003; <code>' + escHtml(f.text) + '</code> via ' + f.via + ' — &lt;' + escHtml(f.tag) + '&gt; ' + escHtml(f.label) + '</div>';
+            });
+            rep.rejected.forEach(function(x) {
+                html += '<div style="font-size:12px;color:var(--warning)">&#10007; <code>' + escHtml(x.text) + '</code> via ' + x.via + ' — ' +
+                    escHtml(x.label || '') + ' <span style="opacity:0.7">(' + escHtml(REJECT_REASONS[x.reason] || x.reason) + ')</span></div>';
+            });
+            html += '</div>';
+        });
+        el.innerHTML = html;
+    }
+
     function copyDiagDump() {
         if (_pendingDiag) return;
         _pendingDiag = true;
@@ -668,23 +926,8 @@ class DashboardProvider {
         input.value = '';
     }
 
-    const SAFETY_PRESETS = [
-        "rm -rf /","rm -rf /*","rm -rf ~","rm -rf .*","rm -rf .git",
-        "rmdir /s /q c:\\\\","rmdir /s /q d:\\\\","rd /s /q c:\\\\","rd /s /q d:\\\\",
-        "del /f /s /q c:\\\\","del /f /s /q d:\\\\",
-        "remove-item -recurse -force c:\\\\","remove-item -recurse -force d:\\\\",
-        "format c:","format d:","diskpart","clear-disk","format-volume",
-        "remove-partition","initialize-disk",
-        "dd if=/dev/zero","dd if=/dev/urandom","dd if=/dev/random",
-        "mkfs.","wipefs","shred ","vssadmin delete shadows","reg delete hk",
-        "chmod -r 777 /","chown -r root /","sudo su","su -",
-        "| bash","| sh","| zsh","| pwsh",
-        "invoke-expression","iex (","set-executionpolicy bypass",
-        "drop database","drop table","truncate table","db.dropdatabase()",
-        "docker system prune -a --volumes","docker volume prune","docker volume rm",
-        "git push --force","git push -f","git clean -fdx",
-        ":(){ :|:& };:","shutdown ","stop-computer"
-    ];
+    // Grouped by risk category in RiskScorer.js — a preset match also raises a command's risk score
+    const SAFETY_PRESETS = ${JSON.stringify(SAFETY_PRESETS)};
 
     function loadSafetyPresets() {
         vscode.postMessage({ type: 'addBlockedBulk', values: SAFETY_PRESETS });
@@ -715,6 +958,57 @@ class DashboardProvider {
         vscode.postMessage({ type: 'removeAllowed', value: val });
     }
 
+    function addReview() {
+        const input = document.getElementById('input-review');
+        if (input.value.trim()) {
+            vscode.postMessage({ type: 'addReview', value: input.value.trim() });
+            input.value = '';
+        }
+    }
+
+    function removeReview(val) {
+        vscode.postMessage({ type: 'removeReview', value: val });
+    }
+
+    function addEgressDomain() {
+        const input = document.getElementById('input-egress');
+        document.getElementById('egress-errors').textContent = '';
+        input.value.split(',').map(s => s.trim()).filter(Boolean).forEach(value => {
+            vscode.postMessage({ type: 'addEgressDomain', value: value });
+        });
+        input.value = '';
+    }
+
+    function removeEgressDomain(val) { vscode.postMessage({ type: 'removeEgressDomain', value: val }); }
+
+    function trustConversation() {
+        vscode.postMessage({ type: 'trustConversation', amount: document.getElementById('input-trust-amount').value, unit: document.getElementById('select-trust-unit').value });
+    }
+
+    function renderTrustGrants(grants) {
+        const el = document.getElementById('list-trust');
+        if (!grants.length) { el.innerHTML = '<span class="empty-note">No conversation is trusted</span>'; return; }
+        el.innerHTML = grants.map((g, i) =>
+            '<span class="tag">' + escHtml(g.description) + '<span class="remove" data-idx="' + i + '" title="Revoke">&times;</span></span>'
+        ).join('');
+        el.querySelectorAll('.remove[data-idx]').forEach(function(btn) {
+            btn.addEventListener('click', function() {
+                vscode.postMessage({ type: 'revokeTrust', id: grants[parseInt(this.getAttribute('data-idx'), 10)].id });
+            });
+        });
+    }
+
+    function addFilePath(list, inputId) {
+        const input = document.getElementById(inputId);
+        if (input.value.trim()) {
+            vscode.postMessage({ type: 'addFilePath', list: list, value: input.value.trim() });
+            input.value = '';
+        }
+    }
+
+    function removeFileBlocked(val) { vscode.postMessage({ type: 'removeFilePath', list: 'fileEditBlockedPaths', value: val }); }
+    function removeFileAllowed(val) { vscode.postMessage({ type: 'removeFilePath', list: 'fileEditAllowedPaths', value: val }); }
+
     function renderList(containerId, items, removeHandler) {
         const el = document.getElementById(containerId);
         if (!items.length) {
@@ -737,6 +1031,16 @@ class DashboardProvider {
         });
     }
 
+    // Invalid re:/glob: rules never match — surface them next to both lists
+    function renderFilterErrors(errors) {
+        const text = errors.map(e => '\u26A0 ' + e + ' \u2014 ignored').join('\\n');
+        ['filter-errors', 'filter-errors-allowed'].forEach(id => {
+            const el = document.getElementById(id);
+            el.style.whiteSpace = 'pre-line';
+            el.textContent = text;
+        });
+    }
+
     function escHtml(s) { return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
 
     function updateUI(data) {
@@ -751,9 +1055,17 @@ class DashboardProvider {
 
         dotOn.className = 'status-dot ' + (data.isEnabled ? 'on' : 'off');
         lblOn.textContent = data.isEnabled ? 'ACTIVE' : 'OFF';
-        dotCdp.className = 'status-dot ' + (data.cdpConnected ? 'on' : 'off');
-        lblCdp.textContent = 'CDP: ' + (data.cdpConnected ? 'Connected' : 'Disconnected');
+        // The connection manager's state machine: connected, degraded, discovering, paused, disconnected
+        const cdpState = data.cdpState || 'disconnected';
+        dotCdp.className = 'status-dot ' + (cdpState === 'connected' ? 'on' : cdpState === 'degraded' || cdpState === 'discovering' ? 'warn' : 'off');
+        lblCdp.textContent = 'CDP: ' + cdpState.charAt(0).toUpperCase() + cdpState.slice(1);
+        document.getElementById('status-cdp').title = data.cdpStateReason || '';
         lblSess.textContent = data.sessionCount + ' session' + (data.sessionCount !== 1 ? 's' : '');
+        // One badge per machine: every Antigravity instance in the connection manager's registry
+        const endpoints = data.endpoints || [];
+        const live = endpoints.filter(ep => ep.alive).length;
+        document.getElementById('label-instances').textContent = live + ' instance' + (live !== 1 ? 's' : '');
+        document.getElementById('status-instances').title = endpoints.map(ep => ep.description).join('\\n') || 'No Antigravity instance found';
 
         btnToggle.className = 'btn btn-toggle ' + (data.isEnabled ? 'on' : 'off');
         btnToggle.textContent = data.isEnabled ? '⏹ Disable AutoAccept' : '⚡ Enable AutoAccept';
@@ -761,6 +1073,7 @@ class DashboardProvider {
         // Settings
         document.getElementById('chk-file-edits').checked = data.autoAcceptFileEdits;
         document.getElementById('chk-auto-retry').checked = data.autoRetryEnabled;
+        document.getElementById('chk-dry-run').checked = !!data.dryRun;
 
         // Pro license status
         const licInput = document.getElementById('input-license');
@@ -785,6 +1098,22 @@ class DashboardProvider {
         // Lists
         renderList('list-blocked', data.blockedCommands, 'removeBlocked');
         renderList('list-allowed', data.allowedCommands, 'removeAllowed');
+        renderList('list-review', data.reviewCommands || [], 'removeReview');
+        document.getElementById('review-timeout').textContent = data.reviewTimeoutSeconds;
+        document.getElementById('trust-patterns').innerHTML = (data.trustGrantCommands || []).map(p => '<code>' + escHtml(p) + '</code>').join(', ') || 'nothing (set <code>trustGrantCommands</code>)';
+        renderTrustGrants(data.trustGrants || []);
+        document.getElementById('chk-egress').checked = !!data.networkEgressEnabled;
+        renderList('list-egress', data.networkAllowedDomains || [], 'removeEgressDomain');
+        renderList('list-file-blocked', data.fileEditBlockedPaths || [], 'removeFileBlocked');
+        renderList('list-file-allowed', data.fileEditAllowedPaths || [], 'removeFileAllowed');
+        const maxLinesInput = document.getElementById('input-file-max-lines');
+        if (document.activeElement !== maxLinesInput) maxLinesInput.value = data.fileEditMaxLines || 0;
+        renderFilterErrors(data.filterErrors || []);
+        const policyNote = document.getElementById('workspace-policy-note');
+        policyNote.style.display = data.workspacePolicyPath ? 'block' : 'none';
+        policyNote.textContent = data.workspacePolicyPath
+            ? '\uD83D\uDCC4 Workspace policy active: ' + data.workspacePolicyPath + ' (merged over the lists below)'
+            : '';
     }
 
     let activityCount = 0;
@@ -792,7 +1121,7 @@ class DashboardProvider {
         const log = document.getElementById('activity-log');
         if (activityCount === 0) log.innerHTML = '';
         activityCount++;
-        const cls = data.type === 'blocked' ? 'blocked' : data.type === 'click' ? 'click' : '';
+        const cls = data.type === 'blocked' ? 'blocked' : data.type === 'click' ? 'click' : data.type === 'dryrun' ? 'dryrun' : data.type === 'breaker' ? 'breaker' : data.type === 'risk' ? 'risk' : data.type === 'schedule' ? 'schedule' : '';
         const entry = document.createElement('div');
         entry.className = 'activity-entry ' + cls;
         entry.innerHTML = '<span class="time">' + data.timestamp + '</span> ' + escHtml(data.message);
@@ -920,6 +1249,16 @@ class DashboardProvider {
         const msg = e.data;
         if (msg.type === 'state') { updateUI(msg.data); updateAnalytics(msg.data); }
         else if (msg.type === 'activity') addActivity(msg.data);
+        else if (msg.type === 'detectionReport') renderDetectionReport(msg.data);
+        else if (msg.type === 'filterError') {
+            renderFilterErrors([msg.message]);
+            setTimeout(() => renderFilterErrors(state.filterErrors || []), 6000);
+        }
+        else if (msg.type === 'egressError') {
+            const el = document.getElementById('egress-errors');
+            el.textContent = '\u26A0 ' + msg.message;
+            setTimeout(() => { el.textContent = ''; }, 6000);
+        }
         else if (msg.type === 'diagDump') {
             _pendingDiag = false;
             var btn = document.getElementById('btn-diag-dump');
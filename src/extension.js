@@ -8,10 +8,24 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { ConnectionManager } = require('./cdp/ConnectionManager');
+const { ConnectionManager, CM_EVENTS } = require('./cdp/ConnectionManager');
+const { parsePortList, describeEndpoint } = require('./cdp/CdpEndpoints');
 const { DashboardProvider } = require('./dashboard/DashboardProvider');
 const { pingTelemetry } = require('./telemetry');
 const { TelegramBridge } = require('./telegram/TelegramBridge');
+const { validatePattern } = require('./scripts/CommandParser');
+const { POLICY_FILE, parsePolicy, mergePolicy } = require('./policy/WorkspacePolicy');
+const { parseSchedule, isActive, describeNextTransition } = require('./policy/ActiveHours');
+const { AuditLog, toCsv, parseDay } = require('./audit/AuditLog');
+const { hasFileEditRules } = require('./scripts/FileEditRules');
+const { describeTrip } = require('./scripts/RateLimiter');
+const { describeBreakerEvent } = require('./scripts/RetryBreaker');
+const { getLocaleLabels } = require('./scripts/LocalePacks');
+const { RISK_CATEGORIES } = require('./scripts/RiskScorer');
+const { normalizeDomain } = require('./scripts/NetworkEgress');
+const { createGrant, describeGrant } = require('./scripts/TrustGrants');
+const { SELECTOR_FILE, SELECTOR_VERSION, parseSelectorFile, mergeSelectors } = require('./scripts/SelectorRegistry');
+const { scrubHtml, buildFixture } = require('./scripts/DomFixture');
 
 // ─── Persistent Memory Logger (survives OOM crash) ────────────────
 let _memLogTimer = null;
@@ -95,16 +109,78 @@ const MILESTONE_RANKS = {
 let cachedAutoAcceptFileEdits = true;
 let cachedBlockedCommands = [];
 let cachedAllowedCommands = [];
+let cachedReviewCommands = [];
 let cachedHasFilters = false;
 let cachedAutoRetryEnabled = true;
+let cachedFilterErrors = [];
+let cachedDryRun = false;
+let cachedFileEditRules = { blockedPaths: [], allowedPaths: [], maxLines: 0 };
+let cachedHasFileEditRules = false;
+let cachedRateLimits = { perMinute: {}, hourlyCap: 0 };
+let cachedRetryBreaker = { maxAttempts: 3, backoffMs: [0, 10000, 30000], cooldownMs: 300000 };
+let cachedRiskThreshold = 0;
+let cachedPathScope = { enabled: false, safeRoots: [], home: '' };
+let cachedSecretGuard = false;
+let cachedEgress = { enabled: false, allowedDomains: [] };
+let cachedLocale = null;
+let cachedLocaleLabels = {};
+let cachedSchedule = null;
+let cachedScheduleErrors = [];
+let cachedPortErrors = [];
+
+// Click budget trip that auto-paused this window (null = not budget-paused)
+let budgetPause = null;
+
+// Persistent click audit (global storage, shared by all windows) — created in activate()
+let auditLog = null;
+
+// Path of the user's selectors.json in global storage (set in activate())
+let selectorFilePath = null;
+
+// Parsed .antigravity/autoaccept-policy.json of this window's workspace (null = none)
+let workspacePolicy = null;
+let workspacePolicyPath = null;
 
 function refreshConfig() {
     const config = vscode.workspace.getConfiguration('autoAcceptV2');
-    const newFileEdits = config.get('autoAcceptFileEdits', true);
-    const newBlocked = config.get('blockedCommands', []);
-    const newAllowed = config.get('allowedCommands', []);
-    const newHasFilters = newBlocked.length > 0 || newAllowed.length > 0;
-    const newRetry = config.get('autoRetryEnabled', true);
+    const globals = {
+        blockedCommands: config.get('blockedCommands', []),
+        allowedCommands: config.get('allowedCommands', []),
+        reviewCommands: config.get('reviewCommands', []),
+        autoAcceptFileEdits: config.get('autoAcceptFileEdits', true),
+        autoRetryEnabled: config.get('autoRetryEnabled', true),
+        customButtonTexts: config.get('customButtonTexts', [])
+    };
+    // Channel 1 runs in THIS window, so it follows the merged workspace policy
+    const effective = mergePolicy(globals, workspacePolicy, { trusted: vscode.workspace.isTrusted });
+    if (effective.ignored.length) {
+        log(`[Policy] Untrusted workspace — ignoring loosening keys: ${effective.ignored.join(', ')}`);
+    }
+    const newFileEdits = effective.autoAcceptFileEdits;
+    const newBlocked = effective.blockedCommands;
+    const newAllowed = effective.allowedCommands;
+    const newReview = effective.reviewCommands;
+    const newHasFilters = newBlocked.length > 0 || newAllowed.length > 0 || newReview.length > 0;
+    const newRetry = effective.autoRetryEnabled;
+
+    // re:/glob: rules are compiled in the observer; a rule that doesn't compile never
+    // matches there, so surface it here instead of letting it fail silently.
+    const newFilterErrors = [...newBlocked, ...newAllowed, ...newReview].map(validatePattern).filter(Boolean);
+    if (newFilterErrors.join('\n') !== cachedFilterErrors.join('\n')) {
+        newFilterErrors.forEach(err => log(`[Config] ⚠ Invalid filter pattern ignored — ${err}`));
+    }
+    cachedFilterErrors = newFilterErrors;
+
+    // Dry run is a global switch (not part of the workspace policy): it exists to trial
+    // a rule set everywhere before letting it click anything.
+    const newDryRun = config.get('dryRun', false);
+    if (newDryRun !== cachedDryRun) {
+        log(newDryRun
+            ? `[DryRun] Shadow mode enabled — buttons are evaluated and logged, never clicked (Channel 1 suspended)`
+            : `[DryRun] Shadow mode disabled — auto-accept resumed`);
+        cachedDryRun = newDryRun;
+        updateStatusBar();
+    }
 
     // Log only on transitions
     if (newHasFilters !== cachedHasFilters) {
@@ -116,26 +192,397 @@ function refreshConfig() {
     cachedAutoAcceptFileEdits = newFileEdits;
     cachedBlockedCommands = newBlocked;
     cachedAllowedCommands = newAllowed;
+    cachedReviewCommands = newReview;
     cachedHasFilters = newHasFilters;
     cachedAutoRetryEnabled = newRetry;
-    log(`[Config] hasFilters=${cachedHasFilters}, blocked=[${newBlocked.join(',')}], fileEdits=${newFileEdits}, retry=${newRetry}`);
 
-    // Hot-reload: push updated config to live CDP sessions
+    // File-edit rules need the file name / diff stats next to the Accept button, which only
+    // Channel 2 can see — while any rule is set, Channel 1 stops accepting edits blindly.
+    const newFileRules = {
+        blockedPaths: config.get('fileEditBlockedPaths', []).filter(p => typeof p === 'string' && p.trim()),
+        allowedPaths: config.get('fileEditAllowedPaths', []).filter(p => typeof p === 'string' && p.trim()),
+        maxLines: Math.max(0, parseInt(config.get('fileEditMaxLines', 0), 10) || 0)
+    };
+    const newHasFileRules = hasFileEditRules(newFileRules);
+    if (newHasFileRules !== cachedHasFileEditRules) {
+        log(newHasFileRules
+            ? `[Config] File-edit rules active — file edits deferred to Channel 2`
+            : `[Config] File-edit rules removed — file edits restored to Channel 1`);
+    }
+    cachedFileEditRules = newFileRules;
+    cachedHasFileEditRules = newHasFileRules;
+
+    log(`[Config] hasFilters=${cachedHasFilters}, blocked=[${newBlocked.join(',')}], review=[${newReview.join(',')}], fileEdits=${newFileEdits}${newHasFileRules ? ` (rules: block=[${newFileRules.blockedPaths.join(',')}] allow=[${newFileRules.allowedPaths.join(',')}] maxLines=${newFileRules.maxLines})` : ''}, retry=${newRetry}${workspacePolicy ? ' (workspace policy)' : ''}`);
+
+    const perMinute = {};
+    const configuredRates = config.get('rateLimits', {}) || {};
+    for (const cat of ['run', 'accept', 'allow', 'recovery']) {
+        const n = parseInt(configuredRates[cat], 10);
+        perMinute[cat] = isNaN(n) || n < 0 ? 0 : n;
+    }
+    cachedRateLimits = { perMinute, hourlyCap: Math.max(0, parseInt(config.get('hourlyClickCap', 600), 10) || 0) };
+
+    const backoff = (config.get('retryBackoffSeconds', [0, 10, 30]) || [])
+        .map(n => parseFloat(n)).filter(n => !isNaN(n) && n >= 0).map(n => Math.round(n * 1000));
+    cachedRetryBreaker = {
+        maxAttempts: Math.max(1, parseInt(config.get('retryMaxAttempts', 3), 10) || 1),
+        backoffMs: backoff,
+        cooldownMs: Math.max(1, parseFloat(config.get('retryCooldownMinutes', 5)) || 5) * 60000
+    };
+
+    // A risk threshold needs the command text, which only Channel 2 can read
+    const newRiskThreshold = Math.min(100, Math.max(0, parseFloat(config.get('riskThreshold', 0)) || 0));
+    if (newRiskThreshold !== cachedRiskThreshold) {
+        log(newRiskThreshold
+            ? `[Config] Risk threshold ${newRiskThreshold} — commands scoring at or above it are held for review (terminal commands deferred to Channel 2)`
+            : `[Config] Risk threshold off — risk scores are logged only`);
+    }
+    cachedRiskThreshold = newRiskThreshold;
+
+    // Path scope: the guard needs the command text and the cwd shown next to it (Channel 2 only)
+    const newPathScope = {
+        enabled: config.get('pathScopeEnabled', false),
+        safeRoots: config.get('pathScopeSafeRoots', []).filter(p => typeof p === 'string' && p.trim()),
+        home: os.homedir()
+    };
+    if (newPathScope.enabled !== cachedPathScope.enabled) {
+        log(newPathScope.enabled
+            ? `[Config] Path scope on — commands outside ${workspaceRoots().join(', ') || '(no workspace folder)'}${newPathScope.safeRoots.length ? ` and ${newPathScope.safeRoots.join(', ')}` : ''} are not auto-run (terminal commands deferred to Channel 2)`
+            : `[Config] Path scope off`);
+    }
+    cachedPathScope = newPathScope;
+
+    // Secret guard: scans the command above Run and the diff next to Accept (Channel 2 only)
+    const newSecretGuard = config.get('secretGuardEnabled', false);
+    if (newSecretGuard !== cachedSecretGuard) {
+        log(newSecretGuard
+            ? `[Config] Secret guard on — commands and edits carrying keys or tokens are not auto-clicked (Channel 1 suspended)`
+            : `[Config] Secret guard off`);
+    }
+    cachedSecretGuard = newSecretGuard;
+
+    // Network egress: a rule category of the command verdict, so terminal commands go to Channel 2
+    const domainEntries = config.get('networkAllowedDomains', []).filter(d => typeof d === 'string' && d.trim());
+    const newEgress = { enabled: config.get('networkEgressEnabled', false), allowedDomains: domainEntries.map(normalizeDomain).filter(Boolean) };
+    if (newEgress.enabled !== cachedEgress.enabled) {
+        log(newEgress.enabled
+            ? `[Config] Network egress restricted to ${newEgress.allowedDomains.join(', ') || '(no domains — every network command is blocked)'} (terminal commands deferred to Channel 2)`
+            : `[Config] Network egress unrestricted`);
+    }
+    if (newEgress.allowedDomains.length !== domainEntries.length && JSON.stringify(newEgress) !== JSON.stringify(cachedEgress)) {
+        domainEntries.filter(d => !normalizeDomain(d)).forEach(d => log(`[Config] ⚠ Invalid network domain ignored — "${d}"`));
+    }
+    cachedEgress = newEgress;
+
+    // Active hours: a weekly schedule that turns auto-accept on and off (see checkSchedule)
+    const { schedule, errors: scheduleErrors } = parseSchedule(config.get('activeHours', []), String(config.get('activeHoursTimeZone', '') || '').trim());
+    if (scheduleErrors.join('\n') !== cachedScheduleErrors.join('\n')) {
+        scheduleErrors.forEach(err => log(`[Config] ⚠ Invalid active hours ignored — ${err}`));
+    }
+    cachedScheduleErrors = scheduleErrors;
+    if (JSON.stringify(schedule) !== JSON.stringify(cachedSchedule)) {
+        log(schedule
+            ? `[Schedule] Active hours: ${schedule.ranges.map(r => r.text).join(', ')} (${schedule.timeZone || 'local time'})`
+            : `[Schedule] Active hours off — AutoAccept follows the toggle only`);
+        cachedSchedule = schedule;
+        scheduleActive = null;
+        checkSchedule();
+        updateStatusBar();
+    }
+
+    // CDP endpoints: other Antigravity instances, each on its own debugging port
+    const { ports: endpointPorts, errors: portErrors } = parsePortList(config.get('cdpPorts', []));
+    if (portErrors.join('\n') !== cachedPortErrors.join('\n')) {
+        portErrors.forEach(err => log(`[Config] ⚠ Invalid CDP port ignored — ${err}`));
+    }
+    cachedPortErrors = portErrors;
+
+    const localeSetting = config.get('buttonLocale', 'auto');
+    const { locale, labels } = getLocaleLabels(localeSetting, vscode.env.language);
+    if (locale !== cachedLocale) {
+        log(locale
+            ? `[Config] Button locale: ${locale} labels added to English (${localeSetting === 'auto' ? `display language ${vscode.env.language}` : 'buttonLocale setting'})`
+            : `[Config] Button locale: English only`);
+    }
+    cachedLocale = locale;
+    cachedLocaleLabels = labels;
+
+    if (auditLog) {
+        auditLog.enabled = config.get('auditLogEnabled', true);
+        auditLog.maxBytes = Math.max(1, config.get('auditLogMaxSizeMB', 5)) * 1024 * 1024;
+        auditLog.maxFiles = Math.max(1, config.get('auditLogMaxFiles', 5));
+    }
+
+    // Hot-reload: push updated config to live CDP sessions.
+    // The baked observer carries the GLOBAL settings (this host injects into every window
+    // on the port); the workspace policy is pushed only to this workspace's sessions.
     if (connectionManager) {
-        connectionManager.setCommandFilters(newBlocked, newAllowed);
-        connectionManager.pushFilterUpdate(newBlocked, newAllowed);
-
-        // Re-inject observers when file edit or retry setting changes (keyword list is baked at inject time)
-        const needsReinject = connectionManager.autoAcceptFileEdits !== newFileEdits ||
-                              connectionManager.autoRetryEnabled !== newRetry;
-        connectionManager.autoAcceptFileEdits = newFileEdits;
-        connectionManager.autoRetryEnabled = newRetry;
+        connectionManager.setWorkspacePolicy(vscode.workspace.name, workspacePolicy ? effective : null);
+        const filters = { blocked: globals.blockedCommands, allowed: globals.allowedCommands, review: globals.reviewCommands };
+        connectionManager.setCommandFilters(filters);
+        connectionManager.pushFilterUpdate(filters);
+        connectionManager.setDryRun(cachedDryRun);
+        connectionManager.setFileEditRules(cachedFileEditRules);
+        connectionManager.setRateLimits(cachedRateLimits);
+        connectionManager.setRetryBreaker(cachedRetryBreaker);
+        connectionManager.setRiskThreshold(cachedRiskThreshold);
+        connectionManager.setPathScope(cachedPathScope);
+        connectionManager.setSecretGuard(cachedSecretGuard);
+        connectionManager.setEgressPolicy(cachedEgress);
+        connectionManager.setWorkspaceRoots(workspaceRoots());
+        connectionManager.setTargetDiscovery(config.get('targetDiscoveryEvents', true));
+        connectionManager.setEndpointPorts(endpointPorts, config.get('cdpPortScan', true));
+
+        // Re-inject observers when file edit, retry or locale setting changes (keyword list is baked at inject time)
+        const needsReinject = connectionManager.autoAcceptFileEdits !== globals.autoAcceptFileEdits ||
+                              connectionManager.autoRetryEnabled !== globals.autoRetryEnabled ||
+                              connectionManager.localeLabels !== cachedLocaleLabels;
+        connectionManager.autoAcceptFileEdits = globals.autoAcceptFileEdits;
+        connectionManager.autoRetryEnabled = globals.autoRetryEnabled;
+        connectionManager.localeLabels = cachedLocaleLabels;
         if (needsReinject) {
             connectionManager.reinjectAll();
         }
     }
 }
 
+/** Local workspace folders of this window (the path scope's roots) */
+function workspaceRoots() {
+    return (vscode.workspace.workspaceFolders || []).filter(f => f.uri.scheme === 'file').map(f => f.uri.fsPath);
+}
+
+/** Guards besides the command filters that must read the command text (or diff) before a click */
+function inspectsCommands() {
+    return cachedRiskThreshold > 0 || cachedPathScope.enabled || cachedSecretGuard || cachedEgress.enabled;
+}
+
+// ─── Review Holds ("ask me" verdict) ─────────────────────────────────
+// Keyed by targetId + command text: React re-renders can re-queue the same held
+// button under a new id — keep ONE prompt and resolve the latest id.
+const _pendingReviews = new Map();
+
+/**
+ * Shows an Approve/Deny notification for a held Run button. Approval clicks it
+ * via CDP; Deny, dismissal or the timeout all fall back to deny.
+ * @param {{ targetId: string, title: string, id: string, command: string, text: string, risk?: object }} req
+ */
+async function requestCommandReview(req) {
+    const key = `${req.targetId}|${req.command}`;
+    const existing = _pendingReviews.get(key);
+    if (existing) { existing.id = req.id; return; }
+    const entry = { id: req.id };
+    _pendingReviews.set(key, entry);
+
+    const timeoutSec = vscode.workspace.getConfiguration('autoAcceptV2').get('reviewTimeoutSeconds', 60);
+    const where = req.title ? ` in "${req.title}"` : '';
+    const risky = req.risk && req.risk.score > 0;
+    const riskNote = risky ? `risk ${req.risk.score}: ${req.risk.categories.map(c => `${RISK_CATEGORIES[c.id] || c.id} (${c.why})`).join('; ')}` : '';
+    log(`[Review] Holding ${req.text}${where}${risky ? ` [${riskNote}]` : ''}: ${req.command}`);
+
+    let timer = null;
+    const timeout = new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), timeoutSec * 1000); });
+    const prompt = vscode.window.showWarningMessage(
+        `AutoAccept — approve this command${where}? (auto-deny in ${timeoutSec}s)\n\n${req.command}${risky ? `\n\n⚠ ${riskNote}` : ''}`,
+        'Approve', 'Deny'
+    );
+    const choice = await Promise.race([prompt, timeout]);
+    clearTimeout(timer);
+    _pendingReviews.delete(key);
+    if (choice === 'timeout') {
+        // A notification can't be closed from code — a late Approve must not look like it worked
+        prompt.then(late => {
+            if (late !== 'Approve') return;
+            log(`[Review] Approve came after the ${timeoutSec}s timeout — command stays blocked: ${req.command}`);
+            vscode.window.showWarningMessage(`AutoAccept — that review expired after ${timeoutSec}s and the command was denied: ${req.command}`);
+        });
+    }
+
+    const approve = choice === 'Approve';
+    let result = 'no-session';
+    try {
+        if (connectionManager) result = await connectionManager.resolveReview(req.targetId, entry.id, approve);
+    } catch (e) { result = `error: ${e.message}`; }
+
+    if (approve) {
+        log(result.startsWith('clicked:')
+            ? `[Review] Approved — clicked ${req.text}: ${req.command}`
+            : `[Review] Approved but could not click (${result}): ${req.command}`);
+    } else {
+        const why = choice === 'timeout' ? `timed out after ${timeoutSec}s` : choice === 'Deny' ? 'denied' : 'dismissed';
+        log(`[Review] ${why} — command blocked: ${req.command}`);
+    }
+}
+
+/**
+ * Loads the workspace policy file from the first workspace folder that has one,
+ * then re-merges config. Invalid files are reported and treated as absent.
+ */
+async function loadWorkspacePolicy() {
+    let found = null;
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+        const uri = vscode.Uri.joinPath(folder.uri, POLICY_FILE);
+        try {
+            const bytes = await vscode.workspace.fs.readFile(uri);
+            found = { path: uri.fsPath, text: Buffer.from(bytes).toString('utf8') };
+            break;
+        } catch (e) { /* no policy in this folder */ }
+    }
+
+    let next = null;
+    if (found) {
+        const { policy, errors, warnings } = parsePolicy(found.text);
+        errors.forEach(err => log(`[Policy] ⚠ ${found.path}: ${err} — policy not applied`));
+        warnings.forEach(w => log(`[Policy] ⚠ ${found.path}: ${w}`));
+        next = policy;
+        if (policy) log(`[Policy] Loaded ${found.path} (keys: ${Object.keys(policy).filter(k => k !== 'version').join(', ') || 'none'})`);
+    } else if (workspacePolicy) {
+        log('[Policy] Workspace policy removed — using global settings');
+    }
+
+    workspacePolicy = next;
+    workspacePolicyPath = next ? found.path : null;
+    refreshConfig();
+    if (dashboardProvider) dashboardProvider.refresh();
+}
+
+// ─── Selector Registry ────────────────────────────────────────────────
+/**
+ * Reads selectors.json from global storage and pushes the merged registry to the
+ * observers. A missing or invalid file means built-in selectors only.
+ */
+async function loadSelectorRegistry() {
+    let file = null;
+    let text = null;
+    try { text = await fs.promises.readFile(selectorFilePath, 'utf8'); } catch (e) { /* no user selectors */ }
+    if (text !== null) {
+        const parsed = parseSelectorFile(text);
+        parsed.errors.forEach(err => log(`[Selectors] ⚠ ${selectorFilePath}: ${err} — using built-in selectors`));
+        parsed.warnings.forEach(w => log(`[Selectors] ⚠ ${selectorFilePath}: ${w}`));
+        file = parsed.file;
+        if (file) log(`[Selectors] Loaded ${selectorFilePath} (${Object.keys(file.selectors).join(', ') || 'no actions'}${file.replaceDefaults ? ', replacing built-ins' : ''})`);
+    }
+    if (connectionManager) connectionManager.setSelectors(mergeSelectors(file));
+}
+
+/** @returns {vscode.Disposable} */
+function watchSelectorRegistry(context) {
+    let debounce = null;
+    const reload = () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => loadSelectorRegistry().catch(e => log(`[Selectors] Load failed: ${e.message}`)), 300);
+    };
+    const w = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(context.globalStorageUri, SELECTOR_FILE));
+    w.onDidCreate(reload); w.onDidChange(reload); w.onDidDelete(reload);
+    return new vscode.Disposable(() => { clearTimeout(debounce); w.dispose(); });
+}
+
+/** Opens selectors.json, creating a no-op template (one empty list per action) first. */
+async function editSelectorFile() {
+    if (!fs.existsSync(selectorFilePath)) {
+        const template = { version: SELECTOR_VERSION, replaceDefaults: false, selectors: {} };
+        for (const action of Object.keys(mergeSelectors(null))) template.selectors[action] = [];
+        await fs.promises.mkdir(path.dirname(selectorFilePath), { recursive: true });
+        await fs.promises.writeFile(selectorFilePath, JSON.stringify(template, null, 2) + '\n', 'utf8');
+    }
+    const doc = await vscode.workspace.openTextDocument(selectorFilePath);
+    await vscode.window.showTextDocument(doc);
+}
+
+// ─── Detection Health Check ───────────────────────────────────────────
+/**
+ * Runs a non-clicking detection pass in every CDP session, logs a one-line summary
+ * per window and shows the full report in the dashboard.
+ */
+async function diagnoseDetection() {
+    if (!connectionManager || connectionManager.sessions.size === 0) {
+        vscode.window.showWarningMessage('AutoAccept: no CDP sessions to check — is AntiGravity running with the debug port enabled?');
+        if (dashboardProvider) dashboardProvider.showDetectionReport({ time: Date.now(), results: [] });
+        return;
+    }
+    const results = await connectionManager.diagnoseDetection();
+    for (const r of results) {
+        const name = r.title ? `"${r.title}"` : r.targetId.substring(0, 6);
+        if (r.error) { log(`[Diagnose] ${name}: ${r.error}`); continue; }
+        const reasons = {};
+        r.report.rejected.forEach(x => { reasons[x.reason] = (reasons[x.reason] || 0) + 1; });
+        const rejectedSummary = Object.keys(reasons).map(k => `${k} ×${reasons[k]}`).join(', ');
+        log(`[Diagnose] ${name}: ${r.report.found.length} clickable (${r.report.found.map(x => x.text).join(', ') || 'none'}), ${r.report.rejected.length} rejected${rejectedSummary ? ` (${rejectedSummary})` : ''}`);
+    }
+    if (dashboardProvider) dashboardProvider.showDetectionReport({ time: Date.now(), results });
+}
+
+// ─── DOM Fixture Recorder ─────────────────────────────────────────────
+/**
+ * Snapshots one window's agent panel as a regression fixture for test/dom-fixtures.test.js:
+ * the element the observer would click is tagged, code text is scrubbed, and the file is
+ * saved (by default) to test/fixtures/dom/ in the open workspace.
+ */
+async function recordDomFixture() {
+    if (!connectionManager || connectionManager.sessions.size === 0) {
+        vscode.window.showWarningMessage('AutoAccept: no CDP sessions to record — is AntiGravity running with the debug port enabled?');
+        return;
+    }
+    const picks = [...connectionManager.sessions].map(([targetId, info]) => ({
+        label: info.title || targetId.substring(0, 6), description: targetId.substring(0, 8), targetId
+    }));
+    const pick = picks.length === 1 ? picks[0] : await vscode.window.showQuickPick(picks, {
+        title: 'Record DOM fixture', placeHolder: 'Window whose agent panel shows the button to capture'
+    });
+    if (!pick) return;
+
+    const snap = await connectionManager.captureDomSnapshot(pick.targetId);
+    const fixture = buildFixture(scrubHtml(snap.html), {
+        recorded: new Date().toISOString(), app: vscode.env.appName, appVersion: vscode.version,
+        locale: cachedLocale, texts: snap.texts, expect: snap.expect
+    });
+
+    const stamp = new Date().toISOString().replace(/[:T]/g, '-').replace(/\..*$/, '');
+    const defaultDir = vscode.workspace.workspaceFolders
+        ? vscode.Uri.joinPath(vscode.workspace.workspaceFolders[0].uri, 'test', 'fixtures', 'dom')
+        : vscode.Uri.file(os.homedir());
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.joinPath(defaultDir, `antigravity-${vscode.version}-${stamp}.html`),
+        filters: { 'HTML': ['html'] }
+    });
+    if (!target) return;
+    await fs.promises.mkdir(path.dirname(target.fsPath), { recursive: true });
+    await fs.promises.writeFile(target.fsPath, fixture, 'utf8');
+
+    const expects = snap.expect ? `"${snap.expect.text}" via ${snap.expect.via} at ${snap.expect.path}` : 'no click';
+    log(`[Fixture] Saved ${Math.round(fixture.length / 1024)}KB from "${pick.label}" (expects ${expects}) to ${target.fsPath}`);
+    const choice = await vscode.window.showInformationMessage(`AutoAccept: DOM fixture saved — expects ${expects}. Review it before committing.`, 'Open');
+    if (choice === 'Open') vscode.commands.executeCommand('vscode.open', target);
+}
+
+/**
+ * Watches `.antigravity/autoaccept-policy.json` in every workspace folder.
+ * @returns {vscode.Disposable}
+ */
+function watchWorkspacePolicy() {
+    let watchers = [];
+    let debounce = null;
+    const reload = () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => loadWorkspacePolicy().catch(e => log(`[Policy] Load failed: ${e.message}`)), 300);
+    };
+    const rewatch = () => {
+        watchers.forEach(w => w.dispose());
+        watchers = (vscode.workspace.workspaceFolders || []).map(folder => {
+            const w = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(folder, POLICY_FILE));
+            w.onDidCreate(reload); w.onDidChange(reload); w.onDidDelete(reload);
+            return w;
+        });
+    };
+    rewatch();
+    const folderSub = vscode.workspace.onDidChangeWorkspaceFolders(() => { rewatch(); reload(); });
+    const trustSub = vscode.workspace.onDidGrantWorkspaceTrust(() => refreshConfig());
+    return new vscode.Disposable(() => {
+        clearTimeout(debounce);
+        watchers.forEach(w => w.dispose());
+        folderSub.dispose(); trustSub.dispose();
+    });
+}
+
 /**
  * Builds the command list from cached config (no I/O per tick).
  * When command filters are active, Channel 1 is FULLY disabled.
@@ -144,13 +591,15 @@ function refreshConfig() {
  */
 function getActiveCommands() {
     // Filters active → disable Channel 1 entirely. Channel 2 handles everything.
-    if (cachedHasFilters) {
+    // Dry run → same: Channel 1 accepts blindly, so it has nothing to "shadow".
+    // Risk threshold / path scope / secret guard / egress → same: a command can't be judged without reading it.
+    if (cachedHasFilters || cachedDryRun || inspectsCommands()) {
         return [];
     }
 
     let commands = [...ALL_ACCEPT_COMMANDS];
 
-    if (!cachedAutoAcceptFileEdits) {
+    if (!cachedAutoAcceptFileEdits || cachedHasFileEditRules) {
         // Fix #45: Remove BOTH the specific and generic acceptors.
         // antigravity.command.accept is Antigravity's generic "accept whatever is pending"
         // and will accept file edits through the backdoor if left in.
@@ -164,6 +613,7 @@ function getActiveCommands() {
 }
 
 let isEnabled = false;
+let extensionContext = null;
 let pollIntervalId = null;
 let statusBarItem = null;
 let outputChannel = null;
@@ -417,7 +867,11 @@ function log(msg) {
     }
     // Push to dashboard activity log
     if (dashboardProvider) {
-        const type = msg.includes('blocked') || msg.includes('BLOCK') ? 'blocked'
+        const type = msg.startsWith('[DryRun]') ? 'dryrun'
+            : msg.startsWith('[Breaker]') ? 'breaker'
+            : msg.startsWith('[Risk]') ? 'risk'
+            : msg.startsWith('[Schedule]') ? 'schedule'
+            : msg.includes('blocked') || msg.includes('BLOCK') ? 'blocked'
             : msg.includes('clicked') || msg.includes('CLICK') ? 'click' : 'info';
         dashboardProvider.pushActivity(msg, type);
     }
@@ -425,18 +879,261 @@ function log(msg) {
 
 function updateStatusBar() {
     if (!statusBarItem) return;
-    if (isEnabled) {
-        statusBarItem.text = '$(zap) Auto: ON';
+    if (!isEnabled && budgetPause) {
+        statusBarItem.text = '$(warning) Auto: PAUSED (loop?)';
+        statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+        statusBarItem.tooltip = `AntiGravity AutoAccept auto-paused: ${describeTrip(budgetPause)} — click to reset the budget and resume`;
+    } else if (isEnabled && cachedDryRun) {
+        statusBarItem.text = '$(beaker) Auto: DRY RUN';
+        statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+        statusBarItem.tooltip = 'AntiGravity AutoAccept is in DRY RUN — buttons are logged, not clicked. Click to disable';
+    } else if (isEnabled) {
+        const grants = connectionManager ? connectionManager.trustGrants : [];
+        const cdpState = connectionManager ? connectionManager.state : 'disconnected';
+        // Channel 1 keeps clicking without CDP, so this is a marker rather than another state
+        const cdpIcon = { connected: '', degraded: ' $(warning)', discovering: ' $(sync~spin)' }[cdpState] ?? ' $(debug-disconnect)';
+        statusBarItem.text = '$(zap) Auto: ON' + cdpIcon;
         statusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
-        statusBarItem.tooltip = 'AntiGravity AutoAccept is ACTIVE — click to disable';
+        statusBarItem.tooltip = 'AntiGravity AutoAccept is ACTIVE — click to disable' + grants.map(g => `\nTrusted: ${describeGrant(g)}`).join('');
     } else {
         statusBarItem.text = '$(circle-slash) Auto: OFF';
         statusBarItem.backgroundColor = undefined;
         statusBarItem.tooltip = 'AntiGravity AutoAccept is OFF — click to enable';
     }
+    if (cachedSchedule) statusBarItem.tooltip += `\nSchedule: ${describeNextTransition(cachedSchedule)}`;
+    if (connectionManager) statusBarItem.tooltip += `\nCDP: ${connectionManager.state}${connectionManager.stateReason ? ` — ${connectionManager.stateReason}` : ''}`;
+}
+
+/**
+ * Turns auto-accept on or off — the toggle command and the active-hours schedule both
+ * go through here, so Channel 1 polling and the CDP pause follow the same path.
+ */
+function setEnabled(on) {
+    isEnabled = on;
+    if (isEnabled && connectionManager && connectionManager.budgetTrip) {
+        // Turning it back on after a budget trip is the user's "resume"
+        budgetPause = null;
+        connectionManager.resetBudget().then(() => { if (isEnabled) startPolling(); });
+    } else if (isEnabled) { startPolling(); } else { stopPolling(); }
+    updateStatusBar();
+    if (dashboardProvider) dashboardProvider.refresh();
+    if (extensionContext) extensionContext.globalState.update('autoAcceptV2Enabled', isEnabled);
+}
+
+// ─── Active Hours ─────────────────────────────────────────────────────
+// The schedule acts on transitions only: a manual toggle in between holds until the
+// next boundary. A budget trip is never resumed by the schedule — that stays a human call.
+let scheduleTimer = null;
+let scheduleActive = null; // last evaluation (null = apply on the next check)
+
+function startSchedule() {
+    if (scheduleTimer) return;
+    scheduleTimer = setInterval(checkSchedule, 30000);
+    checkSchedule();
+}
+
+function checkSchedule() {
+    if (!scheduleTimer || !cachedSchedule) return;
+    const active = isActive(cachedSchedule);
+    if (active === scheduleActive) return;
+    const first = scheduleActive === null;
+    scheduleActive = active;
+    const next = describeNextTransition(cachedSchedule);
+    if (active && (budgetPause || (connectionManager && connectionManager.budgetTrip))) {
+        log(`[Schedule] ${first ? 'Inside' : 'Entering'} active hours — staying paused until the click budget is reset (${next})`);
+        return;
+    }
+    log(`[Schedule] ${first ? (active ? 'Inside' : 'Outside') : (active ? 'Entering' : 'Leaving')} active hours — AutoAccept ${active ? 'ON' : 'OFF'} (${next})`);
+    if (active !== isEnabled) setEnabled(active);
+    else updateStatusBar();
+}
+
+// ─── Click Budget ─────────────────────────────────────────────────────
+// Not persisted: after a reload the pages still carry the trip flag, so the first
+// heartbeat pauses again until someone resets the budget.
+function pauseForBudget(trip) {
+    if (!isEnabled) return;
+    budgetPause = trip;
+    isEnabled = false;
+    stopPolling();
+    updateStatusBar();
+    if (dashboardProvider) dashboardProvider.refresh();
+    vscode.window.showWarningMessage(
+        `AntiGravity AutoAccept paused itself: ${describeTrip(trip)}. An agent may be stuck in a loop.`,
+        'Resume', 'Open Dashboard'
+    ).then(choice => {
+        if (choice === 'Resume') resumeFromBudget().catch(e => log(`[RateLimit] Resume failed: ${e.message}`));
+        else if (choice === 'Open Dashboard') vscode.commands.executeCommand('autoAcceptV2.dashboard');
+    });
+}
+
+async function resumeFromBudget() {
+    budgetPause = null;
+    // Reset BEFORE unpausing — the re-inject keeps pages paused while their trip flag is set
+    if (connectionManager) await connectionManager.resetBudget();
+    if (!isEnabled) { isEnabled = true; startPolling(); }
+    log('[RateLimit] Resumed with a fresh click budget');
+    updateStatusBar();
+    if (dashboardProvider) dashboardProvider.refresh();
+}
+
+// ─── Retry Breaker ────────────────────────────────────────────────────
+// Only trips are worth a popup; half-open probes and recoveries go to the log/feed.
+function onRetryBreakerEvent(ev) {
+    if (ev.type !== 'open' && ev.type !== 'reopen') return;
+    const where = ev.title ? ` in "${ev.title}"` : '';
+    vscode.window.showWarningMessage(
+        `AntiGravity AutoAccept: the agent${where} keeps failing — ${describeBreakerEvent(ev)}.`,
+        'Open Dashboard'
+    ).then(choice => {
+        if (choice === 'Open Dashboard') vscode.commands.executeCommand('autoAcceptV2.dashboard');
+    });
+}
+
+// ─── Secret Guard ─────────────────────────────────────────────────────
+// The held button keeps its label, so the warning only has to say why it wasn't clicked.
+function onSecretHeld(ev) {
+    const where = ev.title ? ` in "${ev.title}"` : '';
+    const what = ev.text && ev.text.indexOf('accept') === 0 ? 'a file edit' : 'a command';
+    vscode.window.showWarningMessage(
+        `AntiGravity AutoAccept did not click "${ev.text}"${where}: ${what} looks like it leaks a secret — ${ev.description}. Review it before clicking.`,
+        'Show Log'
+    ).then(choice => {
+        if (choice === 'Show Log' && outputChannel) outputChannel.show(true);
+    });
+}
+
+// ─── Conversation Trust ───────────────────────────────────────────────
+const TRUST_LIMITS = [
+    { label: '15 minutes', minutes: 15 }, { label: '1 hour', minutes: 60 }, { label: '4 hours', minutes: 240 },
+    { label: '5 clicks', clicks: 5 }, { label: '20 clicks', clicks: 20 }
+];
+
+function _splitPatterns(text) {
+    return String(text || '').split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Trusts the focused conversation for N minutes or N clicks: its commands matching the
+ * grant's patterns skip review holds (never the blocklist). The limit and patterns are
+ * asked for unless passed in — the dashboard passes the limit.
+ * @param {{ minutes?: number, clicks?: number, allow?: string[] }} [opts]
+ */
+async function trustConversation(opts = {}) {
+    if (!connectionManager || connectionManager.sessions.size === 0) {
+        vscode.window.showWarningMessage('AutoAccept: no CDP sessions — is AntiGravity running with the debug port enabled?');
+        return;
+    }
+    const found = await connectionManager.probeConversations();
+    const titles = [...new Set(found.map(c => c.title))];
+    const focused = found.find(c => c.focused);
+    let title = focused ? focused.title : titles.length === 1 ? titles[0] : null;
+    if (!title) {
+        if (!titles.length) {
+            vscode.window.showWarningMessage('AutoAccept: no open conversation found to trust.');
+            return;
+        }
+        title = await vscode.window.showQuickPick(titles, { title: 'Trust conversation', placeHolder: 'No AntiGravity window has focus — which conversation?' });
+        if (!title) return;
+    }
+
+    let { minutes, clicks, allow } = opts;
+    if (!minutes && !clicks) {
+        const limit = await vscode.window.showQuickPick(TRUST_LIMITS, { title: `Trust "${title}" for…` });
+        if (!limit) return;
+        ({ minutes, clicks } = limit);
+    }
+    if (!allow) {
+        const defaults = vscode.workspace.getConfiguration('autoAcceptV2').get('trustGrantCommands', ['git push']);
+        const input = await vscode.window.showInputBox({
+            title: `Trust "${title}"`,
+            prompt: 'Commands to run without review, comma-separated (same patterns as reviewCommands)',
+            value: defaults.join(', '),
+            validateInput: v => _splitPatterns(v).length ? (_splitPatterns(v).map(validatePattern).find(Boolean) || null) : 'Enter at least one pattern'
+        });
+        if (input === undefined) return;
+        allow = _splitPatterns(input);
+    }
+
+    const invalid = allow.map(validatePattern).find(Boolean);
+    const { grant, error } = invalid ? { error: invalid } : createGrant({ title, minutes, clicks, allow });
+    if (error) {
+        log(`[Trust] ⚠ Grant refused — ${error}`);
+        vscode.window.showErrorMessage(`AutoAccept: cannot trust "${title}" — ${error}`);
+        return;
+    }
+    await connectionManager.grantTrust(grant);
+    vscode.window.showInformationMessage(`AntiGravity AutoAccept: trusting ${describeGrant(grant)}.`);
+}
+
+/** @param {string} [id] - grant to revoke; asks when omitted */
+async function revokeTrust(id) {
+    const grants = connectionManager ? connectionManager.trustGrants : [];
+    if (!id) {
+        if (!grants.length) { vscode.window.showInformationMessage('AutoAccept: no conversation is trusted.'); return; }
+        const pick = await vscode.window.showQuickPick(grants.map(g => ({ label: g.title, description: describeGrant(g), id: g.id })), { title: 'Revoke conversation trust' });
+        if (!pick) return;
+        id = pick.id;
+    }
+    await connectionManager.revokeTrust(id);
+}
+
+// ─── Audit Export ─────────────────────────────────────────────────────
+function _isoDay(ms) {
+    const d = new Date(ms);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Asks for a date range (local days, inclusive) and writes the matching audit
+ * records from every rotation as CSV to a user-chosen file.
+ */
+async function exportAuditLog() {
+    if (!auditLog) return;
+    const validate = (v) => parseDay(v) === null ? 'Use YYYY-MM-DD' : null;
+    const from = await vscode.window.showInputBox({
+        title: 'Export AutoAccept audit log (1/2)', prompt: 'From date (inclusive)',
+        value: _isoDay(Date.now() - 7 * 86400000), validateInput: validate
+    });
+    if (from === undefined) return;
+    const to = await vscode.window.showInputBox({
+        title: 'Export AutoAccept audit log (2/2)', prompt: 'To date (inclusive)',
+        value: _isoDay(Date.now()),
+        validateInput: (v) => validate(v) || (parseDay(v, true) < parseDay(from) ? 'Must not be before the from date' : null)
+    });
+    if (to === undefined) return;
+
+    const records = auditLog.query(parseDay(from), parseDay(to, true));
+    const defaultDir = vscode.workspace.workspaceFolders ? vscode.workspace.workspaceFolders[0].uri : vscode.Uri.file(os.homedir());
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.joinPath(defaultDir, `autoaccept-audit_${from.trim()}_${to.trim()}.csv`),
+        filters: { 'CSV': ['csv'] }
+    });
+    if (!target) return;
+    await fs.promises.writeFile(target.fsPath, toCsv(records), 'utf8');
+    log(`[Audit] Exported ${records.length} records (${from.trim()} → ${to.trim()}) to ${target.fsPath}`);
+    const choice = await vscode.window.showInformationMessage(`AutoAccept: exported ${records.length} audit records.`, 'Open');
+    if (choice === 'Open') vscode.commands.executeCommand('vscode.open', target);
 }
 
 // ─── VS Code Command Polling ──────────────────────────────────────────
+
+// Channel 1 fires its accept commands blindly every tick and can't tell whether anything
+// was pending, so the audit records when a command set starts/stops being dispatched
+// rather than one line per tick.
+let _auditedDispatch = '';
+function auditChannel1(cmds) {
+    const key = cmds.join(' ');
+    if (key === _auditedDispatch) return;
+    const previous = _auditedDispatch;
+    _auditedDispatch = key;
+    if (!auditLog) return;
+    auditLog.append({
+        channel: 'command', verdict: 'unfiltered', workspace: vscode.workspace.name || null,
+        text: key ? 'dispatch-start' : 'dispatch-stop', command: key || previous
+    });
+}
+
 function startPolling() {
     if (pollIntervalId) return;
 
@@ -461,8 +1158,13 @@ function startPolling() {
         // acceptor that handles the Run button in the agent chat UI.
         const isCdpActive = connectionManager && connectionManager.sessions.size > 0;
         if (isCdpActive) {
-            if (isEnabled && !cachedHasFilters && !(connectionManager && connectionManager.isPaused)) {
-                Promise.allSettled(TERMINAL_COMMANDS.map(cmd => vscode.commands.executeCommand(cmd))).catch(() => {});
+            if (isEnabled && !cachedHasFilters && !cachedDryRun && !inspectsCommands() && !(connectionManager && connectionManager.isPaused)) {
+                // The generic acceptor also takes pending file edits — not while file-edit rules apply
+                const terminalCmds = cachedHasFileEditRules ? TERMINAL_COMMANDS.filter(c => c !== 'antigravity.command.accept') : TERMINAL_COMMANDS;
+                auditChannel1(terminalCmds);
+                Promise.allSettled(terminalCmds.map(cmd => vscode.commands.executeCommand(cmd))).catch(() => {});
+            } else {
+                auditChannel1([]);
             }
             pollIntervalId = setTimeout(pollCycle, interval);
             return;
@@ -472,6 +1174,7 @@ function startPolling() {
         try {
             // Re-read active commands each cycle so config changes take effect live.
             const cmds = getActiveCommands();
+            auditChannel1(cmds);
             let timerId;
             const timeoutPromise = new Promise(resolve => { timerId = setTimeout(resolve, 3000); });
             const commandsPromise = Promise.allSettled(
@@ -522,6 +1225,7 @@ function startPolling() {
 
 function stopPolling() {
     if (pollIntervalId) { clearTimeout(pollIntervalId); pollIntervalId = null; }
+    auditChannel1([]);
     if (connectionManager && connectionManager.isRunning) {
         connectionManager.pause(); // Soft toggle — keep WS alive
     }
@@ -877,6 +1581,7 @@ function decodeVarintLight(buffer, offset) {
 
 // ─── Activation ───────────────────────────────────────────────────────
 function activate(context) {
+    extensionContext = context;
     outputChannel = vscode.window.createOutputChannel('AntiGravity AutoAccept');
     const { version } = require('../package.json');
     log(`Extension activating (v${version})`);
@@ -886,6 +1591,8 @@ function activate(context) {
     // Telemetry: anonymous activation ping (fire-and-forget)
     pingTelemetry('activate', context, log);
 
+    auditLog = new AuditLog(path.join(context.globalStorageUri.fsPath, 'audit'), { log });
+
     // Idle guard for Swarm: track user interactions to prevent focus theft.
     // IMPORTANT: typing in webviews (agent chat input) does NOT fire any of these.
     // We track as many signals as possible and use a generous idle threshold (15s)
@@ -909,10 +1616,36 @@ function activate(context) {
     // before the pause state is restored at line ~853.
     connectionManager.swarmPaused = context.globalState.get('aa_swarm_paused', true);
 
-    // Refresh dashboard when CDP status changes (connect/disconnect)
-    connectionManager.onStatusChange = () => {
+    // Real clicks go to the audit log; a secret hold warns at once
+    connectionManager.on(CM_EVENTS.CLICK, (entry) => { if (auditLog) auditLog.append(entry); });
+    connectionManager.on(CM_EVENTS.BLOCKED, (ev) => { if (ev.kind === 'secret-held') onSecretHeld(ev); });
+    connectionManager.on(CM_EVENTS.BREAKER, (ev) => onRetryBreakerEvent(ev));
+    connectionManager.on(CM_EVENTS.BUDGET_EXCEEDED, (trip) => pauseForBudget(trip));
+    connectionManager.on(CM_EVENTS.BUDGET_CLEARED, () => {
+        if (!budgetPause) return;
+        budgetPause = null;
+        isEnabled = true;
+        startPolling();
+        updateStatusBar();
         if (dashboardProvider) dashboardProvider.refresh();
-    };
+    });
+    connectionManager.on(CM_EVENTS.TRUST_CHANGED, () => {
+        updateStatusBar();
+        if (dashboardProvider) dashboardProvider.refresh();
+    });
+    connectionManager.on(CM_EVENTS.REVIEW_REQUESTED, (req) => {
+        requestCommandReview(req).catch(e => log(`[Review] Prompt failed: ${e.message}`));
+    });
+
+    // Status bar + dashboard follow the connection state machine; session and endpoint
+    // changes only move the dashboard's counts
+    connectionManager.on(CM_EVENTS.STATE_CHANGED, () => {
+        updateStatusBar();
+        if (dashboardProvider) dashboardProvider.refresh();
+    });
+    for (const event of [CM_EVENTS.SESSION_ADDED, CM_EVENTS.SESSION_REMOVED, CM_EVENTS.PORT_CHANGED]) {
+        connectionManager.on(event, () => { if (dashboardProvider) dashboardProvider.refresh(); });
+    }
 
     // Date initialization uses a session flag to avoid repeated globalState reads.
     // Cannot use prevTotal===0 guard — legacy users upgrading have clicks but no date.
@@ -980,8 +1713,14 @@ function activate(context) {
         'autoAcceptLastToastDate', 'autoAcceptSponsorClicks'
     ]);
 
-    // Initialize cached config state
+    // Initialize cached config state, then layer the workspace policy file on top
     refreshConfig();
+    loadWorkspacePolicy().catch(e => log(`[Policy] Load failed: ${e.message}`));
+    context.subscriptions.push(watchWorkspacePolicy());
+
+    selectorFilePath = path.join(context.globalStorageUri.fsPath, SELECTOR_FILE);
+    loadSelectorRegistry().catch(e => log(`[Selectors] Load failed: ${e.message}`));
+    context.subscriptions.push(watchSelectorRegistry(context));
 
     // Attempt Swarm Mode activation (Pro license check)
     activateSwarmMode(context);
@@ -1039,8 +1778,15 @@ function activate(context) {
         const nextM = MILESTONES.find(m => m > totalClicks);
         return {
             isEnabled,
-            cdpConnected: connectionManager ? !!connectionManager.ws : false,
+            cdpConnected: connectionManager ? ['connected', 'degraded', 'paused'].includes(connectionManager.state) : false,
+            cdpState: connectionManager ? connectionManager.state : 'disconnected',
+            cdpStateReason: connectionManager ? connectionManager.stateReason : '',
             sessionCount: connectionManager ? connectionManager.sessions.size : 0,
+            endpoints: connectionManager ? connectionManager.getEndpoints().map(ep => ({ ...ep, description: describeEndpoint(ep) })) : [],
+            filterErrors: cachedFilterErrors,
+            dryRun: cachedDryRun,
+            workspacePolicyPath,
+            trustGrants: connectionManager ? connectionManager.trustGrants.map(g => ({ id: g.id, title: g.title, description: describeGrant(g) })) : [],
             totalClicks,
             timeSavedMinutes: Math.round((totalClicks * SECONDS_SAVED_PER_CLICK) / 60),
             firstClickDate: context.globalState.get('autoAcceptFirstClickDate', null),
@@ -1061,15 +1807,15 @@ function activate(context) {
         for (const [targetId, info] of connectionManager.sessions) {
             try {
                 const check = await connectionManager._workerEval(info.wsUrl,
-                    '(() => { const d = window.__AA_DIAG || []; return { diagCount: d.length, diag: d.slice(-20), clickCount: window.__AA_CLICK_COUNT || 0, observerActive: !!window.__AA_OBSERVER_ACTIVE, paused: !!window.__AA_PAUSED, hasFilters: !!window.__AA_HAS_FILTERS, blocked: (window.__AA_BLOCKED || []).length, allowed: (window.__AA_ALLOWED || []).length }; })()'
+                    '(() => { const d = window.__AA_DIAG || []; return { diagCount: d.length, diag: d.slice(-20), clickCount: window.__AA_CLICK_COUNT || 0, reporter: typeof window.__AA_PRIMARY_REPORTER === "function" ? window.__AA_PRIMARY_REPORTER() : null, observerActive: !!window.__AA_OBSERVER_ACTIVE, paused: !!window.__AA_PAUSED, hasFilters: !!window.__AA_HAS_FILTERS, blocked: (window.__AA_BLOCKED || []).length, allowed: (window.__AA_ALLOWED || []).length }; })()'
                 );
                 const val = check.result?.result?.value;
-                results[targetId.substring(0, 6)] = val || { error: 'empty response' };
+                results[targetId.substring(0, 6)] = val ? { port: info.port, instance: info.instance, ...val } : { error: 'empty response' };
             } catch (e) {
                 results[targetId.substring(0, 6)] = { error: e.message };
             }
         }
-        return { sessions: connectionManager.sessions.size, data: results };
+        return { sessions: connectionManager.sessions.size, endpoints: connectionManager.getEndpoints(), data: results };
     };
 
     context.subscriptions.push(
@@ -1085,6 +1831,54 @@ function activate(context) {
         })
     );
 
+    context.subscriptions.push(
+        vscode.commands.registerCommand('autoAcceptV2.exportAuditLog', () => {
+            exportAuditLog().catch(e => {
+                log(`[Audit] Export failed: ${e.message}`);
+                vscode.window.showErrorMessage(`AutoAccept: audit export failed — ${e.message}`);
+            });
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('autoAcceptV2.diagnoseDetection', () => {
+            diagnoseDetection().catch(e => {
+                log(`[Diagnose] Failed: ${e.message}`);
+                vscode.window.showErrorMessage(`AutoAccept: detection check failed — ${e.message}`);
+            });
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('autoAcceptV2.recordDomFixture', () => {
+            recordDomFixture().catch(e => {
+                log(`[Fixture] Recording failed: ${e.message}`);
+                vscode.window.showErrorMessage(`AutoAccept: DOM fixture recording failed — ${e.message}`);
+            });
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('autoAcceptV2.trustConversation', (opts) => {
+            trustConversation(opts).catch(e => {
+                log(`[Trust] Grant failed: ${e.message}`);
+                vscode.window.showErrorMessage(`AutoAccept: could not trust the conversation — ${e.message}`);
+            });
+        }),
+        vscode.commands.registerCommand('autoAcceptV2.revokeTrust', (id) => {
+            revokeTrust(typeof id === 'string' ? id : undefined).catch(e => log(`[Trust] Revoke failed: ${e.message}`));
+        })
+    );
+
+    context.subscriptions.push(
+        vscode.commands.registerCommand('autoAcceptV2.editSelectors', () => {
+            editSelectorFile().catch(e => {
+                log(`[Selectors] Open failed: ${e.message}`);
+                vscode.window.showErrorMessage(`AutoAccept: could not open selectors.json — ${e.message}`);
+            });
+        })
+    );
+
     // Lazy auto-detection: 15s after activation (avoids cold-start bloat)
     setTimeout(() => detectMissingConversations(context), 15000);
 
@@ -1104,12 +1898,8 @@ function activate(context) {
 
     context.subscriptions.push(
         vscode.commands.registerCommand('autoAcceptV2.toggle', () => {
-            isEnabled = !isEnabled;
-            log(`Toggled: ${isEnabled ? 'ON' : 'OFF'}`);
-            if (isEnabled) { startPolling(); } else { stopPolling(); }
-            updateStatusBar();
-            if (dashboardProvider) dashboardProvider.refresh();
-            context.globalState.update('autoAcceptV2Enabled', isEnabled);
+            log(`Toggled: ${!isEnabled ? 'ON' : 'OFF'}`);
+            setEnabled(!isEnabled);
             vscode.window.showInformationMessage(
                 `AntiGravity AutoAccept: ${isEnabled ? 'ENABLED ⚡' : 'DISABLED 🔴'}`
             );
@@ -1249,12 +2039,13 @@ function activate(context) {
 
     if (vscode.env.remoteName) {
         if (context.globalState.get('autoAcceptV2Enabled', false)) { isEnabled = true; startPolling(); }
-        updateStatusBar(); showWeeklyToast(context); return;
+        startSchedule(); updateStatusBar(); showWeeklyToast(context); return;
     }
 
     checkAndFixCDP().then(cdpOk => {
         if (cdpOk) { if (context.globalState.get('autoAcceptV2Enabled', false)) { isEnabled = true; startPolling(); } }
-        updateStatusBar(); showWeeklyToast(context);
+        // After the restore, so the schedule has the last word on startup
+        startSchedule(); updateStatusBar(); showWeeklyToast(context);
     });
 }
 
@@ -1275,6 +2066,7 @@ function showWeeklyToast(context) {
 
 function deactivate() {
     stopMemoryLogger(); stopPolling();
+    if (scheduleTimer) { clearInterval(scheduleTimer); scheduleTimer = null; }
     if (telegramBridge) { telegramBridge.stop(); telegramBridge = null; }
     if (connectionManager) connectionManager.stop(); 
     if (outputChannel) outputChannel.dispose();
@@ -0,0 +1,163 @@
+// AntiGravity AutoAccept — Scheduled Active Hours
+// Parses the `autoAcceptV2.activeHours` weekly ranges and answers "should auto-accept be
+// on right now?" and "when does that change next?" in the configured time zone.
+// Pure Node (no vscode import) so tests can require it.
+//
+// A range is "<days> <HH:MM>-<HH:MM>":
+//   Mon-Fri 09:00-18:00     weekdays, office hours
+//   Sat,Sun 10:00-14:00     a list of days
+//   Daily 22:00-06:00       an end at or before the start runs past midnight (the day is the START day)
+//   Weekends 00:00-24:00    whole days
+// Day names: Mon Tue Wed Thu Fri Sat Sun (full names too), Daily / Weekdays / Weekends.
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_FULL = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_GROUPS = { daily: [0, 1, 2, 3, 4, 5, 6], weekdays: [1, 2, 3, 4, 5], weekends: [0, 6] };
+const WEEK_MINUTES = 7 * 1440;
+
+// "mon" or "monday" → 1
+function _day(name) {
+    const n = name.trim().toLowerCase();
+    return DAY_NAMES.findIndex(d => n === d || n === DAY_FULL[DAY_NAMES.indexOf(d)]);
+}
+
+function _days(spec) {
+    const days = new Set();
+    for (const part of spec.split(',')) {
+        const p = part.trim().toLowerCase();
+        if (DAY_GROUPS[p]) { DAY_GROUPS[p].forEach(d => days.add(d)); continue; }
+        const [from, to] = p.split('-');
+        const a = _day(from || '');
+        const b = to === undefined ? a : _day(to);
+        if (a < 0 || b < 0) return null;
+        // Fri-Mon wraps over the weekend
+        for (let d = a; ; d = (d + 1) % 7) { days.add(d); if (d === b) break; }
+    }
+    return days.size ? [...days].sort((x, y) => x - y) : null;
+}
+
+function _minutes(hhmm) {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm);
+    if (!m) return null;
+    const h = +m[1], min = +m[2];
+    if (min > 59 || h > 24 || (h === 24 && min)) return null;
+    return h * 60 + min;
+}
+
+/** @returns {string|null} why the zone is unusable ('' = the machine's local zone) */
+function validateTimeZone(timeZone) {
+    if (!timeZone) return null;
+    try { new Intl.DateTimeFormat('en-US', { timeZone }); return null; }
+    catch (e) { return `unknown time zone "${timeZone}"`; }
+}
+
+/**
+ * Parse the activeHours entries. Bad entries are dropped and reported; an unknown time
+ * zone falls back to local time.
+ * @param {string[]} entries
+ * @param {string} [timeZone] - IANA zone, e.g. "Europe/Berlin" ('' = local)
+ * @returns {{ schedule: { ranges: {days:number[], start:number, end:number, text:string}[], timeZone: string }|null, errors: string[] }}
+ *   schedule is null when no range is configured (the schedule is off)
+ */
+function parseSchedule(entries, timeZone = '') {
+    const errors = [];
+    const ranges = [];
+    for (const entry of entries || []) {
+        if (typeof entry !== 'string' || !entry.trim()) continue;
+        const text = entry.trim().replace(/\s+/g, ' ');
+        const m = /^(.+?)\s+(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(text);
+        const days = m && _days(m[1]);
+        const start = m && _minutes(m[2]);
+        const end = m && _minutes(m[3]);
+        if (!m) { errors.push(`"${text}" is not "<days> HH:MM-HH:MM"`); continue; }
+        if (!days) { errors.push(`"${text}" has unknown days "${m[1]}"`); continue; }
+        if (start === null || end === null || start === 1440) { errors.push(`"${text}" has an invalid time`); continue; }
+        if (start === end) { errors.push(`"${text}" is empty (start equals end)`); continue; }
+        ranges.push({ days, start, end, text });
+    }
+    const tzError = validateTimeZone(timeZone);
+    if (tzError) errors.push(`${tzError} — using local time`);
+    if (!ranges.length) return { schedule: null, errors };
+    return { schedule: { ranges, timeZone: tzError ? '' : (timeZone || '') }, errors };
+}
+
+/** Weekday and minute of the day at `now` in the schedule's zone */
+function localTime(schedule, now) {
+    const opts = { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    if (schedule.timeZone) opts.timeZone = schedule.timeZone;
+    const parts = {};
+    for (const p of new Intl.DateTimeFormat('en-US', opts).formatToParts(new Date(now))) parts[p.type] = p.value;
+    return { day: DAY_LABELS.indexOf(parts.weekday), minute: (+parts.hour % 24) * 60 + +parts.minute };
+}
+
+// [start, end) minute-of-week spans of every range; overnight ranges spill into the next day
+function _spans(schedule) {
+    const spans = [];
+    for (const r of schedule.ranges) {
+        const end = r.end > r.start ? r.end : r.end + 1440;
+        for (const d of r.days) spans.push([d * 1440 + r.start, d * 1440 + end]);
+    }
+    return spans;
+}
+
+function _activeAt(spans, minuteOfWeek) {
+    // Sat→Sun overnight spans run past the end of the week
+    return spans.some(([s, e]) => (minuteOfWeek >= s && minuteOfWeek < e) || (minuteOfWeek + WEEK_MINUTES >= s && minuteOfWeek + WEEK_MINUTES < e));
+}
+
+function _minuteOfWeek(schedule, now) {
+    const t = localTime(schedule, now);
+    return t.day * 1440 + t.minute;
+}
+
+/** @returns {boolean} whether auto-accept should be on at `now` (no schedule = always) */
+function isActive(schedule, now = Date.now()) {
+    if (!schedule) return true;
+    return _activeAt(_spans(schedule), _minuteOfWeek(schedule, now));
+}
+
+/**
+ * The next time isActive() flips.
+ * Jumps from boundary to boundary in wall-clock minutes, re-reading the local time after
+ * each jump so a DST change on the way doesn't shift the answer by an hour.
+ * @returns {{ at: number, active: boolean }|null} null = never (no schedule, or always on)
+ */
+function nextTransition(schedule, now = Date.now()) {
+    if (!schedule) return null;
+    const spans = _spans(schedule);
+    const bounds = [...new Set(spans.flatMap(([s, e]) => [s % WEEK_MINUTES, e % WEEK_MINUTES]))];
+    const current = _activeAt(spans, _minuteOfWeek(schedule, now));
+    let t = now - (now % 60000);
+    for (let i = 0; i < 2 * bounds.length + 4; i++) {
+        const w = _minuteOfWeek(schedule, t);
+        const wait = Math.min(...bounds.map(b => ((b - w + WEEK_MINUTES - 1) % WEEK_MINUTES) + 1));
+        const target = (w + wait) % WEEK_MINUTES;
+        t += wait * 60000;
+        // A clock change on the way lands us past the boundary — find the flip minute by minute
+        const over = (_minuteOfWeek(schedule, t) - target + WEEK_MINUTES) % WEEK_MINUTES;
+        if (over > 0 && over <= 180) {
+            for (let m = t - over * 60000; m < t; m += 60000) {
+                if (_activeAt(spans, _minuteOfWeek(schedule, m)) !== current) return { at: m, active: !current };
+            }
+        }
+        if (_activeAt(spans, _minuteOfWeek(schedule, t)) !== current) return { at: t, active: !current };
+    }
+    return null;
+}
+
+/** "Mon 09:00" in the schedule's zone, with the zone when one is set */
+function formatLocal(schedule, at) {
+    const t = localTime(schedule, at);
+    const hhmm = `${String(Math.floor(t.minute / 60)).padStart(2, '0')}:${String(t.minute % 60).padStart(2, '0')}`;
+    return `${DAY_LABELS[t.day]} ${hhmm}${schedule.timeZone ? ` (${schedule.timeZone})` : ''}`;
+}
+
+/** "turns OFF Fri 18:00 (Europe/Berlin)" — for the status bar tooltip */
+function describeNextTransition(schedule, now = Date.now()) {
+    const next = nextTransition(schedule, now);
+    if (!next) return schedule ? 'always on' : 'no schedule';
+    return `turns ${next.active ? 'ON' : 'OFF'} ${formatLocal(schedule, next.at)}`;
+}
+
+module.exports = { parseSchedule, validateTimeZone, isActive, nextTransition, describeNextTransition, formatLocal };
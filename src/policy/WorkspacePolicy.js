@@ -0,0 +1,131 @@
+// AntiGravity AutoAccept — Per-Workspace Policy
+// Parses `.antigravity/autoaccept-policy.json` and merges it over the global
+// `autoAcceptV2.*` settings. Pure Node (no vscode import) so tests can require it.
+//
+// Merge rules:
+//   blockedCommands     → union with the global blocklist (global blocks ALWAYS apply)
+//   allowedCommands     → replaces the global allowlist for this workspace
+//   reviewCommands      → union with the global review ("ask me") list
+//   autoAcceptFileEdits → overrides the global toggle
+//   autoRetryEnabled    → overrides the global toggle
+//   customButtonTexts   → union with the global list
+//
+// 🛑 SECURITY: The file ships with the repo, so a freshly cloned (untrusted) workspace
+// may only TIGHTEN behaviour: extra blocks/reviews and turning toggles off. Allowlists,
+// custom button texts and turning toggles on require workspace trust.
+
+const { validatePattern } = require('../scripts/CommandParser');
+
+const POLICY_FILE = '.antigravity/autoaccept-policy.json';
+const POLICY_VERSION = 1;
+
+const LIST_KEYS = ['blockedCommands', 'allowedCommands', 'reviewCommands', 'customButtonTexts'];
+const BOOL_KEYS = ['autoAcceptFileEdits', 'autoRetryEnabled'];
+
+/**
+ * Parse and validate policy file contents.
+ * Fatal problems (bad JSON, unsupported version) return policy=null.
+ * Recoverable ones (unknown keys, bad entries) are dropped and reported as warnings.
+ * @param {string} text
+ * @returns {{ policy: object|null, errors: string[], warnings: string[] }}
+ */
+function parsePolicy(text) {
+    const errors = []; const warnings = [];
+    let raw;
+    try { raw = JSON.parse(text); } catch (e) { return { policy: null, errors: [`invalid JSON: ${e.message}`], warnings }; }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { policy: null, errors: ['policy must be a JSON object'], warnings };
+    }
+    if (raw.version === undefined) {
+        return { policy: null, errors: [`missing "version" (expected ${POLICY_VERSION})`], warnings };
+    }
+    if (raw.version !== POLICY_VERSION) {
+        return { policy: null, errors: [`unsupported version ${JSON.stringify(raw.version)} (this extension reads version ${POLICY_VERSION})`], warnings };
+    }
+
+    const policy = { version: POLICY_VERSION };
+    for (const key of Object.keys(raw)) {
+        if (key === 'version' || key === '$schema' || key === 'description') continue;
+        if (LIST_KEYS.includes(key)) {
+            if (!Array.isArray(raw[key])) { warnings.push(`"${key}" must be an array of strings — ignored`); continue; }
+            const items = [];
+            for (const item of raw[key]) {
+                if (typeof item !== 'string' || !item.trim()) { warnings.push(`"${key}" entry ${JSON.stringify(item)} is not a non-empty string — ignored`); continue; }
+                if (key !== 'customButtonTexts') {
+                    const err = validatePattern(item);
+                    if (err) warnings.push(`"${key}" ${err} — never matches`);
+                }
+                items.push(key === 'customButtonTexts' ? item.trim().toLowerCase() : item);
+            }
+            policy[key] = items;
+        } else if (BOOL_KEYS.includes(key)) {
+            if (typeof raw[key] !== 'boolean') { warnings.push(`"${key}" must be true or false — ignored`); continue; }
+            policy[key] = raw[key];
+        } else {
+            warnings.push(`unknown key "${key}" — ignored`);
+        }
+    }
+    return { policy, errors, warnings };
+}
+
+function _union(a, b) {
+    const out = [...a];
+    for (const item of b) if (!out.includes(item)) out.push(item);
+    return out;
+}
+
+/**
+ * Merge a parsed policy over the global settings.
+ * @param {{ blockedCommands: string[], allowedCommands: string[], reviewCommands?: string[], autoAcceptFileEdits: boolean, autoRetryEnabled: boolean, customButtonTexts: string[] }} globals
+ * @param {object|null} policy - output of parsePolicy().policy
+ * @param {{ trusted?: boolean }} [opts]
+ * @returns {{ blockedCommands: string[], allowedCommands: string[], reviewCommands: string[], autoAcceptFileEdits: boolean, autoRetryEnabled: boolean, customButtonTexts: string[], ignored: string[] }}
+ */
+function mergePolicy(globals, policy, opts = {}) {
+    const trusted = opts.trusted !== false;
+    const merged = {
+        blockedCommands: [...(globals.blockedCommands || [])],
+        allowedCommands: [...(globals.allowedCommands || [])],
+        reviewCommands: [...(globals.reviewCommands || [])],
+        autoAcceptFileEdits: globals.autoAcceptFileEdits !== false,
+        autoRetryEnabled: globals.autoRetryEnabled !== false,
+        customButtonTexts: [...(globals.customButtonTexts || [])],
+        ignored: []
+    };
+    if (!policy) return merged;
+
+    if (policy.blockedCommands) merged.blockedCommands = _union(merged.blockedCommands, policy.blockedCommands);
+    if (policy.reviewCommands) merged.reviewCommands = _union(merged.reviewCommands, policy.reviewCommands);
+
+    if (policy.allowedCommands) {
+        if (trusted) merged.allowedCommands = [...policy.allowedCommands];
+        else merged.ignored.push('allowedCommands');
+    }
+    if (policy.customButtonTexts) {
+        if (trusted) merged.customButtonTexts = _union(merged.customButtonTexts, policy.customButtonTexts);
+        else merged.ignored.push('customButtonTexts');
+    }
+    for (const key of BOOL_KEYS) {
+        if (policy[key] === undefined) continue;
+        if (trusted || policy[key] === false) merged[key] = policy[key];
+        else merged.ignored.push(key);
+    }
+    return merged;
+}
+
+/**
+ * Does a CDP page title belong to the given workspace?
+ * VS Code's default window.title is `[file - ]<rootName>[ - profile] - <appName>`,
+ * so the workspace name appears as one whole " - "-separated segment.
+ * @param {string} title
+ * @param {string} workspaceName - vscode.workspace.name
+ */
+function titleMatchesWorkspace(title, workspaceName) {
+    if (!title || !workspaceName) return false;
+    const needle = workspaceName.trim().toLowerCase();
+    if (!needle) return false;
+    const segments = title.toLowerCase().split(/\s+[-–—]\s+/).map(s => s.replace(/^[●•]\s*/, '').trim());
+    return segments.includes(needle);
+}
+
+module.exports = { POLICY_FILE, POLICY_VERSION, parsePolicy, mergePolicy, titleMatchesWorkspace };
@@ -0,0 +1,551 @@
+// AntiGravity AutoAccept — Shell-aware Command Parser
+// Splits the text shown above a Run button into the individual simple commands a
+// shell would execute (pipelines, && / || / ; chains, subshells, $(…) and `…`
+// substitutions, bash -c / pwsh -Command / cmd /c payloads, eval, iex) and
+// evaluates each of them against the blocked/allowed command filters.
+//
+// ⚡ SINGLE SOURCE: createCommandFilter() is self-contained ES5 on purpose.
+// DOMObserver serializes it with Function.prototype.toString() into the injected
+// payload, and Node code + tests call the very same function below. Do NOT reference
+// anything outside its body (no requires, no module-level constants).
+
+function createCommandFilter() {
+    var MAX_DEPTH = 6;
+    var DELIMITERS = ' \t\r\n|;&/()[]{}"\'`$=<>,\\:';
+
+    var POSIX_SHELLS = { sh: 1, bash: 1, zsh: 1, dash: 1, ksh: 1, ash: 1, fish: 1, 'bash.exe': 1, 'sh.exe': 1 };
+    var PWSH_SHELLS = { pwsh: 1, powershell: 1, 'pwsh.exe': 1, 'powershell.exe': 1 };
+    var CMD_SHELLS = { cmd: 1, 'cmd.exe': 1 };
+    // Prefix commands that execute their arguments as another command
+    var WRAPPERS = { sudo: 1, doas: 1, env: 1, nohup: 1, nice: 1, ionice: 1, time: 1, command: 1, builtin: 1, exec: 1, timeout: 1, stdbuf: 1, xargs: 1, watch: 1 };
+    // Wrapper options that consume the following argument (e.g. sudo -u root, timeout -s KILL)
+    var WRAPPER_ARG_OPTS = { '-u': 1, '-g': 1, '-n': 1, '-c': 1, '-s': 1, '-k': 1, '-o': 1, '-e': 1, '-p': 1, '-d': 1, '-i': 1, '-l': 1, '--user': 1, '--group': 1, '--signal': 1, '--kill-after': 1, '--interval': 1 };
+    var KEYWORDS = { 'if': 1, 'then': 1, 'else': 1, 'elif': 1, 'fi': 1, 'do': 1, 'done': 1, 'while': 1, 'until': 1, '{': 1, '}': 1, '!': 1, '[[': 1, ']]': 1 };
+    var ANSI_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"' };
+
+    function detectMode(text) {
+        // Backticks are stripped first so Re`move-Item still reads as Verb-Noun
+        var trimmed = text.replace(/^[\s&.]+/, '').replace(/`/g, '');
+        if (/^[a-z]+-[a-z]+(\s|$)/i.test(trimmed) || /\$env:/i.test(text)) return 'powershell';
+        return 'posix';
+    }
+
+    function readBalanced(text, start, open, close) {
+        // Returns index of the matching close char, skipping quoted regions
+        var level = 1; var quote = null;
+        for (var i = start; i < text.length; i++) {
+            var c = text.charAt(i);
+            if (quote) {
+                if (c === '\\' && quote === '"') { i++; continue; }
+                if (c === quote) quote = null;
+                continue;
+            }
+            if (c === '\\') { i++; continue; }
+            if (c === '"' || c === "'") { quote = c; continue; }
+            if (c === open) level++;
+            else if (c === close) { level--; if (level === 0) return i; }
+        }
+        return text.length;
+    }
+
+    function decodeAnsiC(body) {
+        var out = '';
+        for (var i = 0; i < body.length; i++) {
+            var c = body.charAt(i);
+            if (c !== '\\' || i + 1 >= body.length) { out += c; continue; }
+            var n = body.charAt(++i); var m;
+            if (n === 'x' && (m = /^[0-9a-f]{1,2}/i.exec(body.substring(i + 1)))) {
+                out += String.fromCharCode(parseInt(m[0], 16)); i += m[0].length;
+            } else if ((n === 'u' || n === 'U') && (m = /^[0-9a-f]{1,8}/i.exec(body.substring(i + 1)))) {
+                out += String.fromCharCode(parseInt(m[0], 16) & 0xFFFF); i += m[0].length;
+            } else if ((m = /^[0-7]{1,3}/.exec(body.substring(i)))) {
+                out += String.fromCharCode(parseInt(m[0], 8)); i += m[0].length - 1;
+            } else {
+                out += ANSI_ESCAPES[n] !== undefined ? ANSI_ESCAPES[n] : n;
+            }
+        }
+        return out;
+    }
+
+    function decodeUtf16Base64(b64) {
+        try {
+            var bin = typeof atob === 'function' ? atob(b64) : Buffer.from(b64, 'base64').toString('binary');
+            var out = '';
+            for (var i = 0; i + 1 < bin.length; i += 2) out += String.fromCharCode(bin.charCodeAt(i) | (bin.charCodeAt(i + 1) << 8));
+            return out;
+        } catch (e) { return null; }
+    }
+
+    // ─── Tokenizer ────────────────────────────────────────────────────
+    // Returns a flat list of { words: [{ text, dynamic }], op } simple commands.
+    // Commands found inside substitutions are appended to the same list.
+    function tokenize(text, mode, depth) {
+        var commands = [];
+        var words = []; var word = null; var wordDynamic = false;
+        var prevOp = null; var dropNextWord = false;
+        var esc = mode === 'powershell' ? '`' : mode === 'cmd' ? '^' : '\\';
+
+        function append(s) { word = (word === null ? '' : word) + s; }
+        function pushWord() {
+            if (word === null) return;
+            if (dropNextWord) { dropNextWord = false; }
+            else words.push({ text: word, dynamic: wordDynamic });
+            word = null; wordDynamic = false;
+        }
+        function endCommand(op) {
+            pushWord();
+            if (words.length) commands.push({ words: words, op: prevOp });
+            words = []; prevOp = op;
+        }
+        function nested(inner, innerMode) {
+            if (depth >= MAX_DEPTH) { wordDynamic = true; return; }
+            var sub = tokenize(inner, innerMode || mode, depth + 1);
+            for (var s = 0; s < sub.length; s++) { sub[s].nested = true; commands.push(sub[s]); }
+        }
+        function readVariable(i) {
+            // i points at '$'. Returns index of last consumed char.
+            var rest = text.substring(i + 1); var m;
+            if (mode === 'powershell' && (m = /^(env:)?[a-z_][a-z0-9_]*/i.exec(rest))) { append('$' + m[0]); wordDynamic = true; return i + m[0].length; }
+            if ((m = /^([a-z_][a-z0-9_]*|[0-9@*#?$!-])/i.exec(rest))) { append('$' + m[0]); wordDynamic = true; return i + m[0].length; }
+            if (rest.charAt(0) === '{') {
+                var close = readBalanced(text, i + 2, '{', '}');
+                append(text.substring(i, close + 1)); wordDynamic = true; return close;
+            }
+            append('$'); return i;
+        }
+        function readSubstitution(i) {
+            // i points at '$' followed by '('. Returns index of last consumed char.
+            if (text.charAt(i + 2) === '(' && mode === 'posix') {
+                // $(( … )) arithmetic — starting on the inner '(' nets out to the outer ')'
+                var arithEnd = readBalanced(text, i + 2, '(', ')');
+                append('$((…))'); wordDynamic = true; return arithEnd;
+            }
+            var close = readBalanced(text, i + 2, '(', ')');
+            nested(text.substring(i + 2, close));
+            append('$(…)'); wordDynamic = true; return close;
+        }
+        function readBacktick(i) {
+            var close = text.indexOf('`', i + 1);
+            while (close !== -1 && text.charAt(close - 1) === '\\') close = text.indexOf('`', close + 1);
+            if (close === -1) close = text.length;
+            nested(text.substring(i + 1, close).replace(/\\`/g, '`'));
+            append('`…`'); wordDynamic = true; return close;
+        }
+
+        for (var i = 0; i < text.length; i++) {
+            var c = text.charAt(i);
+            var next = text.charAt(i + 1);
+
+            if (c === '\n') { endCommand(';'); continue; }
+            if (c === ' ' || c === '\t' || c === '\r') { pushWord(); continue; }
+            if (c === '#' && word === null && mode !== 'cmd') {
+                while (i + 1 < text.length && text.charAt(i + 1) !== '\n') i++;
+                continue;
+            }
+            if (c === esc) {
+                if (next === '\n') { i++; continue; }
+                if (i + 1 < text.length) { append(next); i++; }
+                continue;
+            }
+            if (c === "'" && mode !== 'cmd') {
+                if (mode === 'posix' && word !== null && word.charAt(word.length - 1) === '$') {
+                    // $'...' ANSI-C quoting: decode escapes so $'\x72m' is seen as rm
+                    var ansiEnd = i + 1;
+                    while (ansiEnd < text.length && text.charAt(ansiEnd) !== "'") { if (text.charAt(ansiEnd) === '\\') ansiEnd++; ansiEnd++; }
+                    word = word.substring(0, word.length - 1);
+                    append(decodeAnsiC(text.substring(i + 1, ansiEnd)));
+                    i = ansiEnd; continue;
+                }
+                var sq = i + 1; var sqText = '';
+                while (sq < text.length) {
+                    if (text.charAt(sq) === "'") {
+                        if (mode === 'powershell' && text.charAt(sq + 1) === "'") { sqText += "'"; sq += 2; continue; }
+                        break;
+                    }
+                    sqText += text.charAt(sq++);
+                }
+                append(sqText); i = sq; continue;
+            }
+            if (c === '"') {
+                append('');
+                var j = i + 1;
+                for (; j < text.length; j++) {
+                    var d = text.charAt(j);
+                    if (d === '"') break;
+                    if (mode === 'posix' && d === '\\' && '$`"\\\n'.indexOf(text.charAt(j + 1)) !== -1) { append(text.charAt(++j)); continue; }
+                    if (mode === 'powershell' && d === '`') { append(text.charAt(++j)); continue; }
+                    if (mode !== 'cmd' && d === '$' && text.charAt(j + 1) === '(') { j = readSubstitution(j); continue; }
+                    if (mode !== 'cmd' && d === '$') { j = readVariable(j); continue; }
+                    if (mode === 'posix' && d === '`') { j = readBacktick(j); continue; }
+                    if (mode === 'cmd' && d === '%' && /^[a-z_][a-z0-9_]*%/i.test(text.substring(j + 1))) {
+                        var pctQ = text.indexOf('%', j + 1); append(text.substring(j, pctQ + 1)); wordDynamic = true; j = pctQ; continue;
+                    }
+                    append(d);
+                }
+                i = j; continue;
+            }
+            if (mode !== 'cmd' && c === '$') {
+                if (next === '(') { i = readSubstitution(i); continue; }
+                if (next === "'" && mode === 'posix') { append('$'); continue; }
+                i = readVariable(i); continue;
+            }
+            if (mode === 'posix' && c === '`') { i = readBacktick(i); continue; }
+            if (mode === 'cmd' && c === '%' && /^[a-z_][a-z0-9_]*%/i.test(text.substring(i + 1))) {
+                var pct = text.indexOf('%', i + 1); append(text.substring(i, pct + 1)); wordDynamic = true; i = pct; continue;
+            }
+
+            // Process substitution <(cmd) / >(cmd)
+            if (mode === 'posix' && (c === '<' || c === '>') && next === '(') {
+                pushWord();
+                var psClose = readBalanced(text, i + 2, '(', ')');
+                nested(text.substring(i + 2, psClose));
+                i = psClose; continue;
+            }
+            // Redirections: drop the operator, an fd prefix (2>) and the target word
+            if (c === '>' || c === '<') {
+                if (word !== null && /^[0-9]+$/.test(word)) { word = null; wordDynamic = false; }
+                pushWord();
+                var r = i + 1;
+                while (r < text.length && '<>|&'.indexOf(text.charAt(r)) !== -1) r++;
+                var redirOp = text.substring(i, r);
+                i = r - 1;
+                if (redirOp.charAt(redirOp.length - 1) === '&') {
+                    var fd = /^[0-9-]+/.exec(text.substring(r));
+                    if (fd) { i += fd[0].length; continue; }
+                }
+                dropNextWord = true; continue;
+            }
+            if (c === '&' && next === '>' && mode === 'posix') { pushWord(); i++; if (text.charAt(i + 1) === '>') i++; dropNextWord = true; continue; }
+
+            if (c === '|') {
+                if (next === '|') { endCommand('||'); i++; }
+                else if (next === '&') { endCommand('|'); i++; }
+                else endCommand('|');
+                continue;
+            }
+            if (c === '&') {
+                if (next === '&') { endCommand('&&'); i++; continue; }
+                // PowerShell call operator: & 'C:\tool.exe' args
+                if (mode === 'powershell' && word === null && words.length === 0) continue;
+                endCommand('&'); continue;
+            }
+            if (c === ';') { endCommand(';'); if (next === ';') i++; continue; }
+            if (c === '(' || c === ')') { endCommand(c === '(' ? null : prevOp); continue; }
+            if (mode === 'powershell' && (c === '{' || c === '}')) { endCommand(';'); continue; }
+
+            if (mode !== 'cmd' && (c === '*' || c === '?' || c === '[' || (c === '{' && /^[^}\s]*[,.][^}\s]*\}/.test(text.substring(i + 1))))) {
+                // Unquoted glob / brace expansion: /bin/r? or {r,}m resolve to unknown names at runtime
+                wordDynamic = true;
+            }
+            append(c);
+        }
+        endCommand(null);
+        return commands;
+    }
+
+    // ─── Simple Command Expansion ─────────────────────────────────────
+    function basename(p) {
+        var parts = String(p).split(/[\\/]/);
+        return parts[parts.length - 1].toLowerCase();
+    }
+
+    function makeCommand(words, op, nestedFlag) {
+        var w = words.slice();
+        while (w.length && KEYWORDS[w[0].text] && !w[0].dynamic) w.shift();
+        while (w.length && !w[0].dynamic && /^[A-Za-z_][A-Za-z0-9_]*=/.test(w[0].text)) w.shift();
+        var argv = [];
+        for (var i = 0; i < w.length; i++) argv.push(w[i].text);
+        return {
+            argv: argv,
+            words: w,
+            text: argv.join(' '),
+            op: op || null,
+            nested: !!nestedFlag,
+            dynamic: w.length > 0 && w[0].dynamic
+        };
+    }
+
+    // out = { commands, pipelines } — a pipeline (2+ commands joined by |) is recorded per
+    // token list, so one inside a chain segment or a -c / eval payload is whole text too
+    function pushCommands(list, depth, out) {
+        var pipe = [];
+        for (var i = 0; i <= list.length; i++) {
+            if (pipe.length && (i === list.length || list[i].op !== '|')) {
+                if (pipe.length > 1) out.pipelines.push(pipe.join(' | '));
+                pipe = [];
+            }
+            if (i === list.length) break;
+            var cmd = makeCommand(list[i].words, list[i].op, list[i].nested);
+            if (cmd.argv.length) pipe.push(cmd.text);
+            expand(cmd, depth, out);
+        }
+    }
+
+    function payloadCommands(payload, payloadDynamic, mode, depth, out, source) {
+        if (payloadDynamic || payload === null || depth >= MAX_DEPTH) {
+            // Payload built at runtime (bash -c "$CMD") — nothing static to inspect
+            out.commands.push({ argv: [source.argv[0]], words: [], text: source.text, op: null, nested: true, dynamic: true });
+            return;
+        }
+        var inner = tokenize(payload, mode || detectMode(payload), depth + 1);
+        for (var i = 0; i < inner.length; i++) inner[i].nested = true;
+        pushCommands(inner, depth + 1, out);
+    }
+
+    function joinWords(words, from) {
+        var text = []; var dyn = false;
+        for (var i = from; i < words.length; i++) { text.push(words[i].text); if (words[i].dynamic) dyn = true; }
+        return { text: text.join(' '), dynamic: dyn };
+    }
+
+    function expand(cmd, depth, out) {
+        if (!cmd.argv.length) return;
+        out.commands.push(cmd);
+        if (depth >= MAX_DEPTH || cmd.dynamic) return;
+        var words = cmd.words;
+        var name = basename(cmd.argv[0]);
+        var i, a, p;
+
+        if (WRAPPERS[name]) {
+            for (i = 1; i < words.length; i++) {
+                a = words[i].text;
+                if (name === 'env' && /^[A-Za-z_][A-Za-z0-9_]*=/.test(a)) continue;
+                if ((name === 'timeout' || name === 'watch') && /^[0-9.]+[smhd]?$/.test(a)) continue;
+                if (a.charAt(0) !== '-') break;
+                if (a === '--') { i++; break; }
+                if (WRAPPER_ARG_OPTS[a]) i++;
+            }
+            if (i < words.length) {
+                var inner = makeCommand(words.slice(i), cmd.op, true);
+                expand(inner, depth + 1, out);
+            }
+            return;
+        }
+
+        if (name === 'find') {
+            for (i = 1; i < words.length; i++) {
+                if (/^-(exec|execdir|ok|okdir)$/.test(words[i].text)) {
+                    var end = i + 1;
+                    while (end < words.length && words[end].text !== ';' && words[end].text !== '+') end++;
+                    if (end > i + 1) expand(makeCommand(words.slice(i + 1, end), cmd.op, true), depth + 1, out);
+                    i = end;
+                }
+            }
+            return;
+        }
+
+        if (POSIX_SHELLS[name]) {
+            for (i = 1; i < words.length; i++) {
+                a = words[i].text;
+                if (a.charAt(0) !== '-' || a.charAt(1) === '-') continue;
+                if (a.indexOf('c') !== -1) {
+                    p = words[i + 1];
+                    payloadCommands(p ? p.text : null, p ? p.dynamic : true, 'posix', depth, out, cmd);
+                    return;
+                }
+            }
+            return;
+        }
+
+        if (PWSH_SHELLS[name]) {
+            for (i = 1; i < words.length; i++) {
+                a = words[i].text.toLowerCase();
+                if (a.length >= 2 && '-command'.indexOf(a) === 0) {
+                    p = joinWords(words, i + 1);
+                    payloadCommands(p.text, p.dynamic, 'powershell', depth, out, cmd);
+                    return;
+                }
+                if (a.length >= 2 && ('-encodedcommand'.indexOf(a) === 0 || a === '-ec')) {
+                    p = words[i + 1];
+                    var decoded = p && !p.dynamic ? decodeUtf16Base64(p.text) : null;
+                    payloadCommands(decoded, decoded === null, 'powershell', depth, out, cmd);
+                    return;
+                }
+            }
+            return;
+        }
+
+        if (CMD_SHELLS[name]) {
+            for (i = 1; i < words.length; i++) {
+                a = words[i].text.toLowerCase();
+                if (a === '/c' || a === '/k' || a === '/r') {
+                    p = joinWords(words, i + 1);
+                    payloadCommands(p.text, p.dynamic, 'cmd', depth, out, cmd);
+                    return;
+                }
+            }
+            return;
+        }
+
+        if (name === 'eval' || name === 'source' || name === '.') {
+            if (name !== 'eval') return;
+            p = joinWords(words, 1);
+            payloadCommands(p.text, p.dynamic, 'posix', depth, out, cmd);
+            return;
+        }
+
+        if (name === 'iex' || name === 'invoke-expression') {
+            i = 1;
+            if (words[i] && /^-command$/i.test(words[i].text)) i++;
+            p = joinWords(words, i);
+            payloadCommands(p.text, p.dynamic || !p.text, 'powershell', depth, out, cmd);
+        }
+    }
+
+    /**
+     * Parse raw command text into every simple command it would execute.
+     * @param {string} text
+     * @returns {{ commands: Array<{argv: string[], text: string, op: string|null, nested: boolean, dynamic: boolean}>, pipelines: string[], normalized: string }}
+     */
+    function parse(text) {
+        var out = { commands: [], pipelines: [] };
+        if (!text) return { commands: out.commands, pipelines: out.pipelines, normalized: '' };
+        pushCommands(tokenize(String(text), detectMode(String(text)), 0), 0, out);
+        var cmds = out.commands; var chain = '';
+        for (var i = 0; i < cmds.length; i++) {
+            if (cmds[i].nested) continue;
+            chain += (chain && cmds[i].op ? ' ' + cmds[i].op + ' ' : chain ? ' ; ' : '') + cmds[i].text;
+        }
+        return { commands: cmds, pipelines: out.pipelines, normalized: chain };
+    }
+
+    // ─── Rule syntax ──────────────────────────────────────────────
+    //   re:<regex>   case-insensitive regex, searched anywhere (anchor with ^/$ yourself)
+    //   glob:<glob>  case-insensitive glob over the WHOLE command; * = any run, ? = one char
+    //   anything else: literal fragment with delimiter-bounded matching (legacy)
+    var RULE_CACHE = {};
+
+    function globToRegexSource(glob) {
+        var src = '';
+        for (var i = 0; i < glob.length; i++) {
+            var c = glob.charAt(i);
+            if (c === '*') src += '[\\s\\S]*';
+            else if (c === '?') src += '[\\s\\S]';
+            else if ('\\^$.|+()[]{}/'.indexOf(c) !== -1) src += '\\' + c;
+            else src += c;
+        }
+        return '^' + src + '$';
+    }
+
+    /**
+     * Compile a rule once. Invalid rules compile to { error } and never match —
+     * an invalid block rule blocks nothing, an invalid allow rule allows nothing.
+     */
+    function compileRule(pattern) {
+        var key = String(pattern);
+        if (RULE_CACHE.hasOwnProperty(key)) return RULE_CACHE[key];
+        var rule;
+        var lower = key.toLowerCase();
+        if (lower.indexOf('re:') === 0 || lower.indexOf('glob:') === 0) {
+            var isRe = lower.indexOf('re:') === 0;
+            var body = key.substring(isRe ? 3 : 5);
+            if (!body.trim()) {
+                rule = { type: isRe ? 'regex' : 'glob', error: 'empty pattern' };
+            } else {
+                try {
+                    rule = { type: isRe ? 'regex' : 'glob', re: new RegExp(isRe ? body : globToRegexSource(body.trim()), 'i') };
+                } catch (e) {
+                    rule = { type: isRe ? 'regex' : 'glob', error: e && e.message ? e.message : 'invalid pattern' };
+                }
+            }
+        } else {
+            rule = { type: 'literal', text: lower };
+        }
+        RULE_CACHE[key] = rule;
+        return rule;
+    }
+
+    /** @returns {string|null} human-readable error, or null when the rule is usable */
+    function validatePattern(pattern) {
+        if (typeof pattern !== 'string' || !pattern.trim()) return 'pattern must be a non-empty string';
+        var rule = compileRule(pattern);
+        return rule.error ? rule.type + ' "' + pattern + '": ' + rule.error : null;
+    }
+
+    function matchesPattern(cmd, pattern) {
+        var rule = compileRule(pattern);
+        if (rule.error) return false;
+        if (rule.re) return rule.re.test(String(cmd));
+        var patLower = rule.text; var cmdLower = String(cmd).toLowerCase();
+        if (!patLower) return false;
+        var idx = cmdLower.indexOf(patLower);
+        while (idx !== -1) {
+            var before = idx === 0 ? ' ' : cmdLower.charAt(idx - 1);
+            var after = idx + patLower.length >= cmdLower.length ? ' ' : cmdLower.charAt(idx + patLower.length);
+            if ((idx === 0 || DELIMITERS.indexOf(before) !== -1) && (idx + patLower.length >= cmdLower.length || DELIMITERS.indexOf(after) !== -1)) { return true; }
+            idx = cmdLower.indexOf(patLower, idx + 1);
+        }
+        return false;
+    }
+
+    /**
+     * Evaluate command text against the filter lists.
+     * Blocklist: raw text, the normalized chain, EVERY pipeline and EVERY simple command are
+     * checked — so an anchored glob:curl * | *sh still sees the pipe after a cd or inside bash -c.
+     * Allowlist: EVERY simple command must match at least one allowed pattern.
+     * Review list: checked like the blocklist, but yields review=true ("ask me") instead
+     * of a hard block. Stricter verdicts win: block > review > allow.
+     * Commands whose name is only known at runtime ($(…) -rf /) fail closed.
+     * @returns {{ allowed: boolean, review: boolean, reason: string, command: string|null, pattern: string|null }}
+     */
+    function evaluate(commandText, blockedList, allowedList, reviewList) {
+        blockedList = blockedList || []; allowedList = allowedList || []; reviewList = reviewList || [];
+        if (blockedList.length === 0 && allowedList.length === 0 && reviewList.length === 0) return verdict(true, 'no-filters', null, null);
+        if (!commandText) return verdict(false, 'no-command', null, null);
+
+        var parsed = parse(commandText);
+        var candidates = [commandText, parsed.normalized].concat(parsed.pipelines);
+        for (var c = 0; c < parsed.commands.length; c++) candidates.push(parsed.commands[c].text);
+
+        var hit = firstMatch(candidates, blockedList);
+        if (hit) return verdict(false, 'blocked', hit.command, hit.pattern);
+        for (var d = 0; d < parsed.commands.length; d++) {
+            if (parsed.commands[d].dynamic) return verdict(false, 'dynamic', parsed.commands[d].text, null);
+        }
+        if (allowedList.length > 0) {
+            if (parsed.commands.length === 0) return verdict(false, 'not-allowed', commandText, null);
+            for (var s = 0; s < parsed.commands.length; s++) {
+                var ok = false;
+                for (var a = 0; a < allowedList.length; a++) { if (matchesPattern(parsed.commands[s].text, allowedList[a])) { ok = true; break; } }
+                if (!ok) return verdict(false, 'not-allowed', parsed.commands[s].text, null);
+            }
+        }
+        hit = firstMatch(candidates, reviewList);
+        if (hit) { var v = verdict(false, 'review', hit.command, hit.pattern); v.review = true; return v; }
+        return verdict(true, 'allowed', null, null);
+    }
+
+    function firstMatch(candidates, patterns) {
+        for (var p = 0; p < patterns.length; p++) {
+            for (var k = 0; k < candidates.length; k++) {
+                if (candidates[k] && matchesPattern(candidates[k], patterns[p])) return { command: candidates[k], pattern: patterns[p] };
+            }
+        }
+        return null;
+    }
+
+    function verdict(allowed, reason, command, pattern) {
+        return { allowed: allowed, review: false, reason: reason, command: command, pattern: pattern };
+    }
+
+    return { parse: parse, evaluate: evaluate, matchesPattern: matchesPattern, validatePattern: validatePattern };
+}
+
+const CommandFilter = createCommandFilter();
+
+/** One-line description of a blocking evaluate() verdict for logs */
+function describeFilterVerdict(v) {
+    if (v.reason === 'blocked') return `matches blocked pattern "${v.pattern}"`;
+    if (v.reason === 'not-allowed') return 'not on the allowlist';
+    if (v.reason === 'dynamic') return 'command name is only known at runtime';
+    return 'the command could not be read';
+}
+
+module.exports = {
+    createCommandFilter,
+    parseCommandLine: CommandFilter.parse,
+    evaluateCommand: CommandFilter.evaluate,
+    matchesPattern: CommandFilter.matchesPattern,
+    validatePattern: CommandFilter.validatePattern,
+    describeFilterVerdict
+};
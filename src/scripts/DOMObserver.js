@@ -1,18 +1,72 @@
 // AntiGravity AutoAccept — DOM Observer Payload (v3.5.9)
 
-function buildDOMObserverScript(customTexts, blockedCommands, allowedCommands, autoAcceptFileEdits, autoRetryEnabled) {
-    blockedCommands = blockedCommands || [];
-    allowedCommands = allowedCommands || [];
+const crypto = require('crypto');
+const { createCommandFilter } = require('./CommandParser');
+const { createFileEditRules } = require('./FileEditRules');
+const { createRateLimiter } = require('./RateLimiter');
+const { createRetryBreaker } = require('./RetryBreaker');
+const { createPermissionEngine } = require('./PermissionEngine');
+const { createRiskScorer, RISK_PRESETS } = require('./RiskScorer');
+const { createPathScope } = require('./PathScope');
+const { createSecretScanner } = require('./SecretScanner');
+const { createEgressPolicy } = require('./NetworkEgress');
+const { createTrustGrants } = require('./TrustGrants');
+const { mergeSelectors } = require('./SelectorRegistry');
+
+// Priority-ordered click keywords (index = priority). Shared with ConnectionManager,
+// which pushes a per-workspace list as window.__AA_BUTTON_TEXTS without re-injecting.
+function buildButtonTexts(customTexts, autoAcceptFileEdits, autoRetryEnabled) {
     if (autoAcceptFileEdits === undefined) autoAcceptFileEdits = true;
     if (autoRetryEnabled === undefined) autoRetryEnabled = true;
-
-    const allTexts = [
+    return [
         'run',  
         ...(autoAcceptFileEdits ? ['accept'] : []),  
         'always allow', 'allow this conversation', 'allow',
         ...(autoRetryEnabled ? ['retry', 'continue'] : []),  
-        ...customTexts
+        ...(customTexts || [])
     ];
+}
+
+/**
+ * The observer payload, with every setting baked in. Anything left out gets its default.
+ * @param {object} [options]
+ * @param {string[]} [options.customTexts] - extra button texts (customButtonTexts)
+ * @param {string[]} [options.blocked] - blockedCommands patterns
+ * @param {string[]} [options.allowed] - allowedCommands patterns
+ * @param {string[]} [options.review] - reviewCommands patterns (held for a confirmation prompt)
+ * @param {boolean} [options.fileEdits=true] - click Accept on file edits (autoAcceptFileEdits)
+ * @param {boolean} [options.retry=true] - click Retry / Continue (autoRetryEnabled)
+ * @param {boolean} [options.dryRun] - log would-be clicks, never click
+ * @param {{ blockedPaths: string[], allowedPaths: string[], maxLines: number }} [options.fileRules]
+ * @param {{ perMinute: object, hourlyCap: number }} [options.budget] - click rate limits
+ * @param {{ maxAttempts: number, backoffMs: number[], cooldownMs: number }} [options.breaker] - Retry/Continue circuit breaker
+ * @param {object} [options.locale] - localized labels per canonical keyword (LocalePacks)
+ * @param {object} [options.selectors] - attribute selectors per keyword (SelectorRegistry)
+ * @param {number} [options.riskThreshold] - hold commands scoring at or above this (0 = score only)
+ * @param {{ enabled: boolean, safeRoots: string[], home: string }} [options.pathScope]
+ * @param {boolean} [options.secretGuard] - hold clicks that would send keys or tokens
+ * @param {{ enabled: boolean, allowedDomains: string[] }} [options.egress] - network egress allowlist
+ */
+function buildDOMObserverScript(options) {
+    // A positional call (customTexts first) fails loudly rather than baking in the defaults
+    if (Array.isArray(options) || arguments.length > 1) throw new TypeError('buildDOMObserverScript takes a single options object');
+    const o = options || {};
+    const customTexts = o.customTexts || [];
+    const blockedCommands = o.blocked || [];
+    const allowedCommands = o.allowed || [];
+    const reviewCommands = o.review || [];
+    const dryRun = !!o.dryRun;
+    const fileEditRules = o.fileRules || { blockedPaths: [], allowedPaths: [], maxLines: 0 };
+    const rateLimits = o.budget || { perMinute: {}, hourlyCap: 0 };
+    const retryBreaker = o.breaker || { maxAttempts: 3, backoffMs: [0, 10000, 30000], cooldownMs: 300000 };
+    const localeLabels = o.locale || {};
+    const selectors = o.selectors || mergeSelectors(null);
+    const riskThreshold = Math.max(0, Number(o.riskThreshold) || 0);
+    const pathScope = o.pathScope || { enabled: false, safeRoots: [], home: '' };
+    const secretGuard = !!o.secretGuard;
+    const egress = o.egress || { enabled: false, allowedDomains: [] };
+
+    const allTexts = buildButtonTexts(customTexts, o.fileEdits, o.retry);
     const expandTexts = ['requires input', 'expand'];
 
     return `
@@ -28,76 +82,90 @@ function buildDOMObserverScript(customTexts, blockedCommands, allowedCommands, a
         return true;
     }
 
-    // ⚡ STRUCTURAL SIDEBAR GUARD: Short ambiguous words like "run" can appear as chat titles
-    // in the sidebar list. We MUST NOT click those. But we also must NOT block legitimate
-    // "Run" buttons inside the chat content area.
-    // Strategy: If the matched text is short (≤8 chars), verify the clickable element is NOT
-    // inside a sidebar list/tree container. Long unique phrases like "always allow" are safe.
-    var AMBIGUOUS_TEXTS = { 'run': true, 'accept': true, 'allow': true, 'retry': true, 'continue': true };
-    var SIDEBAR_SELECTORS = '[role="tree"], [role="treeitem"], [role="listbox"], [role="option"], .monaco-list, .conversation-list, .chat-list, .sidebar-list, [data-testid*="convo"], [data-testid*="trajectory"], [class*="conversation-list"], [class*="trajectory"], [class*="history"], [class*="past-chat"], [class*="chat-history"]';
-    // ⚡ LIST CONTAINER SELECTORS: Scrollable containers that hold conversation history items.
-    // These are parents of clickable list items — NOT action buttons.
-    var LIST_CONTAINER_SELECTORS = SIDEBAR_SELECTORS + ', [class*="overflow-y"][class*="cursor-pointer"], nav, [role="navigation"], [role="menu"], [role="menubar"]';
-
-    function isSidebarElement(el) {
-        if (!el || !el.closest) return false;
-        if (el.closest(SIDEBAR_SELECTORS)) return true;
-        // ⚡ CONVERSATION LIST HEURISTIC: If the element is a cursor-pointer+select-none div
-        // inside a scrollable container with many similar siblings, it's a list item, not a button.
-        return isConversationListItem(el);
-    }
-
-    // ⚡ SECONDARY GUARD: Detects conversation list items by structural heuristics.
-    // Conversation history entries are typically select-none+cursor-pointer divs inside
-    // a scrollable container with 3+ similar siblings. Action buttons are standalone.
-    function isConversationListItem(el) {
-        if (!el || !el.parentElement) return false;
-        var classes = el.className || '';
-        // Fast path: check for Antigravity's known conversation item class pattern
-        if (typeof classes === 'string' && classes.indexOf('select-none') !== -1 && classes.indexOf('cursor-pointer') !== -1 && classes.indexOf('rounded') !== -1) {
-            return true;
-        }
-        // ⚡ PAST CHATS PANEL GUARD: Walk up 6 levels (deeper than before) to catch
-        // history overlay panels. Threshold stays at 3+ to avoid blocking Run buttons
-        // inside the chat message list (which is also scrollable with 2+ children).
-        var parent = el.parentElement;
-        for (var up = 0; up < 6 && parent && parent !== document.body; up++) {
-            var pClass = parent.className || '';
-            var isScrollable = false;
-            if (typeof pClass === 'string' && (pClass.indexOf('overflow-y') !== -1 || pClass.indexOf('overflow-auto') !== -1 || pClass.indexOf('overflow-scroll') !== -1 || pClass.indexOf('scroll') !== -1)) {
-                isScrollable = true;
-            }
-            if (!isScrollable) {
-                try { var cs = window.getComputedStyle(parent); isScrollable = (cs.overflowY === 'auto' || cs.overflowY === 'scroll'); } catch(e) {}
-            }
-            if (isScrollable && parent.children.length >= 3) {
-                // Scrollable container with 3+ children — this is a list, not a button group
-                return true;
-            }
-            parent = parent.parentElement;
-        }
-        return false;
-    }
-
     var BUTTON_TEXTS = ${JSON.stringify(allTexts)};
     var EXPAND_TEXTS = ${JSON.stringify(expandTexts)};
     var BLOCKED_COMMANDS = ${JSON.stringify(blockedCommands)};
     var ALLOWED_COMMANDS = ${JSON.stringify(allowedCommands)};
-    var HAS_FILTERS = BLOCKED_COMMANDS.length > 0 || ALLOWED_COMMANDS.length > 0;
+    var REVIEW_COMMANDS = ${JSON.stringify(reviewCommands)};
+    var HAS_FILTERS = BLOCKED_COMMANDS.length > 0 || ALLOWED_COMMANDS.length > 0 || REVIEW_COMMANDS.length > 0;
+    var FILE_EDIT_RULES = ${JSON.stringify(fileEditRules)};
+    var RATE_LIMITS = ${JSON.stringify(rateLimits)};
+    var RETRY_BREAKER = ${JSON.stringify(retryBreaker)};
+    var SELECTORS = ${JSON.stringify(selectors)};
+    var RISK_THRESHOLD = ${riskThreshold};
+    var PATH_SCOPE = ${JSON.stringify(pathScope)};
+    var SECRET_GUARD = ${secretGuard};
+    var EGRESS = ${JSON.stringify(egress)};
 
     if (typeof window.__AA_CLEANUP === 'function') window.__AA_CLEANUP();
     window.__AA_CLEANUP = function() {
         if (window.__AA_OBSERVER) { window.__AA_OBSERVER.disconnect(); window.__AA_OBSERVER = null; }
         if (window.__AA_FALLBACK_INTERVAL) { clearInterval(window.__AA_FALLBACK_INTERVAL); window.__AA_FALLBACK_INTERVAL = null; }
+        // Pending reviews die with this closure — release their buttons so the next observer re-queues them
+        var held = document.querySelectorAll('[data-aa-review]');
+        for (var h = 0; h < held.length; h++) held[h].removeAttribute('data-aa-review');
+        if (typeof window.__AA_RELEASE_FILE_HOLDS === 'function') window.__AA_RELEASE_FILE_HOLDS(); // re-evaluated by the next observer
+        if (typeof window.__AA_RELEASE_PATH_HOLDS === 'function') window.__AA_RELEASE_PATH_HOLDS();
+        if (typeof window.__AA_RELEASE_SECRET_HOLDS === 'function') window.__AA_RELEASE_SECRET_HOLDS();
+        if (typeof window.__AA_SET_DRY_RUN === 'function') window.__AA_SET_DRY_RUN(false); // clear shadow outlines
     };
 
     window.__AA_LAST_SCAN = Date.now();
     window.__AA_CLICK_COUNT = window.__AA_CLICK_COUNT || 0;
+    // Stamped once per document: a lower click count under a new epoch is a reload, not a stale read
+    window.__AA_CLICK_EPOCH = window.__AA_CLICK_EPOCH || Date.now().toString(36) + Math.random().toString(36).substring(2, 6);
+
+    // ⚡ PUSH REPORTS: every extension host adds its own Runtime binding (__AA_REPORT_<hostId>)
+    // and lists it in __AA_REPORTERS with a timestamp its heartbeat refreshes. Clicks, blocks
+    // and diagnostics go to ONE live reporter — the lowest name — so each click is counted
+    // once however many windows watch the page. A binding whose host died still exists but
+    // goes nowhere, hence the timestamp. No live reporter → the heartbeat drains the arrays.
+    var REPORTER_TTL = 30000;
+    function primaryReporter() {
+        var reg = window.__AA_REPORTERS || {}; var now = Date.now(); var best = null;
+        for (var name in reg) {
+            if (reg.hasOwnProperty(name) && now - reg[name] < REPORTER_TTL && typeof window[name] === 'function' && (best === null || name < best)) best = name;
+        }
+        return best;
+    }
+    window.__AA_PRIMARY_REPORTER = primaryReporter;
+
+    function report(kind, data) {
+        var name = primaryReporter();
+        if (!name) return false;
+        try {
+            window[name](JSON.stringify({ kind: kind, data: data, clickCount: window.__AA_CLICK_COUNT || 0, epoch: window.__AA_CLICK_EPOCH }));
+            return true;
+        } catch (e) { return false; }
+    }
+
+    function pushDiag(ev) {
+        if (report('diag', ev)) return;
+        if (!window.__AA_DIAG) window.__AA_DIAG = [];
+        window.__AA_DIAG.push(ev);
+        if (window.__AA_DIAG.length > 20) window.__AA_DIAG.shift();
+    }
 
-    window.__AA_BLOCKED = BLOCKED_COMMANDS;
-    window.__AA_ALLOWED = ALLOWED_COMMANDS;
-    window.__AA_HAS_FILTERS = HAS_FILTERS;
-    window.__AA_PAUSED = false; 
+    // ⚡ WORKSPACE POLICY: Every window's extension host injects into every page on the
+    // CDP port. Once the owning window has pushed its workspace policy, another host's
+    // (re-)inject must not clobber it with that host's global lists.
+    if (!window.__AA_POLICY_WS) {
+        window.__AA_BLOCKED = BLOCKED_COMMANDS;
+        window.__AA_ALLOWED = ALLOWED_COMMANDS;
+        window.__AA_REVIEW = REVIEW_COMMANDS;
+        window.__AA_HAS_FILTERS = HAS_FILTERS;
+        window.__AA_BUTTON_TEXTS = null;
+    }
+    window.__AA_PAUSED = !!window.__AA_BUDGET_TRIPPED; // a tripped click budget survives re-injects
+    window.__AA_DRY_RUN = ${dryRun};
+    window.__AA_FILE_RULES = FILE_EDIT_RULES;
+    window.__AA_RATE_LIMITS = RATE_LIMITS;
+    window.__AA_RETRY_BREAKER = RETRY_BREAKER;
+    window.__AA_SELECTORS = SELECTORS;
+    window.__AA_RISK_THRESHOLD = RISK_THRESHOLD;
+    window.__AA_PATH_SCOPE = PATH_SCOPE;
+    window.__AA_SECRET_GUARD = SECRET_GUARD;
+    window.__AA_EGRESS = EGRESS;
 
     if (!window.__AA_ACTIVITY_TRACKED) {
         window.__AA_ACTIVITY_TRACKED = true;
@@ -115,244 +183,372 @@ function buildDOMObserverScript(customTexts, blockedCommands, allowedCommands, a
         console.log.apply(console, args);
     }
 
-    var COOLDOWN_MS = 5000;
-    var EXPAND_COOLDOWN_MS = 10000; 
-    var clickCooldowns = {};
+    // ⚡ FIX: Shell-aware filtering. The same tokenizer the unit tests exercise in
+    // Node is serialized in here, so quoting (r''m), substitutions ($(echo rm)),
+    // env prefixes and sh -c / pwsh -Command wrappers can't slip past the lists.
+    var CommandFilter = (${createCommandFilter.toString()})();
+
+    // ⚡ NETWORK EGRESS: hosts a command would contact vs. the domain allowlist — a rule
+    // category of the command verdict below, live-updated through __AA_EGRESS.
+    var Egress = (${createEgressPolicy.toString()})(CommandFilter);
+    function egressOn() { return !!(window.__AA_EGRESS || EGRESS).enabled; }
+
+    // ⚡ TRUST GRANTS: __AA_GRANTS holds every window's grants (keyed by extension host) and is
+    // never baked into the script — a re-inject from another window must not wipe them.
+    var Grants = (${createTrustGrants.toString()})();
+    function currentGrant() {
+        var m = window.__AA_GRANTS; var all = [];
+        if (!m) return null;
+        for (var k in m) { if (m.hasOwnProperty(k)) all = all.concat(m[k]); }
+        return all.length ? Grants.activeGrant(all, Grants.conversationTitle(document), Date.now()) : null;
+    }
+
+    // ⚡ RISK SCORING: every extracted command is scored (categories go to the activity
+    // feed); at or above __AA_RISK_THRESHOLD it is held for review even if the filters allow it.
+    var Risk = (${createRiskScorer.toString()})(CommandFilter, ${JSON.stringify(RISK_PRESETS)});
+    function riskHeld(risk) {
+        var threshold = window.__AA_RISK_THRESHOLD !== undefined ? window.__AA_RISK_THRESHOLD : RISK_THRESHOLD;
+        return !!risk && threshold > 0 && risk.score >= threshold;
+    }
 
-    function _domPath(el) {
-        var parts = []; var curr = el;
-        for (var i = 0; i < 4 && curr && curr !== document.body; i++) {
-            var idx = 0; var child = curr.parentElement ? curr.parentElement.firstElementChild : null;
-            while (child) { if (child === curr) break; idx++; child = child.nextElementSibling; }
-            parts.unshift((curr.tagName || '') + '[' + idx + ']'); curr = curr.parentElement;
+    // ⚡ SINGLE SOURCE: the matching rules — attribute selectors, text + locale labels, the
+    // sidebar / list / semantic-tag guards, cooldowns, command extraction — live in
+    // PermissionEngine.js. Tests and Node code run that same function on jsdom.
+    var LOCALE_LABELS = ${JSON.stringify(localeLabels)};
+    var EngineState = { cooldowns: {} };
+    var Engine = (${createPermissionEngine.toString()})({
+        labels: LOCALE_LABELS,
+        selectors: SELECTORS,
+        commandFilter: CommandFilter,
+        egress: Egress,
+        onBadSelector: function(text, selector) {
+            pushDiag({ kind: 'bad-selector', text: text, selector: selector, time: Date.now() });
         }
-        return parts.join('/');
+    }, EngineState);
+    var COOLDOWN_MS = Engine.COOLDOWN_MS;
+    var _domPath = Engine.domPath;
+    var findButton = Engine.findButton;
+    var extractCommandText = Engine.extractCommandText;
+
+    // ⚡ DETECTION HEALTH CHECK: the same selector + text passes as findButton, but it never
+    // clicks and it records every candidate, noting which guard rejected it.
+    window.__AA_DIAGNOSE = function() {
+        var texts = (window.__AA_BUTTON_TEXTS || BUTTON_TEXTS).concat(EXPAND_TEXTS);
+        var r = Engine.diagnose(document.body, texts, 50);
+        return { title: document.title, url: location.href, observer: !!window.__AA_OBSERVER_ACTIVE, paused: !!window.__AA_PAUSED,
+            dryRun: !!window.__AA_DRY_RUN, lastScanAgoMs: Date.now() - (window.__AA_LAST_SCAN || 0), texts: texts, found: r.found, rejected: r.rejected };
+    };
+
+    // ⚡ DOM FIXTURES: tags the element findButton would pick with data-aa-fixture-expect so the
+    // recorder's DOM.getOuterHTML snapshot carries its own expectation. Cooldowns and dry-run
+    // outlines are ignored — a replay starts from a fresh observer. false clears the tag.
+    window.__AA_FIXTURE_MARK = function(on) {
+        var marked = document.querySelectorAll('[data-aa-fixture-expect]');
+        for (var i = 0; i < marked.length; i++) marked[i].removeAttribute('data-aa-fixture-expect');
+        if (!on) return 'unmarked';
+        var texts = window.__AA_BUTTON_TEXTS || BUTTON_TEXTS;
+        var savedCooldowns = EngineState.cooldowns; var savedDryRun = window.__AA_DRY_RUN;
+        EngineState.cooldowns = {}; window.__AA_DRY_RUN = false;
+        try {
+            var match = findButton(document.body, texts.concat(EXPAND_TEXTS));
+            if (!match) return { texts: texts, expect: null };
+            // Shadow roots aren't serialized by DOM.getOuterHTML — the recorder refuses these
+            if (match.node.getRootNode && match.node.getRootNode() !== document) return { texts: texts, expect: null, shadow: true };
+            match.node.setAttribute('data-aa-fixture-expect', match.matchedText);
+            return { texts: texts, expect: { text: match.matchedText, via: match.via, path: _domPath(match.node) } };
+        } finally { EngineState.cooldowns = savedCooldowns; window.__AA_DRY_RUN = savedDryRun; }
+    };
+
+
+    // ⚡ FILE-EDIT RULES: path globs + diff-size limit, read from the chat UI around the
+    // Accept button. Same single-source trick as the command filter.
+    var FileRules = (${createFileEditRules.toString()})();
+
+    function isFileEditButton(matchedText) { return matchedText.indexOf('accept') === 0; }
+    // Run executes the code block beside it — with no readable block there is nothing to vet
+    function isRunButton(matchedText) { return matchedText === 'run'; }
+
+    // textContent glues sibling spans together ("app.ts+3-1Accept"); join text nodes with spaces
+    function spacedText(el) {
+        var parts = []; var len = 0; var node;
+        var walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        while ((node = walker.nextNode()) && len < 4000) {
+            var t = (node.nodeValue || '').trim();
+            if (t) { parts.push(t); len += t.length + 1; }
+        }
+        return len < 4000 ? parts.join(' ') : null;
     }
 
-    function closestClickable(node) {
-        var el = node;
-        while (el && el !== document.body) {
-            // ⚡ GUARD: Abort upward walk if we enter a sidebar/list container.
-            // This prevents promoting conversation list items to click targets.
-            if (el !== node && el.matches && (function() { try { return el.matches(LIST_CONTAINER_SELECTORS); } catch(e) { return false; } })()) {
-                return null; // Hit a list container — this node is NOT an action button
+    function addPaths(paths, found) {
+        for (var k = 0; k < found.length; k++) {
+            var p = found[k].replace(/\\\\/g, '/'); var dup = false;
+            // "app.ts" in the label and "src/app.ts" in a tooltip are the same file — keep the longer
+            for (var q = 0; q < paths.length; q++) {
+                if (paths[q] === p || paths[q].slice(-(p.length + 1)) === '/' + p) { dup = true; break; }
+                if (p.slice(-(paths[q].length + 1)) === '/' + paths[q]) { paths[q] = p; dup = true; break; }
             }
-            var tag = (el.tagName || '').toLowerCase();
-            if (tag === 'button' || tag === 'a' || tag.includes('button') || tag.includes('btn') ||
-                el.getAttribute('role') === 'button' || el.getAttribute('role') === 'link' ||
-                el.classList.contains('cursor-pointer') ||
-                el.onclick || el.getAttribute('tabindex') === '0') {
-                // ⚡ FINAL CHECK: Reject if it's a conversation list item.
-                // EXCEPTION: Real semantic <button> and <a> elements are ALWAYS valid click
-                // targets — conversation history items are divs/spans, never button tags.
-                var isSemanticTag = (tag === 'button' || tag === 'a');
-                if (!isSemanticTag && isConversationListItem(el)) return null;
-                return el;
+            if (!dup) paths.push(p);
+        }
+    }
+
+    // Nearest ancestor that names a file wins; stop before the walk reaches the whole chat
+    function fileEditContext(btn) {
+        var el = btn; var stats = null;
+        for (var i = 0; i < 6 && el && el !== document.body; i++) {
+            el = el.parentElement; if (!el) break;
+            var text = spacedText(el);
+            if (text === null) break;
+            if (!stats) stats = FileRules.parseDiffStats(text);
+            var paths = [];
+            var attrs = el.querySelectorAll('[data-path], [data-uri], [data-resource], [title]');
+            for (var j = 0; j < attrs.length && j < 50; j++) {
+                addPaths(paths, FileRules.findPaths(attrs[j].getAttribute('data-path') || attrs[j].getAttribute('data-uri') ||
+                    attrs[j].getAttribute('data-resource') || attrs[j].getAttribute('title') || ''));
             }
-            el = el.parentElement;
+            addPaths(paths, FileRules.findPaths(text));
+            if (paths.length > 0) return { paths: paths, stats: stats };
         }
-        return node;
+        return { paths: [], stats: stats };
     }
 
-    var _wordBoundaryRegex = /[a-z0-9_\\\\-\\\\.]/i;
-    function isWordBoundary(str, keyLen) {
-        if (str.length === keyLen) return true;
-        return !_wordBoundaryRegex.test(str.charAt(keyLen));
+    function fileEditVerdict(btn) {
+        var rules = window.__AA_FILE_RULES || FILE_EDIT_RULES;
+        if (!FileRules.hasRules(rules)) return null;
+        var v = FileRules.evaluate(fileEditContext(btn), rules);
+        return v.allowed ? null : v;
     }
 
-    function findButton(root, texts) {
-        var walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
-        var wNode; var best = null; 
-        while ((wNode = walker.nextNode())) {
-            if (wNode.shadowRoot) {
-                var result = findButton(wNode.shadowRoot, texts);
-                if (result && (best === null || result.priority < best.priority)) {
-                    best = result; if (best.priority === 0) return best; 
-                }
-            }
-            var testId = (wNode.getAttribute('data-testid') || wNode.getAttribute('data-action') || '').toLowerCase();
-            if (testId.includes('alwaysallow') || testId.includes('always-allow') || testId.includes('allow')) {
-                var tag1 = (wNode.tagName || '').toLowerCase();
-                if (tag1 === 'button' || tag1.includes('button') || wNode.getAttribute('role') === 'button' || tag1.includes('btn')) {
-                    var allowIdx = texts.indexOf('allow');
-                    if (allowIdx === -1) allowIdx = texts.length;
-                    if (best === null || allowIdx < best.priority) {
-                        best = { node: wNode, matchedText: 'allow', priority: allowIdx };
-                        if (best.priority === 0) return best;
-                    }
-                    continue;
-                }
-            }
-            var nodeText = (wNode.textContent || '').trim().toLowerCase();
-            if (nodeText.length > 50) {
-                if (!window.__AA_SKIP_COUNT) window.__AA_SKIP_COUNT = 0;
-                if (window.__AA_SKIP_COUNT < 3) {
-                    for (var lt = 0; lt < texts.length; lt++) {
-                        if (nodeText.indexOf(texts[lt]) !== -1) { window.__AA_SKIP_COUNT++; break; }
-                    }
-                }
-                continue;
-            }
+    // Left for the user to review: no label rewrite (they still need to click Accept), just
+    // an outline, and reported to the extension through pushDiag.
+    function holdFileEdit(btn, matchedText, v) {
+        btn.setAttribute('data-aa-blocked', 'file-rule');
+        btn.setAttribute('data-aa-hold-reason', v.reason + (v.path ? ': ' + v.path : v.lines ? ': ' + v.lines + ' lines' : ''));
+        btn.style.outline = '2px solid #ff9800'; btn.style.outlineOffset = '2px';
+        pushDiag({ kind: 'file-edit-held', text: matchedText, reason: v.reason, path: v.path, pattern: v.pattern, lines: v.lines || null, time: Date.now() });
+        _log('file edit held:', v.reason, v.path || '', v.pattern || '');
+    }
 
-            for (var t = 0; t < texts.length; t++) {
-                if (best !== null && t >= best.priority) break;
-                var text = texts[t];
-                var isExpandKeyword = (text === 'expand' || text === 'requires input');
-                var isMatch = false;
-
-                if (isExpandKeyword) {
-                    if (text === 'expand') {
-                        isMatch = nodeText.replace(/[^a-z]/g, '') === 'expand';
-                        if (isMatch) {
-                            var hasContext = false; var p = wNode;
-                            for (var up = 0; up < 6 && p && p !== document.body; up++) {
-                                p = p.parentElement;
-                                if (p && (p.textContent || '').toLowerCase().indexOf('requires input') !== -1) { hasContext = true; break; }
-                            }
-                            isMatch = hasContext;
-                        }
-                    } else if (text === 'requires input') {
-                        isMatch = nodeText.indexOf('requires input') !== -1 && nodeText.length <= 80;
-                    }
-                } else {
-                    isMatch = nodeText === text ||
-                        (text.length >= 3 && nodeText.startsWith(text) && isWordBoundary(nodeText, text.length) && nodeText.length <= text.length * 3) ||
-                        (nodeText.startsWith(text + ' ') && nodeText.length <= text.length * 5) ||
-                        (text.length >= 3 && nodeText.startsWith(text) && nodeText.length <= text.length * 5 &&
-                            /^(alt|ctrl|shift|cmd|meta|\u2318|\u2325|\u21E7|\u2303)/.test(nodeText.substring(text.length)));
-                }
-                if (!isMatch) continue;
-
-                var clickable = closestClickable(wNode);
-                if (!clickable) continue; // ⚡ closestClickable returned null — inside a list container
-                var tag2 = (clickable.tagName || '').toLowerCase();
-                var isExpandType = (text === 'expand' && nodeText === 'expand') || text === 'requires input';
-
-                // ⚡ STRUCTURAL SIDEBAR GUARD for ambiguous short words
-                // "run", "accept", "allow" etc. can appear as chat titles in the sidebar.
-                // We only block if: (a) text is an ambiguous keyword AND (b) the element is inside
-                // a sidebar container AND (c) it is NOT a real semantic <button>/<a>.
-                // Conversation history items are always divs — never actual button tags.
-                var isSemanticTag2 = (tag2 === 'button' || tag2 === 'a');
-                if (!isSemanticTag2 && AMBIGUOUS_TEXTS[text] && isSidebarElement(clickable)) {
-                    continue; // Skip — this is a sidebar chat title, not an action button
-                }
+    window.__AA_RELEASE_FILE_HOLDS = function() {
+        var holds = document.querySelectorAll('[data-aa-blocked="file-rule"]');
+        for (var i = 0; i < holds.length; i++) {
+            holds[i].removeAttribute('data-aa-blocked'); holds[i].removeAttribute('data-aa-hold-reason');
+            holds[i].style.outline = ''; holds[i].style.outlineOffset = '';
+        }
+        return holds.length;
+    };
 
-                // ⚡ PROPER BUTTON TAG GUARD for ambiguous keywords (Issue #62)
-                // After clicking a real <button>, the MutationObserver fires and can match
-                // an adjacent sibling <div> that also contains "run"/"accept" text (e.g. labels,
-                // VS Code menu items, activity bar entries, status indicators).
-                // These divs match because of cursor-pointer but are NOT action buttons.
-                // Fix: For BARE single-word ambiguous keywords, ONLY click semantic elements.
-                // Multi-word phrases like "accept all" are specific enough to pass through —
-                // the "Accept all" file edit bar uses a non-semantic <div>. (GH Issue #62)
-                if (AMBIGUOUS_TEXTS[text] && nodeText === text) {
-                    var isSemanticButton = tag2 === 'button' || tag2 === 'a' ||
-                        (clickable.getAttribute('role') === 'button') ||
-                        (clickable.getAttribute('role') === 'link');
-                    if (!isSemanticButton) {
-                        continue; // Skip — bare ambiguous word on a non-semantic element
-                    }
-                }
+    // ⚡ PATH SCOPE: each extension host files its workspace folders under its workspace name
+    // in __AA_WORKSPACE_ROOTS and claims the pages titled after it (__AA_ROOTS_OWNER). A page
+    // no window owns (Agent Manager) is scoped to every open window's folders.
+    var PathScope = (${createPathScope.toString()})(CommandFilter);
+
+    function scopeRoots() {
+        var all = window.__AA_WORKSPACE_ROOTS || {}; var owner = window.__AA_ROOTS_OWNER;
+        if (owner && all[owner]) return all[owner];
+        var roots = [];
+        for (var name in all) if (all.hasOwnProperty(name)) roots = roots.concat(all[name]);
+        return roots;
+    }
 
-                if (tag2 === 'button' || tag2 === 'a' || tag2.includes('button') || tag2.includes('btn') ||
-                    clickable.getAttribute('role') === 'button' || clickable.getAttribute('role') === 'link' ||
-                    clickable.classList.contains('cursor-pointer') ||
-                    clickable.onclick || clickable.getAttribute('tabindex') === '0') {
-                    
-                    if (clickable.disabled || clickable.getAttribute('aria-disabled') === 'true' ||
-                        clickable.classList.contains('loading') || clickable.querySelector('.codicon-loading') ||
-                        clickable.getAttribute('data-aa-blocked')) { continue; }
-
-                    if (isExpandKeyword) {
-                        var isAlreadyExpanded =
-                            clickable.getAttribute('aria-expanded') === 'true' ||
-                            clickable.getAttribute('data-state') === 'open' ||
-                            clickable.getAttribute('data-state') === 'expanded';
-                        if (isAlreadyExpanded) continue;
-                    }
-
-                    var btnKey = isExpandType
-                        ? _domPath(clickable) + ':expand:' + (clickable.textContent || '').trim().toLowerCase().substring(0, 30)
-                        : _domPath(clickable) + ':' + (clickable.textContent || '').trim().toLowerCase().substring(0, 30);
-                    var cooldown = isExpandType ? EXPAND_COOLDOWN_MS : COOLDOWN_MS;
-                    var lastClick = clickCooldowns[btnKey] || 0;
-                    if (lastClick && (Date.now() - lastClick < cooldown)) continue;
-                    
-                    best = { node: clickable, matchedText: text, priority: t };
-                    if (t === 0) return best; 
-                    break; 
-                }
-            }
+    function pathScopeVerdict(btn, cmdText) {
+        var cfg = window.__AA_PATH_SCOPE || PATH_SCOPE;
+        if (!cfg.enabled) return null;
+        var v = PathScope.check(cmdText, { cwd: Engine.extractCwd(btn), roots: scopeRoots(), safeRoots: cfg.safeRoots, home: cfg.home });
+        return v.ok ? null : v;
+    }
+
+    // Same treatment as a held file edit: label intact for a manual click, orange outline
+    function holdOutOfScope(btn, matchedText, v) {
+        btn.setAttribute('data-aa-blocked', 'path-scope');
+        btn.setAttribute('data-aa-hold-reason', v.reason + (v.path ? ': ' + v.path : ''));
+        btn.style.outline = '2px solid #ff9800'; btn.style.outlineOffset = '2px';
+        pushDiag({ kind: 'path-scope-held', text: matchedText, reason: v.reason, path: v.path, command: v.command, cwd: v.cwd, time: Date.now() });
+        _log('path scope held:', v.reason, v.path || '', v.command || '');
+    }
+
+    window.__AA_RELEASE_PATH_HOLDS = function() {
+        var holds = document.querySelectorAll('[data-aa-blocked="path-scope"]');
+        for (var i = 0; i < holds.length; i++) {
+            holds[i].removeAttribute('data-aa-blocked'); holds[i].removeAttribute('data-aa-hold-reason');
+            holds[i].style.outline = ''; holds[i].style.outlineOffset = '';
         }
-        return best;
+        return holds.length;
+    };
+
+    // ⚡ SECRET GUARD: the command above a Run button, or the diff next to Accept, is scanned
+    // for keys and tokens. A hit gets the blocked treatment (red, skipped by findButton) but
+    // keeps its label — the user may still click it. Only redacted previews leave the page.
+    var Secrets = (${createSecretScanner.toString()})(CommandFilter);
+
+    function secretVerdict(matchedText, cmdText) {
+        var on = window.__AA_SECRET_GUARD !== undefined ? window.__AA_SECRET_GUARD : SECRET_GUARD;
+        if (!on || !cmdText) return null;
+        var v = isFileEditButton(matchedText) ? Secrets.scanText(cmdText) : Secrets.scanCommand(cmdText);
+        return v.found ? v : null;
     }
 
-    var lastPrune = Date.now();
-    var PRUNE_INTERVAL_MS = 30000;
-    function pruneCooldowns() {
-        var now = Date.now(); if (now - lastPrune < PRUNE_INTERVAL_MS) return; lastPrune = now;
-        var maxAge = EXPAND_COOLDOWN_MS * 2; var keys = Object.keys(clickCooldowns);
-        for (var i = 0; i < keys.length; i++) { if (now - clickCooldowns[keys[i]] > maxAge) { delete clickCooldowns[keys[i]]; } }
+    function holdSecret(btn, matchedText, v) {
+        btn.setAttribute('data-aa-blocked', 'secret');
+        btn.setAttribute('data-aa-hold-reason', v.findings[0].why);
+        btn.style.setProperty('background', '#4a1c1c', 'important');
+        btn.style.outline = '2px solid #f44336'; btn.style.outlineOffset = '2px';
+        pushDiag({ kind: 'secret-held', text: matchedText, findings: v.findings, time: Date.now() });
+        _log('secret held:', v.findings[0].kind, v.findings[0].preview);
     }
 
-    function extractCommandText(btn) {
-        try {
-            var el = btn;
-            for (var i = 0; i < 8 && el && el !== document.body; i++) {
-                el = el.parentElement; if (!el) break;
-                var codes = el.querySelectorAll('pre, code');
-                if (codes.length > 0) {
-                    var allText = '';
-                    for (var j = 0; j < codes.length; j++) { allText += ' ' + (codes[j].textContent || '').trim(); }
-                    return allText.trim();
-                }
-            }
-        } catch (e) { } return null;
+    window.__AA_RELEASE_SECRET_HOLDS = function() {
+        var holds = document.querySelectorAll('[data-aa-blocked="secret"]');
+        for (var i = 0; i < holds.length; i++) {
+            holds[i].removeAttribute('data-aa-blocked'); holds[i].removeAttribute('data-aa-hold-reason');
+            holds[i].style.removeProperty('background'); holds[i].style.outline = ''; holds[i].style.outlineOffset = '';
+        }
+        return holds.length;
+    };
+
+    // ⚡ CLICK BUDGET: bucket state lives on window so a re-inject can't hand a looping
+    // agent a fresh budget. Once tripped the page stays paused until the extension calls
+    // __AA_BUDGET_RESET — the flag is NOT drained, so every window's heartbeat sees it.
+    if (!window.__AA_RATE_STATE) window.__AA_RATE_STATE = {};
+    var Budget = (${createRateLimiter.toString()})(window.__AA_RATE_STATE);
+
+    function tripBudget(trip) {
+        if (!window.__AA_BUDGET_TRIPPED) {
+            trip.time = Date.now();
+            window.__AA_BUDGET_TRIPPED = trip;
+            _log('budget exceeded:', trip.reason, trip.category || '', trip.limit);
+        }
+        window.__AA_PAUSED = true;
     }
+    window.__AA_BUDGET_TRIP = function(trip) { tripBudget(trip); return 'budget-tripped'; };
+    window.__AA_BUDGET_RESET = function() {
+        Budget.reset(); window.__AA_BUDGET_TRIPPED = null;
+        return 'budget-reset';
+    };
+
+    // ⚡ RETRY BREAKER: like the budget, its state lives on window so a re-inject can't reset
+    // a tripped breaker. Transitions are reported for the extension's notification.
+    if (!window.__AA_BREAKER_STATE) window.__AA_BREAKER_STATE = {};
+    var Breaker = (${createRetryBreaker.toString()})(window.__AA_BREAKER_STATE);
 
-    function isCommandAllowed(commandText) {
-        var blockedList = window.__AA_BLOCKED || BLOCKED_COMMANDS;
-        var allowedList = window.__AA_ALLOWED || ALLOWED_COMMANDS;
+    function breakerEvent(ev) {
+        if (!ev) return;
+        ev.kind = 'retry-breaker'; ev.time = Date.now();
+        pushDiag(ev);
+        _log('retry breaker:', ev.type, 'attempts:', ev.attempts);
+    }
+
+    function filterLists(grant) {
+        return { blocked: window.__AA_BLOCKED || BLOCKED_COMMANDS, allowed: window.__AA_ALLOWED || ALLOWED_COMMANDS, review: window.__AA_REVIEW || REVIEW_COMMANDS,
+            egress: window.__AA_EGRESS || EGRESS, grant: grant };
+    }
+
+    // verdict.action: 'allow', 'block' or 'review' (hold the button and ask the user in VS Code)
+    function commandVerdict(commandText, grant) {
         var hasFilters = window.__AA_HAS_FILTERS !== undefined ? window.__AA_HAS_FILTERS : HAS_FILTERS;
-        if (!hasFilters) return true;
-        if (!commandText) return false; 
-
-        var cmdLower = commandText.toLowerCase();
-
-        function matchesPattern(cmd, pattern) {
-            var patLower = pattern.toLowerCase(); var cmdLower = cmd.toLowerCase(); var idx = cmdLower.indexOf(patLower);
-            while (idx !== -1) {
-                var before = idx === 0 ? ' ' : cmdLower.charAt(idx - 1);
-                var after = idx + patLower.length >= cmdLower.length ? ' ' : cmdLower.charAt(idx + patLower.length);
-                var delimiters = ${JSON.stringify(' \t\r\n|;&/()[]{}\"\'`$=<>,\\:')};
-                if ((idx === 0 || delimiters.indexOf(before) !== -1) && (idx + patLower.length >= cmdLower.length || delimiters.indexOf(after) !== -1)) { return true; }
-                idx = cmdLower.indexOf(patLower, idx + 1);
-            }
-            return false;
+        if (!hasFilters && !egressOn()) return { allowed: true, reason: 'no-filters', action: 'allow' };
+        var verdict = Engine.commandVerdict(commandText, filterLists(grant));
+        if (!verdict.allowed) _log('filter:', verdict.reason, verdict.command || '', verdict.pattern || '');
+        if (verdict.grant) _log('trust grant lifted:', verdict.lifted, grant.title);
+        if (verdict.egress && !window.__AA_DRY_RUN) {
+            var e = verdict.egress;
+            pushDiag({ kind: 'egress-held', action: verdict.action, reason: e.reason, host: e.host, tool: e.tool, command: e.command, time: Date.now() });
         }
+        return verdict;
+    }
 
-        for (var b = 0; b < blockedList.length; b++) { if (matchesPattern(cmdLower, blockedList[b])) { return false; } }
-        if (allowedList.length > 0) {
-            var allowed = false;
-            for (var a = 0; a < allowedList.length; a++) { if (matchesPattern(cmdLower, allowedList[a])) { allowed = true; break; } }
-            if (!allowed) return false;
-        }
-        return true;
+    // A risk hold on a command the grant covers is lifted too
+    function riskLifted(cmdText, grant) {
+        return !!grant && Engine.grantLifts(cmdText, filterLists(grant), function(t) { return riskHeld(Risk.score(t)); });
+    }
+
+    function markBlocked(btn, label) {
+        btn.setAttribute('data-aa-blocked', 'true');
+        btn.style.cssText += ';background:#4a1c1c !important;opacity:0.6;cursor:not-allowed;';
+        btn.textContent = label;
+        Engine.startCooldown(btn, false, Date.now() + (15000 - COOLDOWN_MS));
+    }
+
+    // ⚡ REVIEW HOLD: the button is left exactly as the agent rendered it. The extension
+    // harvests __AA_REVIEW_QUEUE, asks the user, then calls __AA_REVIEW_RESOLVE over CDP.
+    var reviewPending = {}; var reviewSeq = 0;
+    function queueReview(btn, cmdText, matchedText, risk) {
+        var id = 'rv' + Date.now().toString(36) + '-' + (++reviewSeq);
+        reviewPending[id] = { node: btn, text: matchedText, command: cmdText, risk: risk };
+        btn.setAttribute('data-aa-review', id);
+        if (!window.__AA_REVIEW_QUEUE) window.__AA_REVIEW_QUEUE = [];
+        window.__AA_REVIEW_QUEUE.push({ id: id, command: cmdText.substring(0, 2000), text: matchedText, path: _domPath(btn), time: Date.now(), risk: risk });
+        if (window.__AA_REVIEW_QUEUE.length > 20) window.__AA_REVIEW_QUEUE.shift();
+        _log('review hold:', id, cmdText.substring(0, 120));
+    }
+
+    // ⚡ CLICK AUDIT: pushed to the primary reporter as it happens; without one, drained by
+    // the heartbeat every 10s — sized so a busy 10s window doesn't drop entries. Real clicks
+    // are logged after __AA_CLICK_COUNT counts them so the report carries the new count.
+    var CLICK_LOG_MAX = 50;
+    function logClick(btn, matchedText, cmdText, verdict, extra) {
+        var entry = { text: matchedText, tag: (btn.tagName || '').toLowerCase(), path: _domPath(btn), time: Date.now(),
+            verdict: verdict, command: cmdText ? cmdText.substring(0, 1000) : null };
+        if (extra) for (var k in extra) entry[k] = extra[k];
+        if (report('click', entry)) return;
+        if (!window.__AA_CLICK_LOG) window.__AA_CLICK_LOG = [];
+        window.__AA_CLICK_LOG.push(entry);
+        if (window.__AA_CLICK_LOG.length > CLICK_LOG_MAX) window.__AA_CLICK_LOG.shift();
     }
 
+    // ⚡ SHADOW MODE: record what WOULD be clicked, outline it, never click or rewrite it.
+    // Each element is logged once (data-aa-shadow) until dry run is switched off.
+    var SHADOW_OUTLINE = { allow: '#4caf50', block: '#f44336', review: '#ff9800' };
+    function recordShadow(btn, matchedText, cmdText, verdict, risk) {
+        btn.setAttribute('data-aa-shadow', verdict);
+        btn.style.outline = '2px dashed ' + (SHADOW_OUTLINE[verdict] || SHADOW_OUTLINE.allow);
+        btn.style.outlineOffset = '2px';
+        logClick(btn, matchedText, cmdText, verdict, { dryRun: true, risk: risk });
+        _log('dry-run:', matchedText, verdict, 'path:', _domPath(btn));
+    }
+
+    window.__AA_SET_DRY_RUN = function(on) {
+        window.__AA_DRY_RUN = !!on;
+        if (on) return 'dry-run-on';
+        var marked = document.querySelectorAll('[data-aa-shadow]');
+        for (var i = 0; i < marked.length; i++) {
+            marked[i].removeAttribute('data-aa-shadow');
+            marked[i].style.outline = ''; marked[i].style.outlineOffset = '';
+        }
+        return 'dry-run-off';
+    };
+
+    window.__AA_REVIEW_RESOLVE = function(id, approve) {
+        var entry = reviewPending[id]; delete reviewPending[id];
+        if (!entry) return 'expired';
+        var btn = entry.node;
+        if (!btn.isConnected) return 'gone';
+        btn.removeAttribute('data-aa-review');
+        if (!approve) { markBlocked(btn, '\uD83D\uDEAB Denied by Review'); return 'denied'; }
+        if (window.__AA_PAUSED) return 'paused';
+        // An approved click spends the same budget and cooldown as any other click;
+        // a tripped budget leaves the button for the next scan to hold again
+        var limits = window.__AA_RATE_LIMITS || RATE_LIMITS; var nowTs = Date.now();
+        var trip = Budget.takeRate(Budget.categoryOf(entry.text), limits, nowTs) || Budget.takeHourly(1, limits, nowTs);
+        if (trip) { trip.text = entry.text; tripBudget(trip); return 'blocked:rate_limit'; }
+        breakerEvent(Breaker.progress());
+        Engine.startCooldown(btn, false, nowTs);
+        btn.click();
+        window.__AA_CLICK_COUNT = (window.__AA_CLICK_COUNT || 0) + 1;
+        logClick(btn, entry.text, entry.command, 'approved', { risk: entry.risk });
+        return 'clicked:' + entry.text;
+    };
+
     function scanAndClick() {
         window.__AA_LAST_SCAN = Date.now(); 
-        window.__AA_SKIP_COUNT = 0; 
         if (window.__AA_PAUSED || window.__AA_SWARM_PAUSED) return null;
-        pruneCooldowns();
+        Engine.pruneCooldowns(Date.now());
 
         if (!isAgentPanel()) return null;
 
         if (!window.__AA_EXPAND_DIAG_TS || Date.now() - window.__AA_EXPAND_DIAG_TS > 10000) { window.__AA_EXPAND_DIAG_TS = Date.now(); }
 
-        var allTexts = BUTTON_TEXTS.concat(EXPAND_TEXTS);
-        var currentHasFilters = window.__AA_HAS_FILTERS !== undefined ? window.__AA_HAS_FILTERS : HAS_FILTERS;
+        var allTexts = (window.__AA_BUTTON_TEXTS || BUTTON_TEXTS).concat(EXPAND_TEXTS);
+        var currentHasFilters = (window.__AA_HAS_FILTERS !== undefined ? window.__AA_HAS_FILTERS : HAS_FILTERS) || egressOn();
 
         var MAX_SCANS = 5;
         for (var scan = 0; scan < MAX_SCANS; scan++) {
@@ -368,41 +564,92 @@ function buildDOMObserverScript(customTexts, blockedCommands, allowedCommands, a
                 continue;
             }
 
-            if (currentHasFilters && !isExpandBtn) {
-                var cmdText = extractCommandText(btn);
-                if (cmdText !== null) {
-                    if (!isCommandAllowed(cmdText)) {
-                        btn.setAttribute('data-aa-blocked', 'true');
-                        btn.style.cssText += ';background:#4a1c1c !important;opacity:0.6;cursor:not-allowed;';
-                        btn.textContent = '\uD83D\uDEAB Blocked by Filter';
-                        var blockKey = _domPath(btn) + ':' + (btn.textContent || '').trim().toLowerCase().substring(0, 30);
-                        clickCooldowns[blockKey] = Date.now() + (15000 - COOLDOWN_MS);
-                        continue; 
-                    }
+            if (window.__AA_DRY_RUN) {
+                var shadowCmd = isExpandBtn ? null : extractCommandText(btn);
+                var shadowRisk = shadowCmd && !isFileEditButton(matchedText) ? Risk.score(shadowCmd) : null;
+                var shadowGrant = shadowCmd !== null && !isFileEditButton(matchedText) ? currentGrant() : null;
+                var shadowVerdict = secretVerdict(matchedText, shadowCmd) ? 'block'
+                    : (currentHasFilters && (shadowCmd !== null || isRunButton(matchedText))) ? commandVerdict(shadowCmd || '', shadowGrant).action : 'allow';
+                if (shadowVerdict === 'allow' && (shadowCmd !== null || isRunButton(matchedText)) && !isFileEditButton(matchedText) && pathScopeVerdict(btn, shadowCmd || '')) shadowVerdict = 'block';
+                if (shadowVerdict === 'allow' && riskHeld(shadowRisk) && !riskLifted(shadowCmd, shadowGrant)) shadowVerdict = 'review';
+                if (shadowVerdict === 'allow' && isFileEditButton(matchedText) && fileEditVerdict(btn)) shadowVerdict = 'block';
+                recordShadow(btn, matchedText, shadowCmd, shadowVerdict, shadowRisk);
+                continue;
+            }
+
+            var cmdText = isExpandBtn ? null : extractCommandText(btn);
+            // File edits answer to the file-edit rules — the code next to Accept is a diff, not a command
+            var risk = cmdText && !isFileEditButton(matchedText) ? Risk.score(cmdText) : null;
+            // Before the filters: a review prompt would put the secret in a notification
+            var leak = secretVerdict(matchedText, cmdText);
+            if (leak) { holdSecret(btn, matchedText, leak); continue; }
+            // Grants elevate commands only — never file edits
+            var grant = cmdText !== null && !isExpandBtn && !isFileEditButton(matchedText) ? currentGrant() : null;
+            var grantUsed = false;
+            // Fail closed: a Run button whose command can't be read is checked as '' (no-command-text)
+            if (currentHasFilters && !isExpandBtn && (cmdText !== null || isRunButton(matchedText))) {
+                var verdict = commandVerdict(cmdText || '', grant);
+                if (verdict.action === 'block') {
+                    markBlocked(btn, '\uD83D\uDEAB Blocked by Filter');
+                    // Egress blocks already reported themselves as egress-held
+                    if (!verdict.egress) pushDiag({ kind: 'command-blocked', text: matchedText, reason: verdict.reason, command: (verdict.command || cmdText || '').substring(0, 1000), pattern: verdict.pattern || null, time: Date.now() });
+                    continue; 
                 }
+                if (verdict.action === 'review') {
+                    queueReview(btn, cmdText, matchedText, risk);
+                    continue;
+                }
+                grantUsed = !!verdict.grant;
+            }
+            // A Run button with no readable command gets PathScope's no-command-text hold
+            if (!isExpandBtn && (cmdText !== null || isRunButton(matchedText)) && !isFileEditButton(matchedText)) {
+                var scopeVerdict = pathScopeVerdict(btn, cmdText || '');
+                if (scopeVerdict) { holdOutOfScope(btn, matchedText, scopeVerdict); continue; }
+            }
+            if (riskHeld(risk) && riskLifted(cmdText, grant)) {
+                _log('trust grant lifted risk hold:', Risk.describe(risk), grant.title);
+                grantUsed = true;
+            } else if (riskHeld(risk)) {
+                _log('risk hold:', Risk.describe(risk));
+                queueReview(btn, cmdText, matchedText, risk);
+                continue;
+            }
+
+            if (isFileEditButton(matchedText)) {
+                var fileVerdict = fileEditVerdict(btn);
+                if (fileVerdict) { holdFileEdit(btn, matchedText, fileVerdict); continue; }
             }
 
             var isRecovery = matchedText === 'retry' || matchedText === 'continue';
             if (isRecovery) {
-                window.__AA_RECOVERY_TS = window.__AA_RECOVERY_TS || []; var now = Date.now();
-                window.__AA_RECOVERY_TS = window.__AA_RECOVERY_TS.filter(function(ts) { return now - ts < 60000; });
-                if (window.__AA_RECOVERY_TS.length >= 3) { return 'blocked:circuit_breaker'; }
-                window.__AA_RECOVERY_TS.push(now);
-            } else { window.__AA_RECOVERY_TS = []; }
-
-            var key = isExpandBtn 
-                ? _domPath(btn) + ':expand:' + (btn.textContent || '').trim().toLowerCase().substring(0, 30)
-                : _domPath(btn) + ':' + (btn.textContent || '').trim().toLowerCase().substring(0, 30);
-            clickCooldowns[key] = Date.now();
+                var breakerCfg = window.__AA_RETRY_BREAKER || RETRY_BREAKER;
+                var gate = Breaker.attempt({ maxAttempts: breakerCfg.maxAttempts, backoffMs: breakerCfg.backoffMs, cooldownMs: breakerCfg.cooldownMs, graceMs: COOLDOWN_MS }, Date.now());
+                breakerEvent(gate.event);
+                if (!gate.click) {
+                    // Leave Retry/Continue alone for the rest of this scan — other buttons still get clicked
+                    allTexts = allTexts.filter(function(t) { return t !== 'retry' && t !== 'continue'; });
+                    continue;
+                }
+            }
+
+            if (!isExpandBtn) {
+                var limits = window.__AA_RATE_LIMITS || RATE_LIMITS; var nowTs = Date.now();
+                var trip = Budget.takeRate(Budget.categoryOf(matchedText), limits, nowTs) || Budget.takeHourly(1, limits, nowTs);
+                if (trip) { trip.text = matchedText; tripBudget(trip); return 'blocked:rate_limit'; }
+                // Any other click means the agent is moving again
+                if (!isRecovery) breakerEvent(Breaker.progress());
+            }
+
+            Engine.startCooldown(btn, isExpandBtn, Date.now());
             
-            // ⚡ CLICK AUDIT: Store what we clicked for heartbeat to report
-            if (!window.__AA_CLICK_LOG) window.__AA_CLICK_LOG = [];
-            window.__AA_CLICK_LOG.push({ text: matchedText, tag: (btn.tagName || '').toLowerCase(), path: _domPath(btn), time: Date.now() });
-            if (window.__AA_CLICK_LOG.length > 10) window.__AA_CLICK_LOG.shift();
+            var clickExtra = { via: match.via, risk: risk };
+            if (grantUsed) { Grants.use(grant); clickExtra.grant = { id: grant.id, title: grant.title, clicksLeft: grant.clicksLeft }; }
             
-            _log('clicking:', matchedText, 'tag:', (btn.tagName || ''), 'path:', _domPath(btn));
+            _log('clicking:', matchedText, 'via:', match.via, 'tag:', (btn.tagName || ''), 'path:', _domPath(btn));
             btn.click();
             window.__AA_CLICK_COUNT = (window.__AA_CLICK_COUNT || 0) + 1;
+            // ⚡ CLICK AUDIT: report what we clicked, with the count that includes it
+            logClick(btn, matchedText, cmdText, (currentHasFilters && cmdText !== null) ? 'allow' : 'unfiltered', clickExtra);
             return 'clicked:' + matchedText;
         }
         return null; 
@@ -435,4 +682,29 @@ function buildDOMObserverScript(customTexts, blockedCommands, allowedCommands, a
 `;
 }
 
-module.exports = { buildDOMObserverScript };
+/**
+ * The observer wrapped for Page.addScriptToEvaluateOnNewDocument: it runs before the page's
+ * own scripts in every new document of a tracked target, so a reloaded webview is guarded
+ * without waiting for the heartbeat. Every window's host registers its own copy — the first
+ * to run stamps __AA_OBSERVER_VERSION and the others stand down (no double installs).
+ * @returns {{ source: string, version: string }}
+ */
+function buildNewDocumentScript(observerScript) {
+    const version = crypto.createHash('sha1').update(observerScript).digest('hex').substring(0, 12);
+    const source = `
+(function() {
+    // Child frames too get new-document scripts; the observer belongs to the target's own document
+    if (window.frameElement || window.__AA_OBSERVER_VERSION) return;
+    window.__AA_OBSERVER_VERSION = ${JSON.stringify(version)};
+    function install() {
+        try { ${observerScript.trim()}; } catch (e) { console.log('[AA] new-document install failed:', e && e.message); }
+    }
+    // The document has no body yet — install once it is parsed
+    if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', install, { once: true });
+    else install();
+})();
+`;
+    return { source, version };
+}
+
+module.exports = { buildDOMObserverScript, buildButtonTexts, buildNewDocumentScript };
@@ -0,0 +1,144 @@
+// AntiGravity AutoAccept — DOM Fixtures
+// A fixture is one agent panel serialized with CDP `DOM.getOuterHTML`, recorded by the
+// "Record DOM Fixture" command and replayed by test/dom-fixtures.test.js in jsdom.
+// The element the live observer would have clicked carries data-aa-fixture-expect,
+// so the file holds its own expectation:
+//   <!DOCTYPE html>
+//   <!-- aa-fixture {"version":1,"recorded":"…","appVersion":"1.107.0","expect":{"text":"run","via":"text"}} -->
+//   <html>…</html>
+// Before saving, the text of code blocks, editors and inputs is scrubbed to x's (layout
+// and punctuation kept), scripts are emptied and home paths are anonymized, so a fixture
+// can be committed without leaking the code on screen.
+// Pure Node (no vscode import) so tests can require it.
+
+const FIXTURE_VERSION = 1;
+const EXPECT_ATTR = 'data-aa-fixture-expect';
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+// Elements whose whole text is user content
+const SCRUB_TAGS = ['pre', 'code', 'textarea', 'title'];
+const SCRUB_CLASS = /(^|\s)(view-lines?|monaco-editor|cm-content|cm-line|inline-code)(\s|$)/;
+
+function _attr(tag, name) {
+    const m = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(tag);
+    if (!m) return new RegExp(`\\s${name}(\\s|/?>|$)`, 'i').test(tag) ? '' : null;
+    return m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4];
+}
+
+function _scrubsContent(name, tag) {
+    if (SCRUB_TAGS.includes(name)) return true;
+    const editable = _attr(tag, 'contenteditable');
+    if (editable !== null && editable.toLowerCase() !== 'false') return true;
+    const cls = _attr(tag, 'class');
+    return cls !== null && SCRUB_CLASS.test(cls);
+}
+
+// Letters and digits → x; entities, whitespace and punctuation stay so the shape survives
+function _scrubText(text) {
+    return text.replace(/&[#a-z0-9]+;|[\p{L}\p{N}]/giu, (c) => c.length > 1 ? c : 'x');
+}
+
+function _scrubTag(tag) {
+    return tag
+        .replace(/\s(value)\s*=\s*("[^"]*"|'[^']*')/gi, ' $1=""')
+        .replace(/data:[a-z0-9.+-]+\/[a-z0-9.+-]+;base64,[a-z0-9+/=]{64,}/gi, 'data:,');
+}
+
+/**
+ * Scrubs serialized HTML (as produced by DOM.getOuterHTML) for use as a fixture.
+ * Elements and attributes are kept, so the observer's guards see the same structure.
+ * @param {string} html
+ * @returns {string}
+ */
+function scrubHtml(html) {
+    const out = [];
+    const stack = []; // { name, scrub }
+    let scrubbing = 0;
+    let i = 0;
+    while (i < html.length) {
+        const lt = html.indexOf('<', i);
+        const text = html.substring(i, lt === -1 ? html.length : lt);
+        if (text) out.push(scrubbing ? _scrubText(text) : text);
+        if (lt === -1) break;
+
+        if (html.startsWith('<!--', lt)) {
+            const end = html.indexOf('-->', lt + 4);
+            i = end === -1 ? html.length : end + 3;
+            continue; // comments can hold anything (React markers, source maps) — drop them
+        }
+
+        // Tag: find its end, skipping quoted attribute values that may contain '>'
+        let j = lt + 1; let quote = null;
+        while (j < html.length) {
+            const c = html[j];
+            if (quote) { if (c === quote) quote = null; }
+            else if (c === '"' || c === "'") quote = c;
+            else if (c === '>') break;
+            j++;
+        }
+        const tag = html.substring(lt, j + 1);
+        i = j + 1;
+
+        const m = /^<(\/?)([a-zA-Z][\w:-]*)/.exec(tag);
+        if (!m) { out.push(tag); continue; } // <!DOCTYPE …> or stray '<'
+        const name = m[2].toLowerCase();
+
+        if (m[1]) {
+            // Closing tag: pop up to the matching element (serializer output is well-formed)
+            for (let k = stack.length - 1; k >= 0; k--) {
+                if (stack[k].name !== name) continue;
+                for (const popped of stack.splice(k)) if (popped.scrub) scrubbing--;
+                break;
+            }
+            out.push(tag);
+            continue;
+        }
+
+        out.push(_scrubTag(tag));
+        if (name === 'script') {
+            // Keep the element (indexes in DOM paths stay put), drop the code
+            const close = html.toLowerCase().indexOf('</script', i);
+            i = close === -1 ? html.length : close;
+            continue;
+        }
+        if (name === 'style') {
+            const close = html.toLowerCase().indexOf('</style', i);
+            out.push(html.substring(i, close === -1 ? html.length : close));
+            i = close === -1 ? html.length : close;
+            continue;
+        }
+        if (VOID_TAGS.includes(name) || tag.endsWith('/>')) continue;
+        const scrub = _scrubsContent(name, tag);
+        if (scrub) scrubbing++;
+        stack.push({ name, scrub });
+    }
+    return out.join('')
+        .replace(/(\/Users\/|\/home\/|[A-Za-z]:\\+Users\\+)[^/\\"'<>\s]+/g, '$1user');
+}
+
+/**
+ * Fixture file contents: the meta header comment followed by the (already scrubbed) HTML.
+ * @param {string} html  outerHTML of the document element
+ * @param {object} meta  recorded, app, appVersion, locale, texts, expect ({ text, via } or null)
+ * @returns {string}
+ */
+function buildFixture(html, meta) {
+    // "--" may not appear inside a comment; escaping the second dash keeps the JSON intact
+    const header = JSON.stringify({ version: FIXTURE_VERSION, ...meta }).replace(/--/g, '-\\u002d');
+    return `<!DOCTYPE html>\n<!-- aa-fixture ${header} -->\n${html}\n`;
+}
+
+/**
+ * @param {string} text  fixture file contents
+ * @returns {{ meta: object, html: string }|null}  null when the header is missing or unreadable
+ */
+function parseFixture(text) {
+    const m = /^\s*(?:<!DOCTYPE[^>]*>\s*)?<!--\s*aa-fixture\s+([\s\S]*?)\s*-->/i.exec(text);
+    if (!m) return null;
+    let meta;
+    try { meta = JSON.parse(m[1]); } catch (e) { return null; }
+    if (!meta || meta.version !== FIXTURE_VERSION) return null;
+    return { meta, html: text };
+}
+
+module.exports = { FIXTURE_VERSION, EXPECT_ATTR, scrubHtml, buildFixture, parseFixture };
@@ -0,0 +1,134 @@
+// AntiGravity AutoAccept — File-Edit Rules
+// Decides whether an agent file edit may be auto-accepted from the file path(s) and
+// diff stats the chat shows next to its Accept button:
+//   blockedPaths → never auto-accept an edit touching a matching file
+//   allowedPaths → if set, auto-accept only when EVERY edited file matches
+//   maxLines     → never auto-accept more than N added + removed lines (0 = no limit)
+//
+// ⚡ SINGLE SOURCE: createFileEditRules() is self-contained ES5, serialized into the
+// injected observer exactly like createCommandFilter(). Do NOT reference anything
+// outside its body.
+
+function createFileEditRules() {
+    var GLOB_CACHE = {};
+
+    /**
+     * gitignore-style path glob: `**` spans directories, `*` and `?` stay inside one
+     * segment, `{a,b}` alternates. Patterns match whole path segments anywhere in the
+     * path, so `package.json` and `*.lock` hit in any directory and `migrations` or
+     * `.github/**` hit everything below such a directory.
+     */
+    function globToRegExp(glob) {
+        var key = String(glob);
+        if (GLOB_CACHE.hasOwnProperty(key)) return GLOB_CACHE[key];
+        var g = key.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+        g = g.replace(/^\/+|\/+$/g, '');
+        var src = ''; var inBraces = false;
+        for (var i = 0; i < g.length; i++) {
+            var c = g.charAt(i);
+            if (c === '*' && g.charAt(i + 1) === '*') {
+                i++;
+                if (g.charAt(i + 1) === '/') { i++; src += '(?:[^/]*/)*'; }
+                else src += '.*';
+            } else if (c === '*') src += '[^/]*';
+            else if (c === '?') src += '[^/]';
+            else if (c === '{' && !inBraces && g.indexOf('}', i) !== -1) { inBraces = true; src += '(?:'; }
+            else if (c === '}' && inBraces) { inBraces = false; src += ')'; }
+            else if (c === ',' && inBraces) src += '|';
+            else if ('\\^$.|+()[]{}'.indexOf(c) !== -1) src += '\\' + c;
+            else src += c;
+        }
+        var re = new RegExp('(?:^|/)' + src + '(?:$|/)', 'i');
+        GLOB_CACHE[key] = re;
+        return re;
+    }
+
+    function matchesPath(filePath, glob) {
+        if (!filePath || !glob || !String(glob).trim()) return false;
+        return globToRegExp(glob).test(String(filePath).replace(/\\/g, '/'));
+    }
+
+    /**
+     * Diff stats as rendered in the chat: "+12 -3", "+12 −3", "12 additions, 3 deletions".
+     * @returns {{ added: number, removed: number }|null}
+     */
+    function parseDiffStats(text) {
+        var t = String(text || '');
+        var m = /(?:^|[^\w+])\+(\d+)\s*[-−–](\d+)(?!\w)/.exec(t);
+        if (m) return { added: parseInt(m[1], 10), removed: parseInt(m[2], 10) };
+        var a = /(\d+)\s+additions?/i.exec(t); var d = /(\d+)\s+deletions?/i.exec(t);
+        if (a || d) return { added: a ? parseInt(a[1], 10) : 0, removed: d ? parseInt(d[1], 10) : 0 };
+        return null;
+    }
+
+    var PATH_RE = /(?:[A-Za-z]:)?(?:[\w.@~-]+[\\/])*[\w@-][\w.@-]*\.[A-Za-z0-9]{1,12}(?![\w\/\\])/g;
+
+    /** File-looking tokens (name.ext or dir/name.ext) in a piece of UI text */
+    function findPaths(text) {
+        var out = []; var m;
+        var t = String(text || '');
+        PATH_RE.lastIndex = 0;
+        while ((m = PATH_RE.exec(t)) !== null) {
+            // "v1.2.3" / "3.5" style tokens are versions, not files
+            if (/^v?\d+(\.\d+)+$/i.test(m[0])) continue;
+            if (out.indexOf(m[0]) === -1) out.push(m[0]);
+        }
+        return out;
+    }
+
+    /**
+     * @param {{ paths: string[], stats: { added: number, removed: number }|null }} ctx
+     * @param {{ blockedPaths?: string[], allowedPaths?: string[], maxLines?: number }} rules
+     * @returns {{ allowed: boolean, reason: string, path: string|null, pattern: string|null, lines?: number }}
+     */
+    function evaluate(ctx, rules) {
+        var blocked = (rules && rules.blockedPaths) || [];
+        var allowed = (rules && rules.allowedPaths) || [];
+        var maxLines = (rules && rules.maxLines) || 0;
+        if (!blocked.length && !allowed.length && !(maxLines > 0)) return verdict(true, 'no-rules', null, null);
+
+        var paths = (ctx && ctx.paths) || [];
+        if ((blocked.length || allowed.length) && paths.length === 0) return verdict(false, 'file-unknown', null, null);
+        for (var i = 0; i < paths.length; i++) {
+            for (var b = 0; b < blocked.length; b++) {
+                if (matchesPath(paths[i], blocked[b])) return verdict(false, 'blocked-path', paths[i], blocked[b]);
+            }
+            if (allowed.length) {
+                var ok = false;
+                for (var a = 0; a < allowed.length; a++) { if (matchesPath(paths[i], allowed[a])) { ok = true; break; } }
+                if (!ok) return verdict(false, 'not-allowed-path', paths[i], null);
+            }
+        }
+        if (maxLines > 0) {
+            var stats = ctx && ctx.stats;
+            if (!stats) return verdict(false, 'size-unknown', null, null);
+            if (stats.added + stats.removed > maxLines) {
+                var big = verdict(false, 'too-large', null, null);
+                big.lines = stats.added + stats.removed;
+                return big;
+            }
+        }
+        return verdict(true, 'allowed', null, null);
+    }
+
+    function verdict(ok, reason, path, pattern) {
+        return { allowed: ok, reason: reason, path: path, pattern: pattern };
+    }
+
+    function hasRules(rules) {
+        return !!rules && ((rules.blockedPaths || []).length > 0 || (rules.allowedPaths || []).length > 0 || rules.maxLines > 0);
+    }
+
+    return { globToRegExp: globToRegExp, matchesPath: matchesPath, parseDiffStats: parseDiffStats, findPaths: findPaths, evaluate: evaluate, hasRules: hasRules };
+}
+
+const FileEditRules = createFileEditRules();
+
+module.exports = {
+    createFileEditRules,
+    matchesPath: FileEditRules.matchesPath,
+    parseDiffStats: FileEditRules.parseDiffStats,
+    findPaths: FileEditRules.findPaths,
+    evaluateFileEdit: FileEditRules.evaluate,
+    hasFileEditRules: FileEditRules.hasRules
+};
@@ -0,0 +1,142 @@
+// AntiGravity AutoAccept — Button Locale Packs
+// Localized labels for each semantic button keyword. The observer keeps matching on the
+// canonical English keyword (priority, categories, filters and every guard key off it)
+// and simply accepts the localized labels as alternative spellings.
+// Labels are lowercase, as compared against lowercased textContent.
+
+const ACTIONS = ['run', 'accept', 'always allow', 'allow this conversation', 'allow', 'retry', 'continue', 'expand', 'requires input'];
+
+const LOCALE_PACKS = {
+    'fr': {
+        'run': ['exécuter', 'lancer'],
+        'accept': ['accepter'],
+        'always allow': ['toujours autoriser', 'autoriser toujours'],
+        'allow this conversation': ['autoriser pour cette conversation', 'autoriser dans cette conversation'],
+        'allow': ['autoriser'],
+        'retry': ['réessayer'],
+        'continue': ['continuer'],
+        'expand': ['développer', 'déplier'],
+        'requires input': ['nécessite une saisie', 'saisie requise']
+    },
+    'de': {
+        'run': ['ausführen'],
+        'accept': ['akzeptieren', 'annehmen', 'übernehmen'],
+        'always allow': ['immer erlauben', 'immer zulassen'],
+        'allow this conversation': ['für diese unterhaltung erlauben', 'in dieser unterhaltung erlauben', 'für diese konversation zulassen'],
+        'allow': ['erlauben', 'zulassen'],
+        'retry': ['wiederholen', 'erneut versuchen'],
+        'continue': ['fortfahren', 'weiter'],
+        'expand': ['erweitern', 'aufklappen'],
+        'requires input': ['eingabe erforderlich']
+    },
+    'es': {
+        'run': ['ejecutar'],
+        'accept': ['aceptar'],
+        'always allow': ['permitir siempre'],
+        'allow this conversation': ['permitir en esta conversación', 'permitir para esta conversación'],
+        'allow': ['permitir'],
+        'retry': ['reintentar', 'volver a intentar'],
+        'continue': ['continuar'],
+        'expand': ['expandir'],
+        'requires input': ['requiere entrada', 'se requiere entrada']
+    },
+    'pt-BR': {
+        'run': ['executar'],
+        'accept': ['aceitar'],
+        'always allow': ['sempre permitir', 'permitir sempre'],
+        'allow this conversation': ['permitir nesta conversa', 'permitir para esta conversa'],
+        'allow': ['permitir'],
+        'retry': ['tentar novamente', 'repetir'],
+        'continue': ['continuar'],
+        'expand': ['expandir'],
+        'requires input': ['requer entrada', 'entrada necessária']
+    },
+    'ja': {
+        'run': ['実行'],
+        'accept': ['承諾', '承認', '受け入れる'],
+        'always allow': ['常に許可'],
+        'allow this conversation': ['この会話で許可', 'この会話を許可'],
+        'allow': ['許可'],
+        'retry': ['再試行'],
+        'continue': ['続行', '続ける'],
+        'expand': ['展開'],
+        'requires input': ['入力が必要']
+    },
+    'zh-CN': {
+        'run': ['运行', '执行'],
+        'accept': ['接受'],
+        'always allow': ['始终允许', '总是允许'],
+        'allow this conversation': ['在此对话中允许', '允许此对话'],
+        'allow': ['允许'],
+        'retry': ['重试'],
+        'continue': ['继续'],
+        'expand': ['展开'],
+        'requires input': ['需要输入']
+    },
+    'ko': {
+        'run': ['실행'],
+        'accept': ['수락'],
+        'always allow': ['항상 허용'],
+        'allow this conversation': ['이 대화에서 허용', '이 대화 허용'],
+        'allow': ['허용'],
+        'retry': ['다시 시도', '재시도'],
+        'continue': ['계속'],
+        'expand': ['펼치기', '확장'],
+        'requires input': ['입력 필요']
+    },
+    'ru': {
+        'run': ['выполнить', 'запустить'],
+        'accept': ['принять'],
+        'always allow': ['всегда разрешать', 'разрешать всегда'],
+        'allow this conversation': ['разрешить в этом разговоре', 'разрешить для этого разговора', 'разрешить в этом чате'],
+        'allow': ['разрешить'],
+        'retry': ['повторить попытку', 'повторить'],
+        'continue': ['продолжить'],
+        'expand': ['развернуть'],
+        'requires input': ['требуется ввод']
+    },
+    'ar': {
+        'run': ['تشغيل'],
+        'accept': ['قبول'],
+        'always allow': ['السماح دائمًا', 'السماح دائما'],
+        'allow this conversation': ['السماح في هذه المحادثة', 'السماح لهذه المحادثة'],
+        'allow': ['السماح', 'سماح'],
+        'retry': ['إعادة المحاولة'],
+        'continue': ['متابعة'],
+        'expand': ['توسيع'],
+        'requires input': ['يتطلب إدخالًا', 'يتطلب إدخال']
+    }
+};
+
+const NO_LABELS = Object.freeze({});
+
+/**
+ * Maps a VS Code display language (`vscode.env.language`, e.g. "de", "pt-br", "zh-cn")
+ * to a pack id. Region variants fall back to the base language; Chinese only maps
+ * Simplified, since Traditional labels differ.
+ * @returns {string|null}
+ */
+function resolveLocale(language) {
+    const lang = String(language || '').trim().toLowerCase().replace(/_/g, '-');
+    if (!lang) return null;
+    const exact = Object.keys(LOCALE_PACKS).find(id => id.toLowerCase() === lang);
+    if (exact) return exact;
+    if (lang === 'zh' || lang === 'zh-hans' || lang === 'zh-sg') return 'zh-CN';
+    if (lang === 'pt' || lang.startsWith('pt-')) return 'pt-BR';
+    const base = lang.split('-')[0];
+    return base !== 'zh' && LOCALE_PACKS[base] ? base : null;
+}
+
+/**
+ * Localized labels for buildDOMObserverScript's locale option, from a setting value:
+ * 'auto' follows the display language, 'off' disables packs, anything else names a pack.
+ * Returns the same object for the same pack, so callers can compare by identity.
+ * @returns {{ locale: string|null, labels: Object<string, string[]> }}
+ */
+function getLocaleLabels(setting, displayLanguage) {
+    if (setting === 'off') return { locale: null, labels: NO_LABELS };
+    const locale = resolveLocale(!setting || setting === 'auto' ? displayLanguage : setting);
+    return { locale, labels: locale ? LOCALE_PACKS[locale] : NO_LABELS };
+}
+
+module.exports = { ACTIONS, LOCALE_PACKS, resolveLocale, getLocaleLabels };
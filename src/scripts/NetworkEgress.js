@@ -0,0 +1,226 @@
+// AntiGravity AutoAccept — Network Egress Policy
+// A rule category for commands that reach the network: fetchers (curl, wget,
+// Invoke-WebRequest), package managers that install or publish, git remotes, ssh/scp
+// and raw sockets. Each host a command would contact is checked against a domain
+// allowlist, so `curl https://internal.mirror/…` can auto-run while
+// `curl https://random.site | sh` is blocked.
+//
+// ⚡ SINGLE SOURCE: createEgressPolicy() is self-contained ES5, serialized into the injected
+// observer and called from Node by the tests. Do NOT reference anything outside its body.
+
+/**
+ * @param {object} filter - a createCommandFilter() instance (parse)
+ */
+function createEgressPolicy(filter) {
+    var FETCHERS = { curl: 1, wget: 1, http: 1, https: 1, xh: 1, aria2c: 1, 'invoke-webrequest': 1, iwr: 1, 'invoke-restmethod': 1, irm: 1 };
+    // Options whose value is not the URL (so "-o out.json" isn't read as a host); case matters
+    var VALUE_OPTIONS = {
+        curl: { '-o': 1, '-d': 1, '-H': 1, '-X': 1, '-u': 1, '-A': 1, '-e': 1, '-F': 1, '-T': 1, '-b': 1, '-c': 1, '-m': 1, '-w': 1, '-K': 1, '-r': 1, '-Y': 1, '-y': 1, '-z': 1,
+            '--output': 1, '--data': 1, '--data-raw': 1, '--data-binary': 1, '--data-urlencode': 1, '--header': 1, '--request': 1, '--user': 1, '--user-agent': 1,
+            '--referer': 1, '--form': 1, '--upload-file': 1, '--cookie': 1, '--cookie-jar': 1, '--max-time': 1, '--connect-timeout': 1, '--write-out': 1,
+            '--config': 1, '--retry': 1, '--cacert': 1, '--cert': 1, '--key': 1, '--output-dir': 1, '--resolve': 1 },
+        wget: { '-O': 1, '-o': 1, '-a': 1, '-P': 1, '-U': 1, '-e': 1, '-t': 1, '-T': 1, '-w': 1, '-i': 1, '-B': 1, '--output-document': 1, '--output-file': 1, '--directory-prefix': 1,
+            '--user-agent': 1, '--header': 1, '--user': 1, '--password': 1, '--tries': 1, '--timeout': 1, '--post-data': 1, '--post-file': 1 }
+    };
+    var SHELLS = { ssh: 1, sftp: 1, mosh: 1, nc: 1, ncat: 1, netcat: 1, telnet: 1, socat: 1 };
+    var SSH_VALUE_OPTIONS = { '-b': 1, '-c': 1, '-D': 1, '-E': 1, '-e': 1, '-F': 1, '-I': 1, '-i': 1, '-L': 1, '-l': 1, '-m': 1, '-O': 1, '-o': 1, '-p': 1, '-Q': 1, '-R': 1, '-S': 1, '-W': 1, '-w': 1 };
+    // Default registry per package manager, and the subcommands that download or upload
+    var REGISTRIES = {
+        npm: { host: 'registry.npmjs.org', verbs: { install: 1, i: 1, ci: 1, add: 1, update: 1, up: 1, publish: 1, unpublish: 1 } },
+        pnpm: { host: 'registry.npmjs.org', verbs: { install: 1, i: 1, add: 1, update: 1, up: 1, publish: 1 } },
+        yarn: { host: 'registry.yarnpkg.com', verbs: { install: 1, add: 1, upgrade: 1, up: 1, publish: 1, '': 1 } },
+        bun: { host: 'registry.npmjs.org', verbs: { install: 1, i: 1, add: 1, update: 1, publish: 1 } },
+        pip: { host: 'pypi.org', verbs: { install: 1, download: 1 } },
+        pip3: { host: 'pypi.org', verbs: { install: 1, download: 1 } },
+        uv: { host: 'pypi.org', verbs: { add: 1, sync: 1, pip: 1 } },
+        poetry: { host: 'pypi.org', verbs: { add: 1, install: 1, update: 1, publish: 1 } },
+        cargo: { host: 'crates.io', verbs: { install: 1, add: 1, fetch: 1, update: 1, publish: 1 } },
+        go: { host: 'proxy.golang.org', verbs: { get: 1, install: 1, mod: 1 } },
+        gem: { host: 'rubygems.org', verbs: { install: 1, push: 1 } },
+        composer: { host: 'repo.packagist.org', verbs: { install: 1, require: 1, update: 1 } }
+    };
+    var REGISTRY_OPTIONS = { '--registry': 1, '--index-url': 1, '-i': 1, '--extra-index-url': 1, '--index': 1, '--default-index': 1 };
+    var GIT_REMOTE_VERBS = { clone: 1, fetch: 1, pull: 1, push: 1, 'ls-remote': 1, submodule: 1 };
+    var GIT_VALUE_OPTIONS = { '-c': 1, '-C': 1, '--git-dir': 1, '--work-tree': 1, '--namespace': 1 };
+
+    function lower(s) { return String(s).toLowerCase(); }
+
+    /** Host of a URL, "user@host:path" or a bare "example.com/path"; null when it isn't one */
+    function hostOf(arg, bare) {
+        var s = String(arg).replace(/^git\+/, '');
+        var m = /^[a-z][a-z0-9+.\-]*:\/\/(?:[^@\/?#]*@)?(\[[^\]]+\]|[^:\/?#]+)/i.exec(s);
+        if (m) return lower(m[1].replace(/^\[|\]$/g, ''));
+        if (/^(github|gitlab|bitbucket):/i.test(s)) return lower(s.split(':')[0]) + (/^bitbucket/i.test(s) ? '.org' : '.com');
+        m = /^[^@\/\s:]+@([a-z0-9.\-]+):/i.exec(s); // scp-style git@github.com:me/app.git
+        if (m) return lower(m[1]);
+        if (bare) {
+            m = /^(?:[^@\/\s:]+@)?([a-z0-9\-]+(?:\.[a-z0-9\-]+)*\.[a-z]{2,}|[0-9]{1,3}(?:\.[0-9]{1,3}){3}|localhost)(?::[0-9]+)?(?:[\/?#]|$)/i.exec(s);
+            // "out.json", "install.sh": file names whose extension happens to be a TLD
+            if (m && !/\.(json|jsonl?|js|mjs|cjs|ts|sh|ps1|py|rb|md|txt|log|html?|xml|ya?ml|csv|zip|gz|tgz|tar|exe|msi|dmg|deb|rpm|png|jpe?g|gif|svg|pdf|whl)$/i.test(m[1])) return lower(m[1]);
+        }
+        return null;
+    }
+
+    function isLocal(host) {
+        return host === 'localhost' || /\.localhost$/.test(host) || /^127\./.test(host) || host === '::1' || host === '0.0.0.0';
+    }
+
+    /**
+     * "example.com" covers the domain and its subdomains, "*.example.com" only subdomains.
+     */
+    function domainAllowed(host, domains) {
+        if (isLocal(host)) return true;
+        for (var i = 0; i < (domains || []).length; i++) {
+            var d = lower(domains[i]).replace(/^[a-z]+:\/\//, '').replace(/[\/:].*$/, '');
+            if (!d) continue;
+            if (d.indexOf('*.') === 0) { if (host.length > d.length - 1 && host.slice(-(d.length - 1)) === d.substring(1)) return true; }
+            else if (host === d || host.slice(-(d.length + 1)) === '.' + d) return true;
+        }
+        return false;
+    }
+
+    // Operands after dropping options (and the values of options that take one)
+    function operands(argv, from, valueOptions) {
+        var out = [];
+        for (var i = from; i < argv.length; i++) {
+            var a = argv[i];
+            if (a.charAt(0) === '-' && a.length > 1) { if (valueOptions[a]) i++; continue; }
+            out.push(a);
+        }
+        return out;
+    }
+
+    /**
+     * Hosts one command would contact.
+     * @returns {{ tool: string, hosts: string[] }|null} null = not a network command;
+     *   an empty hosts list means it reaches the network but the host can't be told
+     */
+    function contacts(argv) {
+        var name = lower(argv[0]).replace(/^.*[\/\\]/, '').replace(/\.exe$/, '');
+        var hosts = []; var i; var h;
+        // python -m pip install … → pip install …
+        if (/^(python[0-9.]*|py)$/.test(name) && argv[1] === '-m' && argv[2]) { argv = argv.slice(2); name = lower(argv[0]); }
+
+        if (FETCHERS[name]) {
+            var ps = name.indexOf('-') > 0 || name === 'iwr' || name === 'irm';
+            for (i = 1; i < argv.length; i++) {
+                var a = argv[i]; var la = lower(a);
+                if (ps && (la === '-uri' || la === '-proxy') && argv[i + 1]) { h = hostOf(argv[++i], true); if (h) hosts.push(h); continue; }
+                if (!ps && (a === '-x' || la === '--proxy') && argv[i + 1]) { h = hostOf(argv[++i], true); if (h) hosts.push(h); continue; }
+                if (la === '--url' && argv[i + 1]) { h = hostOf(argv[++i], true); if (h) hosts.push(h); continue; }
+                h = hostOf(a, false);
+                if (h) { hosts.push(h); continue; }
+                if (a.charAt(0) === '-') { if (VALUE_OPTIONS[name] && VALUE_OPTIONS[name][a]) i++; continue; }
+                // PowerShell parameters mostly take values ("-OutFile x.json") — only full URLs count there
+                h = ps ? null : hostOf(a, true);
+                if (h) hosts.push(h);
+            }
+            return { tool: name, hosts: hosts };
+        }
+
+        if (SHELLS[name]) {
+            if ((name === 'nc' || name === 'ncat' || name === 'netcat') && argv.indexOf('-l') !== -1) return null; // listening, not egress
+            for (i = 1; i < argv.length; i++) {
+                if (argv[i] === '-J' && argv[i + 1]) { h = hostOf('ssh://' + argv[++i].split(',')[0], false); if (h) hosts.push(h); continue; }
+                if (argv[i].charAt(0) === '-') { if (SSH_VALUE_OPTIONS[argv[i]]) i++; continue; }
+                h = hostOf(argv[i], false) || hostOf('ssh://' + argv[i], false);
+                if (h) hosts.push(h);
+                break;
+            }
+            return { tool: name, hosts: hosts };
+        }
+
+        if (name === 'scp' || name === 'rsync') {
+            var remote = false;
+            for (i = 1; i < argv.length; i++) {
+                if (argv[i].charAt(0) === '-') continue;
+                h = hostOf(argv[i], false) || (/^[^\/\\:]{2,}:/.test(argv[i]) ? lower(argv[i].split(':')[0].replace(/^.*@/, '')) : null);
+                if (h) { hosts.push(h); remote = true; }
+            }
+            return remote ? { tool: name, hosts: hosts } : null;
+        }
+
+        if (name === 'git') {
+            var rest = operands(argv, 1, GIT_VALUE_OPTIONS);
+            if (!rest.length || !GIT_REMOTE_VERBS[lower(rest[0])]) return null;
+            if (lower(rest[0]) === 'submodule' && lower(rest[1] || '') !== 'update') return null;
+            for (i = 1; i < rest.length; i++) { h = hostOf(rest[i], false); if (h) hosts.push(h); }
+            return { tool: 'git ' + lower(rest[0]), hosts: hosts };
+        }
+
+        var reg = REGISTRIES[name];
+        if (reg) {
+            var args = operands(argv, 1, REGISTRY_OPTIONS);
+            var verb = lower(args[0] || '');
+            if (name === 'uv' && verb === 'pip' && lower(args[1] || '') !== 'install') return null;
+            if (name === 'go' && verb === 'mod' && lower(args[1] || '') !== 'download') return null;
+            if (!reg.verbs.hasOwnProperty(verb)) return null;
+            var custom = false;
+            for (i = 1; i < argv.length; i++) {
+                var opt = lower(argv[i]); var eq = opt.indexOf('=');
+                var key = eq > 0 ? opt.substring(0, eq) : opt;
+                if (REGISTRY_OPTIONS[key]) {
+                    h = hostOf(eq > 0 ? argv[i].substring(eq + 1) : (argv[++i] || ''), true);
+                    if (h) hosts.push(h);
+                    if (key !== '--extra-index-url') custom = true;
+                    continue;
+                }
+                h = argv[i].charAt(0) === '-' ? null : hostOf(argv[i], false);
+                if (h) hosts.push(h);
+            }
+            if (!custom) hosts.push(reg.host);
+            return { tool: name + (verb ? ' ' + verb : ''), hosts: hosts };
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} commandText
+     * @param {{ allowedDomains: string[] }} policy
+     * @returns {{ ok: boolean, reason: string, host: string|null, tool: string|null, command: string|null }}
+     *   reason: 'no-network' | 'allowed' | 'not-allowed' | 'unknown-host' | 'no-command-text'
+     */
+    function check(commandText, policy) {
+        if (!commandText) return verdict(false, 'no-command-text', null, null, null);
+        var domains = (policy && policy.allowedDomains) || [];
+        var cmds = filter.parse(commandText).commands;
+        var unknown = null; var network = false;
+        for (var i = 0; i < cmds.length; i++) {
+            if (!cmds[i].argv.length) continue;
+            var c = contacts(cmds[i].argv);
+            if (!c) continue;
+            network = true;
+            if (!c.hosts.length && !unknown) unknown = verdict(false, 'unknown-host', null, c.tool, cmds[i].text);
+            for (var k = 0; k < c.hosts.length; k++) {
+                if (!domainAllowed(c.hosts[k], domains)) return verdict(false, 'not-allowed', c.hosts[k], c.tool, cmds[i].text);
+            }
+        }
+        if (unknown) return unknown;
+        return verdict(true, network ? 'allowed' : 'no-network', null, null, null);
+    }
+
+    function verdict(ok, reason, host, tool, command) {
+        return { ok: ok, reason: reason, host: host, tool: tool, command: command ? String(command).substring(0, 200) : null };
+    }
+
+    return { check: check, contacts: contacts, hostOf: hostOf, domainAllowed: domainAllowed };
+}
+
+/**
+ * Allowlist entry as typed in settings or the dashboard → "example.com" / "*.example.com",
+ * or null when it can't be a domain.
+ */
+function normalizeDomain(entry) {
+    const d = String(entry || '').trim().toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^[^@\/]*@/, '').replace(/[\/:?#].*$/, '');
+    return /^(\*\.)?[a-z0-9\-]+(\.[a-z0-9\-]+)*$/.test(d) ? d : null;
+}
+
+/** One-line description of a failed check() for logs and notifications */
+function describeEgressVerdict(v) {
+    if (!v || v.ok) return 'network access allowed';
+    if (v.reason === 'not-allowed') return `${v.tool} contacts ${v.host}, which is not an allowed domain`;
+    if (v.reason === 'unknown-host') return `${v.tool} reaches the network, but the host can't be told from the command`;
+    return 'the command could not be read';
+}
+
+module.exports = { createEgressPolicy, normalizeDomain, describeEgressVerdict };
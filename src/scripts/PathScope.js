@@ -0,0 +1,150 @@
+// AntiGravity AutoAccept — Working-directory & Path Scope Guard
+// `rm -rf build` is fine in the workspace and a disaster in ~. Given the directory a
+// command starts in (shown next to the Run button, else the first workspace folder),
+// this follows cd / pushd / Set-Location through the chain and reports the first command
+// that would run, or touch a path, outside the workspace folders and the extra safe roots.
+//
+// ⚡ SINGLE SOURCE: createPathScope() is self-contained ES5, serialized into the injected
+// observer and called from Node by the tests. Do NOT reference anything outside its body.
+
+/**
+ * @param {object} filter - a createCommandFilter() instance (parse)
+ */
+function createPathScope(filter) {
+    var CD_COMMANDS = { cd: 1, pushd: 1, chdir: 1, 'set-location': 1, sl: 1 };
+    // Always fine to read or write, wherever the workspace is
+    var DEVICE_PATHS = { '/dev/null': 1, '/dev/stdin': 1, '/dev/stdout': 1, '/dev/stderr': 1, '/dev/tty': 1, 'nul': 1 };
+
+    function isWindowsPath(p) { return /^[a-z]:([\/\\]|$)/i.test(p) || /^\\\\/.test(p); }
+
+    /**
+     * Absolute path with forward slashes, no "." / ".." / duplicate slashes, no trailing
+     * slash. Windows paths are lower-cased (drive letters and NTFS are case-insensitive).
+     */
+    function normalize(p) {
+        var s = String(p).replace(/\\/g, '/');
+        var win = /^[a-z]:/i.test(s);
+        var unc = !win && s.indexOf('//') === 0;
+        var prefix = win ? s.substring(0, 2) : unc ? '/' : '';
+        var parts = (win ? s.substring(2) : s).split('/');
+        var out = [];
+        for (var i = 0; i < parts.length; i++) {
+            if (!parts[i] || parts[i] === '.') continue;
+            if (parts[i] === '..') { if (out.length) out.pop(); continue; }
+            out.push(parts[i]);
+        }
+        var result = prefix + '/' + out.join('/');
+        return win || unc ? result.toLowerCase() : result;
+    }
+
+    /**
+     * Resolve `p` against `base` the way a shell would.
+     * @returns {string|null} normalized absolute path, or null when it can't be known
+     */
+    function resolve(base, p, home) {
+        p = String(p).replace(/^(\$HOME|\$\{HOME\}|\$env:USERPROFILE|%USERPROFILE%)(?=$|[\/\\])/i, '~');
+        if (p === '~' || p.indexOf('~/') === 0 || p.indexOf('~\\') === 0) return home ? normalize(home + '/' + p.substring(1)) : null;
+        if (p.charAt(0) === '~' || p.indexOf('$') !== -1 || p.indexOf('%') !== -1) return null;
+        if (p.charAt(0) === '/' || isWindowsPath(p)) return normalize(p);
+        if (/^\\[^\\]/.test(p)) return base && /^[a-z]:/i.test(base) ? normalize(base.substring(0, 2) + p) : null;
+        return base ? normalize(base + '/' + p) : null;
+    }
+
+    function isInside(path, roots) {
+        if (DEVICE_PATHS[path.toLowerCase()]) return true;
+        for (var i = 0; i < roots.length; i++) {
+            var r = roots[i];
+            if (path === r || r === '/' || path.indexOf(r + '/') === 0) return true;
+        }
+        return false;
+    }
+
+    function normalizeAll(list, home) {
+        var out = [];
+        for (var i = 0; i < (list || []).length; i++) {
+            var r = list[i] ? resolve(null, list[i], home) : null;
+            if (r) out.push(r);
+        }
+        return out;
+    }
+
+    /** Words that may name a file; plain words ("main", "install") stay inside the cwd anyway */
+    function pathOperand(arg) {
+        if (!arg || /^[a-z][a-z0-9+.\-]*:\/\//i.test(arg) || /[\r\n]/.test(arg)) return null;
+        var eq = arg.charAt(0) === '-' ? arg.indexOf('=') : -1;
+        if (arg.charAt(0) === '-') return eq > 0 ? pathOperand(arg.substring(eq + 1)) : null;
+        if (/^(~|\/|\.\.?([\/\\]|$)|[a-z]:([\/\\]|$)|\\|\$|%)/i.test(arg) || /[\/\\]\.\.([\/\\]|$)/.test(arg)) return arg;
+        return null;
+    }
+
+    // The parser drops redirections, so their targets are read from the raw text
+    function redirectTargets(text) {
+        var out = []; var re = /(^|[^<>&0-9])[0-9]?>>?\s*(?!&)("([^"]*)"|'([^']*)'|[^\s;&|()<>]+)/g; var m;
+        while ((m = re.exec(text))) out.push(m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : m[2]);
+        return out;
+    }
+
+    /**
+     * @param {string} commandText - the command above the Run button
+     * @param {{ cwd?: string|null, roots: string[], safeRoots?: string[], home?: string }} ctx
+     *   cwd: directory shown next to the button (null = the first root)
+     * @returns {{ ok: boolean, reason: string, path: string|null, command: string|null, cwd: string|null }}
+     *   reason: 'inside' | 'no-roots' | 'no-command-text' | 'cwd-outside' | 'path-outside' | 'unknown-dir'
+     */
+    function check(commandText, ctx) {
+        var home = ctx.home || '';
+        var roots = normalizeAll(ctx.roots, home);
+        if (!roots.length) return verdict(false, 'no-roots', null, null, null);
+        if (!commandText) return verdict(false, 'no-command-text', null, null, null);
+        var allowed = roots.concat(normalizeAll(ctx.safeRoots, home));
+
+        var cwd = ctx.cwd ? resolve(roots[0], ctx.cwd, home) : roots[0];
+        var start = cwd;
+        var cmds = filter.parse(commandText).commands;
+        for (var i = 0; i < cmds.length; i++) {
+            var argv = cmds[i].argv; var text = cmds[i].text;
+            if (!argv.length) continue;
+            var name = String(argv[0]).toLowerCase().replace(/^.*[\/\\]/, '').replace(/\.exe$/, '');
+            if (CD_COMMANDS[name] && !cmds[i].dynamic) {
+                var target = null;
+                for (var a = 1; a < argv.length; a++) { if (argv[a].charAt(0) !== '-' || argv[a] === '-') { target = argv[a]; break; } }
+                cwd = target === null ? (home ? normalize(home) : null) : target === '-' ? null : resolve(cwd, target, home);
+                continue;
+            }
+            if (!cwd) return verdict(false, 'unknown-dir', null, text, null);
+            if (!isInside(cwd, allowed)) return verdict(false, 'cwd-outside', cwd, text, cwd);
+            for (var k = 1; k < argv.length; k++) {
+                var operand = pathOperand(argv[k]);
+                if (operand === null) continue;
+                var resolved = resolve(cwd, operand, home);
+                if (!resolved) return verdict(false, 'unknown-dir', operand, text, cwd);
+                if (!isInside(resolved, allowed)) return verdict(false, 'path-outside', resolved, text, cwd);
+            }
+        }
+        var targets = redirectTargets(commandText);
+        for (var t = 0; t < targets.length; t++) {
+            var out = resolve(start, targets[t], home);
+            if (!out) return verdict(false, 'unknown-dir', targets[t], commandText, start);
+            if (!isInside(out, allowed)) return verdict(false, 'path-outside', out, commandText, start);
+        }
+        return verdict(true, 'inside', null, null, cwd);
+    }
+
+    function verdict(ok, reason, path, command, cwd) {
+        return { ok: ok, reason: reason, path: path, command: command ? String(command).substring(0, 200) : null, cwd: cwd };
+    }
+
+    return { check: check, resolve: resolve, normalize: normalize, isInside: isInside };
+}
+
+/** One-line description of a failed check() for logs and notifications */
+function describePathVerdict(v) {
+    if (!v || v.ok) return 'inside the workspace';
+    if (v.reason === 'no-roots') return 'no workspace folder is known for this window';
+    if (v.reason === 'no-command-text') return 'the command could not be read';
+    if (v.reason === 'cwd-outside') return `runs in ${v.path}, outside the workspace`;
+    if (v.reason === 'path-outside') return `touches ${v.path}, outside the workspace`;
+    return `can't tell where ${v.path ? `"${v.path}"` : 'it'} points`;
+}
+
+module.exports = { createPathScope, describePathVerdict };
@@ -0,0 +1,499 @@
+// AntiGravity AutoAccept — Permission Engine
+// The matching rules of the DOM observer: which element is a click target for which
+// keyword (attribute selectors first, then text + locale labels), the guards that
+// reject sidebar titles, list items, disabled or held buttons and elements still in
+// cooldown, and which code block (and working directory) a Run button belongs to.
+//
+// ⚡ SINGLE SOURCE: createPermissionEngine() is self-contained ES5. DOMObserver
+// serializes it with Function.prototype.toString() into the injected payload, and
+// Node code + tests call the very same function against any DOM (jsdom, a CDP
+// snapshot). Do NOT reference anything outside its body (no requires, no
+// module-level constants) — everything page-specific comes in through env.
+//
+// env:   { document, window, NodeFilter   — the DOM to work on (page globals when omitted)
+//          labels: { keyword: [label] }   — locale pack labels (LocalePacks)
+//          selectors: { keyword: [css] }  — attribute selector registry (SelectorRegistry);
+//                                           window.__AA_SELECTORS overrides it live
+//          commandFilter                  — createCommandFilter() instance, for commandVerdict
+//          egress                         — createEgressPolicy() instance, for commandVerdict
+//          onBadSelector(text, selector)  — called once per selector that fails to compile }
+// state: { cooldowns: { key: lastClickTs } } — per-element click cooldowns
+
+function createPermissionEngine(env, state) {
+    env = env || {};
+    var doc = env.document || document;
+    var win = env.window || window;
+    var SHOW_ELEMENT = (env.NodeFilter || NodeFilter).SHOW_ELEMENT;
+    var LABELS = env.labels || {};
+    state = state || {};
+    if (!state.cooldowns) state.cooldowns = {};
+
+    var COOLDOWN_MS = 5000;
+    var EXPAND_COOLDOWN_MS = 10000;
+    var PRUNE_INTERVAL_MS = 30000;
+    var lastPrune = 0;
+
+    // ⚡ STRUCTURAL SIDEBAR GUARD: Short ambiguous words like "run" can appear as chat titles
+    // in the sidebar list. We MUST NOT click those. But we also must NOT block legitimate
+    // "Run" buttons inside the chat content area.
+    // Strategy: If the matched text is short (≤8 chars), verify the clickable element is NOT
+    // inside a sidebar list/tree container. Long unique phrases like "always allow" are safe.
+    var AMBIGUOUS_TEXTS = { 'run': true, 'accept': true, 'allow': true, 'retry': true, 'continue': true };
+    var SIDEBAR_SELECTORS = '[role="tree"], [role="treeitem"], [role="listbox"], [role="option"], .monaco-list, .conversation-list, .chat-list, .sidebar-list, [data-testid*="convo"], [data-testid*="trajectory"], [class*="conversation-list"], [class*="trajectory"], [class*="history"], [class*="past-chat"], [class*="chat-history"]';
+    // ⚡ LIST CONTAINER SELECTORS: Scrollable containers that hold conversation history items.
+    // These are parents of clickable list items — NOT action buttons.
+    var LIST_CONTAINER_SELECTORS = SIDEBAR_SELECTORS + ', [class*="overflow-y"][class*="cursor-pointer"], nav, [role="navigation"], [role="menu"], [role="menubar"]';
+
+    function isSidebarElement(el) {
+        if (!el || !el.closest) return false;
+        if (el.closest(SIDEBAR_SELECTORS)) return true;
+        // ⚡ CONVERSATION LIST HEURISTIC: If the element is a cursor-pointer+select-none div
+        // inside a scrollable container with many similar siblings, it's a list item, not a button.
+        return isConversationListItem(el);
+    }
+
+    // ⚡ SECONDARY GUARD: Detects conversation list items by structural heuristics.
+    // Conversation history entries are typically select-none+cursor-pointer divs inside
+    // a scrollable container with 3+ similar siblings. Action buttons are standalone.
+    function isConversationListItem(el) {
+        if (!el || !el.parentElement) return false;
+        var classes = el.className || '';
+        // Fast path: check for Antigravity's known conversation item class pattern
+        if (typeof classes === 'string' && classes.indexOf('select-none') !== -1 && classes.indexOf('cursor-pointer') !== -1 && classes.indexOf('rounded') !== -1) {
+            return true;
+        }
+        // ⚡ PAST CHATS PANEL GUARD: Walk up 6 levels (deeper than before) to catch
+        // history overlay panels. Threshold stays at 3+ to avoid blocking Run buttons
+        // inside the chat message list (which is also scrollable with 2+ children).
+        var parent = el.parentElement;
+        for (var up = 0; up < 6 && parent && parent !== doc.body; up++) {
+            var pClass = parent.className || '';
+            var isScrollable = false;
+            if (typeof pClass === 'string' && (pClass.indexOf('overflow-y') !== -1 || pClass.indexOf('overflow-auto') !== -1 || pClass.indexOf('overflow-scroll') !== -1 || pClass.indexOf('scroll') !== -1)) {
+                isScrollable = true;
+            }
+            if (!isScrollable) {
+                try { var cs = win.getComputedStyle(parent); isScrollable = (cs.overflowY === 'auto' || cs.overflowY === 'scroll'); } catch(e) {}
+            }
+            if (isScrollable && parent.children.length >= 3) {
+                // Scrollable container with 3+ children — this is a list, not a button group
+                return true;
+            }
+            parent = parent.parentElement;
+        }
+        return false;
+    }
+
+    function domPath(el) {
+        var parts = []; var curr = el;
+        for (var i = 0; i < 4 && curr && curr !== doc.body; i++) {
+            var idx = 0; var child = curr.parentElement ? curr.parentElement.firstElementChild : null;
+            while (child) { if (child === curr) break; idx++; child = child.nextElementSibling; }
+            parts.unshift((curr.tagName || '') + '[' + idx + ']'); curr = curr.parentElement;
+        }
+        return parts.join('/');
+    }
+
+    function closestClickable(node) {
+        var el = node;
+        while (el && el !== doc.body) {
+            // ⚡ GUARD: Abort upward walk if we enter a sidebar/list container.
+            // This prevents promoting conversation list items to click targets.
+            if (el !== node && el.matches && (function() { try { return el.matches(LIST_CONTAINER_SELECTORS); } catch(e) { return false; } })()) {
+                return null; // Hit a list container — this node is NOT an action button
+            }
+            var tag = (el.tagName || '').toLowerCase();
+            if (tag === 'button' || tag === 'a' || tag.includes('button') || tag.includes('btn') ||
+                el.getAttribute('role') === 'button' || el.getAttribute('role') === 'link' ||
+                el.classList.contains('cursor-pointer') ||
+                el.onclick || el.getAttribute('tabindex') === '0') {
+                // ⚡ FINAL CHECK: Reject if it's a conversation list item.
+                // EXCEPTION: Real semantic <button> and <a> elements are ALWAYS valid click
+                // targets — conversation history items are divs/spans, never button tags.
+                var isSemanticTag = (tag === 'button' || tag === 'a');
+                if (!isSemanticTag && isConversationListItem(el)) return null;
+                return el;
+            }
+            el = el.parentElement;
+        }
+        return node;
+    }
+
+    var _wordBoundaryRegex = /[a-z0-9_\-\.]/i;
+    function isWordBoundary(str, keyLen) {
+        if (str.length === keyLen) return true;
+        return !_wordBoundaryRegex.test(str.charAt(keyLen));
+    }
+
+    // ⚡ LOCALE PACKS: localized labels per canonical keyword. Only the text comparison uses
+    // the label — priority, guards, categories and filters all key off the canonical keyword.
+    function labelsFor(text) {
+        var extra = LABELS.hasOwnProperty(text) ? LABELS[text] : null;
+        return extra && extra.length ? [text].concat(extra) : [text];
+    }
+
+    function mentionsRequiresInput(str) {
+        var labels = labelsFor('requires input');
+        for (var i = 0; i < labels.length; i++) { if (str.indexOf(labels[i]) !== -1) return true; }
+        return false;
+    }
+
+    // Letters only (Latin, Cyrillic, Arabic, CJK, Hangul) — drops chevrons, icon glyphs and punctuation
+    function bareLetters(str) { return str.replace(/[^a-z\u00c0-\u1fff\u3040-\ud7ff\uf900-\uffef]/g, ''); }
+
+    function labelMatches(nodeText, label) {
+        return nodeText === label ||
+            (label.length >= 3 && nodeText.startsWith(label) && isWordBoundary(nodeText, label.length) && nodeText.length <= label.length * 3) ||
+            (nodeText.startsWith(label + ' ') && nodeText.length <= label.length * 5) ||
+            (label.length >= 3 && nodeText.startsWith(label) && nodeText.length <= label.length * 5 &&
+                /^(alt|ctrl|shift|cmd|meta|\u2318|\u2325|\u21E7|\u2303)/.test(nodeText.substring(label.length)));
+    }
+
+    // The label (canonical or localized) this element's text matches for a keyword, or null
+    function matchLabel(wNode, nodeText, text) {
+        var labels = labelsFor(text);
+        for (var li = 0; li < labels.length; li++) {
+            var label = labels[li]; var isMatch;
+            if (text === 'expand') {
+                isMatch = bareLetters(nodeText) === bareLetters(label);
+                if (isMatch) {
+                    var hasContext = false; var p = wNode;
+                    for (var up = 0; up < 6 && p && p !== doc.body; up++) {
+                        p = p.parentElement;
+                        if (p && mentionsRequiresInput((p.textContent || '').toLowerCase())) { hasContext = true; break; }
+                    }
+                    isMatch = hasContext;
+                }
+            } else if (text === 'requires input') {
+                // Prefix only: "1 Step Requires Input" is the banner's counter — its Expand button is the target
+                isMatch = nodeText.startsWith(label) && nodeText.length <= 80;
+            } else {
+                isMatch = labelMatches(nodeText, label);
+            }
+            if (isMatch) return label;
+        }
+        return null;
+    }
+
+    function cooldownKey(el, isExpandType) {
+        return domPath(el) + (isExpandType ? ':expand:' : ':') + (el.textContent || '').trim().toLowerCase().substring(0, 30);
+    }
+
+    /** Starts (or, with a future timestamp, extends) the element's click cooldown */
+    function startCooldown(el, isExpandType, at) {
+        state.cooldowns[cooldownKey(el, isExpandType)] = at;
+    }
+
+    function pruneCooldowns(now) {
+        if (now - lastPrune < PRUNE_INTERVAL_MS) return; lastPrune = now;
+        var maxAge = EXPAND_COOLDOWN_MS * 2; var keys = Object.keys(state.cooldowns);
+        for (var i = 0; i < keys.length; i++) { if (now - state.cooldowns[keys[i]] > maxAge) { delete state.cooldowns[keys[i]]; } }
+    }
+
+    // Every guard a candidate must pass, whether it was found by selector or by text.
+    // bareWord = the element's whole text is the (ambiguous) keyword itself.
+    // Returns null when clickable, else the rejecting guard (reported by __AA_DIAGNOSE).
+    function rejectReason(clickable, text, isExpandType, bareWord) {
+        var tag2 = (clickable.tagName || '').toLowerCase();
+        var isExpandKeyword = (text === 'expand' || text === 'requires input');
+
+        // ⚡ STRUCTURAL SIDEBAR GUARD for ambiguous short words
+        // "run", "accept", "allow" etc. can appear as chat titles in the sidebar.
+        // We only block if: (a) text is an ambiguous keyword AND (b) the element is inside
+        // a sidebar container AND (c) it is NOT a real semantic <button>/<a>.
+        // Conversation history items are always divs — never actual button tags.
+        var isSemanticTag2 = (tag2 === 'button' || tag2 === 'a');
+        if (!isSemanticTag2 && AMBIGUOUS_TEXTS[text] && isSidebarElement(clickable)) {
+            // Skip — this is a sidebar chat title, not an action button
+            return clickable.closest(SIDEBAR_SELECTORS) ? 'sidebar' : 'conversation-list-item';
+        }
+
+        // ⚡ PROPER BUTTON TAG GUARD for ambiguous keywords (Issue #62)
+        // After clicking a real <button>, the MutationObserver fires and can match
+        // an adjacent sibling <div> that also contains "run"/"accept" text (e.g. labels,
+        // VS Code menu items, activity bar entries, status indicators).
+        // These divs match because of cursor-pointer but are NOT action buttons.
+        // Fix: For BARE single-word ambiguous keywords, ONLY click semantic elements.
+        // Multi-word phrases like "accept all" are specific enough to pass through —
+        // the "Accept all" file edit bar uses a non-semantic <div>. (GH Issue #62)
+        if (AMBIGUOUS_TEXTS[text] && bareWord) {
+            var isSemanticButton = tag2 === 'button' || tag2 === 'a' ||
+                (clickable.getAttribute('role') === 'button') ||
+                (clickable.getAttribute('role') === 'link');
+            if (!isSemanticButton) {
+                return 'semantic-tag'; // Skip — bare ambiguous word on a non-semantic element
+            }
+        }
+
+        if (!(tag2 === 'button' || tag2 === 'a' || tag2.includes('button') || tag2.includes('btn') ||
+            clickable.getAttribute('role') === 'button' || clickable.getAttribute('role') === 'link' ||
+            clickable.classList.contains('cursor-pointer') ||
+            clickable.onclick || clickable.getAttribute('tabindex') === '0')) { return 'not-clickable'; }
+
+        if (clickable.disabled || clickable.getAttribute('aria-disabled') === 'true' ||
+            clickable.classList.contains('loading') || clickable.querySelector('.codicon-loading')) { return 'disabled'; }
+        if (clickable.getAttribute('data-aa-blocked') || clickable.getAttribute('data-aa-review') ||
+            (win.__AA_DRY_RUN && clickable.getAttribute('data-aa-shadow'))) { return 'held'; }
+
+        if (isExpandKeyword) {
+            var isAlreadyExpanded =
+                clickable.getAttribute('aria-expanded') === 'true' ||
+                clickable.getAttribute('data-state') === 'open' ||
+                clickable.getAttribute('data-state') === 'expanded';
+            if (isAlreadyExpanded) return 'expanded';
+        }
+
+        var lastClick = state.cooldowns[cooldownKey(clickable, isExpandType)] || 0;
+        var cooldown = isExpandType ? EXPAND_COOLDOWN_MS : COOLDOWN_MS;
+        if (lastClick && (Date.now() - lastClick < cooldown)) return 'cooldown';
+        return null;
+    }
+
+    // ⚡ SELECTOR REGISTRY: attribute selectors (aria-label, data-testid, codicon, role) are
+    // tried first, in keyword priority order; text matching is the fallback.
+    var _badSelectors = {};
+    function selectors() { return win.__AA_SELECTORS || env.selectors || {}; }
+
+    // Runs one selector; a selector that fails to compile is reported once and skipped from then on
+    function queryAll(root, text, sel) {
+        if (_badSelectors[sel]) return null;
+        try { return root.querySelectorAll(sel); }
+        catch (e) {
+            _badSelectors[sel] = true;
+            if (env.onBadSelector) env.onBadSelector(text, sel);
+            return null;
+        }
+    }
+
+    function selectorMatch(root, texts) {
+        var registry = selectors();
+        for (var t = 0; t < texts.length; t++) {
+            var sels = registry.hasOwnProperty(texts[t]) ? registry[texts[t]] : null;
+            if (!sels) continue;
+            for (var s = 0; s < sels.length; s++) {
+                var found = queryAll(root, texts[t], sels[s]);
+                if (!found) continue;
+                for (var f = 0; f < found.length; f++) {
+                    var clickable = closestClickable(found[f]);
+                    var isExpandKeyword = (texts[t] === 'expand' || texts[t] === 'requires input');
+                    if (clickable && !rejectReason(clickable, texts[t], isExpandKeyword, false)) {
+                        return { node: clickable, matchedText: texts[t], priority: t, via: 'selector' };
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The element to click for the highest-priority keyword present under root
+     * (shadow roots included), or null.
+     * @returns {{ node: Element, matchedText: string, priority: number, via: 'selector'|'text' }|null}
+     */
+    function findButton(root, texts) {
+        var walker = doc.createTreeWalker(root, SHOW_ELEMENT);
+        var wNode; var best = selectorMatch(root, texts);
+        if (best && best.priority === 0) return best;
+        while ((wNode = walker.nextNode())) {
+            if (wNode.shadowRoot) {
+                var result = findButton(wNode.shadowRoot, texts);
+                if (result && (best === null || result.priority < best.priority)) {
+                    best = result; if (best.priority === 0) return best;
+                }
+            }
+            var nodeText = (wNode.textContent || '').trim().toLowerCase();
+            if (nodeText.length > 50) continue;
+
+            for (var t = 0; t < texts.length; t++) {
+                if (best !== null && t >= best.priority) break;
+                var text = texts[t];
+                var label = matchLabel(wNode, nodeText, text);
+                if (label === null) continue;
+
+                var clickable = closestClickable(wNode);
+                if (!clickable) continue; // ⚡ closestClickable returned null — inside a list container
+                var isExpandType = (text === 'expand' && nodeText === label) || text === 'requires input';
+                if (rejectReason(clickable, text, isExpandType, nodeText === label)) continue;
+
+                best = { node: clickable, matchedText: text, priority: t, via: 'text' };
+                if (t === 0) return best;
+                break;
+            }
+        }
+        return best;
+    }
+
+    // closestClickable() gave up: the item heuristic or a list/sidebar container above it
+    function noClickableReason(node) { return isConversationListItem(node) ? 'conversation-list-item' : 'list-container'; }
+
+    /**
+     * Every candidate under root for the detection health check, found or rejected
+     * (with the guard that rejected it). Never clicks.
+     * @returns {{ found: object[], rejected: object[] }}
+     */
+    function diagnose(root, texts, max) {
+        var registry = selectors();
+        var found = []; var rejected = []; var seen = {};
+        max = max || 50;
+
+        function record(node, text, via, reason) {
+            var key = domPath(node) + '|' + text + '|' + via;
+            if (seen[key]) return; seen[key] = true;
+            var entry = { text: text, via: via, tag: (node.tagName || '').toLowerCase(), path: domPath(node),
+                label: ((node.textContent || '').trim() || node.getAttribute('aria-label') || '').substring(0, 60) };
+            if (reason) { entry.reason = reason; if (rejected.length < max) rejected.push(entry); }
+            else if (found.length < max) found.push(entry);
+        }
+
+        function scan(r) {
+            for (var t = 0; t < texts.length; t++) {
+                var sels = registry.hasOwnProperty(texts[t]) ? registry[texts[t]] : [];
+                for (var s = 0; s < sels.length; s++) {
+                    var hits;
+                    try { hits = r.querySelectorAll(sels[s]); }
+                    catch (e) { if (rejected.length < max) rejected.push({ text: texts[t], via: 'selector', reason: 'bad-selector', label: sels[s] }); continue; }
+                    for (var h = 0; h < hits.length; h++) {
+                        var sc = closestClickable(hits[h]);
+                        var isExpandKeyword = (texts[t] === 'expand' || texts[t] === 'requires input');
+                        record(sc || hits[h], texts[t], 'selector', sc ? rejectReason(sc, texts[t], isExpandKeyword, false) : noClickableReason(hits[h]));
+                    }
+                }
+            }
+            var walker = doc.createTreeWalker(r, SHOW_ELEMENT); var wNode;
+            while ((wNode = walker.nextNode())) {
+                if (wNode.shadowRoot) scan(wNode.shadowRoot);
+                var nodeText = (wNode.textContent || '').trim().toLowerCase();
+                if (nodeText.length > 50) continue;
+                // Wrappers around a single element with the same text would repeat the inner verdict
+                if (wNode.children.length === 1 && (wNode.children[0].textContent || '').trim().toLowerCase() === nodeText) continue;
+                for (var t2 = 0; t2 < texts.length; t2++) {
+                    var label = matchLabel(wNode, nodeText, texts[t2]);
+                    if (label === null) continue;
+                    var tc = closestClickable(wNode);
+                    var isExpandType = (texts[t2] === 'expand' && nodeText === label) || texts[t2] === 'requires input';
+                    record(tc || wNode, texts[t2], 'text', tc ? rejectReason(tc, texts[t2], isExpandType, nodeText === label) : noClickableReason(wNode));
+                    break;
+                }
+            }
+        }
+
+        scan(root);
+        return { found: found, rejected: rejected };
+    }
+
+    // The code block(s) shown with a Run button: the first ancestor (8 levels up) holding pre/code
+    function extractCommandText(btn) {
+        try {
+            var el = btn;
+            for (var i = 0; i < 8 && el && el !== doc.body; i++) {
+                el = el.parentElement; if (!el) break;
+                var codes = el.querySelectorAll('pre, code');
+                if (codes.length > 0) {
+                    var allText = '';
+                    for (var j = 0; j < codes.length; j++) { allText += ' ' + (codes[j].textContent || '').trim(); }
+                    return allText.trim();
+                }
+            }
+        } catch (e) { } return null;
+    }
+
+    // "~/code/app", "/Users/me/app $", "cwd: C:\src\app" — a whole label that is one absolute path
+    var CWD_TEXT = /^(?:(?:cwd|working directory|in)\s*:?\s*)?((?:~|\/|[A-Za-z]:[\\\/])[^\n<>|"*?]{0,259}?)\s*[$#%>]?$/i;
+
+    /**
+     * The working directory the agent shows for a Run button's command: a data-cwd
+     * attribute, or a path-only label / tooltip outside the code block, in the nearest
+     * ancestor that holds the code block.
+     * @returns {string|null}
+     */
+    function extractCwd(btn) {
+        try {
+            var el = btn;
+            for (var i = 0; i < 8 && el && el !== doc.body; i++) {
+                el = el.parentElement; if (!el) break;
+                if (!el.querySelector('pre, code')) continue;
+                var tagged = el.hasAttribute('data-cwd') ? el : el.querySelector('[data-cwd]');
+                if (tagged) return tagged.getAttribute('data-cwd');
+                var nodes = el.querySelectorAll('[title], span, div, p');
+                for (var j = 0; j < nodes.length && j < 200; j++) {
+                    var n = nodes[j];
+                    if (n.closest('pre, code') || n === btn || btn.contains(n)) continue;
+                    var title = n.getAttribute('title');
+                    var m = title ? CWD_TEXT.exec(title.trim()) : null;
+                    if (!m && !n.firstElementChild) m = CWD_TEXT.exec((n.textContent || '').trim());
+                    if (m) return m[1];
+                }
+                return null;
+            }
+        } catch (e) { } return null;
+    }
+
+    /**
+     * Command filter verdict for a Run button's command text. Fails closed: with any list
+     * configured (or the egress policy on), a button whose command can't be read is blocked.
+     * @param {{ blocked: string[], allowed: string[], review: string[], egress?: { enabled: boolean, allowedDomains: string[] }, grant?: object }} lists
+     *   grant: the conversation's live trust grant (TrustGrants), if any
+     * @returns {object} the CommandFilter verdict plus action: 'allow' | 'block' | 'review'
+     *   (and egress: the failed egress check, when that decided it; grant: the grant id
+     *   with reason 'grant' when a trust grant lifted a hold)
+     */
+    function commandVerdict(commandText, lists) {
+        var blocked = lists.blocked || []; var allowed = lists.allowed || []; var review = lists.review || [];
+        var egress = lists.egress && lists.egress.enabled && env.egress ? lists.egress : null;
+        if (!blocked.length && !allowed.length && !review.length && !egress) return { allowed: true, review: false, reason: 'no-filters', action: 'allow' };
+        if (!commandText) return { allowed: false, review: false, reason: 'no-command-text', action: 'block' };
+        var v = env.commandFilter.evaluate(commandText, blocked, allowed, review);
+        v.action = v.review ? 'review' : v.allowed ? 'allow' : 'block';
+        // Network egress is a category of its own: an allowlisted command still can't reach
+        // a domain outside the egress list. A host that can't be told is asked about.
+        if (egress && v.action !== 'block') {
+            var net = env.egress.check(commandText, egress);
+            if (!net.ok) {
+                v.action = net.reason === 'unknown-host' ? 'review' : 'block';
+                v.allowed = false; v.review = v.action === 'review';
+                v.reason = 'egress-' + net.reason; v.command = net.command; v.egress = net;
+            }
+        }
+        if (lists.grant && (v.action === 'review' || v.reason === 'not-allowed') && grantLifts(commandText, lists)) {
+            return { allowed: true, review: false, reason: 'grant', command: v.command, pattern: null, action: 'allow', grant: lists.grant.id, lifted: v.reason };
+        }
+        return v;
+    }
+
+    /**
+     * ⚡ TRUST GRANTS: a grant's patterns lift review holds and allowlist misses when every
+     * simple command either matches one of them or passes the normal rules on its own.
+     * Blocklist hits, runtime-built commands and disallowed network hosts are never lifted.
+     * @param {function(string): boolean} [extraHold] - another per-command hold (the risk threshold)
+     */
+    function grantLifts(commandText, lists, extraHold) {
+        var grant = lists.grant;
+        if (!grant || !grant.allow || !grant.allow.length || !commandText) return false;
+        var f = env.commandFilter;
+        if (f.evaluate(commandText, lists.blocked || [], [], []).reason === 'blocked') return false;
+        var egress = lists.egress && lists.egress.enabled && env.egress ? lists.egress : null;
+        if (egress && env.egress.check(commandText, egress).reason === 'not-allowed') return false;
+        var own = { blocked: lists.blocked, allowed: lists.allowed, review: lists.review, egress: lists.egress };
+        var cmds = f.parse(commandText).commands;
+        if (!cmds.length) return false;
+        for (var i = 0; i < cmds.length; i++) {
+            if (cmds[i].dynamic) return false;
+            var covered = false;
+            for (var p = 0; p < grant.allow.length && !covered; p++) covered = f.matchesPattern(cmds[i].text, grant.allow[p]);
+            if (covered) continue;
+            if (commandVerdict(cmds[i].text, own).action !== 'allow' || (extraHold && extraHold(cmds[i].text))) return false;
+        }
+        return true;
+    }
+
+    return {
+        COOLDOWN_MS: COOLDOWN_MS, EXPAND_COOLDOWN_MS: EXPAND_COOLDOWN_MS,
+        domPath: domPath, closestClickable: closestClickable, isSidebarElement: isSidebarElement,
+        isConversationListItem: isConversationListItem, labelMatches: labelMatches, matchLabel: matchLabel,
+        rejectReason: rejectReason, selectorMatch: selectorMatch, findButton: findButton, diagnose: diagnose,
+        cooldownKey: cooldownKey, startCooldown: startCooldown, pruneCooldowns: pruneCooldowns,
+        extractCommandText: extractCommandText, extractCwd: extractCwd, commandVerdict: commandVerdict, grantLifts: grantLifts
+    };
+}
+
+module.exports = { createPermissionEngine };
@@ -0,0 +1,73 @@
+// AntiGravity AutoAccept — Click Budget
+// Token bucket per button category plus a sliding one-hour cap across all clicks.
+// An agent stuck in a loop (Run → fail → Retry → Run …) drains its bucket within a
+// minute; hitting either limit trips the budget and AutoAccept pauses itself.
+//
+// ⚡ SINGLE SOURCE: createRateLimiter() is self-contained ES5, serialized into the
+// injected observer (which gates each click) and used by ConnectionManager (which
+// mirrors the totals across every window). Do NOT reference anything outside its body.
+
+function createRateLimiter(state) {
+    var MINUTE_MS = 60000; var HOUR_MS = 3600000;
+    state = state || {};
+    if (!state.buckets) state.buckets = {};
+    if (!state.hour) state.hour = [];
+
+    /** 'run' | 'accept' | 'allow' | 'recovery' | 'other' for a matched button keyword */
+    function categoryOf(text) {
+        var t = String(text || '').toLowerCase();
+        if (t.indexOf('run') === 0) return 'run';
+        if (t.indexOf('accept') === 0) return 'accept';
+        if (t.indexOf('allow') !== -1) return 'allow';
+        if (t === 'retry' || t === 'continue') return 'recovery';
+        return 'other';
+    }
+
+    /**
+     * Spend one token from the category's bucket (capacity and refill = perMinute[category]).
+     * @returns {object|null} trip { reason: 'rate', category, limit } when the bucket is empty
+     */
+    function takeRate(category, limits, now) {
+        var perMinute = limits && limits.perMinute ? limits.perMinute[category] : 0;
+        if (!(perMinute > 0)) return null;
+        var b = state.buckets[category];
+        if (!b) b = state.buckets[category] = { tokens: perMinute, last: now };
+        b.tokens = Math.min(perMinute, b.tokens + (now - b.last) * perMinute / MINUTE_MS);
+        b.last = now;
+        if (b.tokens < 1) return { reason: 'rate', category: category, limit: perMinute };
+        b.tokens -= 1;
+        return null;
+    }
+
+    /**
+     * Count n clicks against the hourly cap.
+     * @returns {object|null} trip { reason: 'hourly', category: null, limit } once the cap is exceeded
+     */
+    function takeHourly(n, limits, now) {
+        var cap = limits ? limits.hourlyCap : 0;
+        while (state.hour.length && now - state.hour[0] >= HOUR_MS) state.hour.shift();
+        if (!(cap > 0)) return null;
+        if (state.hour.length + n > cap) return { reason: 'hourly', category: null, limit: cap };
+        for (var i = 0; i < n; i++) state.hour.push(now);
+        return null;
+    }
+
+    function reset() { state.buckets = {}; state.hour = []; }
+
+    function clicksLastHour(now) {
+        while (state.hour.length && now - state.hour[0] >= HOUR_MS) state.hour.shift();
+        return state.hour.length;
+    }
+
+    return { categoryOf: categoryOf, takeRate: takeRate, takeHourly: takeHourly, reset: reset, clicksLastHour: clicksLastHour, state: state };
+}
+
+/** Human-readable reason, shared by the log, the notification and the status bar tooltip */
+function describeTrip(trip) {
+    if (!trip) return '';
+    return trip.reason === 'hourly'
+        ? `more than ${trip.limit} auto-clicks in the last hour`
+        : `more than ${trip.limit} "${trip.category}" clicks per minute`;
+}
+
+module.exports = { createRateLimiter, describeTrip };
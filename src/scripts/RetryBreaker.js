@@ -0,0 +1,76 @@
+// AntiGravity AutoAccept — Retry/Continue Circuit Breaker
+// Recovery clicks (Retry, Continue) are spaced out by a backoff schedule and capped at
+// maxAttempts. Then the breaker OPENS: recovery buttons are left alone until the
+// cooldown ends, when a single HALF-OPEN probe click is allowed. Any other click
+// (Run/Accept/Allow — the agent is making progress again) CLOSES it.
+//
+//   closed ──(maxAttempts reached)──► open ──(cooldown)──► half-open ──(progress)──► closed
+//                                      ▲                        │
+//                                      └──(Retry shows up again)┘
+//
+// ⚡ SINGLE SOURCE: createRetryBreaker() is self-contained ES5, serialized into the
+// injected observer. Do NOT reference anything outside its body.
+
+function createRetryBreaker(state) {
+    state = state || {};
+    if (!state.state) { state.state = 'closed'; state.attempts = 0; state.lastAttempt = 0; state.openedAt = 0; }
+
+    function backoffFor(cfg, attempts) {
+        var schedule = cfg.backoffMs || [];
+        if (!schedule.length) return 0;
+        return schedule[Math.min(attempts, schedule.length - 1)] || 0;
+    }
+
+    /**
+     * A Retry/Continue button is on screen — may it be clicked now?
+     * @param {{ maxAttempts: number, backoffMs: number[], cooldownMs: number, graceMs?: number }} cfg
+     * @returns {{ click: boolean, event: object|null, waitMs: number }}
+     */
+    function attempt(cfg, now) {
+        if (state.state === 'open') {
+            var left = state.openedAt + cfg.cooldownMs - now;
+            if (left > 0) return result(false, null, left);
+            state.state = 'half-open'; state.lastAttempt = now;
+            return result(true, { type: 'half-open', attempts: state.attempts }, 0);
+        }
+        if (state.state === 'half-open') {
+            // The probe's own button can linger while the request is in flight
+            if (now - state.lastAttempt < (cfg.graceMs || 0)) return result(false, null, 0);
+            state.state = 'open'; state.openedAt = now;
+            return result(false, { type: 'reopen', attempts: state.attempts, cooldownMs: cfg.cooldownMs }, cfg.cooldownMs);
+        }
+        if (state.attempts >= cfg.maxAttempts) {
+            state.state = 'open'; state.openedAt = now;
+            return result(false, { type: 'open', attempts: state.attempts, cooldownMs: cfg.cooldownMs }, cfg.cooldownMs);
+        }
+        var wait = state.lastAttempt + backoffFor(cfg, state.attempts) - now;
+        if (state.attempts > 0 && wait > 0) return result(false, null, wait);
+        state.attempts++; state.lastAttempt = now;
+        return result(true, null, 0);
+    }
+
+    /** A non-recovery click happened. @returns {object|null} { type: 'closed' } if the breaker had tripped */
+    function progress() {
+        var wasTripped = state.state !== 'closed';
+        var attempts = state.attempts;
+        state.state = 'closed'; state.attempts = 0; state.lastAttempt = 0; state.openedAt = 0;
+        return wasTripped ? { type: 'closed', attempts: attempts } : null;
+    }
+
+    function result(click, event, waitMs) { return { click: click, event: event, waitMs: waitMs }; }
+
+    return { attempt: attempt, progress: progress, state: state };
+}
+
+/** Human-readable transition, shared by the log and the notification */
+function describeBreakerEvent(ev) {
+    if (!ev) return '';
+    const minutes = Math.round((ev.cooldownMs || 0) / 60000);
+    if (ev.type === 'open') return `stopped clicking Retry/Continue after ${ev.attempts} attempts — next try in ${minutes} min`;
+    if (ev.type === 'reopen') return `Retry/Continue still failing after the trial click — next try in ${minutes} min`;
+    if (ev.type === 'half-open') return 'cooldown over — trying one Retry/Continue click';
+    if (ev.type === 'closed') return 'agent recovered — Retry/Continue clicks resumed';
+    return ev.type;
+}
+
+module.exports = { createRetryBreaker, describeBreakerEvent };
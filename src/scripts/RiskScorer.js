@@ -0,0 +1,263 @@
+// AntiGravity AutoAccept — Command Risk Scoring
+// Scores the command above a Run button 0–100 and names what makes it risky
+// (destructive filesystem ops, fetch-and-exec, privilege escalation, package
+// publishing, git history rewriting, database DDL). Scores are logged to the
+// activity feed; at or above autoAcceptV2.riskThreshold the button is held for review.
+//
+// ⚡ SINGLE SOURCE: createRiskScorer() is self-contained ES5, serialized into the
+// injected observer next to the CommandFilter it builds on, and called from Node
+// by the tests. Do NOT reference anything outside its body.
+
+/**
+ * The dashboard's "Load Recommended Safety Presets" list, grouped by risk category.
+ * A command matching one of these (same literal matching as blockedCommands) scores
+ * at least PRESET_SCORE in that category even if no structural rule fires.
+ */
+const RISK_PRESETS = {
+    'destructive-fs': [
+        'rm -rf /', 'rm -rf /*', 'rm -rf ~', 'rm -rf .*', 'rm -rf .git',
+        'rmdir /s /q c:\\', 'rmdir /s /q d:\\', 'rd /s /q c:\\', 'rd /s /q d:\\',
+        'del /f /s /q c:\\', 'del /f /s /q d:\\',
+        'remove-item -recurse -force c:\\', 'remove-item -recurse -force d:\\',
+        'format c:', 'format d:', 'diskpart', 'clear-disk', 'format-volume',
+        'remove-partition', 'initialize-disk',
+        'dd if=/dev/zero', 'dd if=/dev/urandom', 'dd if=/dev/random',
+        'mkfs.', 'wipefs', 'shred ', 'vssadmin delete shadows',
+        'docker system prune -a --volumes', 'docker volume prune', 'docker volume rm'
+    ],
+    'privilege': ['chmod -r 777 /', 'chown -r root /', 'sudo su', 'su -'],
+    'fetch-exec': ['| bash', '| sh', '| zsh', '| pwsh', 'invoke-expression', 'iex (', 'set-executionpolicy bypass'],
+    'db-ddl': ['drop database', 'drop table', 'truncate table', 'db.dropdatabase()'],
+    'git-rewrite': ['git push --force', 'git push -f', 'git clean -fdx'],
+    'system': ['reg delete hk', ':(){ :|:& };:', 'shutdown ', 'stop-computer']
+};
+
+/** Flat preset list for the dashboard's one-click "Load Recommended Safety Presets" */
+const SAFETY_PRESETS = [].concat(...Object.keys(RISK_PRESETS).map(k => RISK_PRESETS[k]));
+
+const RISK_CATEGORIES = {
+    'destructive-fs': 'Destructive filesystem operation',
+    'fetch-exec': 'Downloads and executes code',
+    'privilege': 'Privilege escalation',
+    'publish': 'Package / image publishing',
+    'git-rewrite': 'Git history rewrite',
+    'db-ddl': 'Database schema / data destruction',
+    'system': 'System disruption'
+};
+
+/**
+ * @param {object} filter - a createCommandFilter() instance (parse + matchesPattern)
+ * @param {Object<string, string[]>} presets - RISK_PRESETS
+ */
+function createRiskScorer(filter, presets) {
+    presets = presets || {};
+    var PRESET_SCORE = 90;
+    var EXTRA_CATEGORY_BONUS = 5;
+
+    var FETCHERS = { curl: 1, wget: 1, iwr: 1, irm: 1, 'invoke-webrequest': 1, 'invoke-restmethod': 1 };
+    var INTERPRETERS = { sh: 1, bash: 1, zsh: 1, dash: 1, ksh: 1, fish: 1, python: 1, python3: 1, node: 1, perl: 1, ruby: 1, php: 1,
+        pwsh: 1, powershell: 1, iex: 1, 'invoke-expression': 1 };
+    var DB_CLIENTS = { psql: 1, mysql: 1, mariadb: 1, sqlite3: 1, sqlcmd: 1, mongo: 1, mongosh: 1, 'redis-cli': 1, duckdb: 1,
+        'clickhouse-client': 1, cockroach: 1, snowsql: 1, bq: 1 };
+    var RUNNERS = { npx: 1, bunx: 1, pnpx: 1 };
+    var WIPE_TOOLS = { mkfs: 1, wipefs: 1, diskpart: 1, 'format-volume': 1, 'clear-disk': 1, 'remove-partition': 1, 'initialize-disk': 1 };
+    var DANGEROUS_TARGETS = { '/': 1, '/*': 1, '~': 1, '~/': 1, '~/*': 1, '*': 1, '.': 1, '..': 1, '$home': 1, '${home}': 1, 'c:\\': 1 };
+    // [command, subcommand…] that publish to a registry
+    var PUBLISHERS = [['npm', 'publish'], ['pnpm', 'publish'], ['yarn', 'publish'], ['yarn', 'npm', 'publish'], ['cargo', 'publish'],
+        ['twine', 'upload'], ['gem', 'push'], ['docker', 'push'], ['podman', 'push'], ['vsce', 'publish'], ['ovsx', 'publish'],
+        ['gh', 'release', 'create'], ['poetry', 'publish'], ['flit', 'publish'], ['hatch', 'publish'], ['nuget', 'push'],
+        ['dotnet', 'nuget', 'push'], ['mvn', 'deploy'], ['gradle', 'publish']];
+    var SQL_RULES = [
+        [/\bdrop\s+(database|schema)\b/i, 90, 'DROP DATABASE'],
+        [/\bdrop\s+table\b/i, 90, 'DROP TABLE'],
+        [/\bdropDatabase\s*\(/i, 90, 'dropDatabase()'],
+        [/\bflush(all|db)\b/i, 85, 'FLUSHALL'],
+        [/\btruncate\s+table\b/i, 80, 'TRUNCATE TABLE'],
+        [/\bdelete\s+from\s+[^\s;]+\s*(;|$)/i, 70, 'DELETE without WHERE'],
+        [/\balter\s+table\b/i, 50, 'ALTER TABLE']
+    ];
+
+    /** lower-case command name without directory or .exe */
+    function nameOf(word) {
+        return String(word || '').toLowerCase().replace(/^.*[\/\\]/, '').replace(/\.exe$/, '');
+    }
+
+    function isFlag(arg) { return arg.charAt(0) === '-' && arg.length > 1; }
+
+    /** Short option letters (-rf → r, f) and long options (--force) of an argv */
+    function optionsOf(argv) {
+        var short = ''; var long = {};
+        for (var i = 1; i < argv.length; i++) {
+            var a = argv[i];
+            if (a.indexOf('--') === 0) long[a.toLowerCase().split('=')[0]] = 1;
+            else if (isFlag(a)) { short += a.substring(1); long[a.toLowerCase()] = 1; }
+        }
+        return { short: short, long: long };
+    }
+
+    function operands(argv) {
+        var out = [];
+        for (var i = 1; i < argv.length; i++) if (!isFlag(argv[i])) out.push(argv[i]);
+        return out;
+    }
+
+    function gitSubcommand(argv) {
+        for (var i = 1; i < argv.length; i++) {
+            var a = argv[i];
+            if (a === '-C' || a === '-c') { i++; continue; }
+            if (!isFlag(a)) return { name: a.toLowerCase(), args: argv.slice(i + 1) };
+        }
+        return { name: '', args: [] };
+    }
+
+    function startsWith(words, seq) {
+        for (var i = 0; i < seq.length; i++) if (String(words[i] || '').toLowerCase() !== seq[i]) return false;
+        return true;
+    }
+
+    function destructiveFs(name, argv, hit) {
+        var opt = optionsOf(argv); var ops = operands(argv);
+        if (name === 'rm' && (/r/i.test(opt.short) || opt.long['--recursive'])) {
+            for (var i = 0; i < ops.length; i++) {
+                var t = ops[i].toLowerCase();
+                if (DANGEROUS_TARGETS[t] || /^\/[^\/]+\/?$/.test(t)) return hit(95, 'recursive delete of ' + ops[i]);
+            }
+            return hit(70, 'recursive delete');
+        }
+        if ((name === 'remove-item' || name === 'ri') && opt.long['-recurse']) return hit(70, 'recursive delete');
+        if ((name === 'rmdir' || name === 'rd' || name === 'del' || name === 'erase') && /(^|\s)\/s(\s|$)/i.test(argv.join(' '))) return hit(70, 'recursive delete');
+        if (name === 'dd' && /(^|\s)of=\/dev\//.test(argv.join(' '))) return hit(95, 'dd onto a device');
+        if (WIPE_TOOLS[name] || name.indexOf('mkfs.') === 0 || (name === 'format' && /^[a-z]:$/i.test(ops[0] || ''))) return hit(95, name + ' wipes a disk');
+        if (name === 'shred') return hit(80, 'shred');
+        if (name === 'find' && opt.long['-delete']) return hit(60, 'find -delete');
+    }
+
+    function privilege(name, argv, hit) {
+        if (name === 'su' || name === 'runas') return hit(80, name);
+        if (name === 'sudo' || name === 'doas' || name === 'pkexec') return hit(70, 'runs as root via ' + name);
+        if (name === 'start-process' && /-verb\s+runas/i.test(argv.join(' '))) return hit(80, 'Start-Process -Verb RunAs');
+        var ops = operands(argv);
+        if (name === 'chmod' && /^([ugoa]*\+[rwx]*s|[2467][0-7]{3})$/.test(ops[0] || '')) return hit(80, 'setuid/setgid bit');
+        if (name === 'chown' && /^root([:.]|$)/.test(ops[0] || '')) return hit(60, 'chown to root');
+    }
+
+    function publish(name, argv, hit) {
+        var words = [name].concat(operands(argv));
+        for (var i = 0; i < PUBLISHERS.length; i++) {
+            if (startsWith(words, PUBLISHERS[i])) return hit(75, PUBLISHERS[i].join(' '));
+        }
+    }
+
+    function gitRewrite(name, argv, hit) {
+        if (name !== 'git') return;
+        var sub = gitSubcommand(argv); var args = [name].concat(sub.args);
+        var opt = optionsOf(args);
+        if (sub.name === 'push') {
+            var plusRef = false;
+            for (var i = 1; i < args.length; i++) if (args[i].charAt(0) === '+' && args[i].length > 1) plusRef = true;
+            if (opt.long['--force'] || opt.long['--mirror'] || /f/.test(opt.short) || plusRef) return hit(85, 'force push');
+            if (opt.long['--force-with-lease']) return hit(70, 'force push (with lease)');
+            for (var j = 1; j < args.length; j++) if (args[j].charAt(0) === ':' && args[j].length > 1) return hit(60, 'deletes a remote branch');
+            if (opt.long['--delete'] || /d/.test(opt.short)) return hit(60, 'deletes a remote branch');
+            return;
+        }
+        if (sub.name === 'filter-branch' || sub.name === 'filter-repo') return hit(85, 'git ' + sub.name);
+        if (sub.name === 'reset' && opt.long['--hard']) return hit(60, 'git reset --hard');
+        if (sub.name === 'clean' && /f/.test(opt.short)) return hit(60, 'git clean -f');
+        if (sub.name === 'rebase' && !opt.long['--abort'] && !opt.long['--continue'] && !opt.long['--skip']) return hit(50, 'git rebase');
+        if (sub.name === 'branch' && /D/.test(opt.short)) return hit(50, 'git branch -D');
+        if (sub.name === 'commit' && opt.long['--amend']) return hit(30, 'git commit --amend');
+    }
+
+    function dbCommand(name, argv, hit) {
+        var ops = operands(argv); var line = argv.join(' ').toLowerCase();
+        if (name === 'dropdb') return hit(85, 'dropdb');
+        if (name === 'prisma' && (/\bmigrate\s+reset\b/.test(line) || /--force-reset\b/.test(line))) return hit(85, 'prisma database reset');
+        if ((name === 'rails' || name === 'rake') && /^db:(drop|reset|schema:load|purge)/.test(ops[0] || '')) return hit(85, name + ' ' + ops[0]);
+        if (name === 'php' && /^(migrate:fresh|migrate:reset|db:wipe)$/.test(ops[1] || '')) return hit(85, 'artisan ' + ops[1]);
+        if (/manage\.py$/.test(ops[0] || '') && ops[1] === 'flush') return hit(85, 'manage.py flush');
+    }
+
+    /**
+     * @param {string} commandText - the text extractCommandText() found above the button
+     * @returns {{ score: number, categories: Array<{ id: string, score: number, command: string, why: string }> }}
+     */
+    function score(commandText) {
+        var found = {};
+        function flag(id, points, command, why) {
+            if (!found[id] || found[id].score < points) found[id] = { id: id, score: points, command: String(command).substring(0, 200), why: why };
+        }
+        if (!commandText) return { score: 0, categories: [] };
+        var parsed = filter.parse(commandText);
+        var cmds = parsed.commands;
+        function hitFor(id, cmd) { return function(points, why) { flag(id, points, cmd.text, why); return true; }; }
+
+        var fetcher = null; var fetchNested = false; var piped = null; var interp = null; var chmodExec = false; var dbClient = false;
+        for (var i = 0; i < cmds.length; i++) {
+            var c = cmds[i];
+            if (c.dynamic || !c.argv.length) continue;
+            var argv = c.argv;
+            // npx prisma …, bunx rimraf … — score the package's command, not the runner
+            while (RUNNERS[nameOf(argv[0])] && argv.length > 1) { argv = argv.slice(1); while (argv.length > 1 && isFlag(argv[0])) argv = argv.slice(1); }
+            var name = nameOf(argv[0]);
+            destructiveFs(name, argv, hitFor('destructive-fs', c));
+            privilege(name, argv, hitFor('privilege', c));
+            publish(name, argv, hitFor('publish', c));
+            gitRewrite(name, argv, hitFor('git-rewrite', c));
+            dbCommand(name, argv, hitFor('db-ddl', c));
+
+            if (FETCHERS[name]) { if (!fetcher || c.nested) fetcher = c; if (c.nested) fetchNested = true; }
+            if (INTERPRETERS[name]) { interp = interp || c; if (c.op === '|') piped = c; }
+            if ((name === 'chmod' && /\+x/.test(argv.join(' '))) || /^\.{1,2}\//.test(argv[0])) chmodExec = chmodExec || !!fetcher;
+            if (DB_CLIENTS[name]) dbClient = true;
+        }
+        if (fetcher && (piped || (fetchNested && interp))) {
+            var runner = piped || interp;
+            flag('fetch-exec', 95, parsed.normalized || commandText, 'download fed straight into ' + nameOf(runner.argv[0]));
+        } else if (fetcher && chmodExec) {
+            flag('fetch-exec', 80, parsed.normalized || commandText, 'downloads then executes a file');
+        }
+        // SQL text only counts when a database client is part of the command (psql -c, echo … | mysql)
+        if (dbClient) {
+            for (var s = 0; s < cmds.length; s++) {
+                for (var r = 0; r < SQL_RULES.length; r++) {
+                    if (SQL_RULES[r][0].test(cmds[s].argv.slice(1).join(' '))) flag('db-ddl', SQL_RULES[r][1], cmds[s].text, SQL_RULES[r][2]);
+                }
+            }
+        }
+
+        // A preset that starts with a word ("drop table", "sudo su") only counts against the
+        // simple command it names — "git commit -m 'drop table'" is not DDL. Operator presets
+        // ("| bash") are checked against the whole chain.
+        for (var id in presets) {
+            if (!presets.hasOwnProperty(id)) continue;
+            for (var p = 0; p < presets[id].length; p++) {
+                var preset = presets[id][p];
+                var head = /^[a-z]/i.test(preset) ? preset.split(' ')[0].toLowerCase() : null;
+                var candidates = head ? [] : [commandText, parsed.normalized];
+                if (head) for (var k = 0; k < cmds.length; k++) if (cmds[k].text.toLowerCase().indexOf(head) === 0) candidates.push(cmds[k].text);
+                for (var q = 0; q < candidates.length; q++) {
+                    if (candidates[q] && filter.matchesPattern(candidates[q], preset)) { flag(id, PRESET_SCORE, candidates[q], 'safety preset "' + preset + '"'); break; }
+                }
+            }
+        }
+
+        var categories = [];
+        for (var key in found) if (found.hasOwnProperty(key)) categories.push(found[key]);
+        categories.sort(function(a, b) { return b.score - a.score; });
+        var total = categories.length ? categories[0].score + EXTRA_CATEGORY_BONUS * (categories.length - 1) : 0;
+        return { score: Math.min(100, total), categories: categories };
+    }
+
+    /** e.g. "85 git-rewrite (force push), privilege (runs as root via sudo)" */
+    function describe(risk) {
+        if (!risk || !risk.categories || !risk.categories.length) return '0';
+        var parts = [];
+        for (var i = 0; i < risk.categories.length; i++) parts.push(risk.categories[i].id + ' (' + risk.categories[i].why + ')');
+        return risk.score + ' ' + parts.join(', ');
+    }
+
+    return { score: score, describe: describe };
+}
+
+module.exports = { createRiskScorer, RISK_PRESETS, SAFETY_PRESETS, RISK_CATEGORIES };
@@ -0,0 +1,164 @@
+// AntiGravity AutoAccept — Secret-Leak Guard
+// Agents occasionally `echo $AWS_SECRET_ACCESS_KEY` or paste a token into a file. This
+// scans a command (or the diff shown next to an Accept button) for well-known secret
+// formats, high-entropy strings, secret variables being printed and credential files
+// sent to network tools. Findings carry a redacted preview only — never the secret.
+//
+// ⚡ SINGLE SOURCE: createSecretScanner() is self-contained ES5, serialized into the injected
+// observer and called from Node by the tests. Do NOT reference anything outside its body.
+
+/**
+ * @param {object} filter - a createCommandFilter() instance (parse)
+ */
+function createSecretScanner(filter) {
+    var FORMATS = [
+        { kind: 'private-key', why: 'private key block', re: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+        { kind: 'aws-access-key', why: 'AWS access key id', re: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g },
+        { kind: 'aws-secret-key', why: 'AWS secret access key', re: /aws_?secret_?access_?key["']?(?:\s*[:=]\s*|\s+)["']?([A-Za-z0-9\/+]{40})(?![A-Za-z0-9\/+])/gi },
+        { kind: 'github-token', why: 'GitHub token', re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/g },
+        { kind: 'slack-token', why: 'Slack token', re: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+        { kind: 'slack-webhook', why: 'Slack webhook URL', re: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/g }
+    ];
+    var MIN_ENTROPY_LENGTH = 20;
+    // Variable names whose value must not end up in the agent's transcript
+    var SECRET_VAR = /(secret|token|passw(?:or)?d|passwd|api_?key|private_?key|access_?key|credential|auth)/i;
+    var PRINTERS = { echo: 1, printf: 1, print: 1, 'write-output': 1, 'write-host': 1 };
+    var NETWORK_TOOLS = { curl: 1, wget: 1, nc: 1, ncat: 1, netcat: 1, socat: 1, telnet: 1, scp: 1, sftp: 1, ftp: 1, rsync: 1,
+        http: 1, https: 1, xh: 1, 'invoke-webrequest': 1, iwr: 1, 'invoke-restmethod': 1, irm: 1 };
+    // .env, .env.local, ~/.aws/credentials, .npmrc, id_rsa … (matched against the last path segments)
+    var CREDENTIAL_FILE = /(^|[\/\\])(\.env(\.[\w.-]+)?|\.npmrc|\.pypirc|\.netrc|_netrc|\.pgpass|\.git-credentials|\.aws[\/\\]credentials|\.docker[\/\\]config\.json|id_(rsa|dsa|ecdsa|ed25519)|[\w.-]+\.pem|[\w.-]+\.key)$/i;
+
+    function entropy(s) {
+        var counts = {}; var h = 0;
+        for (var i = 0; i < s.length; i++) counts[s.charAt(i)] = (counts[s.charAt(i)] || 0) + 1;
+        for (var c in counts) { if (counts.hasOwnProperty(c)) { var p = counts[c] / s.length; h -= p * Math.log(p) / Math.log(2); } }
+        return h;
+    }
+
+    /**
+     * Random-looking token: upper, lower and digits, digits spread over 3+ runs (identifiers
+     * like "MyComponent2" keep theirs at the end) and high Shannon entropy for its length.
+     */
+    function looksRandom(t) {
+        if (t.length < MIN_ENTROPY_LENGTH || !/[A-Z]/.test(t) || !/[a-z]/.test(t)) return false;
+        if ((t.match(/[0-9]+/g) || []).length < 3) return false;
+        return entropy(t) >= (t.length >= 32 ? 4.0 : 3.6);
+    }
+
+    function redact(s) {
+        s = String(s);
+        return s.length <= 8 ? s.charAt(0) + '\u2026' : s.substring(0, 4) + '\u2026(' + s.length + ' chars)';
+    }
+
+    function add(findings, kind, preview, why) {
+        for (var i = 0; i < findings.length; i++) if (findings[i].kind === kind && findings[i].preview === preview) return;
+        if (findings.length < 5) findings.push({ kind: kind, preview: preview, why: why });
+    }
+
+    function overlaps(ranges, start, end) {
+        for (var i = 0; i < ranges.length; i++) if (start < ranges[i][1] && end > ranges[i][0]) return true;
+        return false;
+    }
+
+    function scanFormats(text, findings) {
+        var known = []; // [start, end) of format matches — not reported again as high-entropy
+        for (var f = 0; f < FORMATS.length; f++) {
+            var re = FORMATS[f].re; var m;
+            re.lastIndex = 0;
+            while ((m = re.exec(text))) {
+                known.push([m.index, m.index + m[0].length]);
+                add(findings, FORMATS[f].kind, FORMATS[f].kind === 'private-key' ? m[0] : redact(m[1] || m[0]), FORMATS[f].why);
+            }
+        }
+        var token = /[A-Za-z0-9+_\-]{20,}={0,2}/g; var t;
+        while ((t = token.exec(text))) {
+            if (overlaps(known, t.index, t.index + t[0].length)) continue;
+            var before = text.substring(Math.max(0, t.index - 8), t.index);
+            // Lockfile integrity hashes and inline images are meant to look random
+            if (/sha\d+-$|base64,$/i.test(before) || /^sha\d+-/i.test(t[0])) continue;
+            if (looksRandom(t[0])) add(findings, 'high-entropy', redact(t[0]), 'high-entropy string');
+        }
+    }
+
+    /**
+     * Text an edit would write: with unified-diff markers, removed ("-") lines are skipped —
+     * deleting a leaked key is what we want the agent to do.
+     * @returns {{ found: boolean, findings: { kind: string, preview: string, why: string }[] }}
+     */
+    function scanText(text) {
+        var findings = [];
+        if (!text) return { found: false, findings: findings };
+        var lines = String(text).split('\n'); var kept = [];
+        var isDiff = /^(@@ |\+\+\+ |--- )/m.test(text);
+        for (var i = 0; i < lines.length; i++) if (!isDiff || !/^-(?!----)/.test(lines[i])) kept.push(lines[i]);
+        scanFormats(kept.join('\n'), findings);
+        return { found: findings.length > 0, findings: findings };
+    }
+
+    function commandName(word) { return String(word).toLowerCase().replace(/^.*[\/\\]/, '').replace(/\.exe$/, ''); }
+
+    function secretVars(arg) {
+        var out = []; var re = /\$\{?(?:env:)?([A-Za-z_][A-Za-z0-9_]*)|%([A-Za-z_][A-Za-z0-9_]*)%/g; var m;
+        while ((m = re.exec(arg))) { var name = m[1] || m[2]; if (SECRET_VAR.test(name)) out.push(name); }
+        return out;
+    }
+
+    function credentialFile(arg) {
+        var p = String(arg).replace(/^[^=@]*=/, '').replace(/^@/, '');
+        return CREDENTIAL_FILE.test(p) ? p : null;
+    }
+
+    /**
+     * A terminal command: the formats above, plus secret variables printed (echo $GITHUB_TOKEN),
+     * whole-environment dumps and a credential file read in the same chain as a network tool.
+     * @returns {{ found: boolean, findings: { kind: string, preview: string, why: string }[] }}
+     */
+    function scanCommand(commandText) {
+        var findings = [];
+        if (!commandText) return { found: false, findings: findings };
+        scanFormats(String(commandText), findings);
+        var cmds = filter.parse(commandText).commands;
+        // Credential files count when their pipeline (or the substitution holding them) reaches
+        // a network tool — "cp .env.example .env && curl …" is two separate commands
+        var network = null; var pipe = 0; var pipeNet = {}; var reads = [];
+        for (var i = 0; i < cmds.length; i++) {
+            var argv = cmds[i].argv;
+            if (i > 0 && !cmds[i].nested && cmds[i].op !== '|') pipe++;
+            if (!argv.length) continue;
+            var name = commandName(argv[0]);
+            var net = NETWORK_TOOLS[name] ? name : null;
+            if (net) { network = network || net; pipeNet[pipe] = pipeNet[pipe] || net; }
+            if ((name === 'env' || name === 'printenv' || name === 'set') && argv.length === 1) add(findings, 'env-dump', name, 'prints every environment variable');
+            if ((name === 'get-childitem' || name === 'gci' || name === 'dir' || name === 'ls') && argv.length === 2 && /^env:\\?$/i.test(argv[1])) add(findings, 'env-dump', argv.join(' '), 'prints every environment variable');
+            for (var a = 1; a < argv.length; a++) {
+                if (PRINTERS[name] || name === 'printenv') {
+                    var vars = name === 'printenv' ? (SECRET_VAR.test(argv[a]) ? [argv[a]] : []) : secretVars(argv[a]);
+                    for (var v = 0; v < vars.length; v++) add(findings, 'secret-echo', '$' + vars[v], 'prints a secret variable');
+                }
+                var file = credentialFile(argv[a]);
+                if (file) reads.push({ file: file, pipe: cmds[i].nested ? -1 : pipe, net: net });
+            }
+        }
+        // The parser drops redirections: "nc host 9 < .env"
+        var redirect = /<\s*("([^"]*)"|'([^']*)'|[^\s;&|()<>]+)/g; var r;
+        while ((r = redirect.exec(commandText))) {
+            var target = r[2] !== undefined ? r[2] : r[3] !== undefined ? r[3] : r[1];
+            if (credentialFile(target)) reads.push({ file: target, pipe: -1, net: null });
+        }
+        for (var k = 0; k < reads.length; k++) {
+            var tool = reads[k].net || (reads[k].pipe === -1 ? network : pipeNet[reads[k].pipe]);
+            if (tool) add(findings, 'env-exfil', reads[k].file + ' \u2192 ' + tool, 'sends a credential file to a network tool');
+        }
+        return { found: findings.length > 0, findings: findings };
+    }
+
+    return { scanCommand: scanCommand, scanText: scanText, entropy: entropy, redact: redact };
+}
+
+/** One-line description of scan findings for logs and notifications */
+function describeSecretFindings(findings) {
+    if (!findings || !findings.length) return 'no secrets';
+    return findings.map(f => `${f.why} (${f.preview})`).join(', ');
+}
+
+module.exports = { createSecretScanner, describeSecretFindings };
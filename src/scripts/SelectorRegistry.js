@@ -0,0 +1,100 @@
+// AntiGravity AutoAccept — Selector Registry
+// CSS selectors that identify each button action by its attributes (aria-label,
+// data-testid, codicon class, role) rather than its text. The observer tries these
+// first and falls back to text matching only when none hits, so a UI refresh that
+// rewords or restyles a button doesn't break detection as long as one attribute holds.
+//
+// Users can patch the registry without reinstalling: drop `selectors.json` into the
+// extension's global storage (command "Auto Accept V2: Edit Button Selectors"):
+//   {
+//     "version": 1,
+//     "replaceDefaults": false,
+//     "selectors": {
+//       "run": ["button[data-testid='run-command']", "button:has(.codicon-play)[aria-label^='run' i]"]
+//     }
+//   }
+// With replaceDefaults the listed actions drop the built-in selectors instead of extending them.
+// Pure Node (no vscode import) so tests can require it.
+
+const { ACTIONS } = require('./LocalePacks');
+
+const SELECTOR_FILE = 'selectors.json';
+const SELECTOR_VERSION = 1;
+
+// Exact aria-label on a button-like element. Exact (not prefix) so workbench actions
+// like "Run and Debug" or the debugger's "Continue (F5)" never qualify.
+function ariaButton(label) {
+    return [`button[aria-label="${label}" i]`, `[role="button"][aria-label="${label}" i]`];
+}
+
+// data-testid / data-action tokens on button-like elements (custom elements included)
+function testIdButton(token) {
+    const out = [];
+    for (const attr of ['data-testid', 'data-action']) {
+        out.push(`button[${attr}*="${token}" i]`, `[role="button"][${attr}*="${token}" i]`, `vscode-button[${attr}*="${token}" i]`);
+    }
+    return out;
+}
+
+const DEFAULT_SELECTORS = {
+    'run': ariaButton('run'),
+    'accept': [...ariaButton('accept'), ...ariaButton('accept all')],
+    'always allow': [...testIdButton('alwaysallow'), ...testIdButton('always-allow'), ...ariaButton('always allow')],
+    'allow this conversation': ariaButton('allow this conversation'),
+    'allow': [...testIdButton('allow'), ...ariaButton('allow')],
+    'retry': ariaButton('retry'),
+    'continue': ariaButton('continue')
+};
+
+/**
+ * Parse and validate the selector file. Selectors can only be compiled in the page,
+ * so invalid CSS is reported by the observer at scan time.
+ * @param {string} text
+ * @returns {{ file: { replaceDefaults: boolean, selectors: Object<string, string[]> }|null, errors: string[], warnings: string[] }}
+ */
+function parseSelectorFile(text) {
+    const errors = []; const warnings = [];
+    let raw;
+    try { raw = JSON.parse(text); } catch (e) { return { file: null, errors: [`invalid JSON: ${e.message}`], warnings }; }
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        return { file: null, errors: ['selector file must be a JSON object'], warnings };
+    }
+    if (raw.version !== SELECTOR_VERSION) {
+        return { file: null, errors: [`unsupported version ${JSON.stringify(raw.version)} (this extension reads version ${SELECTOR_VERSION})`], warnings };
+    }
+    if (!raw.selectors || typeof raw.selectors !== 'object' || Array.isArray(raw.selectors)) {
+        return { file: null, errors: ['"selectors" must be an object of action → selector list'], warnings };
+    }
+
+    const selectors = {};
+    for (const key of Object.keys(raw.selectors)) {
+        const action = key.trim().toLowerCase();
+        const list = raw.selectors[key];
+        if (!Array.isArray(list)) { warnings.push(`"${key}" must be an array of selectors — ignored`); continue; }
+        if (!ACTIONS.includes(action)) warnings.push(`"${key}" is not a built-in action — only used if it is in customButtonTexts`);
+        selectors[action] = [];
+        for (const sel of list) {
+            if (typeof sel !== 'string' || !sel.trim()) { warnings.push(`"${key}" entry ${JSON.stringify(sel)} is not a non-empty string — ignored`); continue; }
+            selectors[action].push(sel.trim());
+        }
+    }
+    return { file: { replaceDefaults: raw.replaceDefaults === true, selectors }, errors, warnings };
+}
+
+/**
+ * Registry passed to the observer: file selectors come first; the built-ins follow
+ * unless the file sets replaceDefaults for that action.
+ * @returns {Object<string, string[]>}
+ */
+function mergeSelectors(file) {
+    const merged = {};
+    for (const action of Object.keys(DEFAULT_SELECTORS)) merged[action] = DEFAULT_SELECTORS[action].slice();
+    if (!file) return merged;
+    for (const action of Object.keys(file.selectors)) {
+        const base = file.replaceDefaults ? [] : (merged[action] || []);
+        merged[action] = file.selectors[action].concat(base.filter(s => !file.selectors[action].includes(s)));
+    }
+    return merged;
+}
+
+module.exports = { SELECTOR_FILE, SELECTOR_VERSION, DEFAULT_SELECTORS, parseSelectorFile, mergeSelectors };
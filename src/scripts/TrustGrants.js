@@ -0,0 +1,87 @@
+// AntiGravity AutoAccept — Time-Boxed Conversation Trust
+// "Allow this conversation" in the Antigravity UI is all-or-nothing. A trust grant is
+// narrower: one conversation (matched by its title), extra command patterns that may run
+// there without review (e.g. "git push"), and a limit — N minutes, N clicks or both.
+// When either runs out the conversation is back on the normal rules.
+//
+// ⚡ SINGLE SOURCE: createTrustGrants() is self-contained ES5, serialized into the injected
+// observer and the focus probe, and called from Node by the tests. Do NOT reference
+// anything outside its body.
+
+function createTrustGrants() {
+    function clean(s) { return String(s || '').replace(/\s+/g, ' ').trim(); }
+
+    /**
+     * Title of the conversation a page shows — the agent panel's heading, else the
+     * "ConvName - Workspace - Antigravity" window title (same probe as TelegramBridge).
+     */
+    function conversationTitle(doc) {
+        var panel = doc.querySelector('.antigravity-agent-side-panel');
+        if (panel) {
+            var h = panel.querySelector('h1, h2');
+            var t = h ? clean(h.textContent) : '';
+            if (t) return t;
+        }
+        var dt = clean(doc.title);
+        return dt.indexOf(' - ') > 0 ? clean(dt.split(' - ')[0]) : '';
+    }
+
+    function sameTitle(a, b) { return !!a && clean(a).toLowerCase() === clean(b).toLowerCase(); }
+
+    /** Out of time or out of clicks */
+    function expired(grant, now) {
+        return (grant.expiresAt !== null && now >= grant.expiresAt) || (grant.clicksLeft !== null && grant.clicksLeft <= 0);
+    }
+
+    /** @returns {object|null} the live grant for this conversation */
+    function activeGrant(grants, title, now) {
+        if (!title) return null;
+        for (var i = 0; i < (grants || []).length; i++) {
+            if (sameTitle(grants[i].title, title) && !expired(grants[i], now)) return grants[i];
+        }
+        return null;
+    }
+
+    /** One elevated click was spent. @returns {number|null} clicks left (null = time-limited only) */
+    function use(grant) {
+        if (grant.clicksLeft !== null) grant.clicksLeft = Math.max(0, grant.clicksLeft - 1);
+        grant.clicksUsed = (grant.clicksUsed || 0) + 1;
+        return grant.clicksLeft;
+    }
+
+    return { conversationTitle: conversationTitle, sameTitle: sameTitle, expired: expired, activeGrant: activeGrant, use: use };
+}
+
+/**
+ * @param {{ title: string, minutes?: number, clicks?: number, allow: string[] }} opts
+ * @returns {{ grant: object|null, error: string|null }}
+ */
+function createGrant(opts, now = Date.now()) {
+    const title = String(opts.title || '').replace(/\s+/g, ' ').trim();
+    const minutes = Math.max(0, Number(opts.minutes) || 0);
+    const clicks = Math.max(0, Math.floor(Number(opts.clicks) || 0));
+    const allow = (opts.allow || []).filter(p => typeof p === 'string' && p.trim());
+    if (!title) return { grant: null, error: 'no conversation title' };
+    if (!minutes && !clicks) return { grant: null, error: 'a grant needs a time or click limit' };
+    if (!allow.length) return { grant: null, error: 'a grant needs at least one command pattern' };
+    return {
+        grant: {
+            id: 'tg' + now.toString(36) + Math.random().toString(36).substring(2, 6),
+            title, allow, created: now,
+            expiresAt: minutes ? now + Math.round(minutes * 60000) : null,
+            clicksLeft: clicks || null,
+            clicksUsed: 0
+        },
+        error: null
+    };
+}
+
+/** "“Fix login flow” — allows git push, 12 min / 3 clicks left" */
+function describeGrant(grant, now = Date.now()) {
+    const left = [];
+    if (grant.expiresAt !== null) left.push(`${Math.max(0, Math.ceil((grant.expiresAt - now) / 60000))} min`);
+    if (grant.clicksLeft !== null) left.push(`${grant.clicksLeft} click${grant.clicksLeft === 1 ? '' : 's'}`);
+    return `“${grant.title}” — allows ${grant.allow.join(', ')}, ${left.join(' / ')} left`;
+}
+
+module.exports = { createTrustGrants, createGrant, describeGrant };
@@ -2,12 +2,12 @@
  * TelegramBridge — Connects VS Code to the Telegram bot relay via D1 polling.
  */
 
-const http = require('http');
 const https = require('https');
 const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const { CM_EVENTS } = require('../cdp/ConnectionManager');
 
 const TELEGRAM_WORKER_URL = 'https://aa-telegram.yazanbaker.workers.dev';
 const POLL_INTERVAL = 1500; 
@@ -39,6 +39,8 @@ class TelegramBridge {
         this._watcherGenerations = new Map(); // ⚡ Per-window watcher generations (wsUrl → gen)
         this._processingCommand = false;
         this._wasMaster = false;
+        this._cmListeners = null; // event -> listener, while subscribed to the connection manager
+        this._windowSyncPending = false;
     }
 
     start() {
@@ -51,6 +53,7 @@ class TelegramBridge {
 
         this.log('[Telegram] Bridge started — hybrid long-poll mode');
         this._masterLockLoop();
+        this._subscribeWindowEvents();
         this._watchForWindowChanges();
         // ⚡ FIX: All worker-dependent loops wait for HMAC key to be seeded first
         this._seedAuth().then(() => {
@@ -84,37 +87,57 @@ class TelegramBridge {
         if (this._masterLockTimer) { clearTimeout(this._masterLockTimer); this._masterLockTimer = null; }
         if (this._activeWatcherTimer) { clearTimeout(this._activeWatcherTimer); this._activeWatcherTimer = null; }
         this._commandQueue = []; // 🛑 Clear pending queue to kill ghost messages
+        this._unsubscribeWindowEvents(); this._windowSyncPending = false;
         this.log('[Telegram] Bridge stopped');
     }
 
-    // ⚡ Continuous window watcher: detects sidebar + session changes, triggers immediate sync
+    // ⚡ Window list changes arrive as connection manager events: a session added or removed,
+    // or an Antigravity instance coming up or going away, pushes the list at once
+    _subscribeWindowEvents() {
+        if (!this.cm || typeof this.cm.on !== 'function' || this._cmListeners) return;
+        const label = (ev) => (ev.title || ev.targetId || '').substring(0, 30);
+        this._cmListeners = {
+            [CM_EVENTS.SESSION_ADDED]: (ev) => this._onWindowEvent(`Window added (${label(ev)})`),
+            [CM_EVENTS.SESSION_REMOVED]: (ev) => this._onWindowEvent(`Window removed (${label(ev)}, ${ev.reason})`),
+            [CM_EVENTS.PORT_CHANGED]: (ev) => this._onWindowEvent(`Antigravity instances changed (${ev.endpoints.filter(ep => ep.alive).length} live)`)
+        };
+        for (const [event, listener] of Object.entries(this._cmListeners)) this.cm.on(event, listener);
+    }
+
+    _unsubscribeWindowEvents() {
+        if (!this._cmListeners) return;
+        for (const [event, listener] of Object.entries(this._cmListeners)) this.cm.removeListener(event, listener);
+        this._cmListeners = null;
+    }
+
+    _onWindowEvent(what) {
+        if (!this._running) return;
+        // A burst (the initial scan, an instance quitting) is one sync and one log line
+        if (!this._windowSyncPending) this.log(`[Telegram] ${what} — triggering immediate sync`);
+        this._syncSoon();
+    }
+
+    // Wake up the push loop immediately (debounced 500ms)
+    _syncSoon() {
+        this._windowSyncPending = true;
+        if (this._convosPushTimer) clearTimeout(this._convosPushTimer);
+        this._convosPushTimer = setTimeout(() => { this._windowSyncPending = false; this._convosPushLoop(); }, 500);
+    }
+
+    // ⚡ Continuous window watcher: detects the sidebar opening or closing, triggers immediate sync
     _watchForWindowChanges() {
         if (!this._running) return;
 
         const currentSidebar = this.cm ? this.cm._sidebarWsUrl : null;
-        const sessionCount = this.cm && this.cm.sessions ? this.cm.sessions.size : 0;
-
-        let shouldPush = false;
 
         if (currentSidebar && !this._sidebarReady) {
             this._sidebarReady = true;
             this.log('[Telegram] Sidebar opened — triggering immediate sync');
-            shouldPush = true;
+            this._syncSoon();
         } else if (!currentSidebar && this._sidebarReady) {
             this._sidebarReady = false;
             this.log('[Telegram] Sidebar closed — triggering immediate sync');
-            shouldPush = true;
-        } else if (this._lastSessionCount !== undefined && this._lastSessionCount !== sessionCount) {
-            this.log(`[Telegram] Active window count changed (${this._lastSessionCount} -> ${sessionCount}) — triggering immediate sync`);
-            shouldPush = true;
-        }
-
-        this._lastSessionCount = sessionCount;
-
-        if (shouldPush) {
-            // Wake up the push loop immediately (debounced 500ms)
-            if (this._convosPushTimer) clearTimeout(this._convosPushTimer);
-            this._convosPushTimer = setTimeout(() => this._convosPushLoop(), 500);
+            this._syncSoon();
         }
 
         // ⚡ FIX #7: Prune stale watcher generations to prevent memory leak
@@ -1618,50 +1641,31 @@ class TelegramBridge {
     }
 
     // ── CDP: Conversation Scraping ───────────────────────────────────
-    // ── Global Discovery: Scan all ports for individual windows ──────
+    // ── Global Discovery: individual windows in every Antigravity instance ──
+    // The connection manager's endpoint registry knows every instance on the machine (port + instance id)
     async _scanIndividualWindows() {
+        const windowScanScript = this._scripts?.windowScan;
+        if (!this.cm || !windowScanScript) return [];
+        const targets = await this.cm.listEndpointTargets();
+        const editors = targets.filter(t => t.type === 'page' && t.url && t.url.startsWith('vscode-file://') && t.webSocketDebuggerUrl);
         const windows = [];
-        const basePort = (this.cm && this.cm.activeCdpPort) || 9333;
-        const promises = [];
-
-        for (let port = basePort - 2; port <= basePort + 20; port++) {
-            promises.push(new Promise((resolve) => {
-                const req = http.get({ hostname: '127.0.0.1', port, path: '/json', timeout: 800 }, (res) => {
-                    let data = '';
-                    res.on('data', c => data += c);
-                    res.on('end', async () => {
-                        try {
-                            const targets = JSON.parse(data);
-                            const editors = targets.filter(t => t.type === 'page' && t.url && t.url.startsWith('vscode-file://') && t.webSocketDebuggerUrl);
 
-                            for (const t of editors) {
-                                try {
-                                    const windowScanScript = this._scripts?.windowScan;
-                                    if (!windowScanScript) continue;
-                                    const evalRes = await this.cm._workerEval(t.webSocketDebuggerUrl, windowScanScript, 2000);
-
-                                    const state = JSON.parse(evalRes?.result?.result?.value || 'null');
-                                    if (state && state.title) {
-                                        windows.push({
-                                            title: state.title,
-                                            wsUrl: t.webSocketDebuggerUrl,
-                                            targetId: t.id,
-                                            isRunning: state.running,
-                                            port
-                                        });
-                                    }
-                                } catch (e) {}
-                            }
-                        } catch(e) {}
-                        resolve();
+        await Promise.all(editors.map(async (t) => {
+            try {
+                const evalRes = await this.cm._workerEval(t.webSocketDebuggerUrl, windowScanScript, 2000);
+                const state = JSON.parse(evalRes?.result?.result?.value || 'null');
+                if (state && state.title) {
+                    windows.push({
+                        title: state.title,
+                        wsUrl: t.webSocketDebuggerUrl,
+                        targetId: t.id,
+                        isRunning: state.running,
+                        port: t.port,
+                        instance: t.instance
                     });
-                });
-                req.on('error', () => resolve());
-                req.on('timeout', () => { req.destroy(); resolve(); });
-            }));
-        }
-
-        await Promise.all(promises);
+                }
+            } catch (e) {}
+        }));
         return windows;
     }
 
@@ -1696,7 +1700,8 @@ class TelegramBridge {
                 if (!seenTitles.has(win.title)) {
                     allConvos.push({
                         title: '🪟 ' + win.title.substring(0, 58),
-                        workspace: 'Individual Windows',
+                        // Windows of another Antigravity instance say which port they are on
+                        workspace: win.port === this.cm.activeCdpPort ? 'Individual Windows' : `Individual Windows (:${win.port})`,
                         status: win.isRunning ? 'running' : 'idle',
                         wsUrl: win.wsUrl,
                         targetId: win.targetId,
@@ -0,0 +1,148 @@
+/**
+ * Active Hours Test Suite
+ * ───────────────────────
+ * Parsing of the weekly activeHours ranges and time zone, whether a moment is inside
+ * them (incl. overnight and week-wrapping ranges), the next transition across DST
+ * changes, and the tooltip description.
+ *
+ * Run:  node test/active-hours.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { parseSchedule, validateTimeZone, isActive, nextTransition, describeNextTransition, formatLocal } = require(path.join(__dirname, '..', 'src', 'policy', 'ActiveHours'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+function schedule(entries, tz = 'UTC') { return parseSchedule(entries, tz).schedule; }
+
+// 2026-10-19 is a Monday
+function utc(day, hh, mm = 0) { return Date.UTC(2026, 9, 19 + day, hh, mm); }
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Parsing ---\x1b[0m');
+
+test('day lists, ranges, groups and full names', () => {
+    const days = e => schedule([`${e} 09:00-10:00`]).ranges[0].days.join('');
+    eq(days('Mon-Fri'), '12345');
+    eq(days('sat,SUN'), '06');
+    eq(days('Fri-Mon'), '0156');
+    eq(days('Weekdays'), '12345');
+    eq(days('daily'), '0123456');
+    eq(days('Wednesday'), '3');
+});
+
+test('times become minutes of the day; 24:00 only as an end', () => {
+    const r = schedule(['Mon 9:30-24:00']).ranges[0];
+    eq(r.start, 570);
+    eq(r.end, 1440);
+    eq(r.text, 'Mon 9:30-24:00');
+});
+
+test('bad entries are dropped and reported', () => {
+    const { schedule: s, errors } = parseSchedule(['Mon-Fri 09:00-18:00', 'office hours', 'Funday 09:00-10:00', 'Mon 24:00-02:00', 'Mon 9:75-10:00', 'Tue 10:00-10:00', '', 42], 'UTC');
+    eq(s.ranges.length, 1);
+    assert.deepStrictEqual(errors, [
+        '"office hours" is not "<days> HH:MM-HH:MM"',
+        '"Funday 09:00-10:00" has unknown days "Funday"',
+        '"Mon 24:00-02:00" has an invalid time',
+        '"Mon 9:75-10:00" has an invalid time',
+        '"Tue 10:00-10:00" is empty (start equals end)'
+    ]);
+});
+
+test('no ranges = no schedule; an unknown zone falls back to local time', () => {
+    eq(parseSchedule([], 'UTC').schedule, null);
+    eq(parseSchedule(undefined).schedule, null);
+    const { schedule: s, errors } = parseSchedule(['Mon 09:00-10:00'], 'Mars/Olympus');
+    eq(s.timeZone, '');
+    assert.deepStrictEqual(errors, ['unknown time zone "Mars/Olympus" — using local time']);
+    eq(validateTimeZone('America/New_York'), null);
+    eq(validateTimeZone(''), null);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Inside / Outside ---\x1b[0m');
+
+test('office hours: start inclusive, end exclusive', () => {
+    const s = schedule(['Mon-Fri 09:00-18:00']);
+    eq(isActive(s, utc(0, 8, 59)), false);
+    eq(isActive(s, utc(0, 9, 0)), true);
+    eq(isActive(s, utc(0, 17, 59)), true);
+    eq(isActive(s, utc(0, 18, 0)), false);
+    eq(isActive(s, utc(5, 12)), false, 'Saturday');
+});
+
+test('overnight ranges run into the next day, Saturday night into Sunday', () => {
+    const s = schedule(['Fri,Sat 22:00-06:00']);
+    eq(isActive(s, utc(4, 23)), true, 'Fri 23:00');
+    eq(isActive(s, utc(5, 5, 59)), true, 'Sat 05:59');
+    eq(isActive(s, utc(6, 3)), true, 'Sun 03:00 (Saturday night)');
+    eq(isActive(s, utc(6, 6)), false);
+    eq(isActive(s, utc(0, 3)), false, 'Mon 03:00 (Sunday is not in the range)');
+});
+
+test('the time zone decides the local day and hour', () => {
+    const s = schedule(['Mon 09:00-10:00'], 'America/New_York');
+    eq(isActive(s, utc(0, 9, 30)), false);
+    eq(isActive(s, utc(0, 13, 30)), true, '09:30 EDT');
+    eq(isActive(null, utc(0, 3)), true, 'no schedule = always');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Next Transition ---\x1b[0m');
+
+test('the next start or end, wrapping over the weekend', () => {
+    const s = schedule(['Mon-Fri 09:00-18:00']);
+    assert.deepStrictEqual(nextTransition(s, utc(0, 8, 15)), { at: utc(0, 9), active: true });
+    assert.deepStrictEqual(nextTransition(s, utc(0, 9, 0)), { at: utc(0, 18), active: false });
+    assert.deepStrictEqual(nextTransition(s, utc(4, 18, 30)), { at: utc(7, 9), active: true }, 'Fri evening → Mon');
+});
+
+test('adjacent ranges are one stretch; always-on has no transition', () => {
+    const s = schedule(['Daily 18:00-09:00', 'Daily 09:00-18:00']);
+    eq(nextTransition(s, utc(0, 12)), null);
+    eq(nextTransition(null, utc(0, 12)), null);
+    const joined = schedule(['Mon 09:00-12:00', 'Mon 12:00-17:00']);
+    assert.deepStrictEqual(nextTransition(joined, utc(0, 10)), { at: utc(0, 17), active: false });
+});
+
+test('DST changes between now and the boundary do not shift it', () => {
+    // Europe/Berlin: clocks go back on Sun 2026-10-25 and forward on Sun 2026-03-29
+    const s = schedule(['Mon-Fri 09:00-18:00'], 'Europe/Berlin');
+    const fallBack = nextTransition(s, Date.UTC(2026, 9, 23, 17));
+    eq(new Date(fallBack.at).toISOString(), '2026-10-26T08:00:00.000Z');
+    const springForward = nextTransition(s, Date.UTC(2026, 2, 27, 17));
+    eq(new Date(springForward.at).toISOString(), '2026-03-30T07:00:00.000Z');
+    // A start inside the skipped hour begins when the clock jumps past it
+    const skipped = schedule(['Sun 02:30-04:00'], 'Europe/Berlin');
+    eq(new Date(nextTransition(skipped, Date.UTC(2026, 2, 28, 12)).at).toISOString(), '2026-03-29T01:00:00.000Z');
+});
+
+test('describeNextTransition and formatLocal', () => {
+    const s = schedule(['Mon-Fri 09:00-18:00'], 'Europe/Berlin');
+    eq(describeNextTransition(s, utc(0, 10)), 'turns OFF Mon 18:00 (Europe/Berlin)');
+    eq(describeNextTransition(schedule(['Daily 00:00-24:00']), utc(0, 10)), 'always on');
+    eq(describeNextTransition(null), 'no schedule');
+    eq(formatLocal(schedule(['Mon 09:00-10:00']), utc(6, 7, 5)), 'Sun 07:05 (UTC)');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
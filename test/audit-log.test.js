@@ -0,0 +1,153 @@
+/**
+ * Audit Log Test Suite
+ * ────────────────────
+ * JSONL append, size-based rotation, date-range queries across rotations,
+ * CSV rendering (quoting + formula guard) and YYYY-MM-DD parsing.
+ *
+ * Run:  node test/audit-log.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, AUDIT_FILE, toCsv, parseDay } = require(path.join(__dirname, '..', 'src', 'audit', 'AuditLog'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const TMP = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-audit-test-'));
+let dirSeq = 0;
+function freshLog(opts) { return new AuditLog(path.join(TMP, `log${++dirSeq}`), opts); }
+
+const CLICK = { channel: 'cdp', verdict: 'allow', title: 'api - Antigravity', workspace: 'api', text: 'run', command: 'npm test', targetId: 'ABC123' };
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Append ---\x1b[0m');
+
+test('creates the directory and writes one JSON line per click', () => {
+    const log = freshLog();
+    eq(log.append({ ...CLICK, time: Date.UTC(2026, 0, 5, 10) }), true);
+    eq(log.append({ ...CLICK, text: 'accept', command: null }), true);
+    const lines = fs.readFileSync(path.join(log.dir, AUDIT_FILE), 'utf8').trim().split('\n');
+    eq(lines.length, 2);
+    const rec = JSON.parse(lines[0]);
+    eq(rec.ts, '2026-01-05T10:00:00.000Z');
+    eq(rec.channel, 'cdp'); eq(rec.verdict, 'allow'); eq(rec.workspace, 'api');
+    eq(rec.command, 'npm test'); eq(rec.target, 'ABC123');
+    eq(JSON.parse(lines[1]).command, null);
+});
+
+test('disabled log writes nothing', () => {
+    const log = freshLog();
+    log.enabled = false;
+    eq(log.append(CLICK), false);
+    eq(fs.existsSync(log.dir), false);
+});
+
+test('write errors are reported, never thrown', () => {
+    const blocker = path.join(TMP, 'not-a-dir');
+    fs.writeFileSync(blocker, 'x');
+    const msgs = [];
+    const log = new AuditLog(path.join(blocker, 'audit'), { log: m => msgs.push(m) });
+    eq(log.append(CLICK), false);
+    assert.ok(/Write failed/.test(msgs[0]));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Rotation ---\x1b[0m');
+
+test('rotates at maxBytes and keeps maxFiles old files', () => {
+    const log = freshLog({ maxBytes: 400, maxFiles: 2 });
+    for (let i = 0; i < 20; i++) log.append({ ...CLICK, command: `cmd ${i}` });
+    const files = fs.readdirSync(log.dir).sort();
+    assert.deepStrictEqual(files, ['audit.1.jsonl', 'audit.2.jsonl', 'audit.jsonl']);
+    for (const f of files) assert.ok(fs.statSync(path.join(log.dir, f)).size <= 400, `${f} over limit`);
+});
+
+test('newest records stay in the live file', () => {
+    const log = freshLog({ maxBytes: 400, maxFiles: 2 });
+    for (let i = 0; i < 20; i++) log.append({ ...CLICK, command: `cmd ${i}` });
+    const live = fs.readFileSync(path.join(log.dir, AUDIT_FILE), 'utf8').trim().split('\n');
+    eq(JSON.parse(live[live.length - 1]).command, 'cmd 19');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Query ---\x1b[0m');
+
+test('filters by range across rotations, oldest first', () => {
+    const log = freshLog({ maxBytes: 400, maxFiles: 5 });
+    const base = Date.UTC(2026, 1, 1);
+    for (let i = 0; i < 10; i++) log.append({ ...CLICK, command: `day ${i}`, time: base + i * 86400000 });
+    assert.ok(fs.existsSync(path.join(log.dir, 'audit.1.jsonl')));
+    const recs = log.query(base + 2 * 86400000, base + 4 * 86400000);
+    assert.deepStrictEqual(recs.map(r => r.command), ['day 2', 'day 3', 'day 4']);
+});
+
+test('skips malformed lines', () => {
+    const log = freshLog();
+    log.append({ ...CLICK, time: 1000 });
+    fs.appendFileSync(path.join(log.dir, AUDIT_FILE), '{not json\n\n');
+    log.append({ ...CLICK, time: 2000 });
+    eq(log.query(0, 5000).length, 2);
+});
+
+test('missing log returns no records', () => {
+    eq(freshLog().query(0, Date.now()).length, 0);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- CSV ---\x1b[0m');
+
+test('header row and one row per record', () => {
+    const csv = toCsv([{ ts: '2026-01-05T10:00:00.000Z', channel: 'cdp', verdict: 'allow', title: 'api', workspace: 'api', text: 'run', command: 'npm test', target: 'A' }]);
+    const rows = csv.split('\r\n');
+    eq(rows[0], 'timestamp,channel,verdict,window_title,workspace,matched_text,command,target');
+    eq(rows[1], '2026-01-05T10:00:00.000Z,cdp,allow,api,api,run,npm test,A');
+    eq(rows[2], '');
+});
+
+test('quotes commas, quotes and newlines', () => {
+    const csv = toCsv([{ ts: 't', channel: 'cdp', command: 'echo "a, b"\nls' }]);
+    eq(csv.split('\r\n')[1], 't,cdp,,,,,"echo ""a, b""\nls",');
+});
+
+test('neutralises spreadsheet formulas', () => {
+    const csv = toCsv([{ ts: 't', channel: 'cdp', command: '=HYPERLINK("http://x")' }]);
+    assert.ok(csv.includes(`"'=HYPERLINK(""http://x"")"`));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Date Parsing ---\x1b[0m');
+
+test('parses local day bounds', () => {
+    eq(parseDay('2026-03-02'), new Date(2026, 2, 2).getTime());
+    eq(parseDay('2026-03-02', true), new Date(2026, 2, 2, 23, 59, 59, 999).getTime());
+});
+
+test('rejects malformed and impossible dates', () => {
+    eq(parseDay('2026-3-2'), null);
+    eq(parseDay('2026-02-30'), null);
+    eq(parseDay(''), null);
+    eq(parseDay(undefined), null);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+fs.rmSync(TMP, { recursive: true, force: true });
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
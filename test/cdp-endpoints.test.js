@@ -0,0 +1,113 @@
+/**
+ * CDP Endpoints Test Suite
+ * ────────────────────────
+ * The cdpPorts setting (ports and ranges), the candidate port order with and without
+ * the auto-discovery range, telling an editor window from a plain Chrome, instance ids
+ * and endpoint descriptions.
+ *
+ * Run:  node test/cdp-endpoints.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { LEGACY_PORT, parsePortList, candidatePorts, isEditorEndpoint, productName, instanceId, portOfWsUrl, describeEndpoint } = require(path.join(__dirname, '..', 'src', 'cdp', 'CdpEndpoints'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const ELECTRON = {
+    Browser: 'Chrome/128.0.6613.186',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Antigravity/1.23.2 Chrome/128.0.6613.186 Electron/32.2.6 Safari/537.36',
+    webSocketDebuggerUrl: 'ws://127.0.0.1:9333/devtools/browser/4f1c2a9e-77b0-4a51-9f0e-0d3c6e1b2a11'
+};
+const CHROME = {
+    Browser: 'Chrome/131.0.6778.86',
+    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    webSocketDebuggerUrl: 'ws://127.0.0.1:9222/devtools/browser/aa00bb11-0000-0000-0000-000000000000'
+};
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- cdpPorts Setting ---\x1b[0m');
+
+test('ports and ranges, as strings or numbers, deduplicated', () => {
+    const { ports, errors } = parsePortList(['9335', 9336, '9340 - 9342', '9335', ' ']);
+    assert.deepStrictEqual(ports, [9335, 9336, 9340, 9341, 9342]);
+    eq(errors.length, 0);
+});
+
+test('bad entries are dropped and reported', () => {
+    const { ports, errors } = parsePortList(['9335', 'abc', '80', '9345-9340', '10000-10100', '70000']);
+    assert.deepStrictEqual(ports, [9335]);
+    assert.deepStrictEqual(errors, [
+        '"abc" is not a port (1024-65535)',
+        '"80" is not a port (1024-65535)',
+        '"9345-9340" is not a port range (low-high, 1024-65535)',
+        '"10000-10100" spans more than 64 ports',
+        '"70000" is not a port (1024-65535)'
+    ]);
+    assert.deepStrictEqual(parsePortList(undefined), { ports: [], errors: [] });
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Candidate Ports ---\x1b[0m');
+
+test('configured first, then listed, then the range and the legacy port', () => {
+    const ports = candidatePorts(9333, [9400, 9335]);
+    assert.deepStrictEqual(ports.slice(0, 4), [9333, 9400, 9335, 9331]);
+    eq(ports[ports.length - 1], LEGACY_PORT);
+    eq(ports.length, 3 + 21 + 1, 'range 9331-9353 less the two already listed, plus 9222');
+    eq(new Set(ports).size, ports.length);
+});
+
+test('without the scan only configured and listed ports are probed', () => {
+    assert.deepStrictEqual(candidatePorts(9333, [9400], false), [9333, 9400]);
+    assert.ok(!candidatePorts(1025, []).includes(1023), 'the range stays within valid ports');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Endpoint Identity ---\x1b[0m');
+
+test('editor windows are told from plain Chrome by the user agent', () => {
+    eq(isEditorEndpoint(ELECTRON), true);
+    eq(isEditorEndpoint(CHROME), false);
+    eq(isEditorEndpoint(null), false);
+});
+
+test('product name and instance id from /json/version', () => {
+    eq(productName(ELECTRON), 'Antigravity/1.23.2');
+    eq(productName(CHROME), 'Chrome/131.0.6778.86');
+    eq(instanceId(ELECTRON, 9333), '4f1c2a9e');
+    eq(instanceId({}, 9335), 'port-9335');
+});
+
+test('port of a page socket URL', () => {
+    eq(portOfWsUrl('ws://127.0.0.1:9335/devtools/page/ABC'), 9335);
+    eq(portOfWsUrl('ws://localhost:9222/devtools/browser/x'), 9222);
+    eq(portOfWsUrl('ws://t1'), null);
+    eq(portOfWsUrl(undefined), null);
+});
+
+test('describeEndpoint', () => {
+    eq(describeEndpoint({ port: 9333, browser: 'Antigravity/1.23.2', alive: true, primary: true, sessionCount: 3 }), ':9333 Antigravity/1.23.2 (primary) — 3 sessions');
+    eq(describeEndpoint({ port: 9335, browser: 'Antigravity/1.23.2', alive: true, primary: false, sessionCount: 1 }), ':9335 Antigravity/1.23.2 — 1 session');
+    eq(describeEndpoint({ port: 9400, alive: false }), ':9400 — not responding');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
@@ -2,7 +2,7 @@
  * ConnectionManager Test Suite
  * ─────────────────────────────
  * Exercises CDP target filtering, injection flow, heartbeat,
- * lifecycle, and edge cases using a mock _send() approach.
+ * lifecycle, and edge cases with the worker-thread calls mocked.
  *
  * Run:  node test/connection-manager.test.js
  */
@@ -27,15 +27,14 @@ async function testAsync(name, fn) {
 function eq(a, b) { assert.strictEqual(a, b); }
 
 // ─── Mock Infrastructure ─────────────────────────────────────────────
-const { ConnectionManager } = require(path.join(__dirname, '..', 'src', 'cdp', 'ConnectionManager'));
+const { ConnectionManager, CONNECTION_STATES, CM_EVENTS } = require(path.join(__dirname, '..', 'src', 'cdp', 'ConnectionManager'));
 
 /**
- * Creates a ConnectionManager with a smart mock _send() that routes
- * responses by method + expression pattern matching.
- * 
- * evaluateHandler: (expression, sessionId) => response
- *   Called for ALL Runtime.evaluate calls. Test provides one handler
- *   that decides response based on expression content.
+ * Creates a ConnectionManager whose worker-thread and HTTP calls are mocked —
+ * nothing reaches a real worker, page or port.
+ *
+ * injectResult: burst-inject answer (a string, or (wsUrl, targetId) => string; may throw)
+ * evalHandler: (expression, wsUrl) => Runtime.evaluate response for every _workerEval
  */
 function createMockCM(opts = {}) {
     const logs = [];
@@ -48,62 +47,33 @@ function createMockCM(opts = {}) {
     cm.blockedCommands = opts.blockedCommands || [];
     cm.allowedCommands = opts.allowedCommands || [];
 
-    // Default handlers per method
-    cm._handlers = {
-        'Target.attachToTarget': opts.attachResult || (() => ({ result: { sessionId: 'mock-session' } })),
-        'Target.detachFromTarget': () => ({ result: {} }),
-        'Target.getTargets': opts.getTargetsResult || (() => ({ result: { targetInfos: [] } })),
-        'Target.setDiscoverTargets': () => ({ result: {} }),
-        'Runtime.enable': () => ({ result: {} }),
-        'Runtime.evaluate': null, // Set per-test via evaluateHandler
-    };
-
-    cm._evaluateHandler = opts.evaluateHandler || defaultEvaluateHandler;
-    cm._sendCalls = [];
-
-    cm._send = async function (method, params = {}, sessionId = null) {
-        cm._sendCalls.push({ method, params, sessionId });
-        if (method === 'Runtime.evaluate') {
-            return cm._evaluateHandler(params.expression, sessionId, params);
-        }
-        return cm._handlers[method] ? cm._handlers[method](params, sessionId) : { result: {} };
+    cm._injectCalls = [];
+    cm._workerBurstInject = async (wsUrl, targetId) => {
+        cm._injectCalls.push(targetId);
+        const r = opts.injectResult || 'observer-installed';
+        return typeof r === 'function' ? r(wsUrl, targetId) : r;
     };
-
-    // Simulate WS as open
-    cm.ws = { readyState: 1, removeAllListeners: () => { } };
+    cm._workerAddBinding = async () => { };
+    cm._workerEval = async (wsUrl, expr) => (opts.evalHandler || defaultEvalHandler)(expr, wsUrl);
+    cm._getVersionInfo = async () => null;
+    cm._getTargetList = async () => null;
 
     return { cm, logs };
 }
 
-/** Default evaluate handler: passes DOM check, window check, returns observer-installed */
-function defaultEvaluateHandler(expr) {
-    // DOM check for page targets
-    if (expr.includes('document.title')) {
-        return { result: { result: { value: 'has-dom' } } };
-    }
-    // Window+document pre-check
-    if (expr.includes('typeof window') && expr.length < 200) {
-        return { result: { result: { value: true } } };
-    }
-    // DOMObserver injection script (starts with (function...)
-    if (expr.includes('__AA_CLICK_COUNT')) {
-        return { result: { result: { value: 'observer-installed' } } };
-    }
-    // Heartbeat health check
-    if (expr.includes('__AA_CLICK_COUNT')) {
-        return { result: { result: { value: { alive: true, clickCount: 0 } } } };
-    }
-    // Observer reset
-    if (expr.includes('__AA_OBSERVER_ACTIVE = false')) {
-        return { result: {} };
-    }
-    // Pause/unpause
-    if (expr.includes('__AA_PAUSED')) {
-        return { result: {} };
-    }
-    return { result: {} };
+/** Default eval handler: a live observer with no clicks (answers both the cursor read and the heartbeat) */
+function defaultEvalHandler() {
+    return { result: { result: { value: { alive: true, clickCount: 0, count: 0 } } } };
+}
+
+/** A /json entry for a webview on :9333 */
+function webviewTarget(id, extra = {}) {
+    return { id, type: 'page', title: '', url: `vscode-webview://${id}`, webSocketDebuggerUrl: `ws://127.0.0.1:9333/devtools/page/${id}`, ...extra };
 }
 
+/** /json/version of an Antigravity instance */
+const editorVersion = (id) => ({ Browser: 'Chrome/128.0', 'User-Agent': 'Mozilla/5.0 Antigravity/1.23.2 Chrome/128.0 Electron/32.2.6', webSocketDebuggerUrl: `ws://127.0.0.1/devtools/browser/${id}` });
+
 // ═════════════════════════════════════════════════════════════════════
 console.log('\n\x1b[1m--- Target Filtering (_isCandidate) ---\x1b[0m');
 
@@ -141,7 +111,13 @@ test('accepts iframe type with URL', () => {
 
 test('accepts non-page type if URL contains webview', () => {
     const { cm } = createMockCM();
-    eq(cm._isCandidate({ type: 'other', url: 'https://something.webview.local' }), true);
+    eq(cm._isCandidate({ type: 'other', url: 'vscode-webview://abc/index.html' }), true);
+});
+
+test('rejects http(s) pages even with webview in the URL', () => {
+    const { cm } = createMockCM();
+    eq(cm._isCandidate({ type: 'other', url: 'https://something.webview.local' }), false);
+    eq(cm._isCandidate({ type: 'page', url: 'about:blank' }), false);
 });
 
 test('rejects unrelated type without webview URL', () => {
@@ -175,22 +151,25 @@ test('_handleTargetDestroyed ignores unknown target', () => {
     assert.ok(true);
 });
 
-test('_handleSessionDetached removes session by sessionId', () => {
+test('_dropSession removes the session and everything keyed by it', () => {
     const { cm } = createMockCM();
-    cm.sessions.set('target-1', 'session-abc');
-    cm.sessions.set('target-2', 'session-def');
+    cm.sessions.set('target-1', { url: 'u1', wsUrl: 'ws://t1', title: 'a' });
+    cm.sessions.set('target-2', { url: 'u2', wsUrl: 'ws://t2', title: 'b' });
     cm._sessionFailCounts.set('target-1', 1);
-    cm._handleSessionDetached('session-abc');
+    cm._sessionCursors.set('target-1', 3); cm._cursorEpochs.set('target-1', 'e1');
+    cm._dropSession('target-1', 'gone');
     assert.ok(!cm.sessions.has('target-1'));
     assert.ok(cm.sessions.has('target-2'));
     assert.ok(!cm._sessionFailCounts.has('target-1'));
+    assert.ok(!cm._sessionCursors.has('target-1') && !cm._cursorEpochs.has('target-1'));
 });
 
-test('_handleSessionDetached ignores null sessionId', () => {
+test('_dropSession of an unknown target emits nothing', () => {
     const { cm } = createMockCM();
-    cm._handleSessionDetached(null);
-    cm._handleSessionDetached(undefined);
-    assert.ok(true);
+    const removed = [];
+    cm.on(CM_EVENTS.SESSION_REMOVED, (e) => removed.push(e));
+    cm._dropSession('unknown-target', 'gone');
+    eq(removed.length, 0);
 });
 
 // ═════════════════════════════════════════════════════════════════════
@@ -200,109 +179,85 @@ console.log('\n\x1b[1m--- Injection Flow (_handleNewTarget) ---\x1b[0m');
 
     await testAsync('successful injection creates session', async () => {
         const { cm } = createMockCM();
-        await cm._handleNewTarget({ targetId: 'target-1', type: 'page', url: 'vscode-webview://abc' });
+        await cm._handleNewTarget(webviewTarget('target-1'));
         assert.ok(cm.sessions.has('target-1'), 'should be in sessions');
-        eq(cm.sessions.get('target-1'), 'mock-session');
+        const info = cm.sessions.get('target-1');
+        eq(info.wsUrl, 'ws://127.0.0.1:9333/devtools/page/target-1');
+        eq(info.port, 9333);
+        eq(cm._sessionCursors.get('target-1'), 0);
+        eq(cm._pendingTargets.size, 0);
     });
 
-    await testAsync('not-agent-panel permanently ignores target', async () => {
-        const { cm } = createMockCM({
-            evaluateHandler: (expr) => {
-                if (expr.includes('document.title')) return { result: { result: { value: 'has-dom' } } };
-                if (expr.includes('typeof window') && expr.length < 200) return { result: { result: { value: true } } };
-                return { result: { result: { value: 'not-agent-panel' } } };
-            }
-        });
-        await cm._handleNewTarget({ targetId: 'id-nap', type: 'page', url: 'vscode-webview://xyz' });
-        assert.ok(!cm.sessions.has('id-nap'), 'should NOT be in sessions');
-        assert.ok(cm.ignoredTargets.has('id-nap'), 'should be permanently ignored');
+    await testAsync('a second target with a session\'s URL is ignored as a duplicate', async () => {
+        const { cm } = createMockCM();
+        await cm._handleNewTarget(webviewTarget('first-1', { url: 'vscode-webview://same' }));
+        await cm._handleNewTarget(webviewTarget('dup-2', { url: 'vscode-webview://same' }));
+        assert.ok(!cm.sessions.has('dup-2'), 'should NOT be in sessions');
+        assert.ok(cm.ignoredTargets.has('dup-2'), 'should be ignored');
+        assert.deepStrictEqual(cm._injectCalls, ['first-1']);
+        // Workbench windows all share one URL: they are told apart by target id
+        await cm._handleNewTarget(webviewTarget('wb-1', { url: 'vscode-file://vscode-app/workbench.html' }));
+        await cm._handleNewTarget(webviewTarget('wb-2', { url: 'vscode-file://vscode-app/workbench.html' }));
+        eq(cm.sessions.size, 3);
     });
 
     await testAsync('undefined result triggers 3-strike rule', async () => {
-        let attachCount = 0;
-        const { cm } = createMockCM({
-            attachResult: () => ({ result: { sessionId: `sess-${++attachCount}` } }),
-            evaluateHandler: (expr) => {
-                if (expr.includes('document.title')) return { result: { result: { value: 'has-dom' } } };
-                if (expr.includes('typeof window')) return { result: { result: { value: true } } };
-                return { result: { result: { value: undefined } } };
-            }
-        });
+        const { cm } = createMockCM({ injectResult: 'undefined' });
 
-        await cm._handleNewTarget({ targetId: 'id-strike', type: 'page', url: 'vscode-webview://a' });
+        await cm._handleNewTarget(webviewTarget('id-strike'));
         assert.ok(!cm.ignoredTargets.has('id-strike'), 'not ignored after 1 strike');
 
-        await cm._handleNewTarget({ targetId: 'id-strike', type: 'page', url: 'vscode-webview://a' });
+        await cm._handleNewTarget(webviewTarget('id-strike'));
         assert.ok(!cm.ignoredTargets.has('id-strike'), 'not ignored after 2 strikes');
 
-        await cm._handleNewTarget({ targetId: 'id-strike', type: 'page', url: 'vscode-webview://a' });
-        assert.ok(cm.ignoredTargets.has('id-strike'), 'permanently ignored after 3 strikes');
+        await cm._handleNewTarget(webviewTarget('id-strike'));
+        assert.ok(cm.ignoredTargets.has('id-strike'), 'ignored after 3 strikes');
+        eq(cm.sessions.size, 0);
     });
 
     await testAsync('windowless target is immediately ignored', async () => {
-        const { cm } = createMockCM({
-            evaluateHandler: (expr) => {
-                if (expr.includes('document.title')) return { result: { result: { value: 'has-dom' } } };
-                if (expr.includes('typeof window')) return { result: { result: { value: false } } };
-                return { result: { result: { value: 'should-not-reach' } } };
-            }
-        });
-        await cm._handleNewTarget({ targetId: 'id-wl', type: 'page', url: 'vscode-webview://abc' });
+        const { cm } = createMockCM({ injectResult: 'no-window' });
+        await cm._handleNewTarget(webviewTarget('id-wl'));
         assert.ok(!cm.sessions.has('id-wl'));
         assert.ok(cm.ignoredTargets.has('id-wl'));
+        eq(cm._injectionFailCounts.has('id-wl'), false, 'no strikes: it has no document to inject into');
     });
 
     await testAsync('skips already-known session', async () => {
         const { cm } = createMockCM();
-        cm.sessions.set('already-known', 'sess-existing');
-        let attachCalled = false;
-        cm._handlers['Target.attachToTarget'] = () => { attachCalled = true; return { result: { sessionId: 'x' } }; };
-        await cm._handleNewTarget({ targetId: 'already-known', type: 'page', url: 'vscode-webview://abc' });
-        assert.ok(!attachCalled);
+        cm.sessions.set('already-known', { url: 'u', wsUrl: 'ws://x' });
+        await cm._handleNewTarget(webviewTarget('already-known'));
+        eq(cm._injectCalls.length, 0);
     });
 
     await testAsync('skips ignored target', async () => {
         const { cm } = createMockCM();
         cm.ignoredTargets.add('ignored-id');
-        let attachCalled = false;
-        cm._handlers['Target.attachToTarget'] = () => { attachCalled = true; return { result: {} }; };
-        await cm._handleNewTarget({ targetId: 'ignored-id', type: 'page', url: 'vscode-webview://abc' });
-        assert.ok(!attachCalled);
+        await cm._handleNewTarget(webviewTarget('ignored-id'));
+        eq(cm._injectCalls.length, 0);
     });
 
-    await testAsync('no sessionId returned logs error', async () => {
-        const { cm, logs } = createMockCM({
-            attachResult: () => ({ result: {} })
-        });
-        await cm._handleNewTarget({ targetId: 'no-sid', type: 'page', url: 'vscode-webview://abc' });
-        assert.ok(!cm.sessions.has('no-sid'));
-        assert.ok(logs.some(l => l.includes('No sessionId')));
+    await testAsync('a target without a debugger URL is skipped', async () => {
+        const { cm } = createMockCM();
+        await cm._handleNewTarget({ id: 'no-ws', type: 'page', url: 'vscode-webview://abc' });
+        eq(cm._injectCalls.length, 0);
+        assert.ok(!cm.sessions.has('no-ws'));
     });
 
     await testAsync('CDP error in injection is handled gracefully', async () => {
-        const { cm, logs } = createMockCM({
-            evaluateHandler: (expr) => {
-                if (expr.includes('document.title')) return { result: { result: { value: 'has-dom' } } };
-                if (expr.includes('typeof window')) return { result: { result: { value: true } } };
-                return { error: { code: -32000, message: 'Target closed' } };
-            }
-        });
-        await cm._handleNewTarget({ targetId: 'id-cdperr', type: 'page', url: 'vscode-webview://a' });
+        const { cm, logs } = createMockCM({ injectResult: () => { throw new Error('ipc timeout'); } });
+        await cm._handleNewTarget(webviewTarget('id-cdperr'));
         assert.ok(!cm.sessions.has('id-cdperr'));
-        assert.ok(logs.some(l => l.includes('CDP error') || l.includes('cdp-error') || l.includes('Injection')));
+        assert.ok(logs.includes('[CDP] [id-cdp] Inject error: ipc timeout'));
+        eq(cm._pendingTargets.size, 0, 'a later attempt is not blocked');
     });
 
     await testAsync('script exception in injection is handled', async () => {
-        const { cm, logs } = createMockCM({
-            evaluateHandler: (expr) => {
-                if (expr.includes('document.title')) return { result: { result: { value: 'has-dom' } } };
-                if (expr.includes('typeof window')) return { result: { result: { value: true } } };
-                return { result: { exceptionDetails: { text: 'Uncaught', exception: { description: 'ReferenceError' } } } };
-            }
-        });
-        await cm._handleNewTarget({ targetId: 'id-exc', type: 'page', url: 'vscode-webview://a' });
+        const { cm } = createMockCM({ injectResult: 'script-exception' });
+        await cm._handleNewTarget(webviewTarget('id-exc'));
         assert.ok(!cm.sessions.has('id-exc'));
-        assert.ok(logs.some(l => l.includes('Injection exception') || l.includes('script-exception') || l.includes('Injection')));
+        eq(cm._injectionFailCounts.get('id-exc'), 1);
+        assert.ok(!cm.ignoredTargets.has('id-exc'), 'retried on the next scan');
     });
 
     // ═════════════════════════════════════════════════════════════════════
@@ -328,83 +283,77 @@ console.log('\n\x1b[1m--- Injection Flow (_handleNewTarget) ---\x1b[0m');
     // ═════════════════════════════════════════════════════════════════════
     console.log('\n\x1b[1m--- Heartbeat ---\x1b[0m');
 
+    // A running manager on :9333 whose /json lists `targets`
+    function heartbeatCM(targets, opts) {
+        const { cm, logs } = createMockCM(opts);
+        cm._getVersionInfo = async (port) => port === 9333 ? editorVersion('aaaa1111-x') : null;
+        cm._getTargetList = async (port) => port === 9333 ? targets : null;
+        cm.isRunning = true; cm._connected = true; cm.targetDiscovery = false;
+        return { cm, logs };
+    }
+    const sessionOn9333 = (id) => ({ url: `vscode-webview://${id}`, wsUrl: `ws://127.0.0.1:9333/devtools/page/${id}`, title: '', port: 9333 });
+
     await testAsync('heartbeat discovers new targets', async () => {
-        const { cm } = createMockCM({
-            getTargetsResult: () => ({
-                result: { targetInfos: [{ targetId: 'new-1', type: 'page', url: 'vscode-webview://abc' }] }
-            })
-        });
+        const { cm } = heartbeatCM([webviewTarget('new-1')]);
         await cm._heartbeat();
         assert.ok(cm.sessions.has('new-1'), 'should discover and attach');
+        eq(cm.activeCdpPort, 9333);
     });
 
     await testAsync('heartbeat skips ignored targets', async () => {
-        const { cm } = createMockCM({
-            getTargetsResult: () => ({
-                result: { targetInfos: [{ targetId: 'ignored-hb', type: 'page', url: 'vscode-webview://abc' }] }
-            })
-        });
+        const { cm } = heartbeatCM([webviewTarget('ignored-hb')]);
         cm.ignoredTargets.add('ignored-hb');
-        let attachCalled = false;
-        cm._handlers['Target.attachToTarget'] = () => { attachCalled = true; return { result: {} }; };
         await cm._heartbeat();
-        assert.ok(!attachCalled);
+        eq(cm._injectCalls.length, 0);
     });
 
     await testAsync('heartbeat harvests click telemetry', async () => {
-        const { cm } = createMockCM({
-            getTargetsResult: () => ({
-                result: { targetInfos: [{ targetId: 't-clicks', type: 'page', url: 'vscode-webview://abc' }] }
-            }),
-            evaluateHandler: (expr) => {
-                if (expr.includes('__AA_CLICK_COUNT')) {
-                    return { result: { result: { value: { alive: true, clickCount: 7 } } } };
-                }
-                return defaultEvaluateHandler(expr);
-            }
+        const { cm } = heartbeatCM([webviewTarget('t-clicks')], {
+            evalHandler: () => ({ result: { result: { value: { alive: true, clickCount: 7 } } } })
         });
-        cm.sessions.set('t-clicks', 's-clicks');
+        cm.sessions.set('t-clicks', sessionOn9333('t-clicks'));
         let harvestedClicks = 0;
         cm.onClickTelemetry = (delta) => { harvestedClicks += delta; };
         await cm._heartbeat();
         eq(harvestedClicks, 7);
+        eq(cm._sessionCursors.get('t-clicks'), 7);
     });
 
-    await testAsync('heartbeat re-injects dead observers', async () => {
-        let injectCount = 0;
-        const { cm, logs } = createMockCM({
-            getTargetsResult: () => ({
-                result: { targetInfos: [{ targetId: 't-dead', type: 'page', url: 'vscode-webview://abc' }] }
-            }),
-            evaluateHandler: (expr) => {
-                if (expr.includes('__AA_CLICK_COUNT') && expr.length < 500) {
-                    return { result: { result: { value: { alive: false, clickCount: 0 } } } };
-                }
-                if (expr.includes('__AA_OBSERVER_ACTIVE = false')) return { result: {} };
-                if (expr.length > 1000) {
-                    injectCount++;
-                    return { result: { result: { value: 'observer-installed' } } };
-                }
-                return defaultEvaluateHandler(expr);
-            }
+    await testAsync('heartbeat turns drained review holds into review-requested events', async () => {
+        const { cm } = heartbeatCM([webviewTarget('t-review')], {
+            evalHandler: () => ({ result: { result: { value: { alive: true, clickCount: 0, reviews: [{ id: 'r1', text: 'run', command: 'git push', risk: null }] } } } })
         });
-        cm.sessions.set('t-dead', 's-dead');
+        cm.sessions.set('t-review', { ...sessionOn9333('t-review'), title: 'api - Antigravity' });
+        const requests = [];
+        cm.on(CM_EVENTS.REVIEW_REQUESTED, (req) => requests.push(req));
         await cm._heartbeat();
-        assert.ok(injectCount > 0, 'should re-inject');
-        assert.ok(logs.some(l => l.includes('observer dead')));
+        assert.deepStrictEqual(requests.map(r => [r.targetId, r.title, r.id, r.command]), [['t-review', 'api - Antigravity', 'r1', 'git push']]);
     });
 
-    await testAsync('heartbeat filters out service_worker targets', async () => {
-        const { cm } = createMockCM({
-            getTargetsResult: () => ({
-                result: {
-                    targetInfos: [
-                        { targetId: 'sw-1', type: 'service_worker', url: 'vscode-webview://abc/sw.js' },
-                        { targetId: 'page-1', type: 'page', url: 'vscode-webview://abc' }
-                    ]
-                }
-            })
+    await testAsync('heartbeat re-injects dead observers; three failures drop the session', async () => {
+        const { cm } = heartbeatCM([webviewTarget('t-dead')], {
+            evalHandler: () => ({ result: { result: { value: { alive: false, clickCount: 0 } } } })
         });
+        cm.sessions.set('t-dead', sessionOn9333('t-dead'));
+        await cm._heartbeat();
+        assert.deepStrictEqual(cm._injectCalls, ['t-dead'], 'should re-inject');
+        eq(cm._sessionFailCounts.has('t-dead'), false);
+        eq(cm.state, 'connected');
+
+        cm._workerBurstInject = async () => 'script-exception';
+        await cm._heartbeat();
+        eq(cm._sessionFailCounts.get('t-dead'), 1);
+        eq(cm.state, 'degraded');
+        await cm._heartbeat(); await cm._heartbeat();
+        assert.ok(!cm.sessions.has('t-dead'), 'unresponsive session dropped');
+        eq(cm.state, 'connected');
+    });
+
+    await testAsync('heartbeat filters out service_worker targets', async () => {
+        const { cm } = heartbeatCM([
+            { id: 'sw-1', type: 'service_worker', url: 'vscode-webview://abc/sw.js', webSocketDebuggerUrl: 'ws://127.0.0.1:9333/devtools/page/sw-1' },
+            webviewTarget('page-1')
+        ]);
         await cm._heartbeat();
         assert.ok(!cm.sessions.has('sw-1'), 'service worker filtered');
         assert.ok(cm.sessions.has('page-1'), 'page target attached');
@@ -413,19 +362,20 @@ console.log('\n\x1b[1m--- Injection Flow (_handleNewTarget) ---\x1b[0m');
     // ═════════════════════════════════════════════════════════════════════
     console.log('\n\x1b[1m--- Connection Lifecycle ---\x1b[0m');
 
-    test('_onClose clears sessions and resets state', () => {
+    test('stop drops sessions, ignore lists and fail counts', () => {
         const { cm } = createMockCM();
-        cm.sessions.set('t1', 's1');
-        cm.sessions.set('t2', 's2');
+        cm.sessions.set('t1', { wsUrl: 'ws://t1' });
+        cm.sessions.set('t2', { wsUrl: 'ws://t2' });
         cm._sessionFailCounts.set('t1', 2);
+        cm._injectionFailCounts.set('t3', 1);
         cm.ignoredTargets.add('ignored-1');
-        cm.isRunning = true;
-        cm.ws = { readyState: 3, removeAllListeners: () => { } };
-        cm._onClose();
+        cm.isRunning = true; cm._connected = true;
+        cm.stop();
         eq(cm.sessions.size, 0);
         eq(cm._sessionFailCounts.size, 0);
+        eq(cm._injectionFailCounts.size, 0);
         eq(cm.ignoredTargets.size, 0);
-        eq(cm.ws, null);
+        eq(cm._connected, false);
     });
 
     test('stop clears all state and cancels timers', () => {
@@ -441,34 +391,498 @@ console.log('\n\x1b[1m--- Injection Flow (_handleNewTarget) ---\x1b[0m');
     });
 
     // ═════════════════════════════════════════════════════════════════════
-    console.log('\n\x1b[1m--- _onMessage routing ---\x1b[0m');
+    console.log('\n\x1b[1m--- Worker Messages (_onWorkerMessage) ---\x1b[0m');
 
-    test('_onMessage resolves pending promise', () => {
+    test('a reply resolves or rejects its pending call', () => {
         const { cm } = createMockCM();
-        let resolved = null;
-        cm.pending.set(42, {
-            resolve: (v) => { resolved = v; },
-            reject: () => { },
-            timer: setTimeout(() => { }, 5000)
-        });
-        cm._onMessage(JSON.stringify({ id: 42, result: { success: true } }));
-        assert.ok(resolved !== null);
-        eq(resolved.result.success, true);
-        assert.ok(!cm.pending.has(42));
+        let resolved = null, rejected = null;
+        cm._pendingIpc.set(42, { resolve: (v) => { resolved = v; }, reject: () => { }, timer: setTimeout(() => { }, 5000) });
+        cm._pendingIpc.set(43, { resolve: () => { }, reject: (e) => { rejected = e; }, timer: setTimeout(() => { }, 5000) });
+        cm._onWorkerMessage({ type: 'eval-result', id: 42, result: { success: true } });
+        cm._onWorkerMessage({ type: 'eval-result', id: 43, error: 'Target closed' });
+        eq(resolved.success, true);
+        eq(rejected.message, 'Target closed');
+        eq(cm._pendingIpc.size, 0);
     });
 
-    test('_onMessage handles targetDestroyed event', () => {
+    test('target events and a closed watch go to the target discovery', () => {
         const { cm } = createMockCM();
-        cm.sessions.set('target-xyz', 'sess-xyz');
-        cm._onMessage(JSON.stringify({ method: 'Target.targetDestroyed', params: { targetId: 'target-xyz' } }));
+        cm.isRunning = true;
+        cm.sessions.set('target-xyz', { url: 'u', wsUrl: 'ws://xyz' });
+        cm._targetWatch = 'ws://127.0.0.1:9333/devtools/browser/x';
+        cm._onWorkerMessage({ type: 'target-event', method: 'Target.targetDestroyed', params: { targetId: 'target-xyz' } });
         assert.ok(!cm.sessions.has('target-xyz'));
+        cm._onWorkerMessage({ type: 'target-watch-closed', reason: 'browser connection closed' });
+        eq(cm._targetWatch, null);
     });
 
-    test('_onMessage handles detachedFromTarget event', () => {
+    test('binding calls are handled as pushed reports', () => {
         const { cm } = createMockCM();
-        cm.sessions.set('target-abc', 'sess-abc');
-        cm._onMessage(JSON.stringify({ method: 'Target.detachedFromTarget', params: { sessionId: 'sess-abc' } }));
-        assert.ok(!cm.sessions.has('target-abc'));
+        cm.isRunning = true;
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: 'api - Antigravity' });
+        cm._sessionCursors.set('T1', 0);
+        const counted = [];
+        cm.onClickTelemetry = (d) => counted.push(d);
+        cm._onWorkerMessage({ type: 'binding-called', targetId: 'T1', payload: JSON.stringify({ kind: 'click', data: { text: 'run', path: 'p' }, clickCount: 1, epoch: 'e1' }) });
+        assert.deepStrictEqual(counted, [1]);
+    });
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n\x1b[1m--- Review Ownership ---\x1b[0m');
+
+    /** Runs a host's review-drain expression against a fake page window */
+    function drains(cm, info, win) { return new Function('window', `return ${cm._reviewDrainExpr(info)};`)(win); }
+
+    test('a page outside any workspace is drained by exactly one window — its primary reporter', () => {
+        const api = createMockCM().cm; const web = createMockCM().cm;
+        api.setWorkspacePolicy('api', null); web.setWorkspacePolicy('web', null);
+        const primary = api._reportBinding < web._reportBinding ? api : web;
+        const other = primary === api ? web : api;
+        for (const title of ['Manager', 'Launchpad', 'docs - Antigravity']) {
+            const page = { __AA_PRIMARY_REPORTER: () => primary._reportBinding };
+            eq(drains(primary, { title }, page), true);
+            eq(drains(other, { title }, page), false);
+        }
+        // No live reporter: the first heartbeat to drain the page answers
+        eq(drains(other, { title: 'Manager' }, { __AA_PRIMARY_REPORTER: () => null }), true);
+    });
+
+    test('a window answers for its own pages; a page another window claimed is left to it', () => {
+        const api = createMockCM().cm;
+        api.setWorkspacePolicy('api', null);
+        eq(api._reviewDrainExpr({ title: 'api - Antigravity' }), 'true');
+        eq(drains(api, { title: 'web - Antigravity' }, { __AA_ROOTS_OWNER: 'web', __AA_PRIMARY_REPORTER: () => api._reportBinding }), false);
+    });
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n\x1b[1m--- Trust Grants ---\x1b[0m');
+
+    const { createGrant } = require(path.join(__dirname, '..', 'src', 'scripts', 'TrustGrants'));
+    function grantCM() {
+        const { cm, logs } = createMockCM();
+        const evals = [];
+        cm._workerEval = async (wsUrl, expr) => { evals.push(expr); return { result: { result: { value: 'grants-updated' } } }; };
+        cm.sessions.set('t1', { wsUrl: 'ws://t1', title: 'Fix login flow' });
+        const changes = [];
+        cm.on(CM_EVENTS.TRUST_CHANGED, (ev) => changes.push(ev.grants.length));
+        return { cm, logs, evals, changes };
+    }
+
+    await testAsync('grantTrust pushes grants under this host and replaces a grant for the same title', async () => {
+        const { cm, logs, evals, changes } = grantCM();
+        await cm.grantTrust(createGrant({ title: 'Fix login flow', clicks: 2, allow: ['git push'] }).grant);
+        await cm.grantTrust(createGrant({ title: 'fix login flow', minutes: 5, allow: ['git push'] }).grant);
+        clearTimeout(cm._grantTimer);
+        eq(cm.trustGrants.length, 1);
+        eq(cm.trustGrants[0].clicksLeft, null);
+        assert.ok(evals[0].includes(JSON.stringify(cm._hostId)));
+        assert.ok(logs.some(l => l.startsWith('[Trust] Replaced grant')));
+        assert.deepStrictEqual(changes, [1, 1]);
+    });
+
+    await testAsync('clicks spent in pages are synced and expire the grant with a log line', async () => {
+        const { cm, logs } = grantCM();
+        const g = createGrant({ title: 'Fix login flow', clicks: 2, allow: ['git push'] }).grant;
+        await cm.grantTrust(g);
+        cm._syncTrustGrants([{ id: g.id, clicksLeft: 1, clicksUsed: 1 }], Date.now());
+        eq(cm.trustGrants[0].clicksLeft, 1);
+        cm._syncTrustGrants([{ id: g.id, clicksLeft: 0, clicksUsed: 2 }], Date.now());
+        eq(cm.trustGrants.length, 0);
+        assert.ok(logs.some(l => l === '[Trust] Grant for "Fix login flow" expired (click limit reached) after 2 elevated clicks — back to normal rules'));
+    });
+
+    await testAsync('time-limited grants expire; revoking logs and clears', async () => {
+        const { cm, logs } = grantCM();
+        const g = createGrant({ title: 'A', minutes: 1, allow: ['git push'] }).grant;
+        const h = createGrant({ title: 'B', minutes: 30, allow: ['git push'] }).grant;
+        await cm.grantTrust(g); await cm.grantTrust(h);
+        eq(cm._expireGrants(g.expiresAt), true);
+        assert.ok(logs.some(l => l.includes('"A" expired (time is up)')));
+        eq(await cm.revokeTrust(h.id), true);
+        eq(await cm.revokeTrust(h.id), false);
+        clearTimeout(cm._grantTimer);
+        eq(cm.trustGrants.length, 0);
+        assert.ok(logs.some(l => l.startsWith('[Trust] Revoked grant for "B"')));
+    });
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n\x1b[1m--- Target Discovery Events ---\x1b[0m');
+
+    function discoveryCM() {
+        const { cm, logs } = createMockCM();
+        const injected = [];
+        cm.isRunning = true;
+        cm.activeCdpPort = 9333;
+        cm._handleNewTarget = async (t, source) => { injected.push({ ...t, source }); };
+        return { cm, logs, injected };
+    }
+
+    test('targetCreated injects a candidate at once, via the page endpoint', () => {
+        const { cm, injected } = discoveryCM();
+        cm._onTargetEvent('Target.targetCreated', { targetInfo: { targetId: 'NEW123456', type: 'page', title: 'Fix - app - Antigravity', url: 'vscode-file://vscode-app/workbench.html' } });
+        eq(injected.length, 1);
+        eq(injected[0].id, 'NEW123456');
+        eq(injected[0].webSocketDebuggerUrl, 'ws://127.0.0.1:9333/devtools/page/NEW123456');
+        eq(injected[0].source, 'event');
+    });
+
+    test('non-candidates wait for the targetInfoChanged that fills in their URL', () => {
+        const { cm, injected } = discoveryCM();
+        cm._onTargetEvent('Target.targetCreated', { targetInfo: { targetId: 'SW1', type: 'service_worker', url: 'vscode-webview://x/sw.js' } });
+        cm._onTargetEvent('Target.targetCreated', { targetInfo: { targetId: 'W1', type: 'iframe', url: '' } });
+        eq(injected.length, 0);
+        cm._onTargetEvent('Target.targetInfoChanged', { targetInfo: { targetId: 'W1', type: 'iframe', url: 'vscode-webview://abc/index.html' } });
+        eq(injected.length, 1);
+    });
+
+    test('targetInfoChanged retitles a known session instead of re-injecting it', () => {
+        const { cm, injected } = discoveryCM();
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: '' });
+        cm._onTargetEvent('Target.targetInfoChanged', { targetInfo: { targetId: 'T1', type: 'page', title: 'Fix - app - Antigravity', url: 'vscode-file://x' } });
+        eq(injected.length, 0);
+        eq(cm.sessions.get('T1').title, 'Fix - app - Antigravity');
+    });
+
+    test('targetDestroyed drops the session and its bookkeeping', () => {
+        const { cm, logs } = discoveryCM();
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: 'x' });
+        cm._sessionCursors.set('T1', 4);
+        cm._swarmSessions = new Set(['ws://t1']);
+        cm._onTargetEvent('Target.targetDestroyed', { targetId: 'T1' });
+        eq(cm.sessions.size, 0);
+        eq(cm._sessionCursors.has('T1'), false);
+        eq(cm._swarmSessions.size, 0);
+        assert.ok(logs.some(l => l === '[CDP] Target T1 closed — session removed'));
+    });
+
+    test('events are ignored once stopped; a lost watch falls back to polling', () => {
+        const { cm, logs, injected } = discoveryCM();
+        cm._targetWatch = 'ws://127.0.0.1:9333/devtools/browser/x';
+        cm._onTargetWatchLost('browser connection closed');
+        eq(cm._targetWatch, null);
+        assert.ok(logs.some(l => l.startsWith('[CDP] Target discovery lost (browser connection closed)')));
+        cm.isRunning = false;
+        cm._onTargetEvent('Target.targetCreated', { targetInfo: { targetId: 'NEW1', type: 'page', url: 'vscode-file://x' } });
+        eq(injected.length, 0);
+    });
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n\x1b[1m--- Push Reports ---\x1b[0m');
+
+    function reportCM() {
+        const { cm, logs } = createMockCM();
+        cm.isRunning = true;
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: 'api - Antigravity' });
+        cm._sessionCursors.set('T1', 3); cm._cursorEpochs.set('T1', 'e1');
+        const counted = []; const audited = [];
+        cm.onClickTelemetry = (d) => counted.push(d);
+        cm.on(CM_EVENTS.CLICK, (a) => audited.push(a));
+        const push = (kind, data, clickCount, epoch = 'e1') => cm._onReport('T1', JSON.stringify({ kind, data, clickCount, epoch }));
+        return { cm, logs, counted, audited, push };
+    }
+
+    test('a pushed click is counted, logged and audited at once', () => {
+        const { cm, logs, counted, audited, push } = reportCM();
+        push('click', { text: 'run', tag: 'button', path: 'div>button', time: 1, verdict: 'allow', command: 'npm test' }, 4);
+        assert.deepStrictEqual(counted, [1]);
+        eq(cm._sessionCursors.get('T1'), 4);
+        assert.ok(logs.some(l => l.startsWith('[AutoAccept] CLICK in T1: text="run"')));
+        eq(audited.length, 1);
+        eq(audited[0].command, 'npm test');
+        push('click', { text: 'run', dryRun: true, verdict: 'allow', path: 'p' }, 4);
+        eq(counted.length, 1, 'dry runs are not clicks');
+        eq(audited.length, 1);
+    });
+
+    test('pushed blocks and holds go through the diag handlers', () => {
+        const { logs, counted, push } = reportCM();
+        push('diag', { kind: 'command-blocked', reason: 'blocked', pattern: 'rm -rf', command: 'rm -rf /' }, 3);
+        push('diag', { kind: 'command-blocked', reason: 'not-allowed', command: 'curl x' }, 3);
+        assert.ok(logs.includes('[Filter] BLOCKED auto-run in T1: matches blocked pattern "rm -rf" — rm -rf /'));
+        assert.ok(logs.includes('[Filter] BLOCKED auto-run in T1: not on the allowlist — curl x'));
+        eq(counted.length, 0);
+    });
+
+    test('a heartbeat read overtaken by a push is not a reload; a new epoch is', () => {
+        const { cm, counted, push } = reportCM();
+        push('click', { text: 'run', path: 'p' }, 5);
+        eq(cm._countClicks('T1', 4, 'e1', cm._reportBinding), 0, 'stale read');
+        eq(cm._sessionCursors.get('T1'), 5);
+        eq(cm._countClicks('T1', 1, 'e2', cm._reportBinding), 1, 'reloaded page');
+        assert.deepStrictEqual(counted, [2, 1]);
+    });
+
+    test('telemetry is left to the page\'s primary reporter', () => {
+        const { cm, counted } = reportCM();
+        eq(cm._countClicks('T1', 6, 'e1', '__AA_REPORT_00000000'), 3, 'still returned for the budget mirror');
+        eq(counted.length, 0);
+        cm._countClicks('T1', 7, 'e1', null);
+        assert.deepStrictEqual(counted, [1], 'nobody pushing: count it here');
+    });
+
+    test('reports for unknown sessions, or before the cursor is set, count nothing', () => {
+        const { cm, counted, audited } = reportCM();
+        cm._onReport('GONE', JSON.stringify({ kind: 'click', data: { text: 'run' }, clickCount: 9 }));
+        cm._sessionCursors.delete('T1');
+        cm._onReport('T1', JSON.stringify({ kind: 'click', data: { text: 'run', path: 'p' }, clickCount: 9, epoch: 'e1' }));
+        cm._onReport('T1', 'not json');
+        eq(counted.length, 0);
+        eq(audited.length, 1, 'the click itself is still audited');
+        assert.ok(cm._registerReporterExpr().includes(JSON.stringify(cm._reportBinding)));
+    });
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n\x1b[1m--- New-Document Scripts ---\x1b[0m');
+
+    function newDocCM() {
+        const { cm, logs } = createMockCM();
+        const posted = [];
+        cm._worker = { postMessage: (m) => posted.push(m) };
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: 'api - Antigravity' });
+        cm.sessions.set('T2', { url: 'u', wsUrl: 'ws://t2', title: 'web - Antigravity' });
+        const ofType = (type) => posted.filter(m => m.type === type);
+        return { cm, logs, posted, ofType };
+    }
+
+    await testAsync('a burst of config changes re-registers each page once, with the new observer', async () => {
+        const { cm, ofType } = newDocCM();
+        cm._invalidateScriptCache(); cm._invalidateScriptCache(); cm._invalidateScriptCache();
+        eq(ofType('new-document').length, 0, 'debounced');
+        await new Promise(r => setTimeout(r, 5));
+        assert.deepStrictEqual(ofType('new-document').map(m => [m.wsUrl, m.register]), [['ws://t1', true], ['ws://t2', true]]);
+        const cached = ofType('cache-script');
+        eq(cached.length, 1);
+        assert.ok(cached[0].newDocScript.includes('__AA_OBSERVER_VERSION'));
+        assert.ok(cached[0].newDocScript.includes(cached[0].script.trim()));
+        eq(cm._newDocRefresh, null);
+    });
+
+    await testAsync('pausing drops the registrations and keeps them off until unpause', async () => {
+        const { cm, ofType } = newDocCM();
+        cm._workerEval = async () => ({});
+        cm.pause();
+        assert.deepStrictEqual(ofType('new-document').map(m => [m.wsUrl, m.register]), [['ws://t1', false], ['ws://t2', false]]);
+        cm.blockedCommands = ['rm -rf'];
+        await cm.pushFilterUpdate({ blocked: ['rm -rf'], allowed: [], review: [] });
+        cm._invalidateScriptCache();
+        await new Promise(r => setTimeout(r, 5));
+        eq(ofType('new-document').filter(m => m.register).length, 0);
+    });
+
+    test('no sessions or no worker: nothing is scheduled', () => {
+        const { cm, ofType } = newDocCM();
+        cm.sessions.clear();
+        cm._invalidateScriptCache();
+        eq(cm._newDocRefresh, null);
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1' });
+        cm._worker = null;
+        cm._registerNewDocumentScripts();
+        eq(ofType('cache-script').length, 0);
+    });
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n\x1b[1m--- Endpoint Registry ---\x1b[0m');
+
+    // answering: port -> /json/version reply; lists: port -> /json
+    function endpointCM(answering, lists = {}) {
+        const { cm, logs } = createMockCM();
+        cm._getVersionInfo = async (port) => answering[port] || null;
+        cm._getTargetList = async (port) => lists[port] || null;
+        return { cm, logs };
+    }
+
+    await testAsync('discovery registers every instance; the configured port is primary', async () => {
+        const { cm, logs } = endpointCM({ 9333: editorVersion('aaaa1111-x'), 9335: editorVersion('bbbb2222-x'), 9222: { Browser: 'Chrome/131.0', 'User-Agent': 'Mozilla/5.0 Chrome/131.0' } });
+        const live = await cm._discoverEndpoints();
+        assert.deepStrictEqual(live, [9333, 9335]);
+        eq(cm.activeCdpPort, 9333);
+        const eps = cm.getEndpoints();
+        assert.deepStrictEqual(eps.map(ep => [ep.port, ep.instance, ep.primary, ep.listed]), [[9333, 'aaaa1111', true, true], [9335, 'bbbb2222', false, false]]);
+        eq(eps[0].browser, 'Antigravity/1.23.2');
+        assert.ok(logs.includes('[CDP] Endpoint :9335 up — instance bbbb2222 (Antigravity/1.23.2)'));
+        assert.ok(!logs.some(l => l.includes(':9222')), 'plain Chrome on an auto-scanned port is skipped');
+    });
+
+    await testAsync('without the configured port the lowest live port is primary; listed ports are trusted', async () => {
+        const { cm } = endpointCM({ 9336: editorVersion('cccc3333-x'), 9400: { Browser: 'Chrome/131.0' } });
+        cm.setEndpointPorts([9400], false);
+        eq(await cm._findActivePort(), 9400, 'only configured + listed ports without the scan');
+        cm.setEndpointPorts([9400], true);
+        await cm._discoverEndpoints();
+        eq(cm.activeCdpPort, 9336);
+        assert.deepStrictEqual(cm.getEndpoints().map(ep => ep.port), [9336, 9400]);
+    });
+
+    await testAsync('sessions are tagged by port; a lost or restarted instance takes its sessions along', async () => {
+        const answering = { 9333: editorVersion('aaaa1111-x'), 9335: editorVersion('bbbb2222-x') };
+        const { cm, logs } = endpointCM(answering);
+        await cm._discoverEndpoints();
+        cm.sessions.set('A1', { wsUrl: 'ws://127.0.0.1:9333/devtools/page/A1', port: 9333, instance: 'aaaa1111' });
+        cm.sessions.set('B1', { wsUrl: 'ws://127.0.0.1:9335/devtools/page/B1', port: 9335, instance: 'bbbb2222' });
+        cm.sessions.set('B2', { wsUrl: 'ws://127.0.0.1:9335/devtools/page/B2', port: 9335, instance: 'bbbb2222' });
+        assert.deepStrictEqual(cm.getEndpoints().map(ep => ep.sessionCount), [1, 2]);
+        answering[9333] = editorVersion('dddd4444-x');
+        delete answering[9335];
+        await cm._discoverEndpoints();
+        eq(cm.sessions.size, 0);
+        assert.ok(logs.includes('[CDP] Endpoint :9333 restarted — instance dddd4444 (Antigravity/1.23.2)'));
+        assert.ok(logs.includes('[CDP] Endpoint :9335 down — instance bbbb2222'));
+        assert.ok(logs.includes('[CDP] 2 sessions on :9335 removed'));
+        assert.deepStrictEqual(cm.getEndpoints().map(ep => ep.port), [9333], 'an auto-discovered instance that quit is forgotten');
+    });
+
+    await testAsync('listEndpointTargets tags each target; unreachable endpoints are left out', async () => {
+        const { cm } = endpointCM({ 9333: editorVersion('aaaa1111-x'), 9335: editorVersion('bbbb2222-x') }, { 9333: [{ id: 'A1', type: 'page' }], 9335: [{ id: 'B1', type: 'page' }] });
+        const targets = await cm.listEndpointTargets();
+        assert.deepStrictEqual(targets.map(t => [t.id, t.port, t.instance]), [['A1', 9333, 'aaaa1111'], ['B1', 9335, 'bbbb2222']]);
+        cm._getTargetList = async (port) => port === 9333 ? [{ id: 'A1' }] : null;
+        const { targets: partial, reached } = await cm._getEndpointTargets();
+        eq(partial.length, 1);
+        assert.deepStrictEqual([...reached], [9333]);
+    });
+
+    await testAsync('a heartbeat prunes only sessions of the endpoints it could list', async () => {
+        const { cm } = endpointCM({ 9333: editorVersion('aaaa1111-x'), 9335: editorVersion('bbbb2222-x') }, { 9333: [] });
+        await cm._discoverEndpoints();
+        cm.isRunning = true;
+        cm._targetWatch = 'ws://127.0.0.1:9333/devtools/browser/aaaa1111-x';
+        cm._heartbeatCount = 5; // the next beat is a full reconcile (every 6th)
+        cm._workerEval = async () => ({ result: { result: { value: { alive: true, clickCount: 0 } } } });
+        cm.sessions.set('A1', { wsUrl: 'ws://127.0.0.1:9333/devtools/page/A1', port: 9333 });
+        cm.sessions.set('B1', { wsUrl: 'ws://127.0.0.1:9335/devtools/page/B1', port: 9335 });
+        await cm._heartbeat();
+        clearTimeout(cm._idleKillTimer);
+        assert.deepStrictEqual([...cm.sessions.keys()], ['B1'], ':9335 did not answer /json — its session stays');
+    });
+
+    // ═════════════════════════════════════════════════════════════════════
+    console.log('\n\x1b[1m--- Connection State & Events ---\x1b[0m');
+
+    // Records every event ConnectionManager emits, as [event, payload]
+    function eventCM() {
+        const { cm, logs } = createMockCM();
+        const events = [];
+        for (const event of Object.values(CM_EVENTS)) cm.on(event, (p) => events.push([event, p]));
+        const ofType = (event) => events.filter(e => e[0] === event).map(e => e[1]);
+        return { cm, logs, events, ofType };
+    }
+
+    test('state follows the flags: discovering, connected, degraded, paused, disconnected', () => {
+        const { cm, logs, ofType } = eventCM();
+        eq(cm.state, 'disconnected');
+        cm.targetDiscovery = false;
+        cm.isRunning = true; cm.isConnecting = true; cm._updateState();
+        eq(cm.state, 'discovering');
+        cm._connected = true; cm.isConnecting = false; cm._updateState();
+        eq(cm.state, 'connected');
+        cm._sessionFailCounts.set('T1', 1); cm._updateState();
+        eq(cm.state, 'degraded');
+        eq(cm.stateReason, '1 session not responding');
+        assert.ok(logs.includes('[CDP] State: connected → degraded (1 session not responding)'));
+        cm._sessionFailCounts.clear();
+        cm.pause();
+        eq(cm.state, 'paused');
+        cm.stop();
+        eq(cm.state, 'disconnected');
+        assert.deepStrictEqual(ofType(CM_EVENTS.STATE_CHANGED).map(e => e.state), ['discovering', 'connected', 'degraded', 'paused', 'disconnected']);
+        eq(ofType(CM_EVENTS.STATE_CHANGED)[3].previous, 'degraded');
+        assert.deepStrictEqual(CONNECTION_STATES, ['disconnected', 'discovering', 'connected', 'degraded', 'paused']);
+    });
+
+    test('a lost target watch degrades the connection until it is back', () => {
+        const { cm, ofType } = eventCM();
+        cm.isRunning = true; cm._connected = true;
+        cm._targetWatch = 'ws://127.0.0.1:9333/devtools/browser/x';
+        cm._updateState();
+        eq(cm.state, 'connected');
+        cm._onTargetWatchLost('browser connection closed');
+        eq(cm.state, 'degraded');
+        eq(cm.stateReason, 'target discovery down — polling /json');
+        cm.setTargetDiscovery(false);
+        eq(cm.state, 'connected', '/json polling by choice is not degraded');
+        eq(ofType(CM_EVENTS.STATE_CHANGED).length, 3);
+    });
+
+    await testAsync('a heartbeat with every endpoint gone drops to disconnected and reconnects', async () => {
+        const { cm, logs } = eventCM();
+        cm._getVersionInfo = async () => null;
+        cm.isRunning = true; cm._connected = true; cm.targetDiscovery = false;
+        cm._updateState();
+        await cm._heartbeat();
+        eq(cm.state, 'disconnected');
+        eq(cm.stateReason, 'no CDP endpoint (port 9333)');
+        assert.ok(logs.includes('[CDP] No CDP endpoint answering — reconnecting'));
+        assert.ok(cm.reconnectTimer, 'connect() is retried');
+        clearTimeout(cm.reconnectTimer); cm.isRunning = false;
+    });
+
+    test('session-removed carries why the session went', () => {
+        const { cm, ofType } = eventCM();
+        cm.isRunning = true;
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: 'api - Antigravity', port: 9333 });
+        cm.sessions.set('T2', { url: 'u', wsUrl: 'ws://t2', title: 'web - Antigravity', port: 9335 });
+        cm._onTargetEvent('Target.targetDestroyed', { targetId: 'T1' });
+        cm._dropEndpointSessions(9335);
+        assert.deepStrictEqual(ofType(CM_EVENTS.SESSION_REMOVED).map(e => [e.targetId, e.port, e.reason]), [['T1', 9333, 'closed'], ['T2', 9335, 'endpoint-lost']]);
+    });
+
+    await testAsync('session-added comes from the injection; a failing target adds nothing', async () => {
+        const { cm, ofType } = eventCM();
+        cm.isRunning = true;
+        cm._workerBurstInject = async (wsUrl) => wsUrl.endsWith('OK1') ? 'observer-installed' : 'inject-error';
+        cm._workerAddBinding = async () => {};
+        cm._workerEval = async () => ({ result: { result: { value: { count: 0 } } } });
+        await cm._handleNewTarget({ id: 'OK1', type: 'page', title: 'api - Antigravity', url: 'vscode-file://x', webSocketDebuggerUrl: 'ws://127.0.0.1:9335/devtools/page/OK1' }, 'event');
+        const added = ofType(CM_EVENTS.SESSION_ADDED);
+        assert.deepStrictEqual(added.map(e => [e.targetId, e.port, e.via]), [['OK1', 9335, 'event']]);
+        const bad = { id: 'BAD1', type: 'page', url: 'vscode-webview://y', webSocketDebuggerUrl: 'ws://127.0.0.1:9333/devtools/page/BAD1' };
+        for (let i = 0; i < 3; i++) await cm._handleNewTarget(bad);
+        eq(ofType(CM_EVENTS.SESSION_ADDED).length, 1);
+        assert.ok(cm.ignoredTargets.has('BAD1'));
+    });
+
+    test('click and blocked events for real clicks and holds', () => {
+        const { cm, ofType } = eventCM();
+        cm.isRunning = true;
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: 'api - Antigravity' });
+        cm._sessionCursors.set('T1', 0); cm._cursorEpochs.set('T1', 'e1');
+        const push = (kind, data, clickCount) => cm._onReport('T1', JSON.stringify({ kind, data, clickCount, epoch: 'e1' }));
+        push('click', { text: 'run', path: 'p', verdict: 'allow', command: 'npm test', time: 5 }, 1);
+        push('click', { text: 'run', path: 'p', dryRun: true }, 1);
+        push('diag', { kind: 'command-blocked', reason: 'blocked', pattern: 'rm -rf', command: 'rm -rf /' }, 1);
+        push('diag', { kind: 'bad-selector', text: 'run', selector: '[' }, 1);
+        assert.deepStrictEqual(ofType(CM_EVENTS.CLICK).map(e => [e.channel, e.targetId, e.text, e.command, e.time]), [['cdp', 'T1', 'run', 'npm test', 5]]);
+        assert.deepStrictEqual(ofType(CM_EVENTS.BLOCKED).map(e => [e.kind, e.description, e.command]), [['command-blocked', 'matches blocked pattern "rm -rf"', 'rm -rf /']]);
+    });
+
+    test('breaker, secret-hold and budget events carry the page they came from', () => {
+        const { cm, ofType } = eventCM();
+        cm.isRunning = true;
+        cm.sessions.set('T1', { url: 'u', wsUrl: 'ws://t1', title: 'api - Antigravity' });
+        const info = cm.sessions.get('T1');
+        cm._handleDiag('T1', info, [
+            { kind: 'retry-breaker', type: 'open', attempts: 3, cooldownMs: 300000 },
+            { kind: 'secret-held', text: 'run', findings: [{ kind: 'aws-key', preview: 'AKIA…', why: 'AWS access key' }] }
+        ]);
+        assert.deepStrictEqual(ofType(CM_EVENTS.BREAKER).map(e => [e.type, e.attempts, e.title]), [['open', 3, 'api - Antigravity']]);
+        assert.deepStrictEqual(ofType(CM_EVENTS.BLOCKED).map(e => [e.kind, e.text, e.targetId]), [['secret-held', 'run', 'T1']]);
+        cm._tripBudget({ reason: 'hourly', category: null, limit: 10 }, 'T1', info.title);
+        cm._tripBudget({ reason: 'hourly', category: null, limit: 10 }, 'T1', info.title);
+        assert.deepStrictEqual(ofType(CM_EVENTS.BUDGET_EXCEEDED).map(e => [e.reason, e.targetId]), [['hourly', 'T1']], 'tripped once');
+    });
+
+    await testAsync('port-changed on registry changes only; a throwing listener is logged', async () => {
+        const answering = { 9333: editorVersion('aaaa1111-x') };
+        const { cm, logs, ofType } = eventCM();
+        cm._getVersionInfo = async (port) => answering[port] || null;
+        cm.on(CM_EVENTS.PORT_CHANGED, () => { throw new Error('boom'); });
+        await cm._discoverEndpoints();
+        await cm._discoverEndpoints();
+        answering[9334] = editorVersion('bbbb2222-x');
+        delete answering[9333];
+        await cm._discoverEndpoints();
+        assert.deepStrictEqual(ofType(CM_EVENTS.PORT_CHANGED).map(e => [e.port, e.previous, e.endpoints.length]), [[9333, null, 1], [9334, 9333, 2]], 'the configured port stays listed while down');
+        assert.ok(logs.includes("[CDP] 'port-changed' listener failed: boom"));
     });
 
     // ═════════════════════════════════════════════════════════════════════
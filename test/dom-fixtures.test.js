@@ -0,0 +1,138 @@
+/**
+ * DOM Fixture Test Suite
+ * ──────────────────────
+ * Scrubbing and the fixture header, then a replay of every recorded agent panel in
+ * test/fixtures/dom/: the real observer script runs in jsdom and must click exactly the
+ * element tagged data-aa-fixture-expect (or nothing when no element is tagged).
+ *
+ * Record new fixtures with "Auto Accept V2: Record DOM Fixture" — every Antigravity UI
+ * version we see becomes a permanent case here.
+ *
+ * Run:  node test/dom-fixtures.test.js   (needs the jsdom devDependency)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { EXPECT_ATTR, scrubHtml, buildFixture, parseFixture } = require(path.join(__dirname, '..', 'src', 'scripts', 'DomFixture'));
+const { buildDOMObserverScript } = require(path.join(__dirname, '..', 'src', 'scripts', 'DOMObserver'));
+const { LOCALE_PACKS } = require(path.join(__dirname, '..', 'src', 'scripts', 'LocalePacks'));
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'dom');
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+// Runs the observer once against the fixture (the initial scan clicks synchronously)
+function replay(fixture) {
+    const dom = new JSDOM(fixture.html, { runScripts: 'outside-only', pretendToBeVisual: true });
+    const w = dom.window;
+    w.console.log = () => {};
+    const clicked = [];
+    w.document.addEventListener('click', (e) => clicked.push(e.target), true);
+    if (fixture.meta.texts) {
+        // The recorded window's keyword list, pushed the way a workspace policy pushes it
+        w.__AA_POLICY_WS = 'fixture';
+        w.__AA_BUTTON_TEXTS = fixture.meta.texts;
+    }
+    const labels = fixture.meta.locale ? LOCALE_PACKS[fixture.meta.locale] : null;
+    w.eval(buildDOMObserverScript({ locale: labels }));
+    const expected = w.document.querySelector(`[${EXPECT_ATTR}]`);
+    const result = { clicked, expected, log: (w.__AA_CLICK_LOG || []).slice() };
+    w.__AA_CLEANUP(); w.close();
+    return result;
+}
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Scrubbing ---\x1b[0m');
+
+test('code, editor and input text is replaced, layout and punctuation kept', () => {
+    const out = scrubHtml('<div><pre><code>rm -rf dist &amp;&amp; echo ok</code></pre><div class="view-line"><span>const k = 1;</span></div><div contenteditable="true"><p>my prompt</p></div></div>');
+    eq(out, '<div><pre><code>xx -xx xxxx &amp;&amp; xxxx xx</code></pre><div class="view-line"><span>xxxxx x = x;</span></div><div contenteditable="true"><p>xx xxxxxx</p></div></div>');
+});
+
+test('button labels and chat UI text stay readable', () => {
+    const html = '<div class="flex"><span>Run command?</span><button aria-label="Run">Run<span>Alt+⏎</span></button></div>';
+    eq(scrubHtml(html), html);
+});
+
+test('scripts are emptied, comments dropped, values and home paths anonymized', () => {
+    const out = scrubHtml('<head><script>var token = "abc";</script><!-- ck:1 --></head><input value="secret"><img src="file:///Users/alice/a.png"><a href="/home/bob/x">x</a>');
+    eq(out, '<head><script></script></head><input value=""><img src="file:///Users/user/a.png"><a href="/home/user/x">x</a>');
+});
+
+test('scrubbing ends with the element that started it', () => {
+    eq(scrubHtml('<pre><span>a</span>b</pre><p>keep <br>me</p>'), '<pre><span>x</span>x</pre><p>keep <br>me</p>');
+    eq(scrubHtml('<div contenteditable="false">keep</div>'), '<div contenteditable="false">keep</div>');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Fixture Header ---\x1b[0m');
+
+test('header round-trips, including "--" in values', () => {
+    const meta = { recorded: '2026-01-01T00:00:00Z', texts: ['run'], expect: { text: 'run', via: 'text' }, note: 'a -- b' };
+    const parsed = parseFixture(buildFixture('<html><body></body></html>', meta));
+    eq(parsed.meta.note, 'a -- b');
+    assert.deepStrictEqual(parsed.meta.expect, meta.expect);
+    assert.ok(!/--[^>]/.test(parsed.html.split('\n')[1].slice(4, -3)), 'header comment must not contain "--"');
+});
+
+test('files without a readable header are not fixtures', () => {
+    eq(parseFixture('<html><body></body></html>'), null);
+    eq(parseFixture('<!-- aa-fixture {bad json} --><html></html>'), null);
+    eq(parseFixture('<!-- aa-fixture {"version":99} --><html></html>'), null);
+});
+
+test('marking helper is in the observer and the script still compiles', () => {
+    const script = buildDOMObserverScript();
+    assert.ok(script.includes('window.__AA_FIXTURE_MARK = function(on)'));
+    new Function(script);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Replay ---\x1b[0m');
+
+const files = fs.existsSync(FIXTURE_DIR) ? fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.html')).sort() : [];
+
+test('fixtures are present', () => {
+    assert.ok(files.length > 0, `no fixtures in ${FIXTURE_DIR}`);
+});
+
+for (const file of files) {
+    test(file, () => {
+        const fixture = parseFixture(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+        assert.ok(fixture, 'missing or unreadable aa-fixture header');
+        const { clicked, expected, log } = replay(fixture);
+        if (!fixture.meta.expect) {
+            eq(expected, null);
+            eq(clicked.length, 0, `clicked ${clicked[0] && clicked[0].outerHTML.substring(0, 120)}`);
+            return;
+        }
+        assert.ok(expected, `no element carries ${EXPECT_ATTR}`);
+        eq(clicked.length, 1);
+        assert.ok(clicked[0] === expected, `clicked ${clicked[0].outerHTML.substring(0, 120)} instead of ${expected.outerHTML.substring(0, 120)}`);
+        eq(log[0].text, expected.getAttribute(EXPECT_ATTR));
+        eq(log[0].text, fixture.meta.expect.text);
+        eq(log[0].via, fixture.meta.expect.via);
+    });
+}
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
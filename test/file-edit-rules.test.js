@@ -0,0 +1,140 @@
+/**
+ * File-Edit Rules Test Suite
+ * ──────────────────────────
+ * Path glob semantics, diff-stat / file-name extraction from chat UI text, and
+ * the allow/hold verdict for agent file edits.
+ *
+ * Run:  node test/file-edit-rules.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { createFileEditRules, matchesPath, parseDiffStats, findPaths, evaluateFileEdit, hasFileEditRules } =
+    require(path.join(__dirname, '..', 'src', 'scripts', 'FileEditRules'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Path Globs ---\x1b[0m');
+
+test('bare file names match in any directory', () => {
+    eq(matchesPath('package.json', 'package.json'), true);
+    eq(matchesPath('web/package.json', 'package.json'), true);
+    eq(matchesPath('package.json.bak', 'package.json'), false);
+    eq(matchesPath('mypackage.json', 'package.json'), false);
+});
+
+test('* stays inside one segment, ** spans directories', () => {
+    eq(matchesPath('yarn.lock', '*.lock'), true);
+    eq(matchesPath('a/b/Cargo.lock', '*.lock'), true);
+    eq(matchesPath('src/a.ts', 'src/*.ts'), true);
+    eq(matchesPath('src/deep/a.ts', 'src/*.ts'), false);
+    eq(matchesPath('src/deep/a.ts', 'src/**/*.ts'), true);
+    eq(matchesPath('src/a.ts', 'src/**/*.ts'), true);
+});
+
+test('directory patterns cover everything below them', () => {
+    eq(matchesPath('.github/workflows/ci.yml', '.github/**'), true);
+    eq(matchesPath('db/migrations/001_init.sql', 'migrations'), true);
+    eq(matchesPath('db/migrations/001_init.sql', 'migrations/'), true);
+    eq(matchesPath('srcx/a.js', 'src/**'), false);
+});
+
+test('braces, ? and case-insensitivity', () => {
+    eq(matchesPath('src/App.TSX', 'src/**/*.{ts,tsx}'), true);
+    eq(matchesPath('src/app.js', 'src/**/*.{ts,tsx}'), false);
+    eq(matchesPath('v1.txt', 'v?.txt'), true);
+    eq(matchesPath('v10.txt', 'v?.txt'), false);
+});
+
+test('Windows separators are normalised', () => {
+    eq(matchesPath('src\\lib\\a.ts', 'src/**'), true);
+    eq(matchesPath('src/lib/a.ts', 'src\\**'), true);
+});
+
+test('regex metacharacters in globs are literal', () => {
+    eq(matchesPath('a+b.txt', 'a+b.txt'), true);
+    eq(matchesPath('aab.txt', 'a+b.txt'), false);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- UI Text Extraction ---\x1b[0m');
+
+test('diff stats in the common renderings', () => {
+    assert.deepStrictEqual(parseDiffStats('app.ts +12 -3 Accept'), { added: 12, removed: 3 });
+    assert.deepStrictEqual(parseDiffStats('+5 −0'), { added: 5, removed: 0 });
+    assert.deepStrictEqual(parseDiffStats('7 additions, 2 deletions'), { added: 7, removed: 2 });
+    eq(parseDiffStats('Accept Reject'), null);
+});
+
+test('file names and relative paths are found, versions are not', () => {
+    assert.deepStrictEqual(findPaths('Edited src/app/main.ts and package.json (v3.5.1)'), ['src/app/main.ts', 'package.json']);
+    assert.deepStrictEqual(findPaths('Accept all'), []);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Verdicts ---\x1b[0m');
+
+const RULES = { blockedPaths: ['package.json', '*.lock'], allowedPaths: ['src/**', 'test/**'], maxLines: 100 };
+
+test('no rules allows everything', () => {
+    eq(evaluateFileEdit({ paths: [], stats: null }, { blockedPaths: [], allowedPaths: [], maxLines: 0 }).allowed, true);
+    eq(hasFileEditRules({ blockedPaths: [], allowedPaths: [], maxLines: 0 }), false);
+    eq(hasFileEditRules({ blockedPaths: [], allowedPaths: [], maxLines: 5 }), true);
+});
+
+test('edit inside the allowlist and size limit is accepted', () => {
+    const v = evaluateFileEdit({ paths: ['src/a.ts', 'test/a.test.ts'], stats: { added: 40, removed: 10 } }, RULES);
+    eq(v.allowed, true);
+});
+
+test('blocked path wins over the allowlist', () => {
+    const v = evaluateFileEdit({ paths: ['src/a.ts', 'src/package.json'], stats: { added: 1, removed: 0 } }, RULES);
+    eq(v.allowed, false); eq(v.reason, 'blocked-path'); eq(v.path, 'src/package.json'); eq(v.pattern, 'package.json');
+});
+
+test('every file must be allowed', () => {
+    const v = evaluateFileEdit({ paths: ['src/a.ts', 'docs/readme.md'], stats: { added: 1, removed: 0 } }, RULES);
+    eq(v.allowed, false); eq(v.reason, 'not-allowed-path'); eq(v.path, 'docs/readme.md');
+});
+
+test('too many changed lines is held', () => {
+    const v = evaluateFileEdit({ paths: ['src/a.ts'], stats: { added: 90, removed: 11 } }, RULES);
+    eq(v.allowed, false); eq(v.reason, 'too-large'); eq(v.lines, 101);
+});
+
+test('fails closed when the UI shows no file or no stats', () => {
+    eq(evaluateFileEdit({ paths: [], stats: { added: 1, removed: 0 } }, RULES).reason, 'file-unknown');
+    eq(evaluateFileEdit({ paths: ['src/a.ts'], stats: null }, RULES).reason, 'size-unknown');
+    // size-only rules don't need a file name
+    eq(evaluateFileEdit({ paths: [], stats: { added: 1, removed: 0 } }, { blockedPaths: [], allowedPaths: [], maxLines: 10 }).allowed, true);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Browser Serialization ---\x1b[0m');
+
+test('factory survives toString() round-trip (as injected into the observer)', () => {
+    const rebuilt = new Function(`return (${createFileEditRules.toString()})();`)();
+    eq(rebuilt.matchesPath('a/b/yarn.lock', '*.lock'), true);
+    eq(rebuilt.evaluate({ paths: ['package.json'], stats: null }, RULES).reason, 'blocked-path');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,108 @@
+/**
+ * Locale Packs Test Suite
+ * ───────────────────────
+ * Display-language → pack resolution, pack completeness, and the labels reaching
+ * the generated observer script.
+ *
+ * Run:  node test/locale-packs.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { ACTIONS, LOCALE_PACKS, resolveLocale, getLocaleLabels } = require(path.join(__dirname, '..', 'src', 'scripts', 'LocalePacks'));
+const { buildDOMObserverScript } = require(path.join(__dirname, '..', 'src', 'scripts', 'DOMObserver'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Resolution ---\x1b[0m');
+
+test('exact ids match case-insensitively', () => {
+    eq(resolveLocale('fr'), 'fr');
+    eq(resolveLocale('pt-br'), 'pt-BR');
+    eq(resolveLocale('zh-cn'), 'zh-CN');
+    eq(resolveLocale('ZH_CN'), 'zh-CN');
+});
+
+test('region variants fall back to the base language', () => {
+    eq(resolveLocale('de-at'), 'de');
+    eq(resolveLocale('es-419'), 'es');
+    eq(resolveLocale('pt'), 'pt-BR');
+    eq(resolveLocale('zh-hans'), 'zh-CN');
+});
+
+test('English, unknown languages and Traditional Chinese get no pack', () => {
+    eq(resolveLocale('en'), null);
+    eq(resolveLocale('tr'), null);
+    eq(resolveLocale('zh-tw'), null);
+    eq(resolveLocale(''), null);
+});
+
+test('setting: auto follows the display language, off disables, explicit wins', () => {
+    eq(getLocaleLabels('auto', 'ja').locale, 'ja');
+    eq(getLocaleLabels('off', 'ja').locale, null);
+    eq(getLocaleLabels('ko', 'ja').locale, 'ko');
+    assert.deepStrictEqual(getLocaleLabels('auto', 'en').labels, {});
+});
+
+test('same pack → same object, so a reload without changes does not re-inject', () => {
+    eq(getLocaleLabels('auto', 'de').labels, getLocaleLabels('de', 'en').labels);
+    eq(getLocaleLabels('off', 'de').labels, getLocaleLabels('auto', 'en').labels);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Packs ---\x1b[0m');
+
+test('all requested locales are shipped', () => {
+    assert.deepStrictEqual(Object.keys(LOCALE_PACKS).sort(), ['ar', 'de', 'es', 'fr', 'ja', 'ko', 'pt-BR', 'ru', 'zh-CN'].sort());
+});
+
+test('every pack covers every action with trimmed lowercase labels', () => {
+    for (const [id, pack] of Object.entries(LOCALE_PACKS)) {
+        for (const action of ACTIONS) {
+            assert.ok(Array.isArray(pack[action]) && pack[action].length > 0, `${id} lacks "${action}"`);
+            for (const label of pack[action]) {
+                assert.ok(label && label === label.trim().toLowerCase(), `${id} "${label}" must be trimmed lowercase`);
+            }
+        }
+        assert.deepStrictEqual(Object.keys(pack).sort(), ACTIONS.slice().sort(), `${id} has unknown actions`);
+    }
+});
+
+test('the French example from customButtonTexts is covered', () => {
+    assert.ok(LOCALE_PACKS.fr['always allow'].includes('toujours autoriser'));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Observer Script ---\x1b[0m');
+
+test('labels are embedded and the script still compiles', () => {
+    const script = buildDOMObserverScript({ locale: LOCALE_PACKS.ru });
+    assert.ok(script.includes(JSON.stringify(LOCALE_PACKS.ru)));
+    new Function(script);
+});
+
+test('no labels by default', () => {
+    const script = buildDOMObserverScript();
+    assert.ok(script.includes('var LOCALE_LABELS = {};'));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
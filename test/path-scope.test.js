@@ -0,0 +1,150 @@
+/**
+ * Path Scope Test Suite
+ * ─────────────────────
+ * Path resolution (~, .., Windows drives), cd / pushd / Set-Location tracking through
+ * the command chain, path arguments and redirections outside the workspace folders,
+ * the safe-root allowlist and the browser serialization round-trip.
+ *
+ * Run:  node test/path-scope.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { createCommandFilter } = require(path.join(__dirname, '..', 'src', 'scripts', 'CommandParser'));
+const { createPathScope, describePathVerdict } = require(path.join(__dirname, '..', 'src', 'scripts', 'PathScope'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const scope = createPathScope(createCommandFilter());
+const CTX = { roots: ['/home/me/app', '/home/me/lib'], safeRoots: ['/tmp'], home: '/home/me' };
+
+// 'inside' or '<reason> <path>'
+function verdict(cmd, extra = {}) {
+    const v = scope.check(cmd, { ...CTX, ...extra });
+    return v.ok ? 'inside' : `${v.reason}${v.path ? ' ' + v.path : ''}`;
+}
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Resolution ---\x1b[0m');
+
+test('normalize collapses . / .. / duplicate and trailing slashes', () => {
+    eq(scope.normalize('/home/me/app/./src/../dist//'), '/home/me/app/dist');
+    eq(scope.normalize('/../..'), '/');
+});
+
+test('Windows paths compare case-insensitively with forward slashes', () => {
+    eq(scope.normalize('C:\\Users\\Me\\App\\'), 'c:/users/me/app');
+    eq(scope.resolve('c:/users/me/app', '..\\lib', 'C:\\Users\\Me'), 'c:/users/me/lib');
+    eq(scope.resolve('c:/users/me/app', '\\Windows', ''), 'c:/windows');
+});
+
+test('~ and $HOME expand to the home folder; other variables are unknown', () => {
+    eq(scope.resolve('/x', '~/.ssh', '/home/me'), '/home/me/.ssh');
+    eq(scope.resolve('/x', '$HOME/build', '/home/me'), '/home/me/build');
+    eq(scope.resolve('/x', '${HOME}', '/home/me'), '/home/me');
+    eq(scope.resolve('/x', '$OUT/build', '/home/me'), null);
+    eq(scope.resolve('/x', '~bob/x', '/home/me'), null);
+});
+
+test('a root contains its subfolders but not its siblings', () => {
+    assert.ok(scope.isInside('/home/me/app/src', ['/home/me/app']));
+    assert.ok(!scope.isInside('/home/me/app-old', ['/home/me/app']));
+    assert.ok(scope.isInside('/dev/null', ['/home/me/app']));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Working Directory ---\x1b[0m');
+
+test('commands run in the first workspace folder unless a cwd is shown', () => {
+    eq(verdict('rm -rf build'), 'inside');
+    eq(verdict('rm -rf build', { cwd: '~' }), 'cwd-outside /home/me');
+    eq(verdict('rm -rf build', { cwd: '/home/me/lib/pkg' }), 'inside');
+});
+
+test('cd / pushd / Set-Location move the cwd for the rest of the chain', () => {
+    eq(verdict('cd ~ && rm -rf build'), 'cwd-outside /home/me');
+    eq(verdict('cd .. && ls'), 'cwd-outside /home/me');
+    eq(verdict('cd ../lib && npm test'), 'inside');
+    eq(verdict('pushd /etc; cat hosts'), 'cwd-outside /etc');
+    eq(verdict('cd /tmp/x && make'), 'inside');
+    eq(verdict('Set-Location C:\\Users; Remove-Item -Recurse x', { roots: ['C:\\Users\\me\\app'], home: 'C:\\Users\\me' }), 'cwd-outside c:/users');
+});
+
+test('a cd alone is harmless; an unknown destination fails closed', () => {
+    eq(verdict('cd ~'), 'inside');
+    eq(verdict('cd - && ls'), 'unknown-dir');
+    eq(verdict('cd $DIR && rm -rf x'), 'unknown-dir');
+});
+
+test('cd inside a bash -c payload is followed too', () => {
+    eq(verdict('bash -c "cd / && rm -rf x"'), 'cwd-outside /');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Path Arguments ---\x1b[0m');
+
+test('absolute, ~ and ..-escaping arguments are checked', () => {
+    eq(verdict('cat /etc/passwd'), 'path-outside /etc/passwd');
+    eq(verdict('rm -rf ~/Documents'), 'path-outside /home/me/Documents');
+    eq(verdict('cp -r ../../secrets .'), 'path-outside /home/secrets');
+    eq(verdict('cp -r ../lib/dist out'), 'inside');
+    eq(verdict('node build.js --out=/var/www'), 'path-outside /var/www');
+});
+
+test('plain words, URLs and messages are not paths', () => {
+    eq(verdict('git push origin main'), 'inside');
+    eq(verdict('git commit -m "fix a/b handling"'), 'inside');
+    eq(verdict('curl -o out.json https://example.com/api/v1'), 'inside');
+    eq(verdict('sed -i s/foo/bar/g src/app.js'), 'inside');
+});
+
+test('redirection targets are checked; /dev/null is always fine', () => {
+    eq(verdict('echo x > /etc/hosts'), 'path-outside /etc/hosts');
+    eq(verdict('echo x >> ~/.bashrc'), 'path-outside /home/me/.bashrc');
+    eq(verdict('npm test 2>/dev/null'), 'inside');
+    eq(verdict('npm test > out.log 2>&1'), 'inside');
+});
+
+test('safe roots are allowed, relative safe roots are ignored', () => {
+    eq(verdict('cp dist.tgz /tmp/'), 'inside');
+    eq(verdict('cp dist.tgz ~/.cache/x', { safeRoots: ['~/.cache'] }), 'inside');
+    eq(verdict('cp dist.tgz ~/x', { safeRoots: ['x'] }), 'path-outside /home/me/x');
+});
+
+test('no workspace folder or no command text fails closed', () => {
+    eq(verdict('ls', { roots: [] }), 'no-roots');
+    eq(verdict(''), 'no-command-text');
+});
+
+test('describePathVerdict reads as a sentence', () => {
+    eq(describePathVerdict(scope.check('cat /etc/passwd', CTX)), 'touches /etc/passwd, outside the workspace');
+    eq(describePathVerdict(scope.check('cd ~ && ls', CTX)), 'runs in /home/me, outside the workspace');
+    eq(describePathVerdict(scope.check('ls', CTX)), 'inside the workspace');
+});
+
+test('survives serialization into the browser payload', () => {
+    const rebuilt = new Function(`var f = (${createCommandFilter.toString()})(); return (${createPathScope.toString()})(f);`)();
+    for (const cmd of ['rm -rf build', 'cd ~ && rm -rf build', 'cat /etc/passwd', 'echo x > /etc/hosts', 'cp a ../lib/b']) {
+        assert.deepStrictEqual(rebuilt.check(cmd, CTX), scope.check(cmd, CTX), cmd);
+    }
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,144 @@
+/**
+ * Click Budget Test Suite
+ * ───────────────────────
+ * Token buckets per button category, the sliding hourly cap, category mapping,
+ * shared state (survives re-injects) and the browser serialization round-trip.
+ *
+ * Run:  node test/rate-limiter.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { createRateLimiter, describeTrip } = require(path.join(__dirname, '..', 'src', 'scripts', 'RateLimiter'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const LIMITS = { perMinute: { run: 3, accept: 0, allow: 2, recovery: 1 }, hourlyCap: 10 };
+const T0 = 1700000000000;
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Categories ---\x1b[0m');
+
+test('matched keywords map to budget categories', () => {
+    const l = createRateLimiter();
+    eq(l.categoryOf('run'), 'run');
+    eq(l.categoryOf('accept'), 'accept');
+    eq(l.categoryOf('always allow'), 'allow');
+    eq(l.categoryOf('allow this conversation'), 'allow');
+    eq(l.categoryOf('retry'), 'recovery');
+    eq(l.categoryOf('continue'), 'recovery');
+    eq(l.categoryOf('proceed'), 'other');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Token Buckets ---\x1b[0m');
+
+test('bursts up to capacity, then trips', () => {
+    const l = createRateLimiter();
+    eq(l.takeRate('run', LIMITS, T0), null);
+    eq(l.takeRate('run', LIMITS, T0), null);
+    eq(l.takeRate('run', LIMITS, T0), null);
+    assert.deepStrictEqual(l.takeRate('run', LIMITS, T0), { reason: 'rate', category: 'run', limit: 3 });
+});
+
+test('refills at perMinute tokens per minute', () => {
+    const l = createRateLimiter();
+    for (let i = 0; i < 3; i++) l.takeRate('run', LIMITS, T0);
+    assert.ok(l.takeRate('run', LIMITS, T0 + 10000));   // 0.5 token — still empty
+    eq(l.takeRate('run', LIMITS, T0 + 20000), null);   // 1 token refilled
+    assert.ok(l.takeRate('run', LIMITS, T0 + 20000));
+});
+
+test('refill never exceeds capacity', () => {
+    const l = createRateLimiter();
+    l.takeRate('allow', LIMITS, T0);
+    eq(l.takeRate('allow', LIMITS, T0 + 3600000), null);
+    eq(l.takeRate('allow', LIMITS, T0 + 3600000), null);
+    assert.ok(l.takeRate('allow', LIMITS, T0 + 3600000));
+});
+
+test('categories have independent buckets; 0 or missing = unlimited', () => {
+    const l = createRateLimiter();
+    eq(l.takeRate('recovery', LIMITS, T0), null);
+    assert.ok(l.takeRate('recovery', LIMITS, T0));
+    eq(l.takeRate('run', LIMITS, T0), null);
+    for (let i = 0; i < 100; i++) eq(l.takeRate('accept', LIMITS, T0), null);
+    for (let i = 0; i < 100; i++) eq(l.takeRate('other', LIMITS, T0), null);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Hourly Cap ---\x1b[0m');
+
+test('trips once the hour total would exceed the cap', () => {
+    const l = createRateLimiter();
+    eq(l.takeHourly(8, LIMITS, T0), null);
+    eq(l.takeHourly(2, LIMITS, T0 + 1000), null);
+    assert.deepStrictEqual(l.takeHourly(1, LIMITS, T0 + 2000), { reason: 'hourly', category: null, limit: 10 });
+    eq(l.clicksLastHour(T0 + 2000), 10);
+});
+
+test('window slides: clicks older than an hour drop out', () => {
+    const l = createRateLimiter();
+    l.takeHourly(10, LIMITS, T0);
+    eq(l.takeHourly(1, LIMITS, T0 + 3600000), null);
+    eq(l.clicksLastHour(T0 + 3600000), 1);
+});
+
+test('cap 0 disables the hourly limit', () => {
+    const l = createRateLimiter();
+    eq(l.takeHourly(100000, { perMinute: {}, hourlyCap: 0 }, T0), null);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- State ---\x1b[0m');
+
+test('state object is shared, so a re-created limiter keeps the budget', () => {
+    const state = {};
+    const a = createRateLimiter(state);
+    for (let i = 0; i < 3; i++) a.takeRate('run', LIMITS, T0);
+    const b = createRateLimiter(state);
+    assert.ok(b.takeRate('run', LIMITS, T0));
+});
+
+test('reset restores the full budget', () => {
+    const l = createRateLimiter();
+    for (let i = 0; i < 3; i++) l.takeRate('run', LIMITS, T0);
+    l.takeHourly(10, LIMITS, T0);
+    l.reset();
+    eq(l.takeRate('run', LIMITS, T0), null);
+    eq(l.takeHourly(1, LIMITS, T0), null);
+});
+
+test('describeTrip wording', () => {
+    eq(describeTrip({ reason: 'rate', category: 'run', limit: 3 }), 'more than 3 "run" clicks per minute');
+    eq(describeTrip({ reason: 'hourly', category: null, limit: 10 }), 'more than 10 auto-clicks in the last hour');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Browser Serialization ---\x1b[0m');
+
+test('factory survives toString() round-trip (as injected into the observer)', () => {
+    const rebuilt = new Function(`return (${createRateLimiter.toString()})({});`)();
+    eq(rebuilt.takeRate('recovery', LIMITS, T0), null);
+    assert.ok(rebuilt.takeRate('recovery', LIMITS, T0));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
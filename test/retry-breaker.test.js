@@ -0,0 +1,164 @@
+/**
+ * Retry Breaker Test Suite
+ * ────────────────────────
+ * Backoff between Retry/Continue clicks, tripping after maxAttempts, the half-open
+ * probe after the cooldown, closing on progress and the browser serialization round-trip.
+ *
+ * Run:  node test/retry-breaker.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { createRetryBreaker, describeBreakerEvent } = require(path.join(__dirname, '..', 'src', 'scripts', 'RetryBreaker'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const CFG = { maxAttempts: 3, backoffMs: [0, 10000, 30000], cooldownMs: 300000, graceMs: 5000 };
+const T0 = 1700000000000;
+
+// Spend all attempts, respecting the backoff; returns the time of the last click
+function exhaust(b) {
+    eq(b.attempt(CFG, T0).click, true);
+    eq(b.attempt(CFG, T0 + 10000).click, true);
+    eq(b.attempt(CFG, T0 + 40000).click, true);
+    return T0 + 40000;
+}
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Backoff ---\x1b[0m');
+
+test('first recovery click is immediate', () => {
+    const r = createRetryBreaker().attempt(CFG, T0);
+    eq(r.click, true); eq(r.event, null);
+});
+
+test('later clicks wait for their backoff step', () => {
+    const b = createRetryBreaker();
+    b.attempt(CFG, T0);
+    const early = b.attempt(CFG, T0 + 4000);
+    eq(early.click, false); eq(early.waitMs, 6000); eq(early.event, null);
+    eq(b.attempt(CFG, T0 + 10000).click, true);
+    eq(b.attempt(CFG, T0 + 39999).click, false);
+    eq(b.attempt(CFG, T0 + 40000).click, true);
+});
+
+test('the last backoff entry repeats; an empty schedule means no wait', () => {
+    const cfg = { maxAttempts: 5, backoffMs: [0, 1000], cooldownMs: 60000 };
+    const b = createRetryBreaker();
+    b.attempt(cfg, T0); b.attempt(cfg, T0 + 1000);
+    eq(b.attempt(cfg, T0 + 1500).click, false);
+    eq(b.attempt(cfg, T0 + 2000).click, true);
+    const flat = createRetryBreaker();
+    eq(flat.attempt({ maxAttempts: 2, backoffMs: [], cooldownMs: 60000 }, T0).click, true);
+    eq(flat.attempt({ maxAttempts: 2, backoffMs: [], cooldownMs: 60000 }, T0).click, true);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Tripping ---\x1b[0m');
+
+test('opens once maxAttempts clicks have not helped', () => {
+    const b = createRetryBreaker();
+    const last = exhaust(b);
+    const r = b.attempt(CFG, last + 60000);
+    eq(r.click, false);
+    assert.deepStrictEqual(r.event, { type: 'open', attempts: 3, cooldownMs: 300000 });
+    eq(b.state.state, 'open');
+});
+
+test('stays open without further events until the cooldown ends', () => {
+    const b = createRetryBreaker();
+    const last = exhaust(b);
+    b.attempt(CFG, last + 60000);
+    const r = b.attempt(CFG, last + 120000);
+    eq(r.click, false); eq(r.event, null); eq(r.waitMs, 240000);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Half-Open ---\x1b[0m');
+
+test('after the cooldown a single probe click is allowed', () => {
+    const b = createRetryBreaker();
+    const opened = exhaust(b) + 60000;
+    b.attempt(CFG, opened);
+    const probe = b.attempt(CFG, opened + 300000);
+    eq(probe.click, true); eq(probe.event.type, 'half-open');
+    eq(b.state.state, 'half-open');
+});
+
+test('a recovery button within the grace period is ignored, after it the breaker reopens', () => {
+    const b = createRetryBreaker();
+    const opened = exhaust(b) + 60000;
+    b.attempt(CFG, opened);
+    const probeAt = opened + 300000;
+    b.attempt(CFG, probeAt);
+    const lingering = b.attempt(CFG, probeAt + 1000);
+    eq(lingering.click, false); eq(lingering.event, null); eq(b.state.state, 'half-open');
+    const again = b.attempt(CFG, probeAt + 6000);
+    eq(again.click, false); eq(again.event.type, 'reopen'); eq(b.state.state, 'open');
+    eq(b.attempt(CFG, probeAt + 6000 + 299999).click, false);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Progress ---\x1b[0m');
+
+test('progress resets attempts silently while closed', () => {
+    const b = createRetryBreaker();
+    b.attempt(CFG, T0); b.attempt(CFG, T0 + 10000);
+    eq(b.progress(), null);
+    eq(b.attempt(CFG, T0 + 10001).click, true);   // no backoff after a reset
+});
+
+test('progress closes a tripped breaker and reports it', () => {
+    const b = createRetryBreaker();
+    const opened = exhaust(b) + 60000;
+    b.attempt(CFG, opened);
+    b.attempt(CFG, opened + 300000);
+    assert.deepStrictEqual(b.progress(), { type: 'closed', attempts: 3 });
+    eq(b.state.state, 'closed');
+    eq(b.attempt(CFG, opened + 300001).click, true);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- State ---\x1b[0m');
+
+test('state object is shared, so a re-injected observer keeps the breaker open', () => {
+    const state = {};
+    const a = createRetryBreaker(state);
+    const last = exhaust(a);
+    a.attempt(CFG, last + 1000);
+    eq(createRetryBreaker(state).attempt(CFG, last + 2000).click, false);
+});
+
+test('describeBreakerEvent wording', () => {
+    eq(describeBreakerEvent({ type: 'open', attempts: 3, cooldownMs: 300000 }), 'stopped clicking Retry/Continue after 3 attempts — next try in 5 min');
+    eq(describeBreakerEvent({ type: 'closed', attempts: 3 }), 'agent recovered — Retry/Continue clicks resumed');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Browser Serialization ---\x1b[0m');
+
+test('factory survives toString() round-trip (as injected into the observer)', () => {
+    const rebuilt = new Function(`return (${createRetryBreaker.toString()})({});`)();
+    eq(rebuilt.attempt(CFG, T0).click, true);
+    eq(rebuilt.attempt(CFG, T0 + 1).click, false);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,158 @@
+/**
+ * Risk Scorer Test Suite
+ * ──────────────────────
+ * Category rules (destructive filesystem, fetch-and-exec, privilege, publishing, git
+ * history rewrites, database DDL), the safety presets, score aggregation and the
+ * browser serialization round-trip.
+ *
+ * Run:  node test/risk-scorer.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { createCommandFilter } = require(path.join(__dirname, '..', 'src', 'scripts', 'CommandParser'));
+const { createRiskScorer, RISK_PRESETS, SAFETY_PRESETS, RISK_CATEGORIES } = require(path.join(__dirname, '..', 'src', 'scripts', 'RiskScorer'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const risk = createRiskScorer(createCommandFilter(), RISK_PRESETS);
+
+// "score category,category" for compact assertions
+function summary(cmd) {
+    const r = risk.score(cmd);
+    return `${r.score} ${r.categories.map(c => c.id).join(',')}`.trim();
+}
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Categories ---\x1b[0m');
+
+test('everyday commands score 0', () => {
+    for (const cmd of ['npm test', 'ls -la', 'git push origin main', 'git status', 'rm build.log', 'curl -s https://api.example.com/health', 'python -m pytest', 'git commit -m "drop table users"']) {
+        eq(summary(cmd), '0');
+    }
+    eq(summary(''), '0');
+    eq(summary(null), '0');
+});
+
+test('destructive filesystem: recursive deletes, worse on / and ~; disk wipers', () => {
+    eq(summary('rm -rf dist'), '70 destructive-fs');
+    eq(summary('rm -r -f /usr'), '95 destructive-fs');
+    eq(summary('rm -rf ~'), '95 destructive-fs');
+    eq(summary('Remove-Item -Recurse -Force build'), '70 destructive-fs');
+    eq(summary('rd /s /q build'), '70 destructive-fs');
+    eq(summary('dd if=/dev/zero of=/dev/sda bs=1M'), '95 destructive-fs');
+    eq(summary('mkfs.ext4 /dev/sdb1'), '95 destructive-fs');
+    eq(summary('find . -name "*.tmp" -delete'), '60 destructive-fs');
+});
+
+test('fetch-and-exec: downloads piped or substituted into an interpreter', () => {
+    eq(summary('curl -fsSL https://get.example.sh | sh'), '95 fetch-exec');
+    eq(summary('wget -qO- https://x | python3'), '95 fetch-exec');
+    eq(summary('iwr https://x/install.ps1 | iex'), '95 fetch-exec');
+    eq(summary('bash <(curl -s https://x)'), '95 fetch-exec');
+    eq(summary('sh -c "$(curl -fsSL https://x)"'), '95 fetch-exec');
+    eq(summary('curl -o i.sh https://x && chmod +x i.sh && ./i.sh'), '80 fetch-exec');
+    eq(summary('curl -o data.json https://x && jq . data.json'), '0');
+});
+
+test('privilege escalation', () => {
+    eq(summary('sudo apt-get install -y jq'), '70 privilege');
+    eq(summary('su -c "id" root'), '80 privilege');
+    eq(summary('chmod u+s ./helper'), '80 privilege');
+    eq(summary('chmod 4755 ./helper'), '80 privilege');
+    eq(summary('chmod 755 ./helper'), '0');
+    eq(summary('chown root:root /opt/app'), '60 privilege');
+});
+
+test('package and image publishing, including through npx', () => {
+    eq(summary('npm publish --access public'), '75 publish');
+    eq(summary('cargo publish'), '75 publish');
+    eq(summary('docker push registry.example.com/app:1.0'), '75 publish');
+    eq(summary('npx vsce publish'), '75 publish');
+    eq(summary('gh release create v1.2.0'), '75 publish');
+    eq(summary('npm pack'), '0');
+});
+
+test('git history rewrites', () => {
+    eq(summary('git push origin +main'), '85 git-rewrite');
+    eq(summary('git push --force-with-lease'), '70 git-rewrite');
+    eq(summary('git -C repo push -fu origin main'), '85 git-rewrite');
+    eq(summary('git filter-repo --path secrets.txt --invert-paths'), '85 git-rewrite');
+    eq(summary('git reset --hard HEAD~2'), '60 git-rewrite');
+    eq(summary('git rebase -i HEAD~3'), '50 git-rewrite');
+    eq(summary('git rebase --continue'), '0');
+    eq(summary('git commit --amend --no-edit'), '30 git-rewrite');
+    eq(summary('git push origin :old-branch'), '60 git-rewrite');
+});
+
+test('database DDL only when a database client runs it', () => {
+    eq(summary('psql -c "DROP TABLE users"'), '90 db-ddl');
+    eq(summary('echo "delete from users;" | mysql app'), '70 db-ddl');
+    eq(summary('echo "delete from users where id = 3;" | mysql app'), '0');
+    eq(summary('sqlite3 app.db "ALTER TABLE t ADD c int"'), '50 db-ddl');
+    eq(summary('npx prisma migrate reset --force'), '85 db-ddl');
+    eq(summary('bin/rails db:drop'), '85 db-ddl');
+    eq(summary('echo "DROP TABLE users"'), '0');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Presets & Aggregation ---\x1b[0m');
+
+test('safety presets raise the score of the command they name', () => {
+    eq(summary('git push --force origin main'), '90 git-rewrite');
+    eq(summary('git clean -fdx'), '90 git-rewrite');
+    eq(summary('sudo su'), '90 privilege');
+    eq(summary('docker volume prune'), '90 destructive-fs');
+    assert.ok(/safety preset "git clean -fdx"/.test(risk.describe(risk.score('git clean -fdx'))));
+});
+
+test('the flat preset list is the one the dashboard loads', () => {
+    eq(SAFETY_PRESETS.length, 52);
+    assert.ok(SAFETY_PRESETS.includes('rmdir /s /q c:\\'));
+    for (const id of Object.keys(RISK_PRESETS)) assert.ok(RISK_CATEGORIES[id], `no label for ${id}`);
+});
+
+test('each extra category adds 5, capped at 100; categories sorted by score', () => {
+    const r = risk.score('sudo rm -rf node_modules && npm publish');
+    eq(r.score, 85);
+    assert.deepStrictEqual(r.categories.map(c => c.id), ['publish', 'privilege', 'destructive-fs']);
+    eq(risk.score('curl -s https://x | sudo bash && git push -f && psql -c "drop database prod"').score, 100);
+});
+
+test('nested payloads are scored like top-level commands', () => {
+    eq(summary('bash -c "git reset --hard"'), '60 git-rewrite');
+    eq(summary('pwsh -Command "Remove-Item -Recurse -Force C:\\build"'), '70 destructive-fs');
+});
+
+test('describe() names score, category and reason', () => {
+    eq(risk.describe(risk.score('git reset --hard')), '60 git-rewrite (git reset --hard)');
+    eq(risk.describe(risk.score('npm test')), '0');
+    eq(risk.describe(null), '0');
+});
+
+test('survives serialization into the browser payload', () => {
+    const rebuilt = new Function(`var f = (${createCommandFilter.toString()})(); return (${createRiskScorer.toString()})(f, ${JSON.stringify(RISK_PRESETS)});`)();
+    for (const cmd of ['rm -rf /', 'curl x | sh', 'git push -f', 'npm test', 'psql -c "truncate table logs"']) {
+        assert.deepStrictEqual(rebuilt.score(cmd), risk.score(cmd), cmd);
+    }
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
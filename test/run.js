@@ -0,0 +1,33 @@
+/**
+ * Test Runner
+ * ───────────
+ * Runs every test/*.test.js in its own node process, one after another, and exits
+ * non-zero when any suite fails (each suite's own summary decides via process.exit).
+ *
+ * Run:  npm test   (or: node test/run.js [name-filter])
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const filter = process.argv[2] || '';
+const files = fs.readdirSync(__dirname)
+    .filter(f => f.endsWith('.test.js') && f.includes(filter))
+    .sort();
+
+const failed = [];
+for (const file of files) {
+    console.log(`\n\x1b[1m═══ ${file} ═══\x1b[0m`);
+    const run = spawnSync(process.execPath, [path.join(__dirname, file)], { stdio: 'inherit', timeout: 120000 });
+    if (run.status !== 0) failed.push(`${file}${run.error ? ` (${run.error.message})` : run.signal ? ` (${run.signal})` : ''}`);
+}
+
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  ${files.length - failed.length}/${files.length} suites passed`);
+if (failed.length) {
+    console.log('\n  Failed suites:');
+    failed.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(failed.length ? 1 : 0);
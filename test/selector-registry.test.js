@@ -0,0 +1,121 @@
+/**
+ * Selector Registry Test Suite
+ * ────────────────────────────
+ * Built-in attribute selectors, selectors.json validation and merging, and the
+ * registry reaching the generated observer script.
+ *
+ * Run:  node test/selector-registry.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { SELECTOR_VERSION, DEFAULT_SELECTORS, parseSelectorFile, mergeSelectors } =
+    require(path.join(__dirname, '..', 'src', 'scripts', 'SelectorRegistry'));
+const { buildDOMObserverScript } = require(path.join(__dirname, '..', 'src', 'scripts', 'DOMObserver'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const file = (obj) => JSON.stringify({ version: SELECTOR_VERSION, ...obj });
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Built-ins ---\x1b[0m');
+
+test('every clickable action has attribute selectors', () => {
+    for (const action of ['run', 'accept', 'always allow', 'allow this conversation', 'allow', 'retry', 'continue']) {
+        assert.ok(DEFAULT_SELECTORS[action] && DEFAULT_SELECTORS[action].length > 0, action);
+    }
+});
+
+test('aria-label selectors are exact, never prefix (no "Run and Debug")', () => {
+    for (const list of Object.values(DEFAULT_SELECTORS)) {
+        for (const sel of list) assert.ok(!/aria-label[\^*$]=/.test(sel), sel);
+    }
+});
+
+test('the old data-testid "allow" special case is covered', () => {
+    assert.ok(DEFAULT_SELECTORS.allow.includes('button[data-testid*="allow" i]'));
+    assert.ok(DEFAULT_SELECTORS['always allow'].includes('[role="button"][data-testid*="always-allow" i]'));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- selectors.json ---\x1b[0m');
+
+test('valid file parses with keys lowercased and selectors trimmed', () => {
+    const r = parseSelectorFile(file({ selectors: { Run: [' button.run '] } }));
+    assert.deepStrictEqual(r.errors, []);
+    assert.deepStrictEqual(r.file, { replaceDefaults: false, selectors: { run: ['button.run'] } });
+});
+
+test('bad JSON, wrong version or missing selectors are fatal', () => {
+    eq(parseSelectorFile('{').file, null);
+    eq(parseSelectorFile(JSON.stringify({ version: 99, selectors: {} })).file, null);
+    eq(parseSelectorFile(file({})).file, null);
+    eq(parseSelectorFile('[]').file, null);
+});
+
+test('bad entries and unknown actions are warnings', () => {
+    const r = parseSelectorFile(file({ selectors: { run: ['', 3, 'button.ok'], approve: ['button.approve'], retry: 'button' } }));
+    assert.deepStrictEqual(r.file.selectors, { run: ['button.ok'], approve: ['button.approve'] });
+    eq(r.warnings.length, 4);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Merging ---\x1b[0m');
+
+test('no file → built-ins (as a copy)', () => {
+    const m = mergeSelectors(null);
+    assert.deepStrictEqual(m, DEFAULT_SELECTORS);
+    m.run.push('x');
+    assert.ok(!DEFAULT_SELECTORS.run.includes('x'));
+});
+
+test('user selectors go first, built-ins follow without duplicates', () => {
+    const m = mergeSelectors({ replaceDefaults: false, selectors: { run: ['button.run', DEFAULT_SELECTORS.run[0]] } });
+    eq(m.run[0], 'button.run');
+    eq(m.run.length, DEFAULT_SELECTORS.run.length + 1);
+    assert.deepStrictEqual(m.accept, DEFAULT_SELECTORS.accept);
+});
+
+test('replaceDefaults drops built-ins only for listed actions', () => {
+    const m = mergeSelectors({ replaceDefaults: true, selectors: { allow: [] } });
+    assert.deepStrictEqual(m.allow, []);
+    assert.deepStrictEqual(m.run, DEFAULT_SELECTORS.run);
+});
+
+test('custom actions are added', () => {
+    assert.deepStrictEqual(mergeSelectors({ replaceDefaults: false, selectors: { approve: ['button.ok'] } }).approve, ['button.ok']);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Observer Script ---\x1b[0m');
+
+test('registry is embedded and the script still compiles', () => {
+    const reg = mergeSelectors({ replaceDefaults: false, selectors: { run: ['button[data-testid="run"]'] } });
+    const script = buildDOMObserverScript({ selectors: reg });
+    assert.ok(script.includes(JSON.stringify(reg)));
+    new Function(script);
+});
+
+test('built-ins are used by default', () => {
+    assert.ok(buildDOMObserverScript().includes(JSON.stringify(DEFAULT_SELECTORS)));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,134 @@
+/**
+ * Trust Grants Test Suite
+ * ───────────────────────
+ * Conversation title probing, grant matching by title, time and click limits, grant
+ * creation and descriptions, and the browser round-trip.
+ *
+ * Run:  node test/trust-grants.test.js   (needs the jsdom devDependency)
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { createTrustGrants, createGrant, describeGrant } = require(path.join(__dirname, '..', 'src', 'scripts', 'TrustGrants'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const grants = createTrustGrants();
+const NOW = 1700000000000;
+
+function doc(title, body = '') {
+    return new JSDOM(`<!DOCTYPE html><head><title>${title}</title></head><body>${body}</body>`).window.document;
+}
+
+function grant(opts) {
+    return createGrant({ title: 'Fix login flow', allow: ['git push'], minutes: 10, ...opts }, NOW).grant;
+}
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Conversation Title ---\x1b[0m');
+
+test('the agent panel heading wins over the window title', () => {
+    const d = doc('Other - app - Antigravity', '<div class="antigravity-agent-side-panel"><h2>  Fix   login flow </h2></div>');
+    eq(grants.conversationTitle(d), 'Fix login flow');
+});
+
+test('falls back to the "Conversation - Workspace - Antigravity" window title', () => {
+    eq(grants.conversationTitle(doc('Fix login flow - app - Antigravity')), 'Fix login flow');
+    eq(grants.conversationTitle(doc('Manager')), '');
+    eq(grants.conversationTitle(doc('Fix - x', '<div class="antigravity-agent-side-panel"><h1> </h1></div>')), 'Fix');
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Matching & Limits ---\x1b[0m');
+
+test('grants match their conversation by title, case and spacing aside', () => {
+    const g = grant();
+    eq(grants.activeGrant([g], 'fix  LOGIN flow', NOW), g);
+    eq(grants.activeGrant([g], 'Fix login', NOW), null);
+    eq(grants.activeGrant([g], '', NOW), null);
+    eq(grants.activeGrant(null, 'Fix login flow', NOW), null);
+});
+
+test('time-limited grants expire at expiresAt', () => {
+    const g = grant({ minutes: 10 });
+    eq(g.expiresAt, NOW + 600000);
+    eq(g.clicksLeft, null);
+    eq(grants.activeGrant([g], 'Fix login flow', NOW + 599999), g);
+    eq(grants.activeGrant([g], 'Fix login flow', NOW + 600000), null);
+});
+
+test('click-limited grants run out after N uses', () => {
+    const g = grant({ minutes: 0, clicks: 2 });
+    eq(g.expiresAt, null);
+    eq(grants.use(g), 1);
+    eq(grants.expired(g, NOW), false);
+    eq(grants.use(g), 0);
+    eq(grants.expired(g, NOW), true);
+    eq(grants.use(g), 0, 'never negative');
+    eq(g.clicksUsed, 3);
+});
+
+test('with both limits, whichever runs out first ends it', () => {
+    const g = grant({ minutes: 1, clicks: 5 });
+    eq(grants.expired(g, NOW + 60000), true);
+    const h = grant({ minutes: 60, clicks: 1 });
+    grants.use(h);
+    eq(grants.expired(h, NOW), true);
+    eq(grants.use(grant({ minutes: 5 })), null, 'time-only grants count uses but have no click limit');
+});
+
+test('the first live grant for the conversation is used', () => {
+    const spent = grant({ minutes: 0, clicks: 1 }); grants.use(spent);
+    const live = grant({ allow: ['npm publish'] });
+    eq(grants.activeGrant([spent, live], 'Fix login flow', NOW), live);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Creating & Describing ---\x1b[0m');
+
+test('createGrant needs a title, a limit and a pattern', () => {
+    eq(createGrant({ title: ' ', minutes: 5, allow: ['git push'] }).error, 'no conversation title');
+    eq(createGrant({ title: 'x', allow: ['git push'] }).error, 'a grant needs a time or click limit');
+    eq(createGrant({ title: 'x', clicks: 3, allow: ['', '  '] }).error, 'a grant needs at least one command pattern');
+    const r = createGrant({ title: 'x', clicks: 3.7, allow: ['git push'] }, NOW);
+    eq(r.error, null);
+    eq(r.grant.clicksLeft, 3);
+    assert.ok(/^tg/.test(r.grant.id));
+    assert.notStrictEqual(createGrant({ title: 'x', clicks: 1, allow: ['a'] }, NOW).grant.id, r.grant.id);
+});
+
+test('describeGrant', () => {
+    eq(describeGrant(grant({ minutes: 10, clicks: 3 }), NOW + 150000), '“Fix login flow” — allows git push, 8 min / 3 clicks left');
+    eq(describeGrant(grant({ minutes: 0, clicks: 1, allow: ['git push', 'npm publish'] }), NOW), '“Fix login flow” — allows git push, npm publish, 1 click left');
+});
+
+test('survives serialization into the browser payload', () => {
+    const rebuilt = new Function(`return (${createTrustGrants.toString()})();`)();
+    const d = doc('Fix login flow - app - Antigravity');
+    eq(rebuilt.conversationTitle(d), grants.conversationTitle(d));
+    const g = grant({ clicks: 1 });
+    eq(rebuilt.activeGrant([g], 'Fix login flow', NOW), g);
+    rebuilt.use(g);
+    eq(rebuilt.activeGrant([g], 'Fix login flow', NOW), null);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);
@@ -0,0 +1,166 @@
+/**
+ * Workspace Policy Test Suite
+ * ───────────────────────────
+ * Parsing/validation of .antigravity/autoaccept-policy.json, merge semantics
+ * over the global settings (incl. untrusted workspaces), and CDP window title
+ * → workspace matching.
+ *
+ * Run:  node test/workspace-policy.test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { parsePolicy, mergePolicy, titleMatchesWorkspace, POLICY_VERSION } = require(path.join(__dirname, '..', 'src', 'policy', 'WorkspacePolicy'));
+
+// ─── Test Harness ────────────────────────────────────────────────────
+let pass = 0, fail = 0;
+const fails = [];
+
+function test(name, fn) {
+    try { fn(); pass++; console.log(`  \x1b[32m✓\x1b[0m ${name}`); }
+    catch (e) { fail++; fails.push(name); console.log(`  \x1b[31m✗\x1b[0m ${name}\n    ${e.message}`); }
+}
+
+function eq(a, b) { assert.strictEqual(a, b); }
+
+const GLOBALS = {
+    blockedCommands: ['rm -rf'],
+    allowedCommands: [],
+    autoAcceptFileEdits: true,
+    autoRetryEnabled: true,
+    customButtonTexts: ['proceed']
+};
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Parsing ---\x1b[0m');
+
+test('valid v1 policy parses', () => {
+    const { policy, errors, warnings } = parsePolicy(JSON.stringify({
+        version: 1, blockedCommands: ['terraform apply'], allowedCommands: ['npm test'],
+        autoAcceptFileEdits: false, autoRetryEnabled: false, customButtonTexts: ['Approve']
+    }));
+    eq(errors.length, 0); eq(warnings.length, 0);
+    eq(policy.version, POLICY_VERSION);
+    assert.deepStrictEqual(policy.blockedCommands, ['terraform apply']);
+    assert.deepStrictEqual(policy.customButtonTexts, ['approve']);
+    eq(policy.autoAcceptFileEdits, false);
+});
+
+test('invalid JSON is fatal', () => {
+    const r = parsePolicy('{ version: 1 ');
+    eq(r.policy, null);
+    assert.ok(/invalid JSON/.test(r.errors[0]));
+});
+
+test('missing or unsupported version is fatal', () => {
+    eq(parsePolicy('{"blockedCommands":[]}').policy, null);
+    const r = parsePolicy('{"version":2}');
+    eq(r.policy, null);
+    assert.ok(/unsupported version 2/.test(r.errors[0]));
+});
+
+test('non-object root is fatal', () => {
+    eq(parsePolicy('[]').policy, null);
+    eq(parsePolicy('null').policy, null);
+});
+
+test('bad entries are dropped with warnings', () => {
+    const { policy, warnings } = parsePolicy(JSON.stringify({
+        version: 1, blockedCommands: ['ok', 42, ''], autoRetryEnabled: 'yes', allowedCommands: 'npm', foo: 1
+    }));
+    assert.deepStrictEqual(policy.blockedCommands, ['ok']);
+    eq(policy.autoRetryEnabled, undefined);
+    eq(policy.allowedCommands, undefined);
+    eq(warnings.length, 5);
+});
+
+test('invalid re:/glob: rules are kept but warned about', () => {
+    const { policy, warnings } = parsePolicy(JSON.stringify({ version: 1, blockedCommands: ['re:('] }));
+    assert.deepStrictEqual(policy.blockedCommands, ['re:(']);
+    assert.ok(/never matches/.test(warnings[0]));
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Merge (trusted) ---\x1b[0m');
+
+test('no policy returns globals', () => {
+    const m = mergePolicy(GLOBALS, null);
+    assert.deepStrictEqual(m.blockedCommands, ['rm -rf']);
+    eq(m.autoAcceptFileEdits, true);
+    eq(m.ignored.length, 0);
+});
+
+test('blocklist is a union — global blocks always apply', () => {
+    const m = mergePolicy(GLOBALS, { version: 1, blockedCommands: ['terraform apply', 'rm -rf'] });
+    assert.deepStrictEqual(m.blockedCommands, ['rm -rf', 'terraform apply']);
+});
+
+test('allowlist replaces the global allowlist', () => {
+    const m = mergePolicy({ ...GLOBALS, allowedCommands: ['make'] }, { version: 1, allowedCommands: ['npm test'] });
+    assert.deepStrictEqual(m.allowedCommands, ['npm test']);
+});
+
+test('toggles override in both directions', () => {
+    const m = mergePolicy({ ...GLOBALS, autoRetryEnabled: false }, { version: 1, autoAcceptFileEdits: false, autoRetryEnabled: true });
+    eq(m.autoAcceptFileEdits, false);
+    eq(m.autoRetryEnabled, true);
+});
+
+test('custom button texts are a union', () => {
+    const m = mergePolicy(GLOBALS, { version: 1, customButtonTexts: ['approve', 'proceed'] });
+    assert.deepStrictEqual(m.customButtonTexts, ['proceed', 'approve']);
+});
+
+test('globals are not mutated', () => {
+    mergePolicy(GLOBALS, { version: 1, blockedCommands: ['x'], customButtonTexts: ['y'] });
+    assert.deepStrictEqual(GLOBALS.blockedCommands, ['rm -rf']);
+    assert.deepStrictEqual(GLOBALS.customButtonTexts, ['proceed']);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Merge (untrusted) ---\x1b[0m');
+
+test('untrusted workspace may only tighten', () => {
+    const m = mergePolicy({ ...GLOBALS, autoRetryEnabled: false }, {
+        version: 1, blockedCommands: ['terraform apply'], allowedCommands: ['curl'],
+        customButtonTexts: ['yes'], autoAcceptFileEdits: false, autoRetryEnabled: true
+    }, { trusted: false });
+    assert.deepStrictEqual(m.blockedCommands, ['rm -rf', 'terraform apply']);
+    assert.deepStrictEqual(m.allowedCommands, []);
+    assert.deepStrictEqual(m.customButtonTexts, ['proceed']);
+    eq(m.autoAcceptFileEdits, false);
+    eq(m.autoRetryEnabled, false);
+    assert.deepStrictEqual(m.ignored.sort(), ['allowedCommands', 'autoRetryEnabled', 'customButtonTexts']);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log('\n\x1b[1m--- Title Matching ---\x1b[0m');
+
+test('matches the root-name segment of a window title', () => {
+    eq(titleMatchesWorkspace('index.js - infra - Antigravity', 'infra'), true);
+    eq(titleMatchesWorkspace('infra - Antigravity', 'infra'), true);
+    eq(titleMatchesWorkspace('● index.js — Infra — Antigravity', 'infra'), true);
+});
+
+test('does not match substrings or other workspaces', () => {
+    eq(titleMatchesWorkspace('index.js - infra-sandbox - Antigravity', 'infra'), false);
+    eq(titleMatchesWorkspace('infra.md - docs - Antigravity', 'infra'), false);
+    eq(titleMatchesWorkspace('Manager', 'infra'), false);
+});
+
+test('empty inputs never match', () => {
+    eq(titleMatchesWorkspace('', 'infra'), false);
+    eq(titleMatchesWorkspace('infra - Antigravity', null), false);
+    eq(titleMatchesWorkspace('infra - Antigravity', '  '), false);
+});
+
+// ═════════════════════════════════════════════════════════════════════
+console.log(`\n${'═'.repeat(50)}`);
+console.log(`  \x1b[32m${pass} passed\x1b[0m, \x1b[${fail ? '31' : '32'}m${fail} failed\x1b[0m, ${pass + fail} total`);
+
+if (fails.length) {
+    console.log('\n  Failures:');
+    fails.forEach(f => console.log(`   • ${f}`));
+}
+console.log('');
+process.exit(fail ? 1 : 0);